@@ -13,6 +13,63 @@ const SCHEDULE_TEXTS = {
   daily: "Hàng ngày",
   weekly: "Hàng tuần",
   monthly: "Hàng tháng",
+  cron: "Tùy chỉnh (Cron)",
+};
+const SCHEDULE_PREVIEW_COUNT = 5;
+const SCHEDULE_PREVIEW_DEBOUNCE = 400; // ms
+const RUN_FINAL_STATUSES = ["completed", "failed", "cancelled", "partial"];
+const RUN_STATUS_TEXTS = {
+  queued: "Đang chờ",
+  running: "Đang gửi",
+  paused: "Tạm dừng",
+  cancelling: "Đang hủy",
+  interrupted: "Bị gián đoạn",
+  completed: "Hoàn tất",
+  failed: "Thất bại",
+  cancelled: "Đã hủy",
+  partial: "Đã hủy (gửi một phần)",
+};
+const RUN_TRIGGER_TEXTS = {
+  manual: "Thủ công",
+  schedule: "Theo lịch",
+  direct: "Gửi trực tiếp",
+};
+const DELIVERY_MODE_TEXTS = {
+  individual: "Từng người nhận",
+  bcc_batch: "Gộp BCC",
+};
+const MAX_BATCH_SIZE = 100;
+const RECIPIENT_SEARCH_DEBOUNCE = 300; // ms
+const DELIVERY_STATUS_TEXTS = {
+  sent: "Đã gửi",
+  failed: "Thất bại",
+  pending: "Chờ gửi",
+  sending: "Đang gửi",
+  cancelled: "Đã hủy",
+  unknown: "Không rõ trạng thái",
+  suppressed: "Đã hủy đăng ký",
+  bounced: "Bị trả về (bounce)",
+};
+// Phân loại email lỗi (failed_emails.bounce_type)
+const BOUNCE_TYPE_TEXTS = {
+  hard: "Bounce cứng (địa chỉ không nhận được thư)",
+  soft: "Bounce mềm",
+};
+// Nhóm lỗi gửi (failed_emails.error_category)
+const ERROR_CATEGORY_TEXTS = {
+  bad_mailbox: "Địa chỉ không tồn tại",
+  policy_block: "Bị máy chủ nhận chặn",
+  auth: "Lỗi xác thực email gửi",
+  throttled: "Vượt giới hạn gửi",
+  transient: "Lỗi tạm thời",
+  other: "Lỗi khác",
+};
+// Trường cấu hình email gửi trong form job -> trường của /api/senders/:email
+const SENDER_SETTING_FIELDS = {
+  senderDailyQuota: "daily_quota",
+  senderRatePerMinute: "rate_per_minute",
+  senderRatePerHour: "rate_per_hour",
+  senderRateBurst: "rate_burst",
 };
 
 // ============================================
@@ -22,6 +79,7 @@ const AppState = {
   jobs: [],
   editingJobId: null,
   isLoading: false,
+  runProgress: {}, // Tiến độ run đang theo dõi, theo job ID: { run, latestFailure }
 };
 
 // ============================================
@@ -145,12 +203,23 @@ const ApiService = {
         email_to: Array.isArray(jobData.emailTo)
           ? jobData.emailTo
           : [jobData.emailTo],
+        email_cc: jobData.emailCc || [],
+        email_bcc: jobData.emailBcc || [],
+        list_ids: jobData.listIds || [],
         email_subject: jobData.emailSubject,
         email_body: jobData.emailBody,
         schedule: jobData.schedule || "manual",
         schedule_time: jobData.scheduleTime
           ? `${jobData.scheduleTime}:00`
           : "09:00:00",
+        cron_expression: jobData.cronExpression || null,
+        timezone: jobData.timezone || null,
+        catchup_policy: jobData.catchupPolicy || "once",
+        rate_per_minute: jobData.ratePerMinute || null,
+        rate_per_hour: jobData.ratePerHour || null,
+        rate_burst: jobData.rateBurst || null,
+        delivery_mode: jobData.deliveryMode || "individual",
+        batch_size: jobData.batchSize || null,
         notes: jobData.notes || null,
         status: jobData.status || "active",
         app_password: jobData.appPassword || null,
@@ -197,6 +266,10 @@ const ApiService = {
           ? jobData.emailTo
           : [jobData.emailTo];
       }
+      if (jobData.emailCc !== undefined) apiJobData.email_cc = jobData.emailCc;
+      if (jobData.emailBcc !== undefined)
+        apiJobData.email_bcc = jobData.emailBcc;
+      if (jobData.listIds !== undefined) apiJobData.list_ids = jobData.listIds;
       if (jobData.emailSubject !== undefined)
         apiJobData.email_subject = jobData.emailSubject;
       if (jobData.emailBody !== undefined)
@@ -208,6 +281,22 @@ const ApiService = {
           ? jobData.scheduleTime
           : `${jobData.scheduleTime}:00`;
       }
+      if (jobData.cronExpression !== undefined)
+        apiJobData.cron_expression = jobData.cronExpression || null;
+      if (jobData.timezone !== undefined)
+        apiJobData.timezone = jobData.timezone || null;
+      if (jobData.catchupPolicy !== undefined)
+        apiJobData.catchup_policy = jobData.catchupPolicy;
+      if (jobData.ratePerMinute !== undefined)
+        apiJobData.rate_per_minute = jobData.ratePerMinute || null;
+      if (jobData.ratePerHour !== undefined)
+        apiJobData.rate_per_hour = jobData.ratePerHour || null;
+      if (jobData.rateBurst !== undefined)
+        apiJobData.rate_burst = jobData.rateBurst || null;
+      if (jobData.deliveryMode !== undefined)
+        apiJobData.delivery_mode = jobData.deliveryMode || "individual";
+      if (jobData.batchSize !== undefined)
+        apiJobData.batch_size = jobData.batchSize || null;
       if (jobData.notes !== undefined) apiJobData.notes = jobData.notes || null;
       if (jobData.status !== undefined) apiJobData.status = jobData.status;
       if (jobData.appPassword !== undefined) {
@@ -262,6 +351,72 @@ const ApiService = {
     }
   },
 
+  /**
+   * Preview next fire times of a schedule (saved or not)
+   * @param {Object} schedule - { schedule, scheduleTime, cronExpression, timezone }
+   * @returns {Promise<Object>} { timezone, cron_expression, data: ISO strings }
+   */
+  async getSchedulePreview(schedule) {
+    const params = new URLSearchParams({
+      schedule: schedule.schedule || "manual",
+      schedule_time: schedule.scheduleTime
+        ? `${schedule.scheduleTime.substring(0, 5)}:00`
+        : "09:00:00",
+      count: SCHEDULE_PREVIEW_COUNT,
+    });
+    if (schedule.cronExpression) {
+      params.set("cron_expression", schedule.cronExpression);
+    }
+    if (schedule.timezone) params.set("timezone", schedule.timezone);
+
+    const response = await fetch(
+      `${API_BASE_URL}/api/schedules/preview?${params.toString()}`
+    );
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Không thể xem trước lịch");
+    }
+    return result;
+  },
+
+  /**
+   * Get daily quota, usage and rate limits of a sender email
+   * @param {string} email - Email gửi
+   * @returns {Promise<Object>} { email, daily_quota, custom_quota, sent_last_24h, remaining, next_available_at, rate_limits, custom_rate_limits }
+   */
+  async getSender(email) {
+    const response = await fetch(
+      `${API_BASE_URL}/api/senders/${encodeURIComponent(email)}`
+    );
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Không thể tải giới hạn gửi");
+    }
+    return result.data;
+  },
+
+  /**
+   * Update daily quota and rate limits of a sender email
+   * @param {string} email - Email gửi
+   * @param {Object} settings - { daily_quota, rate_per_minute, rate_per_hour, rate_burst } (null = mặc định)
+   * @returns {Promise<Object>} Sender data sau khi cập nhật
+   */
+  async updateSender(email, settings) {
+    const response = await fetch(
+      `${API_BASE_URL}/api/senders/${encodeURIComponent(email)}`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(settings),
+      }
+    );
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Không thể cập nhật cấu hình email gửi");
+    }
+    return result.data;
+  },
+
   /**
    * Get last run log for a job
    * @param {number} id - Job ID
@@ -283,6 +438,168 @@ const ApiService = {
     }
   },
 
+  /**
+   * Search recipient email addresses
+   * @param {string} search - Một phần địa chỉ email
+   * @returns {Promise<Array>} Emails kèm số job, số lần gửi thành công/thất bại
+   */
+  async searchEmails(search) {
+    const params = new URLSearchParams({ search });
+    const response = await fetch(
+      `${API_BASE_URL}/api/emails?${params.toString()}`
+    );
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Không thể tìm kiếm người nhận");
+    }
+    return result.data;
+  },
+
+  /**
+   * Get send history of a recipient
+   * @param {number} id - Email ID
+   * @returns {Promise<Object>} { email, jobs, history, summary }
+   */
+  async getEmailHistory(id) {
+    const response = await fetch(`${API_BASE_URL}/api/emails/${id}/history`);
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Không thể tải lịch sử người nhận");
+    }
+    return result.data;
+  },
+
+  /**
+   * Get all recipient lists
+   * @returns {Promise<Array>} Lists kèm member_count, job_count
+   */
+  async getLists() {
+    const response = await fetch(`${API_BASE_URL}/api/lists`);
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Không thể tải danh sách người nhận");
+    }
+    return result.data;
+  },
+
+  /**
+   * Get a recipient list with its members
+   * @param {number} id - List ID
+   * @returns {Promise<Object>} List kèm members, jobs
+   */
+  async getList(id) {
+    const response = await fetch(`${API_BASE_URL}/api/lists/${id}`);
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Không thể tải danh sách người nhận");
+    }
+    return result.data;
+  },
+
+  /**
+   * Create or update a recipient list
+   * @param {number|null} id - List ID (null = tạo mới)
+   * @param {Object} data - { name, description, emails } (emails thay toàn bộ thành viên)
+   * @returns {Promise<Object>} Saved list
+   */
+  async saveList(id, data) {
+    const response = await fetch(
+      id ? `${API_BASE_URL}/api/lists/${id}` : `${API_BASE_URL}/api/lists`,
+      {
+        method: id ? "PUT" : "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(data),
+      }
+    );
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Không thể lưu danh sách người nhận");
+    }
+    return result.data;
+  },
+
+  /**
+   * Delete a recipient list
+   * @param {number} id - List ID
+   */
+  async deleteList(id) {
+    const response = await fetch(`${API_BASE_URL}/api/lists/${id}`, {
+      method: "DELETE",
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Không thể xóa danh sách người nhận");
+    }
+  },
+
+  /**
+   * Import recipients from CSV/TSV content
+   * @param {Object} data - { content, list_id, job_id, mapping, commit } (commit false = chỉ xem trước)
+   * @returns {Promise<Object>} Báo cáo accepted/duplicates/rejected (kèm result khi commit)
+   */
+  async importRecipients(data) {
+    const response = await fetch(`${API_BASE_URL}/api/imports/recipients`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(data),
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Không thể nhập người nhận");
+    }
+    return result;
+  },
+
+  /**
+   * Open Server-Sent Events stream for run progress
+   * @param {number} id - Run ID
+   * @returns {EventSource} Stream phát các sự kiện snapshot, recipient, status, deferred
+   */
+  openRunEvents(id) {
+    return new EventSource(`${API_BASE_URL}/api/runs/${id}/events`);
+  },
+
+  /**
+   * Get runs, newest first
+   * @param {Object} filters - { status, job_id, limit }
+   * @returns {Promise<Array>} Runs kèm pending_count, unknown_count
+   */
+  async getRuns(filters = {}) {
+    const params = new URLSearchParams(filters);
+    const response = await fetch(
+      `${API_BASE_URL}/api/runs?${params.toString()}`
+    );
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Không thể tải danh sách lần chạy");
+    }
+    return result.data;
+  },
+
+  /**
+   * Pause, resume or cancel a run
+   * @param {number} id - Run ID
+   * @param {string} action - 'pause', 'resume' hoặc 'cancel'
+   * @param {Object} body - Tùy chọn (VD: { resend_unknown } khi tiếp tục run bị gián đoạn)
+   * @returns {Promise<Object>} Run data sau khi cập nhật
+   */
+  async controlRun(id, action, body = {}) {
+    const response = await fetch(`${API_BASE_URL}/api/runs/${id}/${action}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Không thể cập nhật lần chạy");
+    }
+    return result.data;
+  },
+
   /**
    * Run a job
    * @param {Object} job - Job object to run
@@ -307,11 +624,16 @@ const ApiService = {
 
         const data = await response.json();
         if (!response.ok) {
-          throw new Error(data.error || "Không thể thực thi job");
+          const error = new Error(data.error || "Không thể thực thi job");
+          error.status = response.status;
+          error.runId = data.run_id || null; // 409: run đang hoạt động của job
+          throw error;
         }
-        return data.result || data;
+        // Job đã vào hàng đợi, data.run_id dùng để theo dõi tiến độ
+        return data;
       } else {
         // Fallback to old run-job endpoint for jobs without database ID
+        // (server ghi lần gửi thành run không gắn job, vẫn tính vào giới hạn gửi của email gửi)
         const response = await fetch(`${API_BASE_URL}/api/run-job`, {
           method: "POST",
           headers: {
@@ -349,12 +671,23 @@ const ApiService = {
       emailTo: Array.isArray(apiJob.email_to)
         ? apiJob.email_to
         : JSON.parse(apiJob.email_to || "[]"),
+      emailCc: apiJob.email_cc || [],
+      emailBcc: apiJob.email_bcc || [],
+      listIds: apiJob.list_ids || [],
       emailSubject: apiJob.email_subject,
       emailBody: apiJob.email_body,
       schedule: apiJob.schedule,
       scheduleTime: apiJob.schedule_time
         ? apiJob.schedule_time.substring(0, 5)
         : "09:00",
+      cronExpression: apiJob.cron_expression || "",
+      timezone: apiJob.timezone || "",
+      catchupPolicy: apiJob.catchup_policy || "once",
+      ratePerMinute: apiJob.rate_per_minute || null,
+      ratePerHour: apiJob.rate_per_hour || null,
+      rateBurst: apiJob.rate_burst || null,
+      deliveryMode: apiJob.delivery_mode || "individual",
+      batchSize: apiJob.batch_size || null,
       notes: apiJob.notes,
       status: apiJob.status,
       createdAt: apiJob.created_at,
@@ -651,7 +984,13 @@ const JobManager = {
 
       const result = await ApiService.runJob(jobToRun);
 
-      if (result.success || result.sent !== undefined) {
+      if (result.run_id) {
+        // Job đã vào hàng đợi, theo dõi tiến độ cho đến khi gửi xong
+        const run = await this.watchRun(id, result.run_id);
+        delete AppState.runProgress[id];
+        await this.loadJobs();
+        this.notifyRunResult(job, run);
+      } else if (result.success || result.sent !== undefined) {
         // Reload jobs to get updated last_sent from database
         await this.loadJobs();
 
@@ -668,6 +1007,12 @@ const JobManager = {
         );
       }
     } catch (error) {
+      if (error.status === 409) {
+        // Job đang chạy (tab khác hoặc theo lịch): không tạo run mới để tránh gửi trùng
+        Utils.showNotification(`⚠️ ${error.message}`, "warning");
+        return;
+      }
+
       let errorMessage = "❌ Không thể thực thi job";
 
       if (error.message) {
@@ -699,11 +1044,276 @@ const JobManager = {
 
       Utils.showNotification(errorMessage, "error");
     } finally {
+      delete AppState.runProgress[id];
+      this.updateRunProgress(id);
       AppState.isLoading = false;
       this.updateRunButton(id, false);
     }
   },
 
+  /**
+   * Thông báo kết quả của run đã kết thúc
+   * @param {Object} job - Job object
+   * @param {Object} run - Run data (trạng thái kết thúc)
+   */
+  notifyRunResult(job, run) {
+    if (run.status === "failed") {
+      Utils.showNotification(
+        `❌ Job "${job.name}" thất bại: ${run.error || "Không rõ lỗi"}`,
+        "error"
+      );
+    } else if (run.status === "cancelled" || run.status === "partial") {
+      Utils.showNotification(
+        `⚠️ Job "${job.name}" đã bị hủy.\n\nĐã gửi: ${run.sent_count}/${run.total_count} email`,
+        "warning"
+      );
+    } else {
+      Utils.showNotification(
+        `✅ Job "${job.name}" đã được thực thi thành công!\n\nĐã gửi: ${
+          run.sent_count
+        }/${run.total_count} email${
+          run.suppressed_count
+            ? `\nBỏ qua ${run.suppressed_count} người nhận đã hủy đăng ký`
+            : ""
+        }`,
+        "success"
+      );
+    }
+  },
+
+  /**
+   * Hiển thị các run bị gián đoạn (server dừng khi đang gửi) trên job card
+   * để người dùng chọn gửi tiếp hoặc hủy
+   */
+  async loadInterruptedRuns() {
+    try {
+      const runs = await ApiService.getRuns({ status: "interrupted" });
+      const interrupted = runs.filter((run) =>
+        AppState.jobs.some((job) => job.id === run.job_id)
+      );
+      if (interrupted.length === 0) return;
+
+      interrupted.forEach((run) => {
+        AppState.runProgress[run.job_id] = { run, latestFailure: null };
+        this.updateRunProgress(run.job_id);
+      });
+
+      const jobNames = interrupted
+        .map((run) => {
+          const job = AppState.jobs.find((j) => j.id === run.job_id);
+          return `  • ${job.name}: đã gửi ${run.sent_count}/${run.total_count} email`;
+        })
+        .join("\n");
+      Utils.showNotification(
+        `⚠️ Có ${interrupted.length} lần chạy bị gián đoạn do server dừng khi đang gửi:\n${jobNames}\n\nBấm "▶ Gửi tiếp" trên job card để gửi tiếp từ email chưa gửi, hoặc "✖ Hủy".`,
+        "warning"
+      );
+    } catch (error) {
+      console.warn("Không thể tải các lần chạy bị gián đoạn:", error);
+    }
+  },
+
+  /**
+   * Gửi tiếp run bị gián đoạn từ email chưa gửi đầu tiên và theo dõi đến khi xong
+   * @param {number} jobId - Job ID (database ID)
+   */
+  async resumeInterruptedRun(jobId) {
+    const job = AppState.jobs.find((j) => j.id === jobId);
+    const progress = AppState.runProgress[jobId];
+    if (!job || !progress) return;
+
+    // Email đang gửi dở lúc server dừng có thể đã tới người nhận: hỏi trước khi gửi lại
+    const unknownCount = progress.run.unknown_count || 0;
+    const resendUnknown =
+      unknownCount > 0 &&
+      Utils.confirm(
+        `Có ${unknownCount} email đang gửi dở khi server dừng, không rõ đã gửi hay chưa.\n\nGửi lại cho các email này? (Chọn "Cancel" để bỏ qua, tránh gửi trùng)`
+      );
+
+    AppState.isLoading = true;
+    this.updateRunButton(jobId, true);
+
+    try {
+      // Thông tin xác thực gửi kèm lúc chạy job mất khi server khởi động lại: gửi lại cùng yêu cầu
+      await ApiService.controlRun(progress.run.id, "resume", {
+        resend_unknown: resendUnknown,
+        ...(job.appPassword ? { appPassword: job.appPassword } : {}),
+        ...(job.clientId ? { clientId: job.clientId } : {}),
+        ...(job.clientSecret ? { clientSecret: job.clientSecret } : {}),
+        ...(job.refreshToken ? { refreshToken: job.refreshToken } : {}),
+      });
+      const run = await this.watchRun(jobId, progress.run.id);
+      delete AppState.runProgress[jobId];
+      await this.loadJobs();
+      this.notifyRunResult(job, run);
+    } catch (error) {
+      Utils.showNotification(`❌ ${error.message}`, "error");
+    } finally {
+      delete AppState.runProgress[jobId];
+      this.updateRunProgress(jobId);
+      AppState.isLoading = false;
+      this.updateRunButton(jobId, false);
+    }
+  },
+
+  /**
+   * Theo dõi tiến độ run qua Server-Sent Events và cập nhật job card
+   * @param {number} jobId - Job ID (database ID)
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object>} Run data khi đã kết thúc
+   */
+  watchRun(jobId, runId) {
+    return new Promise((resolve, reject) => {
+      const source = ApiService.openRunEvents(runId);
+
+      const handleEvent = (event) => {
+        const data = JSON.parse(event.data);
+        const previous = AppState.runProgress[jobId] || {};
+
+        let latestFailure = previous.latestFailure || null;
+        if (event.type === "snapshot") {
+          latestFailure = data.latest_failure;
+        } else if (event.type === "recipient" && data.status === "failed") {
+          latestFailure = { email: data.email, error: data.error };
+        } else if (event.type === "recipient" && data.status === "retrying") {
+          latestFailure = {
+            email: data.email,
+            error: `${data.error} (sẽ gửi lại lúc ${Utils.formatDate(
+              data.next_attempt_at
+            )})`,
+          };
+        } else if (event.type === "deferred") {
+          latestFailure = {
+            email: data.run.email_from,
+            error: `${data.reason} (gửi tiếp lúc ${Utils.formatDate(
+              data.next_attempt_at
+            )})`,
+          };
+        }
+
+        AppState.runProgress[jobId] = { run: data.run, latestFailure };
+        this.updateRunProgress(jobId);
+
+        if (RUN_FINAL_STATUSES.includes(data.run.status)) {
+          source.close();
+          resolve(data.run);
+        }
+      };
+
+      ["snapshot", "recipient", "status", "deferred"].forEach((type) =>
+        source.addEventListener(type, handleEvent)
+      );
+
+      source.onerror = () => {
+        // EventSource tự kết nối lại, chỉ báo lỗi khi kết nối bị đóng hẳn
+        if (source.readyState === EventSource.CLOSED) {
+          reject(new Error("Mất kết nối khi theo dõi tiến độ gửi email"));
+        }
+      };
+    });
+  },
+
+  /**
+   * Tạm dừng, tiếp tục hoặc hủy run đang theo dõi của job
+   * (trạng thái mới được cập nhật qua stream tiến độ)
+   * @param {number} jobId - Job ID (database ID)
+   * @param {string} action - 'pause', 'resume' hoặc 'cancel'
+   */
+  async controlRun(jobId, action) {
+    const progress = AppState.runProgress[jobId];
+    if (!progress) return;
+
+    if (
+      action === "cancel" &&
+      !Utils.confirm(
+        "Bạn có chắc muốn hủy lần chạy này?\n\nCác email chưa gửi sẽ không được gửi."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await ApiService.controlRun(progress.run.id, action);
+
+      // Run bị gián đoạn không có stream tiến độ đang mở: tự xóa khỏi job card sau khi hủy
+      if (progress.run.status === "interrupted") {
+        delete AppState.runProgress[jobId];
+        this.updateRunProgress(jobId);
+      }
+    } catch (error) {
+      Utils.showNotification(`❌ ${error.message}`, "error");
+    }
+  },
+
+  /**
+   * Cập nhật thanh tiến độ trên job card (không render lại cả danh sách)
+   * @param {number} id - Job ID (database ID)
+   */
+  updateRunProgress(id) {
+    const container = document.querySelector(`[data-progress-job-id="${id}"]`);
+    if (container) {
+      container.innerHTML = this.renderRunProgress(AppState.runProgress[id]);
+    }
+  },
+
+  /**
+   * Render run progress (progress bar, counters, latest failure)
+   * @param {Object} progress - { run, latestFailure }
+   * @returns {string} HTML string
+   */
+  renderRunProgress(progress) {
+    if (!progress || !progress.run) return "";
+
+    const { run, latestFailure } = progress;
+    const total = run.total_count || 0;
+    const done =
+      (run.sent_count || 0) +
+      (run.failed_count || 0) +
+      (run.suppressed_count || 0);
+    const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+    const canControl =
+      !RUN_FINAL_STATUSES.includes(run.status) && run.status !== "cancelling";
+
+    return `
+      <div class="progress-bar">
+        <div class="progress-bar__fill" style="width: ${percent}%"></div>
+      </div>
+      <div class="job-card__progress-text">
+        ${RUN_STATUS_TEXTS[run.status] || run.status}: ${done}/${total}
+        · ✅ ${run.sent_count || 0} · ❌ ${run.failed_count || 0}${
+      run.suppressed_count ? ` · 🚫 ${run.suppressed_count} đã hủy đăng ký` : ""
+    }${run.unknown_count ? ` · ❓ ${run.unknown_count} không rõ` : ""}
+      </div>
+      ${
+        latestFailure
+          ? `<div class="job-card__progress-error" title="${Utils.escapeHtml(
+              latestFailure.error || ""
+            )}">
+        Lỗi gần nhất: ${Utils.escapeHtml(
+          latestFailure.email
+        )} — ${Utils.escapeHtml(latestFailure.error || "")}
+      </div>`
+          : ""
+      }
+      ${
+        canControl
+          ? `<div class="job-card__progress-actions">
+        ${
+          run.status === "interrupted"
+            ? `<button class="btn btn--success btn--small" onclick="JobManager.resumeInterruptedRun(${run.job_id})">▶ Gửi tiếp</button>`
+            : run.status === "paused"
+            ? `<button class="btn btn--success btn--small" onclick="JobManager.controlRun(${run.job_id}, 'resume')">▶ Tiếp tục</button>`
+            : `<button class="btn btn--warning btn--small" onclick="JobManager.controlRun(${run.job_id}, 'pause')">⏸ Tạm dừng</button>`
+        }
+        <button class="btn btn--danger btn--small" onclick="JobManager.controlRun(${
+          run.job_id
+        }, 'cancel')">✖ Hủy</button>
+      </div>`
+          : ""
+      }
+    `;
+  },
+
   /**
    * Update run button state
    * @param {number} id - Job ID (database ID)
@@ -754,6 +1364,7 @@ const JobManager = {
         ? "job-card__status--active"
         : "job-card__status--paused";
     const statusText = job.status === "active" ? "✓ Hoạt động" : "⏸ Tạm dừng";
+    const isRunning = Boolean(AppState.runProgress[job.id]);
     const lastSentHtml = job.lastSent
       ? `<div class="job-card__info"><strong>Gửi lần cuối:</strong> ${Utils.formatDate(
           job.lastSent
@@ -775,20 +1386,61 @@ const JobManager = {
           <strong>Email:</strong> ${Utils.escapeHtml(job.emailFrom)}
         </div>
         <div class="job-card__info">
-          <strong>Số người nhận:</strong> ${job.emailTo.length}
+          <strong>Số người nhận:</strong> ${job.emailTo.length}${
+      job.listIds?.length ? ` + ${job.listIds.length} danh sách` : ""
+    }${
+      job.emailCc?.length || job.emailBcc?.length
+        ? ` (CC: ${job.emailCc?.length || 0}, BCC: ${
+            job.emailBcc?.length || 0
+          })`
+        : ""
+    }
         </div>
         <div class="job-card__info">
-          <strong>Lịch:</strong> ${Utils.getScheduleText(job.schedule)}
+          <strong>Lịch:</strong> ${Utils.getScheduleText(job.schedule)}${
+      job.schedule === "cron" && job.cronExpression
+        ? ` <code>${Utils.escapeHtml(job.cronExpression)}</code>`
+        : ""
+    }
         </div>
-        <div class="job-card__info">
+        ${
+          job.schedule !== "cron"
+            ? `<div class="job-card__info">
           <strong>Thời gian:</strong> ${job.scheduleTime || "N/A"}
-        </div>
+        </div>`
+            : ""
+        }
+        ${
+          job.timezone
+            ? `<div class="job-card__info">
+          <strong>Múi giờ:</strong> ${Utils.escapeHtml(job.timezone)}
+        </div>`
+            : ""
+        }
+        ${
+          job.deliveryMode === "bcc_batch"
+            ? `<div class="job-card__info">
+          <strong>Cách gửi:</strong> ${DELIVERY_MODE_TEXTS.bcc_batch} (${
+                job.batchSize || "mặc định"
+              } người nhận/email)
+        </div>`
+            : ""
+        }
         ${lastSentHtml}
+        <div class="job-card__progress" data-progress-job-id="${
+          job.id
+        }">${this.renderRunProgress(AppState.runProgress[job.id])}</div>
         <div class="job-card__actions">
           <button class="btn btn--success btn--small" data-job-id="${
             job.id
-          }" data-action="run" onclick="JobManager.runJob(${job.id})">
-            ▶ Chạy
+          }" data-action="run" onclick="JobManager.runJob(${job.id})"${
+      isRunning ? " disabled" : ""
+    }>
+            ${
+              isRunning
+                ? '<span class="loading"></span> Đang xử lý...'
+                : "▶ Chạy"
+            }
           </button>
           <button class="btn btn--info btn--small" data-job-id="${
             job.id
@@ -839,6 +1491,9 @@ const JobManager = {
 // Modal Management
 // ============================================
 const ModalManager = {
+  schedulePreviewTimer: null,
+  loadedSender: null, // Cấu hình email gửi đã tải vào form: { email, values }
+
   /**
    * Open add modal
    */
@@ -862,6 +1517,11 @@ const ModalManager = {
     if (DOM.form) {
       DOM.form.reset();
     }
+    this.toggleScheduleFields();
+    this.toggleDeliveryFields();
+    this.updateSchedulePreview();
+    this.loadSenderSettings();
+    this.loadListOptions([]);
 
     // Reset email field về trạng thái ban đầu
     const emailFromInput = document.getElementById("emailFrom");
@@ -1000,10 +1660,20 @@ const ModalManager = {
       emailFrom: job.emailFrom,
       appPassword: "", // Không hiển thị password cũ vì lý do bảo mật
       emailTo: job.emailTo.join(", "),
+      emailCc: (job.emailCc || []).join(", "),
+      emailBcc: (job.emailBcc || []).join(", "),
       emailSubject: job.emailSubject,
       emailBody: job.emailBody,
       schedule: job.schedule,
       scheduleTime: job.scheduleTime,
+      cronExpression: job.cronExpression || "",
+      timezone: job.timezone || "",
+      catchupPolicy: job.catchupPolicy || "once",
+      ratePerMinute: job.ratePerMinute || "",
+      ratePerHour: job.ratePerHour || "",
+      rateBurst: job.rateBurst || "",
+      deliveryMode: job.deliveryMode || "individual",
+      batchSize: job.batchSize || "",
       notes: job.notes || "",
     };
 
@@ -1013,6 +1683,13 @@ const ModalManager = {
       if (element) element.value = value;
     });
 
+    // Hiển thị các trường lịch phù hợp và xem trước các lần chạy tiếp theo
+    this.toggleScheduleFields();
+    this.toggleDeliveryFields();
+    this.updateSchedulePreview();
+    this.loadSenderSettings();
+    this.loadListOptions(job.listIds || []);
+
     // Xử lý Chrome Profile đặc biệt
     const profileSelect = document.getElementById("chromeProfile");
     const profileCustom = document.getElementById("chromeProfileCustom");
@@ -1148,64 +1825,260 @@ const ModalManager = {
   },
 
   /**
-   * Show modal
+   * Show/hide schedule fields based on selected schedule type
    */
-  show() {
-    if (DOM.modal) {
-      DOM.modal.classList.add("modal--active");
-      document.body.style.overflow = "hidden";
-    }
+  toggleScheduleFields() {
+    const schedule = document.getElementById("schedule")?.value || "manual";
+    const groups = {
+      scheduleTimeGroup: schedule !== "manual" && schedule !== "cron",
+      cronExpressionGroup: schedule === "cron",
+      timezoneGroup: schedule !== "manual",
+      catchupPolicyGroup: schedule !== "manual",
+    };
+
+    Object.entries(groups).forEach(([id, visible]) => {
+      const element = document.getElementById(id);
+      if (element) element.style.display = visible ? "" : "none";
+    });
   },
 
   /**
-   * Close modal
+   * Show batch size input only for BCC batch delivery mode
    */
-  close() {
-    if (DOM.modal) {
-      DOM.modal.classList.remove("modal--active");
-      document.body.style.overflow = "";
+  toggleDeliveryFields() {
+    const deliveryMode =
+      document.getElementById("deliveryMode")?.value || "individual";
+    const batchSize = document.getElementById("batchSize");
+    if (batchSize) {
+      batchSize.style.display = deliveryMode === "bcc_batch" ? "" : "none";
     }
-    AppState.editingJobId = null;
   },
 
   /**
-   * Handle form submit
-   * @param {Event} e - Submit event
+   * Preview next fire times of the schedule in the form (debounced)
    */
-  async handleSubmit(e) {
-    e.preventDefault();
+  updateSchedulePreview() {
+    clearTimeout(this.schedulePreviewTimer);
+    this.schedulePreviewTimer = setTimeout(
+      () => this.renderSchedulePreview(),
+      SCHEDULE_PREVIEW_DEBOUNCE
+    );
+  },
 
-    const formData = this.getFormData();
+  /**
+   * Fetch and render schedule preview
+   */
+  async renderSchedulePreview() {
+    const preview = document.getElementById("schedulePreview");
+    if (!preview) return;
 
-    // Khi chỉnh sửa, nếu appPassword trống nhưng job đã có appPassword, giữ lại appPassword cũ
-    if (AppState.editingJobId) {
-      const existingJob = AppState.jobs.find(
-        (j) => j.id === AppState.editingJobId
-      );
-      if (existingJob) {
-        // Giữ lại appPassword cũ nếu không nhập mới
-        if (!formData.appPassword || formData.appPassword.trim().length < 16) {
-          if (
-            existingJob.appPassword &&
-            existingJob.appPassword.trim().length >= 16
-          ) {
-            formData.appPassword = existingJob.appPassword; // Giữ lại appPassword cũ
-          }
-        }
+    const { schedule, scheduleTime, cronExpression, timezone } =
+      this.getFormData();
+    preview.classList.remove("schedule-preview--error");
 
-        // Giữ lại displayName cũ nếu không chọn profile mới hoặc không có displayName mới
-        if (!formData.displayName || formData.displayName.trim() === "") {
-          if (
-            existingJob.displayName &&
-            existingJob.displayName.trim() !== ""
-          ) {
-            formData.displayName = existingJob.displayName; // Giữ lại displayName cũ
-          }
-        }
-      }
+    if (schedule === "manual" || (schedule === "cron" && !cronExpression)) {
+      preview.innerHTML = "";
+      return;
     }
 
-    if (!this.validateForm(formData)) {
+    try {
+      const result = await ApiService.getSchedulePreview({
+        schedule,
+        scheduleTime,
+        cronExpression,
+        timezone,
+      });
+      const items = result.data
+        .map(
+          (iso) =>
+            `<li>${new Date(iso).toLocaleString("vi-VN", {
+              timeZone: result.timezone,
+              weekday: "long",
+              year: "numeric",
+              month: "2-digit",
+              day: "2-digit",
+              hour: "2-digit",
+              minute: "2-digit",
+            })}</li>`
+        )
+        .join("");
+      preview.innerHTML = `
+        <strong>Các lần chạy tiếp theo (${Utils.escapeHtml(
+          result.timezone
+        )}):</strong>
+        <ul class="schedule-preview__list">${items}</ul>
+      `;
+    } catch (error) {
+      preview.classList.add("schedule-preview--error");
+      preview.textContent = `⚠️ ${error.message}`;
+    }
+  },
+
+  /**
+   * Load recipient lists into the job form select
+   * @param {number[]} selectedIds - Danh sách đang được job chọn
+   */
+  async loadListOptions(selectedIds) {
+    const select = document.getElementById("listIds");
+    if (!select) return;
+
+    try {
+      const lists = await ApiService.getLists();
+      select.innerHTML = lists
+        .map(
+          (list) =>
+            `<option value="${list.id}"${
+              selectedIds.includes(list.id) ? " selected" : ""
+            }>${Utils.escapeHtml(list.name)} (${
+              list.member_count
+            } email)</option>`
+        )
+        .join("");
+      select.size = Math.min(Math.max(lists.length, 2), 6);
+    } catch (error) {
+      console.warn("Không thể tải danh sách người nhận:", error);
+      select.innerHTML = "";
+    }
+  },
+
+  /**
+   * Load daily quota, usage and rate limits of the sender email in the form
+   */
+  async loadSenderSettings() {
+    const usage = document.getElementById("senderQuotaUsage");
+    if (!usage) return;
+
+    const emailFrom = document.getElementById("emailFrom")?.value.trim() || "";
+    Object.keys(SENDER_SETTING_FIELDS).forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) input.value = "";
+    });
+    this.loadedSender = null;
+    usage.textContent = "";
+    if (!Utils.isValidEmail(emailFrom)) return;
+
+    try {
+      const sender = await ApiService.getSender(emailFrom);
+      const custom = {
+        daily_quota: sender.custom_quota,
+        rate_per_minute: sender.custom_rate_limits.per_minute,
+        rate_per_hour: sender.custom_rate_limits.per_hour,
+        rate_burst: sender.custom_rate_limits.burst,
+      };
+
+      const values = {};
+      Object.entries(SENDER_SETTING_FIELDS).forEach(([id, field]) => {
+        values[id] = custom[field] === null ? "" : String(custom[field]);
+        const input = document.getElementById(id);
+        if (input) input.value = values[id];
+      });
+      this.loadedSender = { email: sender.email, values };
+
+      const quotaText =
+        sender.daily_quota === 0
+          ? `Không giới hạn — đã gửi ${sender.sent_last_24h} email trong 24 giờ qua`
+          : `Đã gửi ${sender.sent_last_24h}/${
+              sender.daily_quota
+            } email trong 24 giờ qua${
+              sender.custom_quota === null ? " (giới hạn mặc định)" : ""
+            }`;
+      const { per_minute, per_hour, burst } = sender.rate_limits;
+      usage.textContent = `${quotaText} · Tốc độ: ${per_minute} email/phút${
+        per_hour ? `, ${per_hour} email/giờ` : ""
+      }, gửi liền nhau ${burst} email`;
+    } catch (error) {
+      usage.textContent = `⚠️ ${error.message}`;
+    }
+  },
+
+  /**
+   * Save daily quota and rate limits of the sender email if they were changed in the form
+   * @param {Object} formData - Form data
+   */
+  async saveSenderSettings(formData) {
+    const email = formData.emailFrom.trim().toLowerCase();
+    const loaded =
+      this.loadedSender && this.loadedSender.email === email
+        ? this.loadedSender.values
+        : {};
+
+    const settings = {};
+    Object.entries(SENDER_SETTING_FIELDS).forEach(([id, field]) => {
+      const value = formData[id];
+      if (value === (loaded[id] || "")) return;
+      settings[field] = value === "" ? null : parseInt(value, 10);
+    });
+    if (Object.keys(settings).length === 0) return;
+
+    try {
+      await ApiService.updateSender(email, settings);
+    } catch (error) {
+      Utils.showNotification(
+        `Đã lưu job nhưng không thể cập nhật cấu hình email gửi: ${error.message}`,
+        "error"
+      );
+    }
+  },
+
+  /**
+   * Show modal
+   */
+  show() {
+    if (DOM.modal) {
+      DOM.modal.classList.add("modal--active");
+      document.body.style.overflow = "hidden";
+    }
+  },
+
+  /**
+   * Close modal
+   */
+  close() {
+    if (DOM.modal) {
+      DOM.modal.classList.remove("modal--active");
+      document.body.style.overflow = "";
+    }
+    AppState.editingJobId = null;
+  },
+
+  /**
+   * Handle form submit
+   * @param {Event} e - Submit event
+   */
+  async handleSubmit(e) {
+    e.preventDefault();
+
+    const formData = this.getFormData();
+
+    // Khi chỉnh sửa, nếu appPassword trống nhưng job đã có appPassword, giữ lại appPassword cũ
+    if (AppState.editingJobId) {
+      const existingJob = AppState.jobs.find(
+        (j) => j.id === AppState.editingJobId
+      );
+      if (existingJob) {
+        // Giữ lại appPassword cũ nếu không nhập mới
+        if (!formData.appPassword || formData.appPassword.trim().length < 16) {
+          if (
+            existingJob.appPassword &&
+            existingJob.appPassword.trim().length >= 16
+          ) {
+            formData.appPassword = existingJob.appPassword; // Giữ lại appPassword cũ
+          }
+        }
+
+        // Giữ lại displayName cũ nếu không chọn profile mới hoặc không có displayName mới
+        if (!formData.displayName || formData.displayName.trim() === "") {
+          if (
+            existingJob.displayName &&
+            existingJob.displayName.trim() !== ""
+          ) {
+            formData.displayName = existingJob.displayName; // Giữ lại displayName cũ
+          }
+        }
+      }
+    }
+
+    if (!this.validateForm(formData)) {
       return;
     }
 
@@ -1215,6 +2088,7 @@ const ModalManager = {
       } else {
         await JobManager.addJob(formData);
       }
+      await this.saveSenderSettings(formData);
       this.close();
     } catch (error) {
       // Error already handled in addJob/updateJob
@@ -1261,10 +2135,35 @@ const ModalManager = {
       displayName: displayName || "", // Lưu rỗng nếu không có, server sẽ tự động lấy từ profile
       appPassword: document.getElementById("appPassword")?.value || "",
       emailTo: emailToArray,
+      emailCc: Utils.parseEmailList(
+        document.getElementById("emailCc")?.value || ""
+      ),
+      emailBcc: Utils.parseEmailList(
+        document.getElementById("emailBcc")?.value || ""
+      ),
+      listIds: Array.from(
+        document.getElementById("listIds")?.selectedOptions || []
+      ).map((option) => Number(option.value)),
       emailSubject: document.getElementById("emailSubject")?.value || "",
       emailBody: document.getElementById("emailBody")?.value || "",
       schedule: document.getElementById("schedule")?.value || "manual",
       scheduleTime: document.getElementById("scheduleTime")?.value || "09:00",
+      cronExpression:
+        document.getElementById("cronExpression")?.value.trim() || "",
+      timezone: document.getElementById("timezone")?.value.trim() || "",
+      catchupPolicy: document.getElementById("catchupPolicy")?.value || "once",
+      ratePerMinute: document.getElementById("ratePerMinute")?.value || "",
+      ratePerHour: document.getElementById("ratePerHour")?.value || "",
+      rateBurst: document.getElementById("rateBurst")?.value || "",
+      deliveryMode:
+        document.getElementById("deliveryMode")?.value || "individual",
+      batchSize: document.getElementById("batchSize")?.value || "",
+      ...Object.fromEntries(
+        Object.keys(SENDER_SETTING_FIELDS).map((id) => [
+          id,
+          document.getElementById(id)?.value.trim() || "",
+        ])
+      ),
       notes: document.getElementById("notes")?.value || "",
     };
   },
@@ -1319,8 +2218,55 @@ const ModalManager = {
       }
     }
 
-    if (formData.emailTo.length === 0) {
-      Utils.showNotification("Vui lòng nhập ít nhất một email nhận", "error");
+    if (
+      formData.senderDailyQuota !== "" &&
+      !/^\d+$/.test(formData.senderDailyQuota)
+    ) {
+      Utils.showNotification(
+        "Giới hạn gửi/24 giờ phải là số nguyên không âm",
+        "error"
+      );
+      return false;
+    }
+
+    const rateFields = [
+      "ratePerMinute",
+      "ratePerHour",
+      "rateBurst",
+      "senderRatePerMinute",
+      "senderRatePerHour",
+      "senderRateBurst",
+    ];
+    if (
+      rateFields.some(
+        (field) => formData[field] !== "" && !/^[1-9]\d*$/.test(formData[field])
+      )
+    ) {
+      Utils.showNotification("Tốc độ gửi phải là số nguyên dương", "error");
+      return false;
+    }
+
+    // Giới hạn người nhận của một email tính cả các địa chỉ CC/BCC
+    const maxBatchSize =
+      MAX_BATCH_SIZE - formData.emailCc.length - formData.emailBcc.length;
+    if (
+      formData.deliveryMode === "bcc_batch" &&
+      formData.batchSize !== "" &&
+      (!/^[1-9]\d*$/.test(formData.batchSize) ||
+        Number(formData.batchSize) > maxBatchSize)
+    ) {
+      Utils.showNotification(
+        `Số người nhận mỗi email gộp BCC phải từ 1 đến ${maxBatchSize} (tối đa ${MAX_BATCH_SIZE} người nhận mỗi email, gồm cả CC/BCC)`,
+        "error"
+      );
+      return false;
+    }
+
+    if (formData.emailTo.length === 0 && formData.listIds.length === 0) {
+      Utils.showNotification(
+        "Vui lòng nhập ít nhất một email nhận hoặc chọn danh sách người nhận",
+        "error"
+      );
       return false;
     }
 
@@ -1334,6 +2280,14 @@ const ModalManager = {
       return false;
     }
 
+    if (formData.schedule === "cron" && !formData.cronExpression) {
+      Utils.showNotification(
+        "Vui lòng nhập biểu thức cron (VD: 30 8 * * 1-5)",
+        "error"
+      );
+      return false;
+    }
+
     return true;
   },
 };
@@ -1690,6 +2644,48 @@ const EventHandlers = {
       }, 100);
     }
 
+    // Schedule fields: hiển thị trường phù hợp và xem trước lịch
+    const scheduleSelect = document.getElementById("schedule");
+    if (scheduleSelect) {
+      scheduleSelect.addEventListener("change", () => {
+        ModalManager.toggleScheduleFields();
+        ModalManager.updateSchedulePreview();
+      });
+    }
+    const deliveryModeSelect = document.getElementById("deliveryMode");
+    if (deliveryModeSelect) {
+      deliveryModeSelect.addEventListener("change", () =>
+        ModalManager.toggleDeliveryFields()
+      );
+    }
+    // Giới hạn gửi phụ thuộc email gửi: tải lại khi đổi email hoặc profile
+    ["emailFrom", "chromeProfile"].forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.addEventListener("change", () =>
+          // Đợi profile handler điền email gửi xong
+          setTimeout(() => ModalManager.loadSenderSettings(), 0)
+        );
+      }
+    });
+
+    ["scheduleTime", "cronExpression", "timezone"].forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.addEventListener("input", () =>
+          ModalManager.updateSchedulePreview()
+        );
+      }
+    });
+
+    // Gợi ý danh sách múi giờ (nếu trình duyệt hỗ trợ)
+    const timezoneOptions = document.getElementById("timezoneOptions");
+    if (timezoneOptions && typeof Intl.supportedValuesOf === "function") {
+      timezoneOptions.innerHTML = Intl.supportedValuesOf("timeZone")
+        .map((zone) => `<option value="${zone}"></option>`)
+        .join("");
+    }
+
     // Modal close on outside click
     if (DOM.modal) {
       DOM.modal.addEventListener("click", (e) => {
@@ -1739,7 +2735,7 @@ const App = {
   start() {
     DOM.init();
     EventHandlers.init();
-    JobManager.loadJobs();
+    JobManager.loadJobs().then(() => JobManager.loadInterruptedRuns());
   },
 };
 
@@ -1786,8 +2782,55 @@ const LogModalManager = {
     const totalCount = logData.total_count || 0;
     const sentCount = logData.sent_count || 0;
     const failedCount = logData.failed_count || 0;
+    const suppressedCount = logData.suppressed_count || 0;
+    const bouncedCount = logData.bounced_count || 0;
+    const repliedCount = logData.replied_count || 0;
     const method = logData.method || "SMTP";
 
+    // Thông tin của run (chỉ có với kết quả đã gắn với một lần chạy)
+    let runInfoHtml = "";
+    if (logData.run_id) {
+      runInfoHtml = `
+            <div class="log-info-item">
+              <strong>Lần chạy:</strong>
+              <span>#${logData.run_id} (${Utils.escapeHtml(
+        RUN_STATUS_TEXTS[logData.status] || logData.status || "N/A"
+      )})</span>
+            </div>
+            <div class="log-info-item">
+              <strong>Kích hoạt:</strong>
+              <span>${Utils.escapeHtml(
+                RUN_TRIGGER_TEXTS[logData.trigger_source] ||
+                  logData.trigger_source ||
+                  "N/A"
+              )}</span>
+            </div>
+            ${
+              logData.email_from
+                ? `<div class="log-info-item">
+              <strong>Email gửi:</strong>
+              <span>${Utils.escapeHtml(logData.email_from)}</span>
+            </div>`
+                : ""
+            }
+            ${
+              logData.started_at
+                ? `<div class="log-info-item">
+              <strong>Bắt đầu:</strong>
+              <span>${Utils.formatDate(logData.started_at)}</span>
+            </div>`
+                : ""
+            }
+            ${
+              logData.finished_at
+                ? `<div class="log-info-item">
+              <strong>Kết thúc:</strong>
+              <span>${Utils.formatDate(logData.finished_at)}</span>
+            </div>`
+                : ""
+            }`;
+    }
+
     // Render failed emails list
     let failedEmailsHtml = "";
     if (logData.failed_emails && logData.failed_emails.length > 0) {
@@ -1816,6 +2859,29 @@ const LogModalManager = {
                         )}</div>`
                       : ""
                   }
+                  ${
+                    item.bounce_type
+                      ? `<div class="log-failed-item__method"><strong>Phân loại:</strong> ${Utils.escapeHtml(
+                          BOUNCE_TYPE_TEXTS[item.bounce_type] ||
+                            item.bounce_type
+                        )}</div>`
+                      : ""
+                  }
+                  ${
+                    item.error_category
+                      ? `<div class="log-failed-item__method"><strong>Nhóm lỗi:</strong> ${Utils.escapeHtml(
+                          [
+                            ERROR_CATEGORY_TEXTS[item.error_category] ||
+                              item.error_category,
+                            item.smtp_code,
+                            item.enhanced_status,
+                            item.error_reason,
+                          ]
+                            .filter(Boolean)
+                            .join(" · ")
+                        )}</div>`
+                      : ""
+                  }
                 </div>
               </div>
             `
@@ -1833,6 +2899,71 @@ const LogModalManager = {
       `;
     }
 
+    // Người nhận trong danh sách chặn: không gửi, liệt kê riêng với email lỗi
+    let suppressedEmailsHtml = "";
+    if (logData.suppressed_emails && logData.suppressed_emails.length > 0) {
+      suppressedEmailsHtml = `
+        <div class="log-section">
+          <h3 class="log-section__title">Người Nhận Đã Hủy Đăng Ký (${
+            logData.suppressed_emails.length
+          })</h3>
+          <div class="log-failed-emails">
+            ${logData.suppressed_emails
+              .map(
+                (item, index) => `
+              <div class="log-failed-item">
+                <div class="log-failed-item__number">${index + 1}.</div>
+                <div class="log-failed-item__content">
+                  <div class="log-failed-item__email"><strong>Email:</strong> ${Utils.escapeHtml(
+                    item.email
+                  )}</div>
+                </div>
+              </div>
+            `
+              )
+              .join("")}
+          </div>
+        </div>
+      `;
+    }
+
+    let repliedEmailsHtml = "";
+    if (logData.replied_emails && logData.replied_emails.length > 0) {
+      repliedEmailsHtml = `
+        <div class="log-section">
+          <h3 class="log-section__title">Người Nhận Đã Trả Lời (${
+            logData.replied_emails.length
+          })</h3>
+          <div class="log-failed-emails">
+            ${logData.replied_emails
+              .map(
+                (item, index) => `
+              <div class="log-failed-item">
+                <div class="log-failed-item__number">${index + 1}.</div>
+                <div class="log-failed-item__content">
+                  <div class="log-failed-item__email"><strong>Email:</strong> ${Utils.escapeHtml(
+                    item.email
+                  )}</div>
+                  ${
+                    item.subject
+                      ? `<div class="log-failed-item__method"><strong>Tiêu đề:</strong> ${Utils.escapeHtml(
+                          item.subject
+                        )}</div>`
+                      : ""
+                  }
+                  <div class="log-failed-item__method"><strong>Thời gian:</strong> ${Utils.formatDate(
+                    item.received_at
+                  )}</div>
+                </div>
+              </div>
+            `
+              )
+              .join("")}
+          </div>
+        </div>
+      `;
+    }
+
     // Render errors from email_results if available
     let errorsFromResultsHtml = "";
     if (
@@ -1895,13 +3026,36 @@ const LogModalManager = {
               <strong>Số email gửi lỗi:</strong>
               <span class="log-error">${failedCount}</span>
             </div>
+            <div class="log-info-item">
+              <strong>Số người nhận đã trả lời:</strong>
+              <span class="log-success">${repliedCount}</span>
+            </div>
+            ${
+              suppressedCount > 0
+                ? `<div class="log-info-item">
+              <strong>Bỏ qua (đã hủy đăng ký):</strong>
+              <span>${suppressedCount}</span>
+            </div>`
+                : ""
+            }
+            ${
+              bouncedCount > 0
+                ? `<div class="log-info-item">
+              <strong>Bị trả về sau khi gửi (bounce):</strong>
+              <span class="log-error">${bouncedCount}</span>
+            </div>`
+                : ""
+            }
             <div class="log-info-item">
               <strong>Phương thức gửi:</strong>
               <span>${method}</span>
             </div>
+            ${runInfoHtml}
           </div>
         </div>
         ${failedEmailsHtml}
+        ${suppressedEmailsHtml}
+        ${repliedEmailsHtml}
         ${errorsFromResultsHtml}
       </div>
     `;
@@ -1919,6 +3073,591 @@ const LogModalManager = {
   },
 };
 
+// ============================================
+// Recipient Modal Manager
+// ============================================
+const RecipientModalManager = {
+  searchTimer: null,
+  initialized: false,
+
+  /**
+   * Open recipient lookup modal
+   */
+  open() {
+    const modal = document.getElementById("recipientModal");
+    const input = document.getElementById("recipientSearch");
+    if (!modal || !input) {
+      console.error("Recipient modal elements not found");
+      return;
+    }
+
+    if (!this.initialized) {
+      input.addEventListener("input", () => this.scheduleSearch());
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) this.close();
+      });
+      this.initialized = true;
+    }
+
+    modal.classList.add("modal--active");
+    modal.setAttribute("aria-hidden", "false");
+    input.focus();
+    this.search();
+  },
+
+  /**
+   * Debounce search while typing
+   */
+  scheduleSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(
+      () => this.search(),
+      RECIPIENT_SEARCH_DEBOUNCE
+    );
+  },
+
+  /**
+   * Search recipients and render result list
+   */
+  async search() {
+    const input = document.getElementById("recipientSearch");
+    const results = document.getElementById("recipientResults");
+    const history = document.getElementById("recipientHistory");
+    if (!input || !results) return;
+
+    const term = input.value.trim();
+    if (history) history.innerHTML = "";
+    results.innerHTML = `<div class="log-loading">Đang tìm...</div>`;
+
+    try {
+      const emails = await ApiService.searchEmails(term);
+      // Bỏ qua kết quả cũ nếu người dùng đã gõ tiếp
+      if (input.value.trim() !== term) return;
+      results.innerHTML = this.renderResults(emails);
+    } catch (error) {
+      console.error("Lỗi khi tìm người nhận:", error);
+      results.innerHTML = `<div class="log-empty">${Utils.escapeHtml(
+        error.message
+      )}</div>`;
+    }
+  },
+
+  /**
+   * Render search result list
+   * @param {Array} emails - Emails from API
+   * @returns {string} HTML string
+   */
+  renderResults(emails) {
+    if (emails.length === 0) {
+      return `<div class="log-empty">Không tìm thấy người nhận nào.</div>`;
+    }
+
+    return `
+      <div class="recipient-list">
+        ${emails
+          .map(
+            (item) => `
+          <button type="button" class="recipient-list__item" onclick="RecipientModalManager.showHistory(${
+            item.id
+          })">
+            <span class="recipient-list__email">${Utils.escapeHtml(
+              item.email
+            )}${
+              item.display_name
+                ? ` <span class="recipient-list__meta">(${Utils.escapeHtml(
+                    item.display_name
+                  )})</span>`
+                : ""
+            }</span>
+            <span class="recipient-list__meta">
+              ${item.job_count} job ·
+              <span class="log-success">${item.sent_count} đã gửi</span> ·
+              <span class="log-error">${item.failed_count} thất bại</span>
+              ${
+                item.last_delivery_at
+                  ? ` · gần nhất ${Utils.formatDate(item.last_delivery_at)}`
+                  : ""
+              }
+            </span>
+          </button>
+        `
+          )
+          .join("")}
+      </div>
+    `;
+  },
+
+  /**
+   * Load and render history of one recipient
+   * @param {number} id - Email ID
+   */
+  async showHistory(id) {
+    const results = document.getElementById("recipientResults");
+    const history = document.getElementById("recipientHistory");
+    if (!history) return;
+
+    history.innerHTML = `<div class="log-loading">Đang tải...</div>`;
+    try {
+      const data = await ApiService.getEmailHistory(id);
+      if (results) results.innerHTML = "";
+      history.innerHTML = this.renderHistory(data);
+    } catch (error) {
+      console.error("Lỗi khi tải lịch sử người nhận:", error);
+      history.innerHTML = `<div class="log-empty">${Utils.escapeHtml(
+        error.message
+      )}</div>`;
+    }
+  },
+
+  /**
+   * Render recipient history HTML
+   * @param {Object} data - History data from API
+   * @returns {string} HTML string
+   */
+  renderHistory(data) {
+    const summary = data.summary || {};
+
+    const jobsHtml =
+      data.jobs.length > 0
+        ? data.jobs
+            .map(
+              (job) =>
+                `<li>${Utils.escapeHtml(job.job_name)} (${job.types
+                  .map((type) => type.toUpperCase())
+                  .join(", ")})</li>`
+            )
+            .join("")
+        : `<li class="log-empty">Không có job nào đang gửi tới địa chỉ này.</li>`;
+
+    const historyHtml =
+      data.history.length > 0
+        ? data.history
+            .map(
+              (item) => `
+          <div class="recipient-history__item recipient-history__item--${
+            item.status
+          }">
+            <div class="recipient-history__header">
+              <strong>${Utils.escapeHtml(
+                DELIVERY_STATUS_TEXTS[item.status] || item.status
+              )}</strong>
+              <span>${
+                item.occurred_at ? Utils.formatDate(item.occurred_at) : ""
+              }</span>
+            </div>
+            <div>
+              <strong>Job:</strong> ${Utils.escapeHtml(
+                item.job_name || `#${item.job_id}`
+              )}
+              ${
+                item.run_id
+                  ? ` · <strong>Lần chạy:</strong> #${
+                      item.run_id
+                    } (${Utils.escapeHtml(
+                      RUN_TRIGGER_TEXTS[item.trigger_source] ||
+                        item.trigger_source ||
+                        ""
+                    )})`
+                  : ""
+              }
+              ${
+                item.method
+                  ? ` · <strong>Phương thức:</strong> ${Utils.escapeHtml(
+                      item.method
+                    )}`
+                  : ""
+              }
+              ${
+                item.attempts > 1
+                  ? ` · <strong>Số lần thử:</strong> ${item.attempts}`
+                  : ""
+              }
+            </div>
+            ${
+              item.message_id
+                ? `<div><strong>Message ID:</strong> <code>${Utils.escapeHtml(
+                    item.message_id
+                  )}</code></div>`
+                : ""
+            }
+            ${
+              item.smtp_response
+                ? `<div><strong>Phản hồi máy chủ:</strong> ${Utils.escapeHtml(
+                    item.smtp_response
+                  )}</div>`
+                : ""
+            }
+            ${
+              item.error
+                ? `<div class="log-error"><strong>Lỗi:</strong> ${Utils.escapeHtml(
+                    item.error
+                  )}</div>`
+                : ""
+            }
+          </div>
+        `
+            )
+            .join("")
+        : `<div class="log-empty">Chưa có lần gửi nào tới địa chỉ này.</div>`;
+
+    return `
+      <div class="log-container">
+        <div class="log-section">
+          <h3 class="log-section__title">${Utils.escapeHtml(data.email)}</h3>
+          <div class="log-info-grid">
+            <div class="log-info-item">
+              <strong>Đã gửi:</strong>
+              <span class="log-success">${summary.sent || 0}</span>
+            </div>
+            <div class="log-info-item">
+              <strong>Thất bại:</strong>
+              <span class="log-error">${summary.failed || 0}</span>
+            </div>
+            <div class="log-info-item">
+              <strong>Chưa có kết quả:</strong>
+              <span>${
+                (summary.pending || 0) +
+                (summary.sending || 0) +
+                (summary.unknown || 0)
+              }</span>
+            </div>
+          </div>
+        </div>
+        <div class="log-section">
+          <h3 class="log-section__title">Job gửi tới địa chỉ này</h3>
+          <ul class="recipient-jobs">${jobsHtml}</ul>
+        </div>
+        <div class="log-section">
+          <h3 class="log-section__title">Lịch sử gửi (${
+            data.history.length
+          })</h3>
+          <div class="recipient-history">${historyHtml}</div>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Close recipient modal
+   */
+  close() {
+    const modal = document.getElementById("recipientModal");
+    if (modal) {
+      modal.classList.remove("modal--active");
+      modal.setAttribute("aria-hidden", "true");
+    }
+  },
+};
+
+// ============================================
+// Recipient List Modal Manager
+// ============================================
+const ListModalManager = {
+  editingListId: null,
+  importContent: null, // Nội dung file CSV/TSV đang xem trước
+  initialized: false,
+
+  /**
+   * Open recipient list management modal
+   */
+  open() {
+    const modal = document.getElementById("listModal");
+    const form = document.getElementById("listForm");
+    if (!modal || !form) {
+      console.error("List modal elements not found");
+      return;
+    }
+
+    if (!this.initialized) {
+      form.addEventListener("submit", (e) => this.save(e));
+      document
+        .getElementById("listImportFile")
+        ?.addEventListener("change", () => this.previewImport());
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) this.close();
+      });
+      this.initialized = true;
+    }
+
+    modal.classList.add("modal--active");
+    modal.setAttribute("aria-hidden", "false");
+    this.showOverview();
+  },
+
+  /**
+   * Show all lists (hide edit form)
+   */
+  async showOverview() {
+    const overview = document.getElementById("listOverview");
+    const form = document.getElementById("listForm");
+    if (!overview || !form) return;
+
+    this.editingListId = null;
+    form.style.display = "none";
+    overview.style.display = "";
+    overview.innerHTML = `<div class="log-loading">Đang tải...</div>`;
+
+    try {
+      const lists = await ApiService.getLists();
+      overview.innerHTML = this.renderLists(lists);
+    } catch (error) {
+      console.error("Lỗi khi tải danh sách người nhận:", error);
+      overview.innerHTML = `<div class="log-empty">${Utils.escapeHtml(
+        error.message
+      )}</div>`;
+    }
+  },
+
+  /**
+   * Render list overview
+   * @param {Array} lists - Lists from API
+   * @returns {string} HTML string
+   */
+  renderLists(lists) {
+    const listHtml =
+      lists.length > 0
+        ? `<div class="recipient-list">
+        ${lists
+          .map(
+            (list) => `
+          <button type="button" class="recipient-list__item" onclick="ListModalManager.edit(${
+            list.id
+          })">
+            <span class="recipient-list__email">${Utils.escapeHtml(
+              list.name
+            )}</span>
+            <span class="recipient-list__meta">
+              ${list.member_count} email · ${list.job_count} job${
+              list.description ? ` · ${Utils.escapeHtml(list.description)}` : ""
+            }
+            </span>
+          </button>
+        `
+          )
+          .join("")}
+      </div>`
+        : `<div class="log-empty">Chưa có danh sách người nhận nào.</div>`;
+
+    return `
+      <div class="form-actions">
+        <button type="button" class="btn btn--primary" onclick="ListModalManager.edit(null)">
+          ➕ Tạo Danh Sách
+        </button>
+      </div>
+      ${listHtml}
+    `;
+  },
+
+  /**
+   * Show form to create (id = null) or edit a list
+   * @param {number|null} id - List ID
+   */
+  async edit(id) {
+    const overview = document.getElementById("listOverview");
+    const form = document.getElementById("listForm");
+    const deleteButton = document.getElementById("listDeleteButton");
+    if (!overview || !form) return;
+
+    let list = { name: "", description: "", members: [] };
+    if (id) {
+      try {
+        list = await ApiService.getList(id);
+      } catch (error) {
+        Utils.showNotification(`❌ ${error.message}`, "error");
+        return;
+      }
+    }
+
+    this.editingListId = id;
+    document.getElementById("listName").value = list.name;
+    document.getElementById("listDescription").value = list.description || "";
+    document.getElementById("listEmails").value = list.members
+      .map((member) => member.email)
+      .join("\n");
+    if (deleteButton) deleteButton.style.display = id ? "" : "none";
+
+    // Nhập từ file chỉ dùng được với danh sách đã lưu
+    const importGroup = document.getElementById("listImportGroup");
+    const importFile = document.getElementById("listImportFile");
+    const importReport = document.getElementById("listImportReport");
+    if (importGroup) importGroup.style.display = id ? "" : "none";
+    if (importFile) importFile.value = "";
+    if (importReport) importReport.innerHTML = "";
+    this.importContent = null;
+
+    overview.style.display = "none";
+    form.style.display = "";
+  },
+
+  /**
+   * Save list form (thành viên trong form thay toàn bộ thành viên cũ)
+   * @param {Event} e - Submit event
+   */
+  async save(e) {
+    e.preventDefault();
+
+    const data = {
+      name: document.getElementById("listName").value.trim(),
+      description: document.getElementById("listDescription").value.trim(),
+      emails: Utils.parseEmailList(document.getElementById("listEmails").value),
+    };
+
+    if (!data.name) {
+      Utils.showNotification("Vui lòng nhập tên danh sách", "error");
+      return;
+    }
+    const invalidEmails = data.emails.filter(
+      (email) => !Utils.isValidEmail(email)
+    );
+    if (invalidEmails.length > 0) {
+      Utils.showNotification(
+        `Email không hợp lệ: ${invalidEmails.join(", ")}`,
+        "error"
+      );
+      return;
+    }
+
+    try {
+      await ApiService.saveList(this.editingListId, data);
+      Utils.showNotification("✅ Đã lưu danh sách người nhận", "success");
+      this.showOverview();
+    } catch (error) {
+      Utils.showNotification(`❌ ${error.message}`, "error");
+    }
+  },
+
+  /**
+   * Read selected CSV/TSV file and show import report (chưa lưu)
+   */
+  async previewImport() {
+    const file = document.getElementById("listImportFile")?.files[0];
+    const report = document.getElementById("listImportReport");
+    if (!file || !report || !this.editingListId) return;
+
+    report.innerHTML = `<div class="log-loading">Đang kiểm tra...</div>`;
+    try {
+      this.importContent = await file.text();
+      const result = await ApiService.importRecipients({
+        content: this.importContent,
+        list_id: this.editingListId,
+      });
+      report.innerHTML = this.renderImportReport(result.data);
+    } catch (error) {
+      this.importContent = null;
+      report.innerHTML = `<div class="log-empty">${Utils.escapeHtml(
+        error.message
+      )}</div>`;
+    }
+  },
+
+  /**
+   * Render import preview report
+   * @param {Object} data - Report from API
+   * @returns {string} HTML string
+   */
+  renderImportReport(data) {
+    const rows = [
+      ...data.rejected.map(
+        (item) =>
+          `<li class="log-error">Dòng ${item.row}${
+            item.email ? ` (${Utils.escapeHtml(item.email)})` : ""
+          }: ${Utils.escapeHtml(item.error)}</li>`
+      ),
+      ...data.duplicates.map(
+        (item) =>
+          `<li>Dòng ${item.row} (${Utils.escapeHtml(
+            item.email
+          )}): trùng với dòng ${item.duplicate_of}</li>`
+      ),
+    ];
+
+    return `
+      <div class="log-info-grid">
+        <div class="log-info-item">
+          <strong>Hợp lệ:</strong>
+          <span class="log-success">${data.summary.accepted}</span>
+        </div>
+        <div class="log-info-item">
+          <strong>Trùng lặp:</strong>
+          <span>${data.summary.duplicate}</span>
+        </div>
+        <div class="log-info-item">
+          <strong>Bị từ chối:</strong>
+          <span class="log-error">${data.summary.rejected}</span>
+        </div>
+      </div>
+      ${
+        rows.length > 0
+          ? `<ul class="recipient-jobs">${rows.join("")}</ul>`
+          : ""
+      }
+      ${
+        data.summary.accepted > 0
+          ? `<div class="form-actions">
+        <button type="button" class="btn btn--success" onclick="ListModalManager.commitImport()">
+          📥 Nhập ${data.summary.accepted} email vào danh sách
+        </button>
+      </div>`
+          : ""
+      }
+    `;
+  },
+
+  /**
+   * Commit previewed import into the list being edited
+   */
+  async commitImport() {
+    if (!this.importContent || !this.editingListId) return;
+
+    try {
+      const result = await ApiService.importRecipients({
+        content: this.importContent,
+        list_id: this.editingListId,
+        commit: true,
+      });
+      Utils.showNotification(`✅ ${result.message}`, "success");
+      await this.edit(this.editingListId);
+    } catch (error) {
+      Utils.showNotification(`❌ ${error.message}`, "error");
+    }
+  },
+
+  /**
+   * Delete the list being edited
+   */
+  async remove() {
+    if (!this.editingListId) return;
+    if (
+      !Utils.confirm(
+        "Xóa danh sách này? Các job đang dùng sẽ không còn gửi cho thành viên của danh sách."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await ApiService.deleteList(this.editingListId);
+      Utils.showNotification("✅ Đã xóa danh sách người nhận", "success");
+      this.showOverview();
+      // Job đang dùng danh sách cần tải lại list_ids
+      JobManager.loadJobs();
+    } catch (error) {
+      Utils.showNotification(`❌ ${error.message}`, "error");
+    }
+  },
+
+  /**
+   * Close list modal
+   */
+  close() {
+    const modal = document.getElementById("listModal");
+    if (modal) {
+      modal.classList.remove("modal--active");
+      modal.setAttribute("aria-hidden", "true");
+    }
+  },
+};
+
 // ============================================
 // Global Functions (for onclick handlers)
 // ============================================
@@ -1932,6 +3671,8 @@ window.importData = () => DataManager.importData();
 window.JobManager = JobManager;
 window.ModalManager = ModalManager;
 window.LogModalManager = LogModalManager;
+window.RecipientModalManager = RecipientModalManager;
+window.ListModalManager = ListModalManager;
 
 // Initialize app
 App.init();
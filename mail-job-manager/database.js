@@ -190,6 +190,23 @@ async function query(text, params) {
   }
 }
 
+// Helper function để thực thi nhiều query trong một transaction
+// callback nhận client riêng, transaction tự rollback nếu callback throw
+async function transaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await callback(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // Đóng pool khi ứng dụng tắt
 process.on("SIGINT", async () => {
   await pool.end();
@@ -206,5 +223,6 @@ process.on("SIGTERM", async () => {
 module.exports = {
   pool,
   query,
+  transaction,
   testConnection,
 };
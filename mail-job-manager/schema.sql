@@ -5,7 +5,14 @@
 CREATE TABLE IF NOT EXISTS emails (
     id SERIAL PRIMARY KEY,
     email VARCHAR(255) NOT NULL UNIQUE,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    display_name VARCHAR(255), -- Tên hiển thị trong header To
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    locale VARCHAR(20), -- VD: 'vi', 'en-US'
+    time_zone VARCHAR(64), -- Múi giờ IANA của người nhận
+    attributes JSONB NOT NULL DEFAULT '{}', -- Thuộc tính tùy ý dùng làm biến mail merge (VD: {"company": "Acme"})
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Bảng lưu trữ thông tin jobs
@@ -17,6 +24,15 @@ CREATE TABLE IF NOT EXISTS jobs (
     email_body TEXT NOT NULL,
     schedule VARCHAR(50) DEFAULT 'manual',
     schedule_time TIME DEFAULT '09:00:00',
+    cron_expression VARCHAR(100), -- Biểu thức cron 5 trường khi schedule = 'cron'
+    timezone VARCHAR(64), -- Múi giờ IANA (VD: 'Asia/Ho_Chi_Minh'), NULL = múi giờ server
+    catchup_policy VARCHAR(20) DEFAULT 'once', -- Khi bỏ lỡ lịch: 'skip', 'once', 'all'
+    last_scheduled_at TIMESTAMP, -- Thời điểm chạy theo lịch gần nhất đã được xử lý
+    rate_per_minute INTEGER, -- Số email tối đa/phút của job, NULL = chỉ áp dụng giới hạn của email gửi
+    rate_per_hour INTEGER, -- Số email tối đa/giờ của job
+    rate_burst INTEGER, -- Số email được gửi liền nhau trước khi giãn cách theo rate_per_minute
+    delivery_mode VARCHAR(20) NOT NULL DEFAULT 'individual', -- 'individual' (mỗi người nhận một email) hoặc 'bcc_batch'
+    batch_size INTEGER, -- Số người nhận BCC trong một email khi delivery_mode = 'bcc_batch', NULL = mặc định
     notes TEXT,
     status VARCHAR(50) DEFAULT 'active',
     app_password VARCHAR(255), -- Gmail App Password (có thể để NULL)
@@ -35,6 +51,30 @@ CREATE TABLE IF NOT EXISTS job_emails (
     UNIQUE(job_id, email_id, type) -- Đảm bảo không trùng lặp
 );
 
+-- Bảng danh sách người nhận dùng chung giữa các job (VD: danh sách nhân viên)
+CREATE TABLE IF NOT EXISTS recipient_lists (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bảng thành viên của danh sách người nhận
+CREATE TABLE IF NOT EXISTS recipient_list_members (
+    list_id INTEGER NOT NULL REFERENCES recipient_lists(id) ON DELETE CASCADE,
+    email_id INTEGER NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, email_id)
+);
+
+-- Bảng liên kết job với các danh sách người nhận (gửi cho thành viên của danh sách tại thời điểm chạy)
+CREATE TABLE IF NOT EXISTS job_lists (
+    job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    list_id INTEGER NOT NULL REFERENCES recipient_lists(id) ON DELETE CASCADE,
+    PRIMARY KEY (job_id, list_id)
+);
+
 -- Bảng lưu trữ kết quả gửi email
 CREATE TABLE IF NOT EXISTS email_results (
     id SERIAL PRIMARY KEY,
@@ -42,8 +82,10 @@ CREATE TABLE IF NOT EXISTS email_results (
     sent_count INTEGER DEFAULT 0,
     total_count INTEGER DEFAULT 0,
     failed_count INTEGER DEFAULT 0,
+    suppressed_count INTEGER DEFAULT 0, -- Người nhận trong danh sách chặn, không được gửi
     method VARCHAR(50), -- 'Gmail API' hoặc 'SMTP'
     errors TEXT, -- Lưu dạng JSON array
+    run_id INTEGER, -- Lần chạy tạo ra kết quả này (khóa ngoại tới job_runs, thêm ở cuối file)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -54,19 +96,287 @@ CREATE TABLE IF NOT EXISTS failed_emails (
     email_id INTEGER REFERENCES emails(id) ON DELETE CASCADE,
     error TEXT NOT NULL,
     method VARCHAR(50),
+    -- 'hard': địa chỉ không nhận được thư (không tồn tại, domain sai...), 'soft': lỗi khác (tạm thời, nội dung...)
+    -- NULL: email lỗi ghi trước khi có phân loại lỗi (không tính là bounce cứng)
+    bounce_type VARCHAR(10),
+    -- Phân loại lỗi: 'bad_mailbox', 'policy_block', 'auth', 'throttled', 'transient', 'other'
+    error_category VARCHAR(30),
+    smtp_code INTEGER, -- Mã SMTP (VD: 550)
+    enhanced_status VARCHAR(15), -- Mã trạng thái mở rộng RFC 3463 (VD: '5.1.1')
+    error_reason VARCHAR(100), -- Reason của Gmail API (VD: 'rateLimitExceeded')
+    run_id INTEGER, -- Lần chạy gặp lỗi (khóa ngoại tới job_runs, thêm ở cuối file)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bảng lưu trữ các lần chạy job (mỗi lần bấm "Chạy" hoặc chạy theo lịch là một run)
+CREATE TABLE IF NOT EXISTS job_runs (
+    id SERIAL PRIMARY KEY,
+    job_id INTEGER REFERENCES jobs(id) ON DELETE CASCADE, -- NULL: gửi trực tiếp qua /api/run-job với job chưa lưu trong database
+    -- 'queued', 'running', 'paused', 'cancelling', 'interrupted', 'completed', 'failed', 'cancelled', 'partial'
+    -- 'interrupted': server dừng khi đang gửi, chờ người dùng chọn gửi tiếp hoặc hủy
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    -- Nguồn kích hoạt: 'manual' (bấm Chạy/API), 'schedule' (theo lịch), 'direct' (/api/run-job gửi trực tiếp)
+    trigger_source VARCHAR(20) NOT NULL DEFAULT 'manual',
+    method VARCHAR(50), -- 'Gmail API' hoặc 'SMTP'
+    email_from VARCHAR(255), -- Email gửi (chữ thường), dùng để tính giới hạn gửi/ngày
+    total_count INTEGER DEFAULT 0,
+    sent_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    suppressed_count INTEGER DEFAULT 0, -- Người nhận trong danh sách chặn, không được gửi
+    bounced_count INTEGER DEFAULT 0, -- Email đã gửi nhưng bị trả về (thư báo lỗi DSN đọc qua IMAP)
+    replied_count INTEGER DEFAULT 0, -- Số người nhận đã trả lời email
+    error TEXT, -- Lỗi làm dừng cả run (VD: không kết nối được SMTP)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+-- Hàng đợi gửi email: mỗi người nhận của một run là một dòng
+CREATE TABLE IF NOT EXISTS send_queue (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES job_runs(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    -- 'pending', 'sending', 'sent', 'failed', 'cancelled',
+    -- 'unknown' (server dừng khi đang gửi, không rõ đã gửi hay chưa),
+    -- 'suppressed' (người nhận trong danh sách chặn, không gửi)
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0, -- Số lần đã thử gửi
+    next_attempt_at TIMESTAMP, -- Thời điểm được gửi lại sau lỗi tạm thời (NULL = gửi ngay)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP
+);
+
+-- Bảng lưu từng lần thử gửi của mỗi email trong hàng đợi
+CREATE TABLE IF NOT EXISTS send_attempts (
+    id SERIAL PRIMARY KEY,
+    queue_id INTEGER NOT NULL REFERENCES send_queue(id) ON DELETE CASCADE,
+    run_id INTEGER NOT NULL REFERENCES job_runs(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL, -- Lần thử thứ mấy (bắt đầu từ 1)
+    status VARCHAR(20) NOT NULL, -- 'sent' hoặc 'failed'
+    temporary BOOLEAN DEFAULT FALSE, -- Lỗi tạm thời (SMTP 4xx, timeout...) hay vĩnh viễn
+    error TEXT,
+    batch_id BIGINT, -- Các lần thử cùng batch_id được gửi chung một email (chế độ 'bcc_batch')
+    copy_count INTEGER NOT NULL DEFAULT 0, -- Số địa chỉ CC/BCC của job cùng nhận email này (tính vào giới hạn gửi/ngày)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sequence cấp batch_id cho mỗi email gửi gộp BCC
+CREATE SEQUENCE IF NOT EXISTS send_batch_id_seq;
+
+-- Bảng lưu kết quả gửi cuối cùng cho từng người nhận của mỗi lần chạy (cả thành công lẫn thất bại)
+CREATE TABLE IF NOT EXISTS email_deliveries (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES job_runs(id) ON DELETE CASCADE,
+    job_id INTEGER REFERENCES jobs(id) ON DELETE CASCADE,
+    email_id INTEGER REFERENCES emails(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL, -- Email người nhận
+    -- 'sent', 'failed', 'suppressed' (trong danh sách chặn), 'bounced' (đã gửi nhưng nhận được DSN báo lỗi)
+    -- 'cancelled' (run bị hủy trước khi gửi) hoặc 'unknown' (server dừng khi đang gửi, không rõ đã gửi hay chưa)
+    status VARCHAR(20) NOT NULL,
+    message_id VARCHAR(255), -- Header Message-ID của email đã gửi (dùng để khớp thư báo lỗi)
+    smtp_response TEXT, -- Phản hồi của máy chủ (SMTP response hoặc Gmail API)
+    error TEXT,
+    error_category VARCHAR(30), -- Phân loại lỗi (giống failed_emails.error_category)
+    smtp_code INTEGER,
+    enhanced_status VARCHAR(15),
+    error_reason VARCHAR(100),
+    method VARCHAR(50), -- 'Gmail API' hoặc 'SMTP'
+    attempts INTEGER NOT NULL DEFAULT 1, -- Số lần đã thử gửi
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Thời điểm có kết quả cuối cùng
+    replied_at TIMESTAMP -- Thời điểm người nhận trả lời lần đầu (NULL = chưa trả lời)
+);
+
+-- Bảng cấu hình theo email gửi (dùng chung cho mọi job gửi từ email này)
+CREATE TABLE IF NOT EXISTS sender_settings (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE, -- Email gửi (chữ thường)
+    daily_quota INTEGER, -- Số email tối đa trong 24 giờ, NULL = mặc định, 0 = không giới hạn
+    rate_per_minute INTEGER, -- Số email tối đa/phút (tính trên mọi job), NULL = mặc định
+    rate_per_hour INTEGER, -- Số email tối đa/giờ, NULL = mặc định
+    rate_burst INTEGER, -- Số email được gửi liền nhau, NULL = mặc định
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Danh sách chặn gửi (dùng chung cho mọi job): không gửi email tới các địa chỉ này
+CREATE TABLE IF NOT EXISTS suppressions (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE, -- Email người nhận (chữ thường)
+    -- 'unsubscribe' (người nhận tự hủy), 'manual' hoặc 'hard_bounce' (tự động chặn sau nhiều lần bounce cứng)
+    reason VARCHAR(50) NOT NULL DEFAULT 'unsubscribe',
+    job_id INTEGER REFERENCES jobs(id) ON DELETE SET NULL, -- Job có link hủy đăng ký được bấm / job bị bounce
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    lifted_at TIMESTAMP -- Thời điểm được gỡ chặn (NULL = đang chặn); bounce cứng được đếm lại từ thời điểm này
+);
+
+-- Thư báo lỗi gửi (DSN, RFC 3464) đọc từ hộp thư bounce: mỗi người nhận trong một DSN là một dòng
+CREATE TABLE IF NOT EXISTS bounces (
+    id SERIAL PRIMARY KEY,
+    delivery_id INTEGER REFERENCES email_deliveries(id) ON DELETE SET NULL, -- Kết quả gửi khớp với DSN (NULL nếu không khớp email nào đã gửi)
+    run_id INTEGER REFERENCES job_runs(id) ON DELETE CASCADE,
+    job_id INTEGER REFERENCES jobs(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL, -- Người nhận (Final-Recipient, chữ thường)
+    dsn_message_id VARCHAR(255) NOT NULL, -- Message-ID của thư DSN (tránh xử lý một DSN hai lần)
+    original_message_id VARCHAR(255), -- Message-ID của email đã gửi
+    action VARCHAR(20) NOT NULL, -- 'failed' (không gửi được) hoặc 'delayed' (máy chủ vẫn đang thử lại)
+    status VARCHAR(15), -- Mã trạng thái RFC 3463 (VD: '5.1.1')
+    diagnostic_code TEXT, -- VD: 'smtp; 550 5.1.1 User unknown'
+    reporting_mta VARCHAR(255),
+    error_category VARCHAR(30), -- Phân loại lỗi (giống failed_emails.error_category)
+    bounce_type VARCHAR(10),
+    received_at TIMESTAMP, -- Thời điểm nhận DSN
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (dsn_message_id, email)
+);
+
+-- Thư trả lời của người nhận (khớp In-Reply-To/References với Message-ID của email đã gửi)
+CREATE TABLE IF NOT EXISTS replies (
+    id SERIAL PRIMARY KEY,
+    delivery_id INTEGER REFERENCES email_deliveries(id) ON DELETE SET NULL, -- Email đã gửi được trả lời
+    run_id INTEGER REFERENCES job_runs(id) ON DELETE CASCADE,
+    job_id INTEGER REFERENCES jobs(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL, -- Người nhận của email đã gửi (chữ thường)
+    from_address VARCHAR(255), -- Địa chỉ gửi thư trả lời (có thể khác người nhận, VD: alias)
+    message_id VARCHAR(255) NOT NULL UNIQUE, -- Message-ID của thư trả lời (tránh ghi trùng)
+    in_reply_to VARCHAR(255), -- Message-ID của email đã gửi
+    subject TEXT,
+    received_at TIMESTAMP, -- Thời điểm nhận thư trả lời
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Vị trí đã đọc của các hộp thư IMAP (chỉ đọc thư có UID lớn hơn last_uid, không đổi cờ \Seen)
+-- và của hộp thư đọc qua Gmail API (chỉ đọc các thay đổi sau history_id)
+CREATE TABLE IF NOT EXISTS mailbox_cursors (
+    id SERIAL PRIMARY KEY,
+    account VARCHAR(255) NOT NULL UNIQUE, -- '<mục đích>:<user>@<host>/<mailbox>', VD: 'reply:an@gmail.com@imap.gmail.com/INBOX'
+    uid_validity BIGINT, -- UIDVALIDITY của hộp thư; thay đổi thì đọc lại từ đầu
+    last_uid BIGINT NOT NULL DEFAULT 0,
+    history_id BIGINT, -- historyId của Gmail API đã đọc tới (NULL với hộp thư IMAP)
+    last_polled_at TIMESTAMP,
+    last_error TEXT -- Lỗi của lần đọc gần nhất (NULL = thành công)
+);
+
+-- Thông tin OAuth2 của email gửi dùng Gmail API, lưu khi đọc thư trả lời qua API để đọc định kỳ
+CREATE TABLE IF NOT EXISTS gmail_accounts (
+    id SERIAL PRIMARY KEY,
+    email_from VARCHAR(255) NOT NULL UNIQUE, -- Email gửi (chữ thường)
+    client_id TEXT NOT NULL,
+    client_secret TEXT NOT NULL,
+    refresh_token TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Giá trị tự sinh cần giữ nguyên qua các lần khởi động server (VD: khóa ký token hủy đăng ký)
+CREATE TABLE IF NOT EXISTS app_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Nâng cấp database đã có: thêm các cột mới (an toàn khi chạy lại)
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS display_name VARCHAR(255);
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS first_name VARCHAR(100);
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS last_name VARCHAR(100);
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS locale VARCHAR(20);
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64);
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS attributes JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS cron_expression VARCHAR(100);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS catchup_policy VARCHAR(20) DEFAULT 'once';
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS last_scheduled_at TIMESTAMP;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS rate_per_minute INTEGER;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS rate_per_hour INTEGER;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS rate_burst INTEGER;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS delivery_mode VARCHAR(20) NOT NULL DEFAULT 'individual';
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS batch_size INTEGER;
+ALTER TABLE job_runs ALTER COLUMN job_id DROP NOT NULL;
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS trigger_source VARCHAR(20) NOT NULL DEFAULT 'manual';
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS method VARCHAR(50);
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS email_from VARCHAR(255);
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS suppressed_count INTEGER DEFAULT 0;
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS bounced_count INTEGER DEFAULT 0;
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS replied_count INTEGER DEFAULT 0;
+ALTER TABLE sender_settings ADD COLUMN IF NOT EXISTS rate_per_minute INTEGER;
+ALTER TABLE sender_settings ADD COLUMN IF NOT EXISTS rate_per_hour INTEGER;
+ALTER TABLE sender_settings ADD COLUMN IF NOT EXISTS rate_burst INTEGER;
+ALTER TABLE send_queue ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE send_queue ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP;
+ALTER TABLE send_attempts ADD COLUMN IF NOT EXISTS batch_id BIGINT;
+ALTER TABLE send_attempts ADD COLUMN IF NOT EXISTS copy_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE email_results ADD COLUMN IF NOT EXISTS run_id INTEGER;
+ALTER TABLE email_results ADD COLUMN IF NOT EXISTS suppressed_count INTEGER DEFAULT 0;
+ALTER TABLE failed_emails ADD COLUMN IF NOT EXISTS run_id INTEGER;
+ALTER TABLE failed_emails ADD COLUMN IF NOT EXISTS bounce_type VARCHAR(10);
+ALTER TABLE failed_emails ADD COLUMN IF NOT EXISTS error_category VARCHAR(30);
+ALTER TABLE failed_emails ADD COLUMN IF NOT EXISTS smtp_code INTEGER;
+ALTER TABLE failed_emails ADD COLUMN IF NOT EXISTS enhanced_status VARCHAR(15);
+ALTER TABLE failed_emails ADD COLUMN IF NOT EXISTS error_reason VARCHAR(100);
+ALTER TABLE suppressions ADD COLUMN IF NOT EXISTS lifted_at TIMESTAMP;
+ALTER TABLE email_deliveries ADD COLUMN IF NOT EXISTS email_id INTEGER REFERENCES emails(id) ON DELETE CASCADE;
+ALTER TABLE email_deliveries ADD COLUMN IF NOT EXISTS error_category VARCHAR(30);
+ALTER TABLE email_deliveries ADD COLUMN IF NOT EXISTS smtp_code INTEGER;
+ALTER TABLE email_deliveries ADD COLUMN IF NOT EXISTS enhanced_status VARCHAR(15);
+ALTER TABLE email_deliveries ADD COLUMN IF NOT EXISTS error_reason VARCHAR(100);
+ALTER TABLE email_deliveries ADD COLUMN IF NOT EXISTS replied_at TIMESTAMP;
+ALTER TABLE mailbox_cursors ADD COLUMN IF NOT EXISTS history_id BIGINT;
+
+-- Gắn các kết quả gửi đã có với bảng emails
+UPDATE email_deliveries d SET email_id = e.id
+FROM emails e
+WHERE d.email_id IS NULL AND e.email = d.email;
+
+-- Tạo kết quả gửi cho các run chạy trước khi có bảng email_deliveries (từ hàng đợi gửi)
+INSERT INTO email_deliveries (run_id, job_id, email_id, email, status, error, method, attempts, sent_at)
+SELECT q.run_id, r.job_id, e.id, q.email, q.status, q.error, r.method,
+       GREATEST(q.attempts, 1), COALESCE(q.processed_at, q.created_at)
+FROM send_queue q
+INNER JOIN job_runs r ON q.run_id = r.id
+LEFT JOIN emails e ON e.email = q.email
+WHERE q.status IN ('sent', 'failed')
+  AND NOT EXISTS (SELECT 1 FROM email_deliveries d WHERE d.run_id = q.run_id);
+
+-- Liên kết kết quả và email lỗi với lần chạy (job_runs được tạo sau hai bảng này)
+ALTER TABLE email_results DROP CONSTRAINT IF EXISTS email_results_run_id_fkey;
+ALTER TABLE email_results ADD CONSTRAINT email_results_run_id_fkey
+    FOREIGN KEY (run_id) REFERENCES job_runs(id) ON DELETE SET NULL;
+ALTER TABLE failed_emails DROP CONSTRAINT IF EXISTS failed_emails_run_id_fkey;
+ALTER TABLE failed_emails ADD CONSTRAINT failed_emails_run_id_fkey
+    FOREIGN KEY (run_id) REFERENCES job_runs(id) ON DELETE SET NULL;
+
 -- Tạo index để tăng tốc truy vấn
 CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
 CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at);
 CREATE INDEX IF NOT EXISTS idx_email_results_job_id ON email_results(job_id);
 CREATE INDEX IF NOT EXISTS idx_emails_email ON emails(email);
+CREATE INDEX IF NOT EXISTS idx_emails_email_lower ON emails(LOWER(email));
 CREATE INDEX IF NOT EXISTS idx_job_emails_job_id ON job_emails(job_id);
 CREATE INDEX IF NOT EXISTS idx_job_emails_email_id ON job_emails(email_id);
 CREATE INDEX IF NOT EXISTS idx_job_emails_type ON job_emails(type);
 CREATE INDEX IF NOT EXISTS idx_failed_emails_job_id ON failed_emails(job_id);
 CREATE INDEX IF NOT EXISTS idx_failed_emails_email_id ON failed_emails(email_id);
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_id ON job_runs(job_id);
+CREATE INDEX IF NOT EXISTS idx_job_runs_status ON job_runs(status);
+CREATE INDEX IF NOT EXISTS idx_send_queue_run_id_status ON send_queue(run_id, status);
+CREATE INDEX IF NOT EXISTS idx_send_attempts_queue_id ON send_attempts(queue_id);
+CREATE INDEX IF NOT EXISTS idx_send_attempts_created_at ON send_attempts(created_at);
+CREATE INDEX IF NOT EXISTS idx_job_runs_email_from ON job_runs(email_from);
+CREATE INDEX IF NOT EXISTS idx_email_results_run_id ON email_results(run_id);
+CREATE INDEX IF NOT EXISTS idx_failed_emails_run_id ON failed_emails(run_id);
+CREATE INDEX IF NOT EXISTS idx_failed_emails_bounce_type ON failed_emails(email_id, bounce_type);
+CREATE INDEX IF NOT EXISTS idx_email_deliveries_run_id ON email_deliveries(run_id);
+CREATE INDEX IF NOT EXISTS idx_email_deliveries_email ON email_deliveries(LOWER(email), sent_at);
+CREATE INDEX IF NOT EXISTS idx_email_deliveries_email_id ON email_deliveries(email_id);
+CREATE INDEX IF NOT EXISTS idx_email_deliveries_message_id ON email_deliveries(message_id);
+CREATE INDEX IF NOT EXISTS idx_bounces_run_id ON bounces(run_id);
+CREATE INDEX IF NOT EXISTS idx_bounces_email ON bounces(email);
+CREATE INDEX IF NOT EXISTS idx_replies_run_id ON replies(run_id);
+CREATE INDEX IF NOT EXISTS idx_replies_email ON replies(email);
+CREATE INDEX IF NOT EXISTS idx_recipient_list_members_email_id ON recipient_list_members(email_id);
+CREATE INDEX IF NOT EXISTS idx_job_lists_list_id ON job_lists(list_id);
 
 -- Trigger để tự động cập nhật updated_at
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -77,6 +387,7 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+DROP TRIGGER IF EXISTS update_jobs_updated_at ON jobs;
 CREATE TRIGGER update_jobs_updated_at BEFORE UPDATE ON jobs
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -0,0 +1,103 @@
+/**
+ * Kiểm tra đọc thư báo lỗi (bounce) với một hộp thư IMAP chạy local
+ *
+ * Thêm thư DSN mẫu (scripts/fixtures/dsn-hard-bounce.eml) vào hộp thư bounce,
+ * gọi POST /api/bounces/poll của server đang chạy và in kết quả.
+ *
+ * Cách dùng (cùng biến môi trường BOUNCE_IMAP_* với server):
+ *   node scripts/check-bounce.js <người nhận> [<Message-ID của email đã gửi>]
+ *
+ * - Có Message-ID (cột message_id của email_deliveries): email đó phải được tính là bị trả về (bounced = 1)
+ * - Không có Message-ID: DSN không khớp email nào và được ghi là không khớp (unmatched = 1)
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ImapFlow } = require("imapflow");
+
+const FIXTURE = path.join(__dirname, "fixtures", "dsn-hard-bounce.eml");
+
+const imap = {
+  host: process.env.BOUNCE_IMAP_HOST || "127.0.0.1",
+  port: parseInt(process.env.BOUNCE_IMAP_PORT) || 993,
+  secure: process.env.BOUNCE_IMAP_SECURE !== "false",
+  user: process.env.BOUNCE_IMAP_USER || "",
+  pass: process.env.BOUNCE_IMAP_PASSWORD || "",
+  mailbox: process.env.BOUNCE_IMAP_MAILBOX || "INBOX",
+};
+const serverUrl =
+  process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+/**
+ * Tạo thư DSN từ file mẫu
+ * @param {string} recipient - Người nhận bị trả về
+ * @param {string|null} originalMessageId - Message-ID của email gốc (null = DSN không kèm Message-ID)
+ * @returns {string} Nội dung thư (CRLF)
+ */
+function buildDsn(recipient, originalMessageId) {
+  let template = fs.readFileSync(FIXTURE, "utf8");
+  if (!originalMessageId) {
+    template = template.replace(/^Message-ID: {{originalMessageId}}\r?\n/m, "");
+  }
+  const values = {
+    sender: imap.user || "sender@example.com",
+    recipient,
+    originalMessageId: originalMessageId || "",
+    dsnMessageId: `check-${crypto.randomUUID()}@localhost`,
+    date: new Date().toUTCString(),
+  };
+  return template
+    .replace(/{{(\w+)}}/g, (match, key) => values[key])
+    .replace(/\r?\n/g, "\r\n");
+}
+
+async function main() {
+  const [recipient, originalMessageId = null] = process.argv.slice(2);
+  if (!recipient) {
+    console.error(
+      "Cách dùng: node scripts/check-bounce.js <người nhận> [<Message-ID của email đã gửi>]"
+    );
+    process.exit(2);
+  }
+
+  const client = new ImapFlow({
+    host: imap.host,
+    port: imap.port,
+    secure: imap.secure,
+    auth: { user: imap.user, pass: imap.pass },
+    logger: false,
+  });
+  await client.connect();
+  try {
+    await client.append(imap.mailbox, buildDsn(recipient, originalMessageId));
+  } finally {
+    await client.logout().catch(() => {});
+  }
+  console.log(
+    `📨 Đã thêm thư DSN cho ${recipient} vào ${imap.user}@${imap.host}/${imap.mailbox}`
+  );
+
+  const response = await fetch(`${serverUrl}/api/bounces/poll`, {
+    method: "POST",
+  });
+  const result = await response.json();
+  if (!result.success) {
+    console.error(`❌ Đọc hộp thư bounce lỗi: ${result.error}`);
+    process.exit(1);
+  }
+  console.log("📬 Kết quả đọc hộp thư:", result.data);
+
+  const expected = originalMessageId ? "bounced" : "unmatched";
+  if (result.data[expected] !== 1) {
+    console.error(`❌ Mong đợi ${expected} = 1`);
+    process.exit(1);
+  }
+  console.log(`✅ Thư DSN được tính là ${expected}`);
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
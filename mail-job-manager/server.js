@@ -10,8 +10,11 @@ const fs = require("fs").promises;
 const fsSync = require("fs");
 const os = require("os");
 const dns = require("dns").promises;
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
 require("dotenv").config();
-const { query, testConnection } = require("./database");
+const cronParser = require("cron-parser");
+const { pool, query, transaction, testConnection } = require("./database");
 
 // Lazy load googleapis only when needed
 let google = null;
@@ -28,6 +31,21 @@ function getGoogle() {
   return google;
 }
 
+// Lazy load imapflow (chỉ cần khi bật đọc hộp thư bounce qua IMAP)
+let ImapFlow = null;
+function getImapFlow() {
+  if (!ImapFlow) {
+    try {
+      ImapFlow = require("imapflow").ImapFlow;
+    } catch (error) {
+      throw new Error(
+        "Đọc hộp thư IMAP không khả dụng. Vui lòng cài đặt: npm install imapflow"
+      );
+    }
+  }
+  return ImapFlow;
+}
+
 // ============================================
 // Configuration
 // ============================================
@@ -43,14 +61,155 @@ const CONFIG = {
       pass: "", // Will be set from job.appPassword
     },
   },
-  // Delay between emails (ms)
-  EMAIL_DELAY: 1000,
+  // Hàng đợi gửi email (send_queue) do SendWorker xử lý
+  QUEUE: {
+    pollInterval: 5 * 1000, // Kiểm tra run mới mỗi 5 giây (ngoài lúc được đánh thức trực tiếp)
+    // Số run xử lý đồng thời; các run của cùng một email gửi luôn được xử lý lần lượt
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 4,
+    sseHeartbeat: 15 * 1000, // Gửi lại snapshot tiến độ cho client SSE mỗi 15 giây
+  },
+  // Gửi lại email khi gặp lỗi tạm thời (SMTP 4xx, timeout, Gmail API 429/5xx)
+  RETRY: {
+    maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 4, // Tính cả lần gửi đầu tiên
+    baseDelay: parseInt(process.env.RETRY_BASE_DELAY) || 60 * 1000, // Lần thử lại đầu tiên sau ~1 phút
+    maxDelay: 30 * 60 * 1000, // Khoảng chờ tối đa giữa hai lần thử
+    jitter: 0.2, // Dao động ngẫu nhiên ±20% để các email không thử lại cùng lúc
+  },
+  // Giới hạn gửi mỗi email gửi trong 24 giờ (tính trên tất cả các job)
+  QUOTA: {
+    // Giới hạn mặc định khi email gửi chưa cấu hình riêng (0 = không giới hạn)
+    defaultDailyQuota:
+      process.env.SENDER_DAILY_QUOTA !== undefined
+        ? parseInt(process.env.SENDER_DAILY_QUOTA) || 0
+        : 100,
+    window: 24 * 60 * 60 * 1000, // Cửa sổ trượt 24 giờ
+  },
+  // Tốc độ gửi mặc định của mỗi email gửi (jobs/sender_settings có thể cấu hình riêng)
+  THROTTLE: {
+    perMinute: parseInt(process.env.SENDER_RATE_PER_MINUTE) || 60, // ~1 email/giây
+    perHour: parseInt(process.env.SENDER_RATE_PER_HOUR) || null, // null = không giới hạn
+    burst: parseInt(process.env.SENDER_RATE_BURST) || 1, // Gửi liền nhau tối đa 1 email
+  },
+  // Chế độ gửi gộp BCC (jobs.delivery_mode = 'bcc_batch'): một email cho nhiều người nhận
+  BATCH: {
+    defaultSize: parseInt(process.env.BCC_BATCH_SIZE) || 50, // Khi job không cấu hình batch_size
+    maxSize: 100, // Gmail giới hạn 100 người nhận trong một email gửi qua SMTP
+  },
+  // Nhập người nhận từ file CSV/TSV (POST /api/imports/recipients)
+  IMPORT: {
+    maxRows: 5000, // Số dòng dữ liệu tối đa mỗi lần nhập
+    maxBodySize: "5mb", // Giới hạn body JSON (chứa nội dung file)
+    validateConcurrency: 10, // Số email kiểm tra MX record cùng lúc
+  },
+  // Tự động chặn gửi tới địa chỉ bị bounce cứng (không tồn tại, domain sai...)
+  BOUNCE: {
+    // Số lần bounce cứng (tính trên mọi job) trước khi địa chỉ bị chặn (0 = không tự động chặn)
+    hardBounceThreshold:
+      process.env.HARD_BOUNCE_THRESHOLD !== undefined
+        ? parseInt(process.env.HARD_BOUNCE_THRESHOLD) || 0
+        : 2,
+    // Hộp thư nhận thư báo lỗi (DSN) đọc qua IMAP; không cấu hình BOUNCE_IMAP_HOST = tắt
+    imap: {
+      host: process.env.BOUNCE_IMAP_HOST || null,
+      port: parseInt(process.env.BOUNCE_IMAP_PORT) || 993,
+      secure: process.env.BOUNCE_IMAP_SECURE !== "false", // false cho cổng 143 (STARTTLS) hoặc IMAP local
+      user: process.env.BOUNCE_IMAP_USER || "",
+      pass: process.env.BOUNCE_IMAP_PASSWORD || "",
+      mailbox: process.env.BOUNCE_IMAP_MAILBOX || "INBOX",
+    },
+    pollInterval: parseInt(process.env.BOUNCE_POLL_INTERVAL) || 5 * 60 * 1000, // Đọc hộp thư mỗi 5 phút
+    lookbackDays: 7, // Lần đọc đầu tiên chỉ xét thư trong 7 ngày gần nhất
+    maxMessagesPerPoll: 500, // Số thư tối đa đọc mỗi lượt (phần còn lại đọc ở lượt sau)
+  },
+  // Theo dõi người nhận trả lời email: đọc hộp thư đến của email gửi
+  REPLY: {
+    // Tự động đọc định kỳ qua IMAP bằng App Password đã lưu trong job
+    enabled: process.env.REPLY_TRACKING_ENABLED === "true",
+    imap: {
+      host: process.env.REPLY_IMAP_HOST || "imap.gmail.com",
+      port: parseInt(process.env.REPLY_IMAP_PORT) || 993,
+      secure: process.env.REPLY_IMAP_SECURE !== "false",
+      mailbox: "INBOX",
+    },
+    pollInterval: parseInt(process.env.REPLY_POLL_INTERVAL) || 10 * 60 * 1000, // Đọc mỗi 10 phút
+    lookbackDays: 14, // Chỉ đọc email gửi đã chạy trong 14 ngày và thư nhận trong 14 ngày gần nhất
+    maxMessagesPerPoll: 500, // Số thư tối đa đọc mỗi lượt của mỗi email gửi
+  },
+  // Link hủy đăng ký trong email (GET/POST /unsubscribe) và header List-Unsubscribe
+  UNSUBSCRIBE: {
+    // Khóa ký token hủy đăng ký; không cấu hình thì tạo ngẫu nhiên một lần và lưu trong bảng app_settings
+    secret: process.env.UNSUBSCRIBE_SECRET || null,
+    // Địa chỉ người nhận mở được server (VD: https://mail.example.com); không cấu hình thì email không có link hủy đăng ký
+    baseUrl: process.env.PUBLIC_BASE_URL
+      ? process.env.PUBLIC_BASE_URL.replace(/\/+$/, "")
+      : null,
+    // Cổng riêng chỉ phục vụ /unsubscribe (không có API, không có file tĩnh), dùng để public ra ngoài
+    port: parseInt(process.env.UNSUBSCRIBE_PORT) || null,
+  },
+  // Scheduler chạy các job daily/weekly/monthly/cron
+  SCHEDULER: {
+    enabled: process.env.SCHEDULER_ENABLED !== "false",
+    interval: 60 * 1000, // Kiểm tra mỗi phút
+    // Múi giờ mặc định cho job không chỉ định timezone
+    defaultTimezone:
+      process.env.SCHEDULER_TIMEZONE ||
+      Intl.DateTimeFormat().resolvedOptions().timeZone,
+    maxPreviewCount: 20, // Số thời điểm tối đa trả về khi xem trước lịch
+    // Lần chạy trễ hơn khoảng này được coi là bị lỡ (áp dụng catchup_policy)
+    missedGrace: 2 * 60 * 1000,
+    maxCatchUpRuns: 10, // Số lần chạy bù tối đa với policy "all"
+    maxMissedScan: 1000, // Giới hạn số lần lỡ được quét cho mỗi job (chính sách "all")
+  },
 };
 
+// Các loại lịch gửi được hỗ trợ (jobs.schedule)
+const SCHEDULE_TYPES = ["manual", "daily", "weekly", "monthly", "cron"];
+// Chính sách chạy bù khi bỏ lỡ lịch (jobs.catchup_policy)
+const CATCHUP_POLICIES = ["skip", "once", "all"];
+// Cách gửi của job (jobs.delivery_mode): mỗi người nhận một email hoặc gộp nhiều người nhận vào BCC
+const DELIVERY_MODES = ["individual", "bcc_batch"];
+// Trạng thái kết thúc của một lần chạy (job_runs.status)
+const RUN_FINAL_STATUSES = ["completed", "failed", "cancelled", "partial"];
+// Khóa đầu của PostgreSQL advisory lock (pg_advisory_xact_lock(namespace, job_id))
+// dùng khi tạo run, tránh trùng với advisory lock của ứng dụng khác
+const JOB_RUN_LOCK_NAMESPACE = 4801;
+// Khóa của run đang được worker xử lý (pg_advisory_lock(namespace, run_id)):
+// run 'running' mà không còn ai giữ khóa là run bị gián đoạn (server dừng giữa chừng)
+const SEND_RUN_LOCK_NAMESPACE = 4802;
+// Mã lỗi kết nối (nodemailer/Node.js) được coi là lỗi tạm thời
+const TEMPORARY_ERROR_CODES = [
+  "ETIMEDOUT",
+  "ECONNECTION",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ESOCKET",
+  "EAI_AGAIN",
+  "EPIPE",
+];
+
 // ============================================
 // Utilities
 // ============================================
 const Utils = {
+  /**
+   * Escape ký tự đặc biệt để chèn chuỗi vào HTML
+   * @param {*} value
+   * @returns {string}
+   */
+  escapeHtml(value) {
+    return String(value).replace(
+      /[&<>"']/g,
+      (char) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        }[char])
+    );
+  },
+
   /**
    * Get Chrome profiles path based on OS
    * @returns {string} Path to Chrome User Data directory
@@ -109,6 +268,84 @@ const Utils = {
     }
   },
 
+  /**
+   * ID từ URL phải là số nguyên dương trong phạm vi INTEGER của PostgreSQL
+   * (ID khác được coi là không tồn tại thay vì gây lỗi truy vấn)
+   * @param {*} id
+   * @returns {boolean}
+   */
+  isValidId(id) {
+    return /^[1-9]\d{0,9}$/.test(String(id)) && Number(id) <= 2147483647;
+  },
+
+  /**
+   * Chuẩn hóa danh sách email từ request: mảng, hoặc chuỗi cách nhau bởi dấu phẩy/chấm phẩy/xuống dòng
+   * @param {string|string[]|null|undefined} value - Danh sách email
+   * @returns {string[]} Các email đã bỏ khoảng trắng và phần tử rỗng
+   */
+  parseEmailList(value) {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : String(value).split(/[,;\n]/);
+    return list.map((email) => String(email).trim()).filter(Boolean);
+  },
+
+  /**
+   * Kiểm tra định dạng của một danh sách email
+   * @param {string[]} emails - Danh sách email
+   * @param {string} label - Tên danh sách trong thông báo lỗi (VD: "Email CC")
+   * @returns {string|null} Thông báo lỗi hoặc null nếu hợp lệ
+   */
+  validateEmailList(emails, label) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const invalidEmails = emails.filter((email) => !emailRegex.test(email));
+    return invalidEmails.length > 0
+      ? `${label} không hợp lệ: ${invalidEmails.join(", ")}`
+      : null;
+  },
+
+  /**
+   * Kiểm tra cách gửi của job (delivery_mode, batch_size)
+   * @param {string|undefined} deliveryMode - 'individual' hoặc 'bcc_batch'
+   * @param {*} batchSize - Số người nhận mỗi email gộp BCC (null/rỗng = mặc định)
+   * @param {number} copyCount - Số địa chỉ CC/BCC gửi kèm mỗi email (tính vào giới hạn người nhận của email)
+   * @returns {string|null} Thông báo lỗi hoặc null nếu hợp lệ
+   */
+  validateDeliveryMode(deliveryMode, batchSize, copyCount = 0) {
+    if (deliveryMode !== undefined && !DELIVERY_MODES.includes(deliveryMode)) {
+      return `delivery_mode phải là một trong: ${DELIVERY_MODES.join(", ")}`;
+    }
+    const maxSize = CONFIG.BATCH.maxSize - copyCount;
+    if (maxSize < 1) {
+      return `Email CC/BCC có ${copyCount} địa chỉ, mỗi email chỉ được tối đa ${CONFIG.BATCH.maxSize} người nhận`;
+    }
+    if (batchSize !== undefined && batchSize !== null && batchSize !== "") {
+      const value = Number(batchSize);
+      if (!Number.isInteger(value) || value < 1 || value > maxSize) {
+        return copyCount > 0
+          ? `batch_size phải là số nguyên từ 1 đến ${maxSize} (mỗi email tối đa ${CONFIG.BATCH.maxSize} người nhận, gồm ${copyCount} địa chỉ CC/BCC)`
+          : `batch_size phải là số nguyên từ 1 đến ${maxSize}`;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Số người nhận mỗi email gộp BCC: mặc định khi job không cấu hình, không vượt quá
+   * giới hạn người nhận của một email sau khi trừ các địa chỉ CC/BCC
+   * @param {*} batchSize - batch_size của job
+   * @param {number} copyCount - Số địa chỉ CC/BCC gửi kèm mỗi email
+   * @returns {number}
+   */
+  getBatchSize(batchSize, copyCount = 0) {
+    return Math.max(
+      1,
+      Math.min(
+        parseInt(batchSize) || CONFIG.BATCH.defaultSize,
+        CONFIG.BATCH.maxSize - copyCount
+      )
+    );
+  },
+
   /**
    * Validate email domain by checking MX records
    * @param {string} email - Email address to validate
@@ -260,6 +497,7 @@ const Utils = {
       return {
         valid: false,
         error: `Lỗi khi kiểm tra email: ${error.message}`,
+        checkError: true, // Lỗi khi kiểm tra, không phải địa chỉ sai
       };
     }
   },
@@ -684,18 +922,75 @@ const GmailAPIService = {
     return google.gmail({ version: "v1", auth: oauth2Client });
   },
 
+  /**
+   * Định dạng địa chỉ kèm tên hiển thị cho header (VD: "Nguyễn An" <an@example.com>)
+   * @param {string} email - Địa chỉ email
+   * @param {string|null} name - Tên hiển thị
+   * @returns {string}
+   */
+  formatAddress(email, name) {
+    if (!name) return email;
+    // Tên có ký tự ngoài ASCII được mã hóa theo RFC 2047
+    const encodedName = /^[\x20-\x7e]*$/.test(name)
+      ? `"${name.replace(/["\\]/g, "\\$&")}"`
+      : `=?UTF-8?B?${Buffer.from(name).toString("base64")}?=`;
+    return `${encodedName} <${email}>`;
+  },
+
+  /**
+   * Mã hóa giá trị header có ký tự ngoài ASCII theo RFC 2047 (VD: Subject tiếng Việt).
+   * Xuống dòng (CR/LF) được thay bằng dấu cách để không chèn được header khác.
+   * @param {string} value - Giá trị header
+   * @returns {string}
+   */
+  encodeHeader(value) {
+    const text = String(value || "").replace(/[\r\n]+/g, " ");
+    if (/^[\x20-\x7e]*$/.test(text)) return text;
+
+    // Mỗi encoded-word tối đa 75 ký tự: chia theo ký tự (không cắt giữa một ký tự UTF-8)
+    const words = [];
+    let chunk = "";
+    for (const char of text) {
+      if (Buffer.byteLength(chunk + char) > 45) {
+        words.push(chunk);
+        chunk = "";
+      }
+      chunk += char;
+    }
+    words.push(chunk);
+    return words
+      .map((word) => `=?UTF-8?B?${Buffer.from(word).toString("base64")}?=`)
+      .join("\r\n ");
+  },
+
   /**
    * Create email message in RFC 2822 format
    * @param {Object} options - Email options
    * @returns {string} Base64 encoded email message
    */
   createMessage(options) {
-    const { from, to, subject, text, html, displayName } = options;
+    const {
+      from,
+      to,
+      toName,
+      cc = [],
+      bcc = [],
+      subject,
+      text,
+      html,
+      displayName,
+      headers = {},
+    } = options;
 
     const message = [
       `From: "${displayName || from}" <${from}>`,
-      `To: ${to}`,
-      `Subject: ${subject}`,
+      `To: ${this.formatAddress(to, toName)}`,
+      // Gmail API gửi tới các địa chỉ trong Bcc và tự bỏ header Bcc khỏi email
+      ...(cc.length > 0 ? [`Cc: ${cc.join(", ")}`] : []),
+      ...(bcc.length > 0 ? [`Bcc: ${bcc.join(", ")}`] : []),
+      // Header bổ sung (VD: List-Unsubscribe)
+      ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+      `Subject: ${this.encodeHeader(subject)}`,
       `MIME-Version: 1.0`,
       `Content-Type: multipart/alternative; boundary="boundary123"`,
       ``,
@@ -726,15 +1021,34 @@ const GmailAPIService = {
    * @returns {Promise<Object>} Result object
    */
   async sendEmail(gmail, options) {
-    const { to, subject, text, html, from, displayName } = options;
+    const {
+      to,
+      toName,
+      cc,
+      bcc,
+      subject,
+      text,
+      html,
+      from,
+      displayName,
+      headers,
+    } = options;
 
+    // Tự đặt Message-ID để khớp được thư báo lỗi (DSN) với email đã gửi
+    const messageId = `<${crypto.randomUUID()}@${
+      from.split("@")[1] || "localhost"
+    }>`;
     const message = this.createMessage({
       from,
       to,
+      toName,
+      cc,
+      bcc,
       subject,
       text,
       html,
       displayName,
+      headers: { "Message-ID": messageId, ...headers },
     });
 
     try {
@@ -747,109 +1061,20 @@ const GmailAPIService = {
 
       return {
         success: true,
-        messageId: response.data.id,
+        messageId,
+        gmailId: response.data.id,
         threadId: response.data.threadId,
       };
     } catch (error) {
-      // Gmail API trả về lỗi chi tiết nếu email không tồn tại
-      const errorMessage = error.message || "";
-      const errorDetails = error.response?.data?.error || {};
-      const errorCode = error.code || "";
-      const statusCode = error.response?.status || 0;
-
-      // Log chi tiết để debug
+      // Lỗi được phân loại theo HTTP status và reason (SendErrorService.classify)
+      const details = SendErrorService.getGmailDetails(error);
       console.error("Gmail API Error Details:", {
-        message: errorMessage,
-        code: errorCode,
-        statusCode: statusCode,
-        errorDetails: errorDetails,
-        fullError: JSON.stringify(error, Object.getOwnPropertyNames(error)),
-      });
-
-      // Kiểm tra error code và status code
-      const errorMessageLower = errorMessage.toLowerCase();
-      const errorDetailsMessage = (errorDetails.message || "").toLowerCase();
-      const errorDetailsReason = (
-        errorDetails.errors?.[0]?.reason || ""
-      ).toLowerCase();
-      const errorDetailsDomain = (
-        errorDetails.errors?.[0]?.domain || ""
-      ).toLowerCase();
-
-      // Kiểm tra các lỗi phổ biến về email không tồn tại
-      const isInvalidEmailError =
-        // SMTP error codes
-        errorMessageLower.includes("550") ||
-        errorMessageLower.includes("551") ||
-        errorMessageLower.includes("553") ||
-        errorMessageLower.includes("550-5.1.1") ||
-        errorMessageLower.includes("550 5.1.1") ||
-        errorMessageLower.includes("550 5.7.1") ||
-        // Common error messages
-        errorMessageLower.includes("not found") ||
-        errorMessageLower.includes("does not exist") ||
-        errorMessageLower.includes(
-          "email account that you tried to reach does not exist"
-        ) ||
-        errorMessageLower.includes(
-          "the email account that you tried to reach does not exist"
-        ) ||
-        errorMessageLower.includes("nosuchuser") ||
-        errorMessageLower.includes("no such user") ||
-        errorMessageLower.includes("invalid") ||
-        errorMessageLower.includes("rejected") ||
-        errorMessageLower.includes("user unknown") ||
-        errorMessageLower.includes("address rejected") ||
-        errorMessageLower.includes("mailbox unavailable") ||
-        errorMessageLower.includes("recipient address rejected") ||
-        errorMessageLower.includes("unable to deliver") ||
-        errorMessageLower.includes("delivery failed") ||
-        errorMessageLower.includes("thư của bạn không được gửi") ||
-        errorMessageLower.includes("không tìm thấy địa chỉ") ||
-        errorMessageLower.includes("không thể tìm thấy địa chỉ") ||
-        errorMessageLower.includes("địa chỉ không thể nhận thư") ||
-        errorMessageLower.includes("không thể nhận thư") ||
-        // Error details
-        errorDetailsMessage.includes("550") ||
-        errorDetailsMessage.includes("not found") ||
-        errorDetailsMessage.includes("does not exist") ||
-        errorDetailsMessage.includes(
-          "email account that you tried to reach does not exist"
-        ) ||
-        errorDetailsMessage.includes(
-          "the email account that you tried to reach does not exist"
-        ) ||
-        errorDetailsMessage.includes("nosuchuser") ||
-        errorDetailsMessage.includes("no such user") ||
-        errorDetailsMessage.includes("invalid") ||
-        errorDetailsMessage.includes("rejected") ||
-        errorDetailsMessage.includes("user unknown") ||
-        errorDetailsMessage.includes("address rejected") ||
-        errorDetailsMessage.includes("mailbox unavailable") ||
-        errorDetailsMessage.includes("recipient address rejected") ||
-        errorDetailsMessage.includes("unable to deliver") ||
-        errorDetailsMessage.includes("delivery failed") ||
-        errorDetailsMessage.includes("thư của bạn không được gửi") ||
-        errorDetailsMessage.includes("không tìm thấy địa chỉ") ||
-        errorDetailsMessage.includes("không thể tìm thấy địa chỉ") ||
-        errorDetailsMessage.includes("địa chỉ không thể nhận thư") ||
-        errorDetailsMessage.includes("không thể nhận thư") ||
-        // Gmail API specific error reasons
-        errorDetailsReason.includes("invalid") ||
-        errorDetailsReason.includes("rejected") ||
-        errorDetailsReason.includes("nosuchuser") ||
-        errorDetailsReason.includes("no such user") ||
-        // Status codes that indicate invalid email
-        statusCode === 400 || // Bad Request
-        statusCode === 422; // Unprocessable Entity
-
-      if (isInvalidEmailError) {
-        const detailedError =
-          errorDetails.message ||
-          errorDetails.errors?.[0]?.message ||
-          errorMessage;
-        throw new Error(`Không tìm thấy địa chỉ email: ${detailedError}`);
-      }
+        message: error.message,
+        code: error.code,
+        statusCode: details.status,
+        reason: details.reason,
+        errorDetails: error.response?.data?.error,
+      });
 
       throw error;
     }
@@ -863,12 +1088,13 @@ const DatabaseHelper = {
   /**
    * Lấy hoặc tạo email trong bảng emails
    * @param {string} email - Email address
+   * @param {Object} db - Nơi chạy query (client của transaction), mặc định là pool
    * @returns {Promise<number>} Email ID
    */
-  async getOrCreateEmail(email) {
+  async getOrCreateEmail(email, db = { query }) {
     try {
       // Tìm email trong bảng emails
-      let result = await query("SELECT id FROM emails WHERE email = $1", [
+      let result = await db.query("SELECT id FROM emails WHERE email = $1", [
         email,
       ]);
 
@@ -877,7 +1103,7 @@ const DatabaseHelper = {
       }
 
       // Nếu chưa có, tạo mới
-      result = await query(
+      result = await db.query(
         "INSERT INTO emails (email) VALUES ($1) ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email RETURNING id",
         [email]
       );
@@ -889,6 +1115,25 @@ const DatabaseHelper = {
     }
   },
 
+  /**
+   * Lấy thông tin liên hệ (tên, locale, attributes...) của nhiều người nhận
+   * @param {string[]} emails - Danh sách email
+   * @returns {Promise<Map>} Email (chữ thường) -> dòng emails
+   */
+  async getContacts(emails) {
+    const contacts = new Map();
+    if (emails.length === 0) return contacts;
+
+    const result = await query(
+      "SELECT * FROM emails WHERE LOWER(email) = ANY($1::text[])",
+      [emails.map((email) => email.toLowerCase())]
+    );
+    result.rows.forEach((row) => {
+      contacts.set(row.email.toLowerCase(), row);
+    });
+    return contacts;
+  },
+
   /**
    * Lấy email từ email_id
    * @param {number} emailId - Email ID
@@ -908,23 +1153,27 @@ const DatabaseHelper = {
 
   /**
    * Lưu email failed vào database ngay lập tức
-   * Đảm bảo mỗi email chỉ lưu một lần duy nhất, không ghi đè
-   * @param {number} jobId - Job ID
+   * Đảm bảo mỗi email chỉ lưu một lần duy nhất trong một lần chạy, không ghi đè
+   * @param {number|null} jobId - Job ID (null: run gửi trực tiếp job chưa lưu trong database)
    * @param {string} email - Email address
    * @param {string} error - Error message
    * @param {string} method - Method used (Gmail API or SMTP)
+   * @param {number|null} runId - Run ID (job_runs) của lần chạy gặp lỗi
+   * @param {Object} details - Phân loại lỗi từ SendErrorService.getFields
+   * @param {Object|null} db - Client của transaction: có thì lỗi được throw để rollback cả transaction
    */
-  async saveFailedEmail(jobId, email, error, method = "SMTP") {
+  async saveFailedEmail(
+    jobId,
+    email,
+    error,
+    method = "SMTP",
+    runId = null,
+    details = {},
+    db = null
+  ) {
+    const client = db || { query };
     try {
-      // Debug: Log thông tin đầu vào
-      console.log(
-        `🔍 Debug saveFailedEmail: jobId=${jobId}, email=${email}, error=${error?.substring(
-          0,
-          50
-        )}..., method=${method}`
-      );
-
-      if (!jobId || !email || !error) {
+      if ((!jobId && !runId) || !email || !error) {
         console.warn(
           `⚠️ Không lưu email failed vào database vì thiếu thông tin: jobId=${jobId}, email=${email}, error=${error}`
         );
@@ -932,25 +1181,31 @@ const DatabaseHelper = {
       }
 
       // Lấy hoặc tạo email_id
-      const emailId = await this.getOrCreateEmail(email);
+      const emailId = await this.getOrCreateEmail(email, client);
 
       // Kiểm tra xem bảng failed_emails có tồn tại không, nếu không thì tạo
-      await query(`
+      await client.query(`
         CREATE TABLE IF NOT EXISTS failed_emails (
           id SERIAL PRIMARY KEY,
           job_id INTEGER REFERENCES jobs(id) ON DELETE CASCADE,
           email_id INTEGER REFERENCES emails(id) ON DELETE CASCADE,
           error TEXT NOT NULL,
           method VARCHAR(50),
+          bounce_type VARCHAR(10),
+          error_category VARCHAR(30),
+          smtp_code INTEGER,
+          enhanced_status VARCHAR(15),
+          error_reason VARCHAR(100),
+          run_id INTEGER REFERENCES job_runs(id) ON DELETE SET NULL,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         )
       `);
 
-      // Kiểm tra xem email đã được lưu chưa để tránh ghi đè
-      const existingCheck = await query(
+      // Kiểm tra xem email đã được lưu trong lần chạy này chưa để tránh ghi đè
+      const existingCheck = await client.query(
         `SELECT id FROM failed_emails 
-         WHERE job_id = $1 AND email_id = $2`,
-        [jobId, emailId]
+         WHERE job_id IS NOT DISTINCT FROM $1 AND email_id = $2 AND run_id IS NOT DISTINCT FROM $3`,
+        [jobId, emailId, runId]
       );
 
       if (existingCheck.rows.length > 0) {
@@ -961,10 +1216,22 @@ const DatabaseHelper = {
       }
 
       // Lưu email failed (chỉ lưu một lần duy nhất)
-      await query(
-        `INSERT INTO failed_emails (job_id, email_id, error, method)
-         VALUES ($1, $2, $3, $4)`,
-        [jobId, emailId, error, method]
+      await client.query(
+        `INSERT INTO failed_emails
+           (job_id, email_id, error, method, run_id, bounce_type, error_category, smtp_code, enhanced_status, error_reason)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          jobId,
+          emailId,
+          error,
+          method,
+          runId,
+          details.bounce_type || null,
+          details.error_category || null,
+          details.smtp_code || null,
+          details.enhanced_status || null,
+          details.error_reason || null,
+        ]
       );
 
       console.log(
@@ -974,17 +1241,115 @@ const DatabaseHelper = {
       console.error("❌ Lỗi khi lưu email failed vào database:", dbError);
       console.error("   Chi tiết:", dbError.message);
       console.error("   Stack:", dbError.stack);
+      // Trong transaction: throw để rollback cả transaction
+      if (db) throw dbError;
+      // Không throw error, chỉ log để không ảnh hưởng đến quá trình gửi email
+    }
+  },
+
+  /**
+   * Lưu kết quả gửi cuối cùng cho một người nhận của một lần chạy (thành công hoặc thất bại)
+   * @param {Object} delivery - { runId, jobId, email, status, messageId, response, error, details, method, attempts, sentAt }
+   *   details: phân loại lỗi từ SendErrorService.getFields
+   */
+  async saveDelivery({
+    runId,
+    jobId,
+    email,
+    status,
+    messageId = null,
+    response = null,
+    error = null,
+    details = {},
+    method = null,
+    attempts = 1,
+    sentAt = new Date(),
+  }) {
+    try {
+      // Gắn với bảng emails để tra cứu lịch sử theo người nhận
+      const emailId = await this.getOrCreateEmail(email);
+
+      await query(
+        `INSERT INTO email_deliveries
+           (run_id, job_id, email_id, email, status, message_id, smtp_response, error,
+            error_category, smtp_code, enhanced_status, error_reason, method, attempts, sent_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+        [
+          runId,
+          jobId,
+          emailId,
+          email,
+          status,
+          messageId,
+          response,
+          error,
+          details.error_category || null,
+          details.smtp_code || null,
+          details.enhanced_status || null,
+          details.error_reason || null,
+          method,
+          attempts,
+          sentAt,
+        ]
+      );
+    } catch (dbError) {
+      console.error(
+        `❌ Lỗi khi lưu kết quả gửi đến ${email} (run #${runId}):`,
+        dbError.message
+      );
       // Không throw error, chỉ log để không ảnh hưởng đến quá trình gửi email
     }
   },
 
+  /**
+   * Ghi một người nhận được gửi trực tiếp (/api/run-job) vào send_queue và send_attempts như
+   * SendWorker, để lần gửi được tính vào giới hạn gửi/24 giờ và tốc độ gửi của email gửi
+   * @param {Object} item - { runId, email, status, error, attempted, temporary, batchId, copyCount }
+   *   attempted: đã thử gửi hay chưa (người nhận bị chặn hoặc hết lượt gửi thì không có lần thử)
+   */
+  async saveDirectItem({
+    runId,
+    email,
+    status,
+    error = null,
+    attempted = true,
+    temporary = false,
+    batchId = null,
+    copyCount = 0,
+  }) {
+    const now = new Date();
+    const queueResult = await query(
+      `INSERT INTO send_queue (run_id, email, status, error, attempts, processed_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [runId, email, status, error, attempted ? 1 : 0, now]
+    );
+    if (!attempted) return;
+
+    await query(
+      `INSERT INTO send_attempts (queue_id, run_id, attempt, status, temporary, error, batch_id, copy_count, created_at)
+       VALUES ($1, $2, 1, $3, $4, $5, $6, $7, $8)`,
+      [
+        queueResult.rows[0].id,
+        runId,
+        status === "sent" ? "sent" : "failed",
+        temporary,
+        error,
+        batchId,
+        copyCount,
+        now,
+      ]
+    );
+  },
+
   /**
    * Lấy emails của một job theo type
    * @param {number} jobId - Job ID
    * @param {string} type - Email type ('from', 'to', 'cc', 'bcc')
+   * @param {Object} db - Nơi chạy query (client của transaction), mặc định là pool
    * @returns {Promise<string[]>} Array of email addresses
    */
-  async getJobEmails(jobId, type = null) {
+  async getJobEmails(jobId, type = null, db = { query }) {
     try {
       let queryText = `
         SELECT e.email 
@@ -999,7 +1364,7 @@ const DatabaseHelper = {
         params.push(type);
       }
 
-      const result = await query(queryText, params);
+      const result = await db.query(queryText, params);
       return result.rows.map((row) => row.email);
     } catch (error) {
       console.error("❌ Lỗi khi lấy emails của job:", error);
@@ -1012,8 +1377,9 @@ const DatabaseHelper = {
    * @param {number} jobId - Job ID
    * @param {string|string[]} emails - Email address(es)
    * @param {string} type - Email type ('from', 'to', 'cc', 'bcc')
+   * @param {Object} db - Nơi chạy query (client của transaction), mặc định là pool
    */
-  async saveJobEmails(jobId, emails, type) {
+  async saveJobEmails(jobId, emails, type, db = { query }) {
     try {
       const emailArray = Array.isArray(emails) ? emails : [emails];
 
@@ -1021,10 +1387,10 @@ const DatabaseHelper = {
         if (!email || email.trim() === "") continue;
 
         // Lấy hoặc tạo email_id
-        const emailId = await this.getOrCreateEmail(email.trim());
+        const emailId = await this.getOrCreateEmail(email.trim(), db);
 
         // Lưu vào job_emails
-        await query(
+        await db.query(
           `INSERT INTO job_emails (job_id, email_id, type)
            VALUES ($1, $2, $3)
            ON CONFLICT (job_id, email_id, type) DO NOTHING`,
@@ -1060,123 +1426,656 @@ const DatabaseHelper = {
 };
 
 // ============================================
-// Email Service
+// Template Service (mail merge)
 // ============================================
-const EmailService = {
+const TemplateService = {
+  // Placeholder trong tiêu đề/nội dung email: {{ tên_biến | bộ_lọc | bộ_lọc: "tham số" }}
+  PATTERN: /\{\{([^{}]*)\}\}/g,
+  // Bộ lọc được hỗ trợ
+  FILTERS: ["default", "upper", "lower", "date"],
+  // Biến giống nhau với mọi người nhận (dùng được cả khi gửi gộp BCC)
+  SHARED_VARIABLES: ["from_email", "job_name", "today"],
+
   /**
-   * Send email using Gmail API (preferred) or SMTP (fallback)
-   * @param {Object} job - Job object
-   * @returns {Promise<Object>} Result object
+   * Phân tích nội dung của một placeholder, VD: first_name | upper | default: "bạn"
+   * @param {string} expression - Nội dung giữa {{ và }}
+   * @returns {Object} { name, filters: [{ name, arg }] }
    */
-  async sendEmail(job) {
-    const {
-      emailTo,
-      emailSubject,
-      emailBody,
-      emailFrom,
-      appPassword,
-      // Gmail API OAuth2 credentials (optional, if not provided, will use SMTP)
-      clientId,
-      clientSecret,
-      refreshToken,
-      id: jobId, // Job ID từ database (nếu có)
-    } = job;
-
-    // Validate required fields
-    if (!emailFrom) {
-      throw new Error("Thiếu email gửi (emailFrom)");
+  parseExpression(expression) {
+    // Tách theo dấu | nằm ngoài dấu nháy
+    const parts = expression.match(/(?:[^|"']+|"[^"]*"|'[^']*')+/g) || [];
+    const name = (parts[0] || "").trim();
+    if (!/^[A-Za-z_]\w*$/.test(name)) {
+      throw JobRunner.createError(
+        400,
+        `Tên biến không hợp lệ: {{${expression}}}`
+      );
     }
 
-    // Check if Gmail API credentials are provided
-    const useGmailAPI = clientId && clientSecret && refreshToken;
+    const filters = parts.slice(1).map((part) => {
+      const match = part
+        .trim()
+        .match(/^(\w+)\s*(?::\s*(?:"([^"]*)"|'([^']*)'))?$/);
+      const arg = match ? (match[2] !== undefined ? match[2] : match[3]) : null;
+      if (
+        !match ||
+        !this.FILTERS.includes(match[1]) ||
+        (match[1] === "default" && arg === undefined)
+      ) {
+        throw JobRunner.createError(
+          400,
+          `Bộ lọc không hợp lệ trong {{${expression}}}: ${part.trim()}. Hỗ trợ: default: "giá trị", upper, lower, date: "DD/MM/YYYY"`
+        );
+      }
+      return { name: match[1], arg };
+    });
 
-    if (!useGmailAPI && !appPassword) {
-      throw new Error(
-        "Thiếu thông tin xác thực. Cần có:\n" +
-          "1. Gmail API OAuth2 (clientId, clientSecret, refreshToken) HOẶC\n" +
-          "2. App Password (appPassword)\n\n" +
-          "Để sử dụng Gmail API:\n" +
-          "1. Vào https://console.cloud.google.com/\n" +
-          "2. Tạo OAuth2 credentials\n" +
-          "3. Nhập clientId, clientSecret, refreshToken vào form"
+    return { name, filters };
+  },
+
+  /**
+   * Kiểm tra cú pháp template
+   * @param {string|undefined} template - Tiêu đề hoặc nội dung email
+   * @param {string} label - Tên trường trong thông báo lỗi
+   * @returns {string|null} Thông báo lỗi hoặc null nếu hợp lệ
+   */
+  validate(template, label) {
+    if (!template) return null;
+    try {
+      const rest = String(template).replace(
+        this.PATTERN,
+        (match, expression) => {
+          this.parseExpression(expression);
+          return "";
+        }
       );
+      if (rest.includes("{{")) {
+        return `${label}: thiếu "}}" để đóng biến`;
+      }
+      return null;
+    } catch (error) {
+      return `${label}: ${error.message}`;
     }
+  },
 
-    // Initialize Gmail API client if credentials are provided
-    let gmail = null;
-    if (useGmailAPI) {
-      try {
-        console.log("🔐 Đang khởi tạo Gmail API client...");
-        gmail = GmailAPIService.createGmailClient({
-          clientId,
-          clientSecret,
-          refreshToken,
+  /**
+   * Điền biến vào template
+   * @param {string} template - Tiêu đề hoặc nội dung email
+   * @param {Object} variables - Tên biến -> giá trị
+   * @param {Object} options - { html }: escape giá trị của biến để chèn vào phần HTML của email
+   * @returns {Object} { text, missing } - missing: các biến bắt buộc (không có default) bị thiếu
+   */
+  render(template, variables, { html = false } = {}) {
+    const missing = [];
+    const text = String(template || "").replace(
+      this.PATTERN,
+      (match, expression) => {
+        const { name, filters } = this.parseExpression(expression);
+        let value = variables[name];
+        filters.forEach((filter) => {
+          value = this.applyFilter(filter, value);
         });
-        console.log("✅ Gmail API client đã được khởi tạo");
-      } catch (error) {
-        throw new Error(
-          `Không thể khởi tạo Gmail API client. Lỗi: ${error.message}`
-        );
+
+        if (this.isEmpty(value)) {
+          // Biến có default được phép để trống
+          if (filters.some((filter) => filter.name === "default")) return "";
+          missing.push(name);
+          return match;
+        }
+        return html ? Utils.escapeHtml(value) : String(value);
       }
+    );
+    return { text, missing };
+  },
+
+  /**
+   * @param {*} value
+   * @returns {boolean} true nếu giá trị bị coi là thiếu (undefined, null, chuỗi rỗng)
+   */
+  isEmpty(value) {
+    return value === undefined || value === null || value === "";
+  },
+
+  /**
+   * Áp dụng một bộ lọc lên giá trị của biến
+   * @param {Object} filter - { name, arg }
+   * @param {*} value - Giá trị hiện tại
+   * @returns {*} Giá trị sau khi lọc
+   */
+  applyFilter({ name, arg }, value) {
+    if (name === "default") return this.isEmpty(value) ? arg : value;
+    if (this.isEmpty(value)) return value;
+
+    switch (name) {
+      case "upper":
+        return String(value).toUpperCase();
+      case "lower":
+        return String(value).toLowerCase();
+      case "date":
+        return this.formatDate(value, arg || "DD/MM/YYYY");
+      default:
+        return value;
     }
+  },
 
-    // Create SMTP transporter as fallback (only if not using Gmail API)
-    let transporter = null;
-    if (!useGmailAPI) {
-      // Clean app password: loại bỏ khoảng trắng thừa (Gmail App Password thường có dạng "xxxx xxxx xxxx xxxx")
-      const cleanAppPassword = appPassword
-        ? appPassword.trim().replace(/\s+/g, "")
-        : null;
+  /**
+   * Định dạng ngày theo các token YYYY, MM, DD, HH, mm (giờ của server)
+   * @param {Date|string} value - Date hoặc chuỗi ngày (VD: "2024-03-15")
+   * @param {string} format - VD: "DD/MM/YYYY"
+   * @returns {string} Chuỗi đã định dạng, hoặc giá trị gốc nếu không phải ngày hợp lệ
+   */
+  formatDate(value, format) {
+    // Ngày không có giờ được hiểu theo giờ của server, không phải UTC
+    const dateOnly = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date =
+      value instanceof Date
+        ? value
+        : dateOnly
+        ? new Date(dateOnly[1], dateOnly[2] - 1, dateOnly[3])
+        : new Date(value);
+    if (isNaN(date.getTime())) return value;
+
+    const pad = (number) => String(number).padStart(2, "0");
+    const tokens = {
+      YYYY: date.getFullYear(),
+      MM: pad(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      HH: pad(date.getHours()),
+      mm: pad(date.getMinutes()),
+    };
+    return format.replace(/YYYY|MM|DD|HH|mm/g, (token) => tokens[token]);
+  },
 
-      console.log(
-        `🔐 SMTP Config: emailFrom=${emailFrom}, appPassword length=${
-          cleanAppPassword ? cleanAppPassword.length : 0
-        }`
-      );
+  /**
+   * Biến của một người nhận: thông tin liên hệ (bảng emails) và các biến có sẵn
+   * @param {Object} job - Job object (recipientContacts từ prepare)
+   * @param {string|null} recipient - Email người nhận, null = chỉ lấy biến dùng chung (gộp BCC)
+   * @returns {Object} Tên biến -> giá trị
+   */
+  getVariables(job, recipient = null) {
+    const shared = {
+      from_email: job.emailFrom,
+      job_name: job.name,
+      today: new Date(),
+    };
+    if (!recipient) return shared;
 
-      // Validate app password format trước khi tạo transporter
-      if (cleanAppPassword && cleanAppPassword.length !== 16) {
-        throw new Error(
-          `App Password không hợp lệ. Phải có đúng 16 ký tự (sau khi loại bỏ khoảng trắng). Hiện tại: ${cleanAppPassword.length} ký tự.`
-        );
-      }
+    const contact = ContactService.getContact(job, recipient);
+    return {
+      ...ContactService.toVariables(contact),
+      ...shared,
+      email: recipient,
+      unsubscribe_url: SuppressionService.getUnsubscribeUrl(recipient, job.id),
+    };
+  },
 
-      transporter = nodemailer.createTransport({
-        host: CONFIG.GMAIL_SMTP.host,
-        port: CONFIG.GMAIL_SMTP.port,
-        secure: CONFIG.GMAIL_SMTP.secure,
-        auth: {
-          user: emailFrom,
-          pass: cleanAppPassword,
-        },
-      });
+  /**
+   * Điền biến của người nhận vào tiêu đề và nội dung email
+   * @param {Object} job - Job object
+   * @param {string|null} recipient - Email người nhận, null khi gửi gộp BCC
+   * @returns {Object} { emailSubject, emailBody, emailHtml, missing } - emailHtml: phần HTML,
+   *   giá trị của biến đã được escape (VD: tên liên hệ có ký tự "<")
+   */
+  renderEmail(job, recipient = null) {
+    const variables = this.getVariables(job, recipient);
+    const subject = this.render(job.emailSubject, variables);
+    const body = this.render(job.emailBody, variables);
+    const html = this.render(job.emailBody, variables, { html: true });
+    return {
+      // Tiêu đề là một dòng header: giá trị mail merge có xuống dòng được thay bằng dấu cách
+      emailSubject: subject.text.replace(/[\r\n]+/g, " "),
+      emailBody: body.text,
+      emailHtml: html.text.replace(/\n/g, "<br>"),
+      missing: [...new Set([...subject.missing, ...body.missing])],
+    };
+  },
 
-      // Verify connection
-      try {
-        await transporter.verify();
-        console.log("✅ Kết nối SMTP thành công");
-      } catch (error) {
-        throw new Error(
-          `Không thể kết nối SMTP. Lỗi: ${error.message}\n\n` +
-            `Vui lòng kiểm tra:\n` +
-            `1. Email và App Password đúng\n` +
-            `2. Đã bật 2-Step Verification trong Gmail\n` +
-            `3. App Password được tạo đúng cách`
+  /**
+   * Nạp thông tin liên hệ của người nhận vào job và kiểm tra trước khi gửi:
+   * thiếu biến bắt buộc ở bất kỳ người nhận nào thì dừng ngay, không gửi email nào
+   * @param {Object} job - Job object (được gán recipientContacts)
+   * @param {string[]} recipients - Email người nhận sẽ gửi
+   * @throws {Error} status 400 liệt kê biến bị thiếu
+   */
+  async prepare(job, recipients) {
+    job.recipientContacts = await DatabaseHelper.getContacts(recipients);
+
+    const formatNames = (names) =>
+      names.map((name) => `{{${name}}}`).join(", ");
+
+    // Gộp BCC: một nội dung cho cả batch, chỉ có biến dùng chung
+    if (job.deliveryMode === "bcc_batch") {
+      const { missing } = this.renderEmail(job);
+      if (missing.length > 0) {
+        throw JobRunner.createError(
+          400,
+          `Gửi gộp BCC không cá nhân hóa được theo người nhận, thiếu biến: ${formatNames(
+            missing
+          )}. Chỉ dùng được ${formatNames(
+            this.SHARED_VARIABLES
+          )} hoặc biến có default`
         );
       }
+      return;
     }
 
-    let sentCount = 0;
-    const errors = [];
-    const successfulEmails = []; // Theo dõi các email đã gửi thành công
+    const problems = [];
+    for (const recipient of new Set(recipients)) {
+      const { missing } = this.renderEmail(job, recipient);
+      if (missing.length > 0) {
+        problems.push(`${recipient} (${formatNames(missing)})`);
+      }
+    }
+    if (problems.length > 0) {
+      const shown = problems.slice(0, 10).join(", ");
+      const more =
+        problems.length > 10
+          ? ` và ${problems.length - 10} người nhận khác`
+          : "";
+      throw JobRunner.createError(
+        400,
+        `Thiếu biến bắt buộc cho ${problems.length} người nhận: ${shown}${more}`
+      );
+    }
+  },
+};
+
+// ============================================
+// Send Error Service (phân loại lỗi gửi)
+// ============================================
+const SendErrorService = {
+  // Nhóm lỗi khi gửi (failed_emails.error_category, email_deliveries.error_category)
+  CATEGORIES: [
+    "bad_mailbox", // Địa chỉ không nhận được thư (không tồn tại, domain sai, hộp thư bị khóa)
+    "policy_block", // Máy chủ nhận từ chối theo chính sách (spam, chặn người gửi...)
+    "auth", // Email gửi không xác thực được (sai App Password/OAuth2, thiếu quyền)
+    "throttled", // Vượt giới hạn tốc độ/hạn mức gửi
+    "transient", // Lỗi tạm thời (mất kết nối, máy chủ bận, hộp thư đầy...)
+    "other", // Lỗi khác (nội dung, giao thức, thiếu biến mail merge...)
+  ],
+  // Tiền tố thông báo lỗi theo nhóm
+  LABELS: {
+    bad_mailbox: "Không tìm thấy địa chỉ",
+    policy_block: "Bị máy chủ nhận chặn",
+    auth: "Lỗi xác thực email gửi",
+    throttled: "Vượt giới hạn gửi",
+    transient: "Lỗi tạm thời",
+    other: "Lỗi gửi email",
+  },
+  // Mã SMTP của lỗi xác thực (RFC 4954)
+  AUTH_SMTP_CODES: [530, 534, 535, 538],
+  // Reason của Gmail API (error.errors[].reason, lỗi OAuth2) -> nhóm lỗi
+  GMAIL_REASONS: {
+    rateLimitExceeded: "throttled",
+    userRateLimitExceeded: "throttled",
+    dailyLimitExceeded: "throttled",
+    quotaExceeded: "throttled",
+    concurrentLimitExceeded: "throttled",
+    authError: "auth",
+    unauthorized: "auth",
+    insufficientPermissions: "auth",
+    failedPrecondition: "auth", // Tài khoản chưa bật Gmail
+    invalid_grant: "auth", // Refresh token hết hạn hoặc bị thu hồi
+    invalid_client: "auth",
+    domainPolicy: "policy_block",
+    invalidArgument: "bad_mailbox", // Gmail API từ chối địa chỉ người nhận sai định dạng
+    backendError: "transient",
+    internalError: "transient",
+  },
+
+  /**
+   * Thông tin lỗi của Gmail API (googleapis) nếu có
+   * @param {Error} error
+   * @returns {Object} { status, reason, message }
+   */
+  getGmailDetails(error) {
+    const data = error.response?.data || {};
+    // Lỗi OAuth2 trả về { error: "invalid_grant", error_description }, lỗi API trả về { error: { code, message, errors } }
+    const apiError = typeof data.error === "object" ? data.error : {};
+    const status =
+      Number(error.response?.status) ||
+      Number(apiError.code) ||
+      Number(error.status) ||
+      null;
+    return {
+      status,
+      reason:
+        (typeof data.error === "string" ? data.error : null) ||
+        apiError.errors?.[0]?.reason ||
+        error.errors?.[0]?.reason ||
+        apiError.status ||
+        null,
+      message:
+        data.error_description ||
+        apiError.message ||
+        apiError.errors?.[0]?.message ||
+        null,
+    };
+  },
+
+  /**
+   * Tách mã SMTP (reply code) và mã trạng thái mở rộng (RFC 3463) từ lỗi hoặc phản hồi SMTP
+   * @param {Error|Object} error - Lỗi nodemailer ({ responseCode, response, message }) hoặc { response }
+   * @returns {Object} { smtpCode, enhancedStatus }
+   */
+  parseSmtp(error) {
+    const response = typeof error.response === "string" ? error.response : "";
+    // Không có phản hồi riêng: chỉ tin thông báo lỗi bắt đầu bằng mã SMTP (VD: "451 4.7.0 ...")
+    const message = /^[2-5]\d\d[\s-]/.test(error.message || "")
+      ? error.message
+      : "";
+    const text = response || message;
+
+    const codeMatch = text.match(/^([2-5]\d\d)[\s-]/);
+    const smtpCode =
+      Number(error.responseCode) || (codeMatch ? Number(codeMatch[1]) : null);
+    const enhancedMatch = text.match(/\b([245]\.\d{1,3}\.\d{1,3})\b/);
+    return {
+      smtpCode,
+      enhancedStatus: enhancedMatch ? enhancedMatch[1] : null,
+    };
+  },
+
+  /**
+   * Nhóm lỗi theo mã trạng thái mở rộng (RFC 3463: class.subject.detail)
+   * @param {string} enhancedStatus - VD: "5.1.1"
+   * @param {number|null} smtpCode - Mã SMTP đi kèm
+   * @returns {string|null} Nhóm lỗi hoặc null nếu mã không đủ thông tin (X.0.0)
+   */
+  fromEnhancedStatus(enhancedStatus, smtpCode) {
+    const [statusClass, subject, detail] = enhancedStatus
+      .split(".")
+      .map(Number);
+    const temporary = statusClass === 4;
+
+    switch (subject) {
+      case 1: // Địa chỉ
+        // X.1.7, X.1.8: địa chỉ người gửi bị từ chối
+        return detail === 7 || detail === 8 ? "policy_block" : "bad_mailbox";
+      case 2: // Hộp thư
+        if (detail === 1) return "bad_mailbox"; // Hộp thư bị khóa
+        if (detail === 2) return "transient"; // Hộp thư đầy
+        return temporary ? "transient" : "other";
+      case 4: // Mạng và định tuyến
+        if (detail === 5) return "throttled"; // Quá tải (Gmail: 5.4.5 hết hạn mức gửi/ngày)
+        if (detail === 4 && !temporary) return "bad_mailbox"; // Không định tuyến được tới domain
+        return "transient";
+      case 7: // Bảo mật và chính sách
+        if ([8, 9, 11, 12].includes(detail)) return "auth";
+        if (temporary) {
+          // Gmail: 421 4.7.0, 4.7.28 khi gửi quá nhanh; 4.7.1 thường là greylisting
+          return smtpCode === 421 || detail === 28 ? "throttled" : "transient";
+        }
+        return "policy_block";
+      case 0:
+        return null;
+      default:
+        // X.3 hệ thống, X.5 giao thức, X.6 nội dung
+        return temporary ? "transient" : "other";
+    }
+  },
+
+  /**
+   * Nhóm lỗi theo mã SMTP khi không có mã trạng thái mở rộng
+   * @param {number} smtpCode
+   * @returns {string}
+   */
+  fromSmtpCode(smtpCode) {
+    if (this.AUTH_SMTP_CODES.includes(smtpCode)) return "auth";
+    if (smtpCode === 421) return "throttled";
+    if (smtpCode >= 400 && smtpCode < 500) return "transient";
+    if ([550, 551, 553].includes(smtpCode)) return "bad_mailbox";
+    if (smtpCode === 554) return "policy_block";
+    return "other";
+  },
+
+  /**
+   * Nhóm lỗi theo HTTP status và reason của Gmail API
+   * @param {Object} gmail - Kết quả getGmailDetails
+   * @returns {string}
+   */
+  fromGmail({ status, reason }) {
+    if (reason && this.GMAIL_REASONS[reason]) return this.GMAIL_REASONS[reason];
+    if (status === 401) return "auth";
+    if (status === 429) return "throttled";
+    if (status >= 500) return "transient";
+    if (status === 403) return "policy_block";
+    return "other";
+  },
+
+  /**
+   * Phân loại lỗi khi gửi (nodemailer hoặc Gmail API)
+   * @param {Error|Object} error - Lỗi, hoặc { response } với phản hồi SMTP không thành công
+   * @returns {Object} { category, temporary, smtpCode, enhancedStatus, reason }
+   */
+  classify(error) {
+    const { smtpCode, enhancedStatus } = this.parseSmtp(error);
+    const gmail = this.getGmailDetails(error);
+
+    let category = null;
+    if (error.code === "EAUTH" || this.AUTH_SMTP_CODES.includes(smtpCode)) {
+      category = "auth";
+    }
+    if (!category && enhancedStatus) {
+      category = this.fromEnhancedStatus(enhancedStatus, smtpCode);
+    }
+    if (!category && smtpCode) {
+      category = this.fromSmtpCode(smtpCode);
+    }
+    if (!category && (gmail.status || gmail.reason)) {
+      category = this.fromGmail(gmail);
+    }
+    if (!category) {
+      category = TEMPORARY_ERROR_CODES.includes(error.code)
+        ? "transient"
+        : "other";
+    }
+
+    // Mã SMTP quyết định lỗi tạm thời (4xx) hay vĩnh viễn (5xx); vượt giới hạn gửi luôn gửi lại được
+    let temporary;
+    if (category === "throttled") {
+      temporary = true;
+    } else if (smtpCode) {
+      temporary = smtpCode >= 400 && smtpCode < 500;
+    } else if (enhancedStatus) {
+      temporary = enhancedStatus.startsWith("4.");
+    } else {
+      temporary = category === "transient";
+    }
+
+    return {
+      category,
+      temporary,
+      smtpCode: smtpCode || null,
+      enhancedStatus,
+      reason: gmail.reason,
+    };
+  },
+
+  /**
+   * Phân loại lỗi của một người nhận trong thư báo lỗi (DSN, RFC 3464)
+   * @param {string|null} status - Trường Status (VD: "5.1.1")
+   * @param {string|null} diagnosticCode - Trường Diagnostic-Code (VD: "smtp; 550 5.1.1 User unknown")
+   * @returns {Object} Kết quả như classify
+   */
+  classifyDsn(status, diagnosticCode) {
+    const response = (diagnosticCode || "").replace(/^[\w-]+;\s*/, "");
+    const { smtpCode } = this.parseSmtp({ response });
+    // Trường Status của DSN được ưu tiên hơn mã trạng thái trong Diagnostic-Code
+    return this.classify({
+      responseCode: smtpCode,
+      response: [status, response].filter(Boolean).join(" "),
+    });
+  },
+
+  /**
+   * Phân loại phản hồi SMTP của email đã được chấp nhận
+   * @param {string} response - VD: "250 2.0.0 OK"
+   * @returns {Object|null} Kết quả classify nếu phản hồi có mã SMTP không thành công, null nếu không
+   */
+  classifyResponse(response) {
+    const { smtpCode } = this.parseSmtp({ response });
+    if (!smtpCode || (smtpCode >= 200 && smtpCode < 400)) return null;
+    return this.classify({ response });
+  },
+
+  /**
+   * Tạo kết quả gửi thất bại của một người nhận kèm phân loại lỗi
+   * @param {string} recipient - Email người nhận
+   * @param {Object} failure - Kết quả classify hoặc { category } (lỗi phát hiện trước khi gửi)
+   * @param {string} error - Thông báo lỗi
+   * @param {Object} extra - Trường bổ sung (response, messageId...)
+   * @returns {Object} { success: false, email, error, temporary, bounceType, errorCategory, smtpCode, enhancedStatus, errorReason, ... }
+   */
+  toResult(recipient, failure, error, extra = {}) {
+    const temporary = Boolean(failure.temporary);
+    return {
+      success: false,
+      email: recipient,
+      error,
+      temporary,
+      // Bounce cứng: địa chỉ chắc chắn không nhận được thư
+      bounceType:
+        failure.category === "bad_mailbox" && !temporary ? "hard" : "soft",
+      errorCategory: failure.category,
+      smtpCode: failure.smtpCode || null,
+      enhancedStatus: failure.enhancedStatus || null,
+      errorReason: failure.reason || null,
+      ...extra,
+    };
+  },
+
+  /**
+   * Các cột phân loại lỗi để lưu vào failed_emails/email_deliveries
+   * @param {Object} result - Kết quả gửi (sendToRecipient, sendBatch)
+   * @returns {Object} { bounce_type, error_category, smtp_code, enhanced_status, error_reason }
+   */
+  getFields(result) {
+    if (result.success || result.suppressed) {
+      return {
+        bounce_type: null,
+        error_category: null,
+        smtp_code: null,
+        enhanced_status: null,
+        error_reason: null,
+      };
+    }
+    return {
+      bounce_type: result.bounceType || "soft",
+      error_category: result.errorCategory || "other",
+      smtp_code: result.smtpCode || null,
+      enhanced_status: result.enhancedStatus || null,
+      error_reason: result.errorReason || null,
+    };
+  },
+};
+
+// ============================================
+// Email Service
+// ============================================
+const EmailService = {
+  /**
+   * Khởi tạo phương thức gửi (Gmail API hoặc SMTP) và tên hiển thị cho job
+   * @param {Object} job - Job object
+   * @returns {Promise<Object>} Sender { useGmailAPI, gmail, transporter, displayName, method }
+   */
+  async createSender(job) {
+    const {
+      emailFrom,
+      appPassword,
+      // Gmail API OAuth2 credentials (optional, if not provided, will use SMTP)
+      clientId,
+      clientSecret,
+      refreshToken,
+    } = job;
+
+    // Validate required fields
+    if (!emailFrom) {
+      throw new Error("Thiếu email gửi (emailFrom)");
+    }
+
+    // Check if Gmail API credentials are provided
+    const useGmailAPI = clientId && clientSecret && refreshToken;
+
+    if (!useGmailAPI && !appPassword) {
+      throw new Error(
+        "Thiếu thông tin xác thực. Cần có:\n" +
+          "1. Gmail API OAuth2 (clientId, clientSecret, refreshToken) HOẶC\n" +
+          "2. App Password (appPassword)\n\n" +
+          "Để sử dụng Gmail API:\n" +
+          "1. Vào https://console.cloud.google.com/\n" +
+          "2. Tạo OAuth2 credentials\n" +
+          "3. Nhập clientId, clientSecret, refreshToken vào form"
+      );
+    }
+
+    // Initialize Gmail API client if credentials are provided
+    let gmail = null;
+    if (useGmailAPI) {
+      try {
+        console.log("🔐 Đang khởi tạo Gmail API client...");
+        gmail = GmailAPIService.createGmailClient({
+          clientId,
+          clientSecret,
+          refreshToken,
+        });
+        console.log("✅ Gmail API client đã được khởi tạo");
+      } catch (error) {
+        throw new Error(
+          `Không thể khởi tạo Gmail API client. Lỗi: ${error.message}`
+        );
+      }
+    }
+
+    // Create SMTP transporter as fallback (only if not using Gmail API)
+    let transporter = null;
+    if (!useGmailAPI) {
+      // Clean app password: loại bỏ khoảng trắng thừa (Gmail App Password thường có dạng "xxxx xxxx xxxx xxxx")
+      const cleanAppPassword = appPassword
+        ? appPassword.trim().replace(/\s+/g, "")
+        : null;
+
+      console.log(
+        `🔐 SMTP Config: emailFrom=${emailFrom}, appPassword length=${
+          cleanAppPassword ? cleanAppPassword.length : 0
+        }`
+      );
+
+      // Validate app password format trước khi tạo transporter
+      if (cleanAppPassword && cleanAppPassword.length !== 16) {
+        throw new Error(
+          `App Password không hợp lệ. Phải có đúng 16 ký tự (sau khi loại bỏ khoảng trắng). Hiện tại: ${cleanAppPassword.length} ký tự.`
+        );
+      }
+
+      transporter = nodemailer.createTransport({
+        host: CONFIG.GMAIL_SMTP.host,
+        port: CONFIG.GMAIL_SMTP.port,
+        secure: CONFIG.GMAIL_SMTP.secure,
+        auth: {
+          user: emailFrom,
+          pass: cleanAppPassword,
+        },
+      });
+
+      // Verify connection
+      try {
+        await transporter.verify();
+        console.log("✅ Kết nối SMTP thành công");
+      } catch (error) {
+        throw new Error(
+          `Không thể kết nối SMTP. Lỗi: ${error.message}\n\n` +
+            `Vui lòng kiểm tra:\n` +
+            `1. Email và App Password đúng\n` +
+            `2. Đã bật 2-Step Verification trong Gmail\n` +
+            `3. App Password được tạo đúng cách`
+        );
+      }
+    }
 
-    // Send emails
     // Lấy tên hiển thị từ job, nếu không có thì thử lấy từ profile, cuối cùng mới dùng email
     let displayName = job.displayName;
 
-    console.log(`🔍 Debug: job.displayName = "${job.displayName}"`);
-    console.log(`🔍 Debug: job.chromeProfile = "${job.chromeProfile}"`);
-
     // Nếu không có displayName hoặc displayName rỗng, thử lấy từ profile
     if (!displayName || displayName.trim() === "") {
       if (job.chromeProfile) {
@@ -1233,448 +2132,498 @@ const EmailService = {
       `📧 Gửi email với tên hiển thị: "${displayName}" <${emailFrom}>`
     );
 
-    // First pass: Send all emails
-    const failedEmails = [];
-    const potentiallyFailedEmails = []; // Emails that might fail (accepted by SMTP but may bounce)
+    return {
+      useGmailAPI: Boolean(useGmailAPI),
+      gmail,
+      transporter,
+      displayName,
+      method: useGmailAPI ? "Gmail API" : "SMTP",
+    };
+  },
+
+  /**
+   * Kiểm tra địa chỉ người nhận trước khi gửi (định dạng, domain, MX records)
+   * @param {string} recipient - Email người nhận
+   * @returns {Promise<Object|null>} Kết quả thất bại nếu địa chỉ không hợp lệ, null nếu hợp lệ
+   */
+  async checkRecipient(recipient) {
+    console.log(`🔍 Đang kiểm tra email: ${recipient}`);
+
+    // Comprehensive email validation - check if email exists and is valid
+    const emailValidation = await Utils.validateEmailExists(recipient);
+    if (!emailValidation.valid) {
+      console.error(`❌ ${emailValidation.error}: ${recipient}`);
+      // Lỗi khi kiểm tra (không phải địa chỉ sai) không được tính là bounce cứng
+      return SendErrorService.toResult(
+        recipient,
+        { category: emailValidation.checkError ? "other" : "bad_mailbox" },
+        emailValidation.error
+      );
+    }
 
-    for (const recipient of emailTo) {
+    // Log warnings if any
+    if (emailValidation.warnings && emailValidation.warnings.length > 0) {
+      emailValidation.warnings.forEach((warning) => {
+        console.warn(`⚠️ ${warning} - ${recipient}`);
+      });
+    }
+
+    console.log(`✅ Email hợp lệ: ${recipient}`);
+    return null;
+  },
+
+  /**
+   * Gửi email đến một người nhận
+   * @param {Object} job - Job object
+   * @param {Object} sender - Sender từ createSender
+   * @param {string} recipient - Email người nhận
+   * @returns {Promise<Object>} { success, email, messageId?, response?, suppressed? } hoặc kết quả thất bại từ SendErrorService.toResult
+   */
+  async sendToRecipient(job, sender, recipient) {
+    const { emailFrom, emailCc = [], emailBcc = [] } = job;
+    const { useGmailAPI, gmail, transporter, displayName } = sender;
+
+    try {
+      // Kiểm tra ngay trước khi gửi: người nhận có thể vừa hủy đăng ký trong lúc run đang chạy
+      const suppressed = await SuppressionService.findSuppressed([recipient]);
+      if (suppressed.size > 0) {
+        return SuppressionService.getSuppressedResult(recipient);
+      }
+
+      // Điền biến của người nhận vào tiêu đề và nội dung (mail merge)
+      const { emailSubject, emailBody, emailHtml, missing } =
+        TemplateService.renderEmail(job, recipient);
+      if (missing.length > 0) {
+        const errorMsg = `Thiếu biến: ${missing
+          .map((name) => `{{${name}}}`)
+          .join(", ")}`;
+        console.error(`❌ ${errorMsg} - ${recipient}`);
+        return SendErrorService.toResult(
+          recipient,
+          { category: "other" },
+          errorMsg
+        );
+      }
+
+      const invalidResult = await this.checkRecipient(recipient);
+      if (invalidResult) return invalidResult;
+
+      // Tên hiển thị của người nhận trong header To (từ danh bạ)
+      const toName = ContactService.getDisplayName(
+        ContactService.getContact(job, recipient)
+      );
+      // Hủy đăng ký một chạm (RFC 8058) bằng link riêng của người nhận
+      const unsubscribeHeaders = SuppressionService.getHeaders(
+        recipient,
+        job.id
+      );
+
+      // Optional: Validate email with API (if API key is set)
+      // Uncomment if you want to use email validation API
+      // const apiValidation = await Utils.validateEmailWithAPI(recipient);
+      // if (!apiValidation.valid && !apiValidation.skipped) {
+      //   console.error(`❌ ${apiValidation.error}: ${recipient}`);
+      //   return {
+      //     success: false,
+      //     email: recipient,
+      //     error: apiValidation.error,
+      //   };
+      // }
+
+      let info;
       try {
-        console.log(`🔍 Đang kiểm tra email: ${recipient}`);
+        if (useGmailAPI && gmail) {
+          // Use Gmail API
+          console.log(`📧 Gửi email qua Gmail API đến: ${recipient}`);
+          const result = await GmailAPIService.sendEmail(gmail, {
+            from: emailFrom,
+            to: recipient,
+            toName,
+            cc: emailCc,
+            bcc: emailBcc,
+            subject: emailSubject,
+            text: emailBody,
+            html: emailHtml,
+            displayName: displayName,
+            headers: unsubscribeHeaders,
+          });
 
-        // Comprehensive email validation - check if email exists and is valid
-        const emailValidation = await Utils.validateEmailExists(recipient);
-        if (!emailValidation.valid) {
-          console.error(`❌ ${emailValidation.error}: ${recipient}`);
-          const errorInfo = {
-            email: recipient,
-            error: emailValidation.error,
+          info = {
+            messageId: result.messageId,
+            accepted: [recipient],
+            rejected: [],
+            response: "Gmail API: Email đã được gửi thành công",
+          };
+        } else if (transporter) {
+          // Use SMTP as fallback
+          const mailOptions = {
+            from: `"${displayName}" <${emailFrom}>`,
+            to: toName ? { name: toName, address: recipient } : recipient,
+            ...(emailCc.length > 0 ? { cc: emailCc } : {}),
+            ...(emailBcc.length > 0 ? { bcc: emailBcc } : {}),
+            subject: emailSubject,
+            text: emailBody,
+            html: emailHtml,
+            headers: {
+              "X-Mailer": "Mail Job Manager",
+              "Return-Path": emailFrom,
+              ...unsubscribeHeaders,
+            },
+            envelope: {
+              from: emailFrom,
+              to: [recipient, ...emailCc, ...emailBcc],
+            },
           };
-          failedEmails.push(errorInfo);
 
-          // Lưu vào database ngay lập tức nếu có jobId
-          console.log(
-            `🔍 Debug: jobId=${jobId}, recipient=${recipient}, error=${emailValidation.error}`
+          info = await transporter.sendMail(mailOptions);
+        } else {
+          throw new Error("Không có phương thức gửi email nào được cấu hình");
+        }
+
+        // Check response for any warnings or errors
+        const response = info.response || "";
+        const accepted = info.accepted || [];
+        const rejected = info.rejected || [];
+
+        // If email was rejected by SMTP server: lỗi RCPT TO của người nhận (nodemailer: info.rejectedErrors)
+        if (rejected.length > 0 && rejected.includes(recipient)) {
+          const rejectedError = (info.rejectedErrors || []).find(
+            (error) => error.recipient === recipient
           );
-          if (jobId) {
-            await DatabaseHelper.saveFailedEmail(
-              jobId,
-              recipient,
-              emailValidation.error,
-              useGmailAPI ? "Gmail API" : "SMTP"
-            );
-          } else {
-            console.warn(
-              `⚠️ Không có jobId, không thể lưu email failed vào database: ${recipient}`
-            );
+          if (rejectedError) {
+            return this.getSendErrorResult(rejectedError, recipient);
           }
-          continue;
+          const errorMsg = `Email bị từ chối bởi SMTP server: ${response}`;
+          console.error(`❌ ${errorMsg} - ${recipient}`);
+          return SendErrorService.toResult(
+            recipient,
+            SendErrorService.classifyResponse(response) || {
+              category: "bad_mailbox",
+            },
+            errorMsg,
+            { response }
+          );
         }
 
-        // Log warnings if any
-        if (emailValidation.warnings && emailValidation.warnings.length > 0) {
-          emailValidation.warnings.forEach((warning) => {
-            console.warn(`⚠️ ${warning} - ${recipient}`);
-          });
+        // CC/BCC bị từ chối không làm thất bại email của người nhận chính
+        const rejectedCopies = rejected.filter(
+          (address) => address !== recipient
+        );
+        if (rejectedCopies.length > 0) {
+          console.warn(
+            `⚠️ CC/BCC bị từ chối khi gửi đến ${recipient}: ${rejectedCopies.join(
+              ", "
+            )}`
+          );
         }
 
-        console.log(`✅ Email hợp lệ: ${recipient}`);
-
-        // Optional: Validate email with API (if API key is set)
-        // Uncomment if you want to use email validation API
-        // const apiValidation = await Utils.validateEmailWithAPI(recipient);
-        // if (!apiValidation.valid && !apiValidation.skipped) {
-        //   console.error(`❌ ${apiValidation.error}: ${recipient}`);
-        //   failedEmails.push({
-        //     email: recipient,
-        //     error: apiValidation.error,
-        //   });
-        //   continue;
-        // }
+        // Phản hồi có mã SMTP không thành công (4xx/5xx): không đếm là đã gửi
+        const responseFailure = SendErrorService.classifyResponse(response);
+        if (responseFailure) {
+          const errorMsg = `${
+            SendErrorService.LABELS[responseFailure.category]
+          }: ${response}`;
+          console.error(
+            `❌ Phát hiện lỗi trong response SMTP cho ${recipient}: ${response}`
+          );
+          return SendErrorService.toResult(
+            recipient,
+            responseFailure,
+            errorMsg,
+            { response }
+          );
+        }
 
-        let info;
-        try {
-          if (useGmailAPI && gmail) {
-            // Use Gmail API
-            console.log(`📧 Gửi email qua Gmail API đến: ${recipient}`);
-            const result = await GmailAPIService.sendEmail(gmail, {
-              from: emailFrom,
-              to: recipient,
-              subject: emailSubject,
-              text: emailBody,
-              html: emailBody.replace(/\n/g, "<br>"),
-              displayName: displayName,
-            });
+        // If email was not in accepted list, it might fail
+        if (accepted.length > 0 && !accepted.includes(recipient)) {
+          const errorMsg = `Email không được chấp nhận bởi SMTP server`;
+          console.warn(
+            `⚠️ Email không có trong danh sách accepted: ${recipient}`
+          );
+          // Don't count as sent, add to failed
+          return SendErrorService.toResult(
+            recipient,
+            { category: "other" },
+            errorMsg,
+            { response }
+          );
+        }
 
-            info = {
-              messageId: result.messageId,
-              accepted: [recipient],
-              rejected: [],
-              response: "Gmail API: Email đã được gửi thành công",
-            };
-          } else if (transporter) {
-            // Use SMTP as fallback
-            const mailOptions = {
-              from: `"${displayName}" <${emailFrom}>`,
-              to: recipient,
-              subject: emailSubject,
-              text: emailBody,
-              html: emailBody.replace(/\n/g, "<br>"),
-              headers: {
-                "X-Mailer": "Mail Job Manager",
-                "Return-Path": emailFrom,
-              },
-              envelope: {
-                from: emailFrom,
-                to: [recipient],
-              },
-            };
+        // Log response details for debugging
+        if (response) {
+          console.log(`   Response: ${response.substring(0, 200)}`);
+        }
 
-            info = await transporter.sendMail(mailOptions);
-          } else {
-            throw new Error("Không có phương thức gửi email nào được cấu hình");
-          }
+        // If email is in accepted list, log success
+        if (accepted.length > 0 && accepted.includes(recipient)) {
+          console.log(
+            `✅ Đã gửi email đến ${recipient}. Message ID: ${info.messageId}`
+          );
+          return {
+            success: true,
+            email: recipient,
+            messageId: info.messageId,
+            response,
+          };
+        }
 
-          // Check response for any warnings or errors
-          const response = info.response || "";
-          const accepted = info.accepted || [];
-          const rejected = info.rejected || [];
+        // If no accepted/rejected info, check response status code
+        // Chỉ đếm là thành công nếu response có status code thành công (250, 200, etc.)
+        const { smtpCode: statusCode } = SendErrorService.parseSmtp({
+          response,
+        });
 
-          // If email was rejected by SMTP server
-          if (rejected.length > 0 && rejected.includes(recipient)) {
-            const errorMsg = `Email bị từ chối bởi SMTP server: ${response}`;
-            console.error(`❌ ${errorMsg} - ${recipient}`);
-            const errorInfo = {
-              email: recipient,
-              error: errorMsg,
-            };
-            failedEmails.push(errorInfo);
+        // Chỉ đếm là thành công nếu status code là 2xx (200-299)
+        if (statusCode >= 200 && statusCode < 300) {
+          console.log(
+            `✅ Đã gửi email đến ${recipient} (status ${statusCode}). Message ID: ${info.messageId}`
+          );
+          return {
+            success: true,
+            email: recipient,
+            messageId: info.messageId,
+            response,
+          };
+        }
 
-            // Lưu vào database ngay lập tức nếu có jobId
-            if (jobId) {
-              await DatabaseHelper.saveFailedEmail(
-                jobId,
-                recipient,
-                errorMsg,
-                useGmailAPI ? "Gmail API" : "SMTP"
-              );
-            }
-            continue;
-          }
+        // Nếu không có status code thành công, coi như lỗi
+        const errorMsg = `Email không có thông tin accepted/rejected và không có status code thành công. Response: ${response}`;
+        console.warn(`⚠️ Email có thể thất bại: ${recipient} - ${errorMsg}`);
+        return SendErrorService.toResult(
+          recipient,
+          { category: "other" },
+          errorMsg,
+          { potentiallyFailed: true, messageId: info.messageId, response }
+        );
+      } catch (sendError) {
+        return this.getSendErrorResult(sendError, recipient);
+      }
+    } catch (error) {
+      console.error(`❌ Lỗi khi gửi mail đến ${recipient}:`, error.message);
+      return SendErrorService.toResult(
+        recipient,
+        { category: "other" },
+        error.message
+      );
+    }
+  },
 
-          // Check if response contains error indicators
-          const responseLower = response.toLowerCase();
-          const hasErrorInResponse =
-            responseLower.includes("550") ||
-            responseLower.includes("551") ||
-            responseLower.includes("553") ||
-            responseLower.includes("550-5.1.1") ||
-            responseLower.includes("550 5.1.1") ||
-            responseLower.includes("550 5.7.1") ||
-            responseLower.includes("not found") ||
-            responseLower.includes("does not exist") ||
-            responseLower.includes(
-              "email account that you tried to reach does not exist"
-            ) ||
-            responseLower.includes(
-              "the email account that you tried to reach does not exist"
-            ) ||
-            responseLower.includes("nosuchuser") ||
-            responseLower.includes("no such user") ||
-            responseLower.includes("invalid") ||
-            responseLower.includes("rejected") ||
-            responseLower.includes("user unknown") ||
-            responseLower.includes("address rejected") ||
-            responseLower.includes("mailbox unavailable") ||
-            responseLower.includes("recipient address rejected") ||
-            responseLower.includes("unable to deliver") ||
-            responseLower.includes("delivery failed") ||
-            responseLower.includes("không tìm thấy địa chỉ") ||
-            responseLower.includes("không thể tìm thấy địa chỉ") ||
-            responseLower.includes("thư của bạn không được gửi") ||
-            responseLower.includes("địa chỉ email không tồn tại") ||
-            responseLower.includes("địa chỉ không thể nhận thư");
-
-          if (hasErrorInResponse) {
-            const errorMsg = `Lỗi SMTP: ${response}`;
-            console.error(
-              `❌ Phát hiện lỗi trong response SMTP cho ${recipient}: ${response}`
-            );
-            const errorInfo = {
-              email: recipient,
-              error: errorMsg,
-            };
-            failedEmails.push(errorInfo);
+  /**
+   * Gửi một email chung cho nhiều người nhận trong BCC (job có delivery_mode = 'bcc_batch').
+   * Header To là email gửi; người nhận bị máy chủ SMTP từ chối (info.rejected) được tính
+   * thất bại riêng, những người nhận còn lại dùng chung Message ID của email.
+   * Người nhận trong danh sách chặn bị bỏ ra khỏi batch. Email gộp không có header
+   * List-Unsubscribe vì một link không xác định được người nhận nào bấm.
+   * @param {Object} job - Job object
+   * @param {Object} sender - Sender từ createSender
+   * @param {string[]} recipients - Email người nhận của batch
+   * @returns {Promise<Array>} Kết quả của từng người nhận, cùng thứ tự và dạng với sendToRecipient
+   */
+  async sendBatch(job, sender, recipients) {
+    const { emailFrom, emailCc = [], emailBcc = [] } = job;
+    const { useGmailAPI, gmail, transporter, displayName } = sender;
+
+    // Cả batch dùng chung một nội dung: chỉ điền được các biến dùng chung
+    const { emailSubject, emailBody, emailHtml, missing } =
+      TemplateService.renderEmail(job);
+    if (missing.length > 0) {
+      const errorMsg = `Thiếu biến: ${missing
+        .map((name) => `{{${name}}}`)
+        .join(", ")}`;
+      console.error(`❌ ${errorMsg} - email gộp BCC`);
+      return recipients.map((recipient) =>
+        SendErrorService.toResult(recipient, { category: "other" }, errorMsg)
+      );
+    }
 
-            // Lưu vào database ngay lập tức nếu có jobId
-            if (jobId) {
-              await DatabaseHelper.saveFailedEmail(
-                jobId,
-                recipient,
-                errorMsg,
-                useGmailAPI ? "Gmail API" : "SMTP"
-              );
-            }
-            continue;
-          }
+    const results = new Map();
+    const batch = [];
+    const suppressed = await SuppressionService.findSuppressed(recipients);
+    for (const recipient of recipients) {
+      if (suppressed.has(recipient.trim().toLowerCase())) {
+        results.set(
+          recipient,
+          SuppressionService.getSuppressedResult(recipient)
+        );
+        continue;
+      }
 
-          // If email was not in accepted list, it might fail
-          if (accepted.length > 0 && !accepted.includes(recipient)) {
-            const errorMsg = `Email không được chấp nhận bởi SMTP server`;
-            console.warn(
-              `⚠️ Email không có trong danh sách accepted: ${recipient}`
-            );
-            // Don't count as sent, add to failed
-            const errorInfo = {
-              email: recipient,
-              error: errorMsg,
-            };
-            failedEmails.push(errorInfo);
+      const invalidResult = await this.checkRecipient(recipient);
+      if (invalidResult) {
+        results.set(recipient, invalidResult);
+      } else {
+        batch.push(recipient);
+      }
+    }
 
-            // Lưu vào database ngay lập tức nếu có jobId
-            if (jobId) {
-              await DatabaseHelper.saveFailedEmail(
-                jobId,
-                recipient,
-                errorMsg,
-                useGmailAPI ? "Gmail API" : "SMTP"
-              );
-            }
-            continue;
-          }
+    if (batch.length > 0) {
+      try {
+        let info;
+        if (useGmailAPI && gmail) {
+          console.log(
+            `📧 Gửi email gộp BCC qua Gmail API đến ${batch.length} người nhận`
+          );
+          const result = await GmailAPIService.sendEmail(gmail, {
+            from: emailFrom,
+            to: emailFrom,
+            cc: emailCc,
+            bcc: [...batch, ...emailBcc],
+            subject: emailSubject,
+            text: emailBody,
+            html: emailHtml,
+            displayName: displayName,
+          });
 
-          // Kiểm tra lại response một lần nữa trước khi đếm sentCount
-          // Đảm bảo không đếm email lỗi là thành công
-          const responseCheck = (info.response || "").toLowerCase();
-          const hasErrorInFinalCheck =
-            responseCheck.includes("550") ||
-            responseCheck.includes("551") ||
-            responseCheck.includes("553") ||
-            responseCheck.includes("550-5.1.1") ||
-            responseCheck.includes("550 5.1.1") ||
-            responseCheck.includes("550 5.7.1") ||
-            responseCheck.includes("not found") ||
-            responseCheck.includes("does not exist") ||
-            responseCheck.includes(
-              "email account that you tried to reach does not exist"
-            ) ||
-            responseCheck.includes(
-              "the email account that you tried to reach does not exist"
-            ) ||
-            responseCheck.includes("nosuchuser") ||
-            responseCheck.includes("no such user") ||
-            responseCheck.includes("invalid") ||
-            responseCheck.includes("rejected") ||
-            responseCheck.includes("user unknown") ||
-            responseCheck.includes("address rejected") ||
-            responseCheck.includes("mailbox unavailable") ||
-            responseCheck.includes("recipient address rejected") ||
-            responseCheck.includes("unable to deliver") ||
-            responseCheck.includes("delivery failed") ||
-            responseCheck.includes("không tìm thấy địa chỉ") ||
-            responseCheck.includes("không thể tìm thấy địa chỉ") ||
-            responseCheck.includes("thư của bạn không được gửi") ||
-            responseCheck.includes("địa chỉ email không tồn tại") ||
-            responseCheck.includes("địa chỉ không thể nhận thư");
-
-          if (hasErrorInFinalCheck) {
-            const errorMsg = `Lỗi phát hiện trong response: ${response}`;
-            console.error(
-              `❌ Phát hiện lỗi trong response (final check) cho ${recipient}: ${response}`
-            );
-            const errorInfo = {
-              email: recipient,
-              error: errorMsg,
-            };
-            failedEmails.push(errorInfo);
+          info = {
+            messageId: result.messageId,
+            accepted: batch,
+            rejected: [],
+            response: "Gmail API: Email đã được gửi thành công",
+          };
+        } else if (transporter) {
+          console.log(
+            `📧 Gửi email gộp BCC qua SMTP đến ${batch.length} người nhận`
+          );
+          info = await transporter.sendMail({
+            from: `"${displayName}" <${emailFrom}>`,
+            to: emailFrom,
+            ...(emailCc.length > 0 ? { cc: emailCc } : {}),
+            bcc: [...batch, ...emailBcc],
+            subject: emailSubject,
+            text: emailBody,
+            html: emailHtml,
+            headers: {
+              "X-Mailer": "Mail Job Manager",
+              "Return-Path": emailFrom,
+            },
+            // Không gửi lại cho chính email gửi trong header To
+            envelope: {
+              from: emailFrom,
+              to: [...batch, ...emailCc, ...emailBcc],
+            },
+          });
+        } else {
+          throw new Error("Không có phương thức gửi email nào được cấu hình");
+        }
 
-            // Lưu vào database ngay lập tức nếu có jobId
-            if (jobId) {
-              await DatabaseHelper.saveFailedEmail(
-                jobId,
-                recipient,
-                errorMsg,
-                useGmailAPI ? "Gmail API" : "SMTP"
-              );
-            }
-            continue; // Bỏ qua, không đếm là đã gửi
-          }
+        const response = info.response || "";
+        const rejected = (info.rejected || []).map((address) =>
+          String(address).toLowerCase()
+        );
+        const rejectedErrors = info.rejectedErrors || [];
 
-          // If email is in accepted list, log success
-          if (accepted.length > 0 && accepted.includes(recipient)) {
-            console.log(
-              `✅ Đã gửi email đến ${recipient}. Message ID: ${info.messageId}`
-            );
-            sentCount++;
-            successfulEmails.push(recipient);
-          } else {
-            // If no accepted/rejected info, check response status code
-            // Chỉ đếm là thành công nếu response có status code thành công (250, 200, etc.)
-            const responseStatus = response.match(/^(\d{3})/);
-            const statusCode = responseStatus ? parseInt(responseStatus[1]) : 0;
-
-            // Chỉ đếm là thành công nếu status code là 2xx (200-299)
-            if (statusCode >= 200 && statusCode < 300) {
-              console.log(
-                `✅ Đã gửi email đến ${recipient} (status ${statusCode}). Message ID: ${info.messageId}`
-              );
-              sentCount++;
-              successfulEmails.push(recipient);
-            } else {
-              // Nếu không có status code thành công, coi như lỗi
-              const errorMsg = `Email không có thông tin accepted/rejected và không có status code thành công. Response: ${response}`;
-              console.warn(
-                `⚠️ Email có thể thất bại: ${recipient} - ${errorMsg}`
-              );
-              const errorInfo = {
-                email: recipient,
-                error: errorMsg,
-              };
-              failedEmails.push(errorInfo);
-              potentiallyFailedEmails.push({
-                email: recipient,
-                messageId: info.messageId,
-                response: response,
-              });
-
-              // Lưu vào database ngay lập tức nếu có jobId
-              if (jobId) {
-                await DatabaseHelper.saveFailedEmail(
-                  jobId,
-                  recipient,
-                  errorMsg,
-                  useGmailAPI ? "Gmail API" : "SMTP"
-                );
-              }
-              // KHÔNG đếm sentCount++ - email này bị lỗi
-            }
+        for (const recipient of batch) {
+          const address = recipient.toLowerCase();
+          if (!rejected.includes(address)) {
+            results.set(recipient, {
+              success: true,
+              email: recipient,
+              messageId: info.messageId,
+              response,
+            });
+            continue;
           }
 
-          // Log response details for debugging
-          if (response) {
-            console.log(`   Response: ${response.substring(0, 200)}`);
-          }
-        } catch (sendError) {
-          // Check if error contains information about invalid address
-          const errorMessage = sendError.message || "";
-          const errorCode = sendError.code || "";
-          const errorMessageLower = errorMessage.toLowerCase();
-
-          // Common error patterns for invalid addresses (including Vietnamese)
-          const isInvalidEmailError =
-            // SMTP error codes
-            errorMessageLower.includes("550") ||
-            errorMessageLower.includes("551") ||
-            errorMessageLower.includes("553") ||
-            errorMessageLower.includes("550-5.1.1") ||
-            errorMessageLower.includes("550 5.1.1") ||
-            errorMessageLower.includes("550 5.7.1") ||
-            // English error messages
-            errorMessageLower.includes("not found") ||
-            errorMessageLower.includes("does not exist") ||
-            errorMessageLower.includes(
-              "email account that you tried to reach does not exist"
-            ) ||
-            errorMessageLower.includes(
-              "the email account that you tried to reach does not exist"
-            ) ||
-            errorMessageLower.includes("nosuchuser") ||
-            errorMessageLower.includes("no such user") ||
-            errorMessageLower.includes("invalid") ||
-            errorMessageLower.includes("rejected") ||
-            errorMessageLower.includes("user unknown") ||
-            errorMessageLower.includes("address rejected") ||
-            errorMessageLower.includes("mailbox unavailable") ||
-            errorMessageLower.includes("recipient address rejected") ||
-            errorMessageLower.includes("unable to deliver") ||
-            errorMessageLower.includes("delivery failed") ||
-            // Vietnamese error messages
-            errorMessageLower.includes("không tìm thấy địa chỉ") ||
-            errorMessageLower.includes("không thể tìm thấy địa chỉ") ||
-            errorMessageLower.includes("thư của bạn không được gửi") ||
-            errorMessageLower.includes("địa chỉ email không tồn tại") ||
-            errorMessageLower.includes("địa chỉ không thể nhận thư") ||
-            errorMessageLower.includes("email không hợp lệ") ||
-            errorMessageLower.includes("không tồn tại") ||
-            errorMessageLower.includes("không thể nhận thư") ||
-            // Error codes
-            errorCode === "EENVELOPE" ||
-            errorCode === "EMESSAGE";
-
-          if (isInvalidEmailError) {
-            const finalErrorMessage = errorMessage.includes(
-              "Không tìm thấy địa chỉ"
-            )
-              ? errorMessage
-              : `Không tìm thấy địa chỉ: ${errorMessage}`;
-            console.error(
-              `❌ Không tìm thấy địa chỉ email: ${recipient} - ${finalErrorMessage}`
+          // Lỗi RCPT TO của riêng người nhận này (nodemailer: info.rejectedErrors)
+          const rejectedError = rejectedErrors.find(
+            (error) =>
+              error.recipient && error.recipient.toLowerCase() === address
+          );
+          if (rejectedError) {
+            results.set(
+              recipient,
+              this.getSendErrorResult(rejectedError, recipient)
             );
-            const errorInfo = {
-              email: recipient,
-              error: finalErrorMessage,
-            };
-            failedEmails.push(errorInfo);
-
-            // Lưu vào database ngay lập tức nếu có jobId
-            if (jobId) {
-              await DatabaseHelper.saveFailedEmail(
-                jobId,
-                recipient,
-                finalErrorMessage,
-                useGmailAPI ? "Gmail API" : "SMTP"
-              );
-            }
           } else {
-            // Other errors
-            console.error(
-              `❌ Lỗi khi gửi mail đến ${recipient}:`,
-              errorMessage
-            );
-            const errorInfo = {
-              email: recipient,
-              error: errorMessage,
-            };
-            failedEmails.push(errorInfo);
-
-            // Lưu vào database ngay lập tức nếu có jobId
-            if (jobId) {
-              await DatabaseHelper.saveFailedEmail(
-                jobId,
+            const errorMsg = `Email bị từ chối bởi SMTP server: ${response}`;
+            console.error(`❌ ${errorMsg} - ${recipient}`);
+            results.set(
+              recipient,
+              SendErrorService.toResult(
                 recipient,
-                errorMessage,
-                useGmailAPI ? "Gmail API" : "SMTP"
-              );
-            }
+                SendErrorService.classifyResponse(response) || {
+                  category: "bad_mailbox",
+                },
+                errorMsg,
+                { response }
+              )
+            );
           }
-          continue;
         }
 
-        // Delay between emails to avoid rate limiting
-        if (sentCount < emailTo.length) {
-          await new Promise((resolve) =>
-            setTimeout(resolve, CONFIG.EMAIL_DELAY)
+        // CC/BCC của job bị từ chối không làm thất bại email của batch
+        const rejectedCopies = rejected.filter(
+          (address) =>
+            !batch.some((recipient) => recipient.toLowerCase() === address)
+        );
+        if (rejectedCopies.length > 0) {
+          console.warn(
+            `⚠️ CC/BCC bị từ chối khi gửi email gộp BCC: ${rejectedCopies.join(
+              ", "
+            )}`
           );
         }
-      } catch (error) {
-        console.error(`❌ Lỗi khi gửi mail đến ${recipient}:`, error.message);
-        const errorInfo = {
-          email: recipient,
-          error: error.message,
-        };
-        failedEmails.push(errorInfo);
 
-        // Lưu vào database ngay lập tức nếu có jobId
-        if (jobId) {
-          await DatabaseHelper.saveFailedEmail(
-            jobId,
-            recipient,
-            error.message,
-            useGmailAPI ? "Gmail API" : "SMTP"
-          );
+        console.log(
+          `✅ Đã gửi email gộp BCC đến ${
+            batch.length - (rejected.length - rejectedCopies.length)
+          }/${batch.length} người nhận. Message ID: ${info.messageId}`
+        );
+      } catch (sendError) {
+        // Cả email thất bại (VD: mọi người nhận bị từ chối, mất kết nối): áp dụng cho mọi người nhận
+        for (const recipient of batch) {
+          results.set(recipient, this.getSendErrorResult(sendError, recipient));
         }
       }
     }
 
+    return recipients.map((recipient) => results.get(recipient));
+  },
+
+  /**
+   * Chuyển lỗi khi gửi (nodemailer hoặc Gmail API) thành kết quả gửi thất bại của một người nhận.
+   * Lỗi tạm thời (temporary) được trả về để người gọi quyết định gửi lại.
+   * @param {Error} sendError - Lỗi khi gửi
+   * @param {string} recipient - Email người nhận
+   * @returns {Object} Kết quả từ SendErrorService.toResult, kèm response (phản hồi SMTP) nếu có
+   */
+  getSendErrorResult(sendError, recipient) {
+    // Phản hồi SMTP của máy chủ (nodemailer), lưu kèm kết quả gửi
+    const response =
+      typeof sendError.response === "string" ? sendError.response : undefined;
+    const failure = SendErrorService.classify(sendError);
+    const message =
+      SendErrorService.getGmailDetails(sendError).message ||
+      sendError.message ||
+      "";
+    const error = `${SendErrorService.LABELS[failure.category]}: ${message}`;
+
+    if (failure.temporary) {
+      console.warn(`⏳ ${error} - ${recipient}`);
+    } else {
+      console.error(`❌ ${error} - ${recipient}`);
+    }
+    return SendErrorService.toResult(recipient, failure, error, { response });
+  },
+
+  /**
+   * Log tổng kết và tạo object kết quả cho một lần gửi
+   * @param {Object} summary - { total, successfulEmails, failedEmails, suppressedEmails, unknownEmails, potentiallyFailedEmails, method, emailFrom }
+   *   unknownEmails: email không rõ đã gửi hay chưa (server dừng khi đang gửi)
+   * @returns {Object} Result object
+   */
+  buildResult({
+    total,
+    successfulEmails,
+    failedEmails,
+    suppressedEmails = [],
+    unknownEmails = [],
+    potentiallyFailedEmails = [],
+    method,
+    emailFrom,
+  }) {
+    const sentCount = successfulEmails.length;
+
     // Log summary của các email thất bại
     if (failedEmails.length > 0) {
       console.log(`\n⚠️ LOG CÁC EMAIL KHÔNG THỂ GỬI:`);
@@ -1688,9 +2637,6 @@ const EmailService = {
       console.log(`Tổng cộng: ${failedEmails.length} email không thể gửi\n`);
     }
 
-    // Update errors array với tất cả failed emails
-    errors.push(...failedEmails);
-
     // Log warning about potentially failed emails (accepted by SMTP but may bounce)
     if (potentiallyFailedEmails.length > 0) {
       console.log(
@@ -1701,7 +2647,9 @@ const EmailService = {
         console.log(`${index + 1}. Email: ${email.email}`);
         console.log(`   Message ID: ${email.messageId}`);
         console.log(
-          `   Lưu ý: Vui lòng kiểm tra hộp thư đến của ${emailFrom} để xem bounce messages`
+          BounceService.isEnabled()
+            ? `   Lưu ý: Thư báo lỗi (DSN) sẽ được đọc tự động từ hộp thư bounce`
+            : `   Lưu ý: Vui lòng kiểm tra hộp thư đến của ${emailFrom} để xem bounce messages`
         );
         console.log(`   ---`);
       });
@@ -1714,9 +2662,13 @@ const EmailService = {
     // Log summary để đảm bảo tính toán đúng
     console.log(`\n📊 TỔNG KẾT GỬI EMAIL:`);
     console.log(`==========================================`);
-    console.log(`   Tổng số email: ${emailTo.length}`);
+    console.log(`   Tổng số email: ${total}`);
     console.log(`   Đã gửi thành công: ${sentCount}`);
-    console.log(`   Thất bại: ${errors.length}`);
+    console.log(`   Thất bại: ${failedEmails.length}`);
+    console.log(`   Bỏ qua (danh sách chặn): ${suppressedEmails.length}`);
+    if (unknownEmails.length > 0) {
+      console.log(`   Không rõ trạng thái: ${unknownEmails.length}`);
+    }
     console.log(
       `   Có thể thất bại (cần theo dõi): ${potentiallyFailedEmails.length}`
     );
@@ -1729,9 +2681,15 @@ const EmailService = {
     return {
       success: true,
       sent: sentCount, // Chỉ bao gồm email thành công
-      total: emailTo.length,
-      errors: errors.length > 0 ? errors : undefined,
-      failedCount: errors.length,
+      total,
+      errors: failedEmails.length > 0 ? failedEmails : undefined,
+      failedCount: failedEmails.length,
+      // Người nhận trong danh sách chặn: không gửi, không tính là thất bại
+      suppressed: suppressedEmails.length > 0 ? suppressedEmails : undefined,
+      suppressedCount: suppressedEmails.length,
+      // Không rõ đã tới người nhận hay chưa: không tính là đã gửi hay thất bại
+      unknown: unknownEmails.length > 0 ? unknownEmails : undefined,
+      unknownCount: unknownEmails.length,
       successfulEmails: successfulEmails, // Danh sách email đã gửi thành công
       potentiallyFailed:
         potentiallyFailedEmails.length > 0
@@ -1739,262 +2697,6687 @@ const EmailService = {
           : undefined,
       warning:
         potentiallyFailedEmails.length > 0
-          ? useGmailAPI
+          ? method === "Gmail API"
             ? undefined // Gmail API trả về lỗi ngay lập tức, không cần cảnh báo
-            : `Có ${potentiallyFailedEmails.length} email đã được SMTP chấp nhận nhưng có thể bị bounce. Vui lòng kiểm tra hộp thư đến của ${emailFrom} để xem bounce messages.`
+            : BounceService.isEnabled()
+            ? `Có ${potentiallyFailedEmails.length} email đã được SMTP chấp nhận nhưng có thể bị bounce. Thư báo lỗi (DSN) trong hộp thư bounce sẽ được ghi nhận tự động.`
+            : `Có ${potentiallyFailedEmails.length} email đã được SMTP chấp nhận nhưng có thể bị bounce. Vui lòng kiểm tra hộp thư đến của ${emailFrom} để xem bounce messages (hoặc cấu hình BOUNCE_IMAP_HOST để tự động đọc thư báo lỗi).`
           : undefined,
-      method: useGmailAPI ? "Gmail API" : "SMTP",
+      method,
     };
   },
-};
 
-// ============================================
-// Express App Setup
-// ============================================
-const app = express();
+  /**
+   * Send email using Gmail API (preferred) or SMTP (fallback)
+   * Gửi tuần tự ngay trong request, dùng cho /api/run-job (JobRunner.runDirect).
+   * Mỗi người nhận được ghi vào send_queue/send_attempts của run và giới hạn gửi/24 giờ
+   * được kiểm tra trước mỗi email như SendWorker, nhưng hết lượt thì dừng thay vì hoãn.
+   * @param {Object} job - Job object (runId: run ghi lại lần gửi)
+   * @returns {Promise<Object>} Result object
+   */
+  async sendEmail(job) {
+    const {
+      emailTo,
+      emailFrom,
+      id: jobId,
+      runId,
+      deliveryMode = "individual",
+      emailCc = [],
+      emailBcc = [],
+    } = job;
+    // Mỗi email gửi đi còn tới các địa chỉ CC/BCC: tính vào giới hạn gửi/ngày
+    const copyCount = emailCc.length + emailBcc.length;
+    const batchSize = Utils.getBatchSize(job.batchSize, copyCount);
 
-// Middleware
-app.use(express.json());
-app.use(express.static(__dirname));
+    // Kiểm tra biến mail merge của mọi người nhận trước khi gửi email đầu tiên
+    await TemplateService.prepare(job, emailTo);
 
-// CORS middleware
-app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Headers", "Content-Type");
-  res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-  if (req.method === "OPTIONS") {
-    return res.sendStatus(200);
-  }
-  next();
-});
+    const sender = await this.createSender(job);
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error("Server error:", err);
-  res.status(500).json({
-    success: false,
-    error: err.message || "Internal server error",
-  });
-});
+    const successfulEmails = []; // Theo dõi các email đã gửi thành công
+    const failedEmails = [];
+    const suppressedEmails = []; // Người nhận trong danh sách chặn (không gửi)
+    const potentiallyFailedEmails = []; // Emails that might fail (accepted by SMTP but may bounce)
 
-// ============================================
-// API Routes
-// ============================================
+    // Mỗi nhóm là một email: gộp BCC tối đa batchSize người nhận, hoặc từng người nhận riêng
+    const groups = [];
+    const groupSize = deliveryMode === "bcc_batch" ? batchSize : 1;
+    for (let i = 0; i < emailTo.length; i += groupSize) {
+      groups.push(emailTo.slice(i, i + groupSize));
+    }
 
-/**
- * GET /api/profiles
- * Get list of Chrome profiles
- */
-app.get("/api/profiles", async (req, res, next) => {
-  try {
-    const profiles = await ProfileService.getProfiles();
-    res.json(profiles);
-  } catch (error) {
-    next(error);
-  }
-});
+    let quotaError = null;
+    for (const group of groups) {
+      // Không đủ lượt gửi trong 24 giờ cho cả email: các người nhận còn lại không được gửi
+      if (!quotaError) {
+        const usage = await SenderService.getUsage(emailFrom);
+        if (
+          usage.remaining !== null &&
+          usage.remaining < group.length + copyCount
+        ) {
+          quotaError = `Đã đạt giới hạn ${usage.daily_quota} email/24 giờ của ${usage.email}`;
+          console.warn(`🚦 ${quotaError}: dừng gửi run #${runId}`);
+        }
+      }
 
-/**
- * POST /api/run-job
- * Run email job
- */
-app.post("/api/run-job", async (req, res, next) => {
-  try {
-    const job = req.body;
+      let results;
+      let batchId = null;
+      if (quotaError) {
+        results = group.map((recipient) =>
+          SendErrorService.toResult(
+            recipient,
+            { category: "throttled", temporary: true },
+            quotaError,
+            { notAttempted: true }
+          )
+        );
+      } else if (deliveryMode === "bcc_batch") {
+        const batchResult = await query(
+          "SELECT nextval('send_batch_id_seq') AS id"
+        );
+        batchId = batchResult.rows[0].id;
+        results = await this.sendBatch(job, sender, group);
+      } else {
+        results = [await this.sendToRecipient(job, sender, group[0])];
+      }
 
-    // Validate job data
-    if (
-      !job ||
-      !job.emailFrom ||
-      !job.emailTo ||
-      !job.emailSubject ||
-      !job.emailBody
-    ) {
-      return res.status(400).json({
-        success: false,
-        error:
-          "Thiếu thông tin job. Cần có: emailFrom, emailTo, emailSubject, emailBody",
-      });
-    }
+      for (const [index, result] of results.entries()) {
+        const recipient = result.email;
+        const status = result.success
+          ? "sent"
+          : result.suppressed
+          ? "suppressed"
+          : "failed";
+
+        // Ghi lần gửi vào hàng đợi của run (tính giới hạn gửi/ngày, tốc độ gửi) và kết quả gửi
+        await DatabaseHelper.saveDirectItem({
+          runId,
+          email: recipient,
+          status,
+          error: result.error || null,
+          attempted: !result.suppressed && !result.notAttempted,
+          temporary: Boolean(result.temporary),
+          batchId,
+          // CC/BCC nhận một bản của cả email: tính cùng người nhận đầu tiên
+          copyCount: index === 0 ? copyCount : 0,
+        });
+        await DatabaseHelper.saveDelivery({
+          runId,
+          jobId,
+          email: recipient,
+          status,
+          messageId: result.messageId,
+          response: result.response,
+          error: result.error,
+          details: SendErrorService.getFields(result),
+          method: sender.method,
+          attempts: result.suppressed || result.notAttempted ? 0 : 1,
+        });
 
-    // Validate authentication credentials
-    // Need either Gmail API OAuth2 credentials OR App Password
-    const hasGmailAPI = job.clientId && job.clientSecret && job.refreshToken;
-    const hasAppPassword = job.appPassword;
+        if (result.success) {
+          successfulEmails.push(recipient);
+          continue;
+        }
+        if (result.suppressed) {
+          suppressedEmails.push(recipient);
+          continue;
+        }
 
-    if (!hasGmailAPI && !hasAppPassword) {
-      return res.status(400).json({
-        success: false,
-        error:
-          "Thiếu thông tin xác thực. Cần có:\n" +
-          "1. Gmail API OAuth2 (clientId, clientSecret, refreshToken) HOẶC\n" +
-          "2. App Password (appPassword)\n\n" +
-          "Để sử dụng Gmail API:\n" +
-          "1. Vào https://console.cloud.google.com/\n" +
-          "2. Tạo OAuth2 credentials\n" +
-          "3. Nhập clientId, clientSecret, refreshToken vào form\n\n" +
-          "Để sử dụng SMTP:\n" +
-          "1. Vào https://myaccount.google.com/apppasswords\n" +
-          "2. Tạo App Password mới\n" +
-          "3. Nhập App Password vào form",
-      });
-    }
+        failedEmails.push({ email: recipient, error: result.error });
+        if (result.potentiallyFailed) {
+          potentiallyFailedEmails.push({
+            email: recipient,
+            messageId: result.messageId,
+            response: result.response,
+          });
+        }
 
-    // Validate emailTo is array
-    if (!Array.isArray(job.emailTo) || job.emailTo.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "emailTo phải là mảng và có ít nhất một email",
-      });
+        const details = SendErrorService.getFields(result);
+        await DatabaseHelper.saveFailedEmail(
+          jobId,
+          recipient,
+          result.error,
+          sender.method,
+          runId,
+          details
+        );
+        if (details.bounce_type === "hard") {
+          await SuppressionService.recordHardBounce(recipient, {
+            jobId,
+            error: result.error,
+          });
+        }
+      }
+
+      // Giãn cách theo tốc độ gửi của job và email gửi
+      if (results.some((result) => result.success)) {
+        const throttle = await ThrottleService.getWaitTime(job);
+        await new Promise((resolve) => setTimeout(resolve, throttle.wait));
+      }
     }
 
-    // Validate emailFrom format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(job.emailFrom)) {
-      return res.status(400).json({
+    return this.buildResult({
+      total: emailTo.length,
+      successfulEmails,
+      failedEmails,
+      suppressedEmails,
+      potentiallyFailedEmails,
+      method: sender.method,
+      emailFrom,
+    });
+  },
+};
+
+// ============================================
+// Job Runner
+// ============================================
+const JobRunner = {
+  /**
+   * Tạo lỗi kèm HTTP status để route trả về đúng mã lỗi
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   * @returns {Error} Error object có thuộc tính status
+   */
+  createError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  },
+
+  /**
+   * Lấy job từ database và chuẩn bị object để gửi email
+   * @param {number|string} jobId - Job ID
+   * @param {Object} credentials - { appPassword?, clientId?, clientSecret?, refreshToken? }
+   * @returns {Promise<Object>} Job object cho EmailService.sendEmail
+   */
+  async prepareJob(jobId, credentials = {}) {
+    const { appPassword, clientId, clientSecret, refreshToken } = credentials;
+
+    // Lấy job từ database
+    const jobResult = await query("SELECT * FROM jobs WHERE id = $1", [jobId]);
+    if (jobResult.rows.length === 0) {
+      throw this.createError(404, "Không tìm thấy job với ID này");
+    }
+
+    const dbJob = jobResult.rows[0];
+
+    // Lấy emails từ bảng job_emails
+    const emailFrom = await DatabaseHelper.getJobEmails(dbJob.id, "from");
+    const emailCc = await DatabaseHelper.getJobEmails(dbJob.id, "cc");
+    const emailBcc = await DatabaseHelper.getJobEmails(dbJob.id, "bcc");
+
+    // Người nhận = email nhập trực tiếp + thành viên hiện tại của các danh sách,
+    // bỏ trùng (không phân biệt hoa thường)
+    const directEmails = await DatabaseHelper.getJobEmails(dbJob.id, "to");
+    const listEmails = await ListService.getJobListMembers(dbJob.id);
+    const seen = new Set();
+    const emailTo = [...directEmails, ...listEmails].filter((email) => {
+      const key = email.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    if (emailFrom.length === 0) {
+      throw this.createError(400, "Job không có email gửi hợp lệ");
+    }
+
+    if (emailTo.length === 0) {
+      throw this.createError(400, "Job không có email nhận hợp lệ");
+    }
+
+    // Lấy app_password từ database nếu không có trong credentials
+    const finalAppPassword = appPassword || dbJob.app_password || null;
+
+    // Kiểm tra thông tin xác thực
+    const hasGmailAPI = clientId && clientSecret && refreshToken;
+    const hasAppPassword =
+      finalAppPassword && finalAppPassword.trim().length > 0;
+
+    if (!hasGmailAPI && !hasAppPassword) {
+      throw this.createError(
+        400,
+        "Thiếu thông tin xác thực. Cần có:\n" +
+          "1. Gmail API OAuth2 (clientId, clientSecret, refreshToken) HOẶC\n" +
+          "2. App Password (appPassword)\n\n" +
+          "Vui lòng cập nhật job và nhập App Password, hoặc gửi trong body của request."
+      );
+    }
+
+    // Clean app password: loại bỏ khoảng trắng thừa (đảm bảo không có khoảng trắng)
+    const cleanAppPassword = finalAppPassword
+      ? finalAppPassword.trim().replace(/\s+/g, "")
+      : null;
+
+    // Validate app password format
+    if (cleanAppPassword && cleanAppPassword.length !== 16) {
+      console.error(
+        `❌ App Password không hợp lệ: length=${cleanAppPassword.length}, expected=16`
+      );
+      throw this.createError(
+        400,
+        `App Password không hợp lệ. Phải có đúng 16 ký tự (sau khi loại bỏ khoảng trắng). Hiện tại: ${cleanAppPassword.length} ký tự.`
+      );
+    }
+
+    console.log(
+      `   - cleanAppPassword: ${
+        cleanAppPassword
+          ? "*** (length: " + cleanAppPassword.length + ")"
+          : "không có"
+      }`
+    );
+
+    // Tạo job object để gửi email
+    return {
+      id: dbJob.id, // Thêm id để lưu kết quả
+      name: dbJob.name,
+      emailFrom: emailFrom[0],
+      emailTo: emailTo,
+      emailCc: emailCc,
+      emailBcc: emailBcc,
+      emailSubject: dbJob.email_subject,
+      emailBody: dbJob.email_body,
+      chromeProfile: dbJob.chrome_profile,
+      appPassword: cleanAppPassword,
+      clientId: clientId,
+      clientSecret: clientSecret,
+      refreshToken: refreshToken,
+      rateLimits: ThrottleService.fromRow(dbJob),
+      deliveryMode: dbJob.delivery_mode || "individual",
+      batchSize: Utils.getBatchSize(
+        dbJob.batch_size,
+        emailCc.length + emailBcc.length
+      ),
+    };
+  },
+
+  /**
+   * Lưu kết quả gửi vào email_results và cập nhật last_sent của job
+   * @param {number} jobId - Job ID
+   * @param {Object} result - Kết quả từ EmailService.sendEmail
+   * @param {number|null} runId - Run ID (job_runs) tạo ra kết quả
+   */
+  async recordResult(jobId, result, runId = null) {
+    try {
+      await query(
+        `INSERT INTO email_results (job_id, sent_count, total_count, failed_count, suppressed_count, method, errors, run_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          jobId,
+          result.sent || 0,
+          result.total || 0,
+          result.failedCount || 0,
+          result.suppressedCount || 0,
+          result.method || "SMTP",
+          result.errors ? JSON.stringify(result.errors) : null,
+          runId,
+        ]
+      );
+
+      // Cập nhật last_sent cho job
+      await query(
+        `UPDATE jobs SET last_sent = CURRENT_TIMESTAMP WHERE id = $1`,
+        [jobId]
+      );
+
+      console.log(
+        `✅ Đã lưu kết quả gửi email vào database cho job_id: ${jobId}`
+      );
+    } catch (dbError) {
+      console.error("Lỗi khi lưu kết quả vào database:", dbError);
+      // Không throw error, chỉ log để không ảnh hưởng đến kết quả gửi
+    }
+  },
+
+  /**
+   * Báo lỗi 409 nếu job đang có run chưa kết thúc (kèm run đó trong error.run)
+   * @param {Object} client - Kết nối database (trong transaction hoặc đang giữ lock)
+   * @param {number} jobId - Job ID
+   */
+  async assertNoActiveRun(client, jobId) {
+    const activeResult = await client.query(
+      `SELECT * FROM job_runs
+       WHERE job_id = $1 AND status <> ALL($2::text[])
+       ORDER BY id DESC
+       LIMIT 1`,
+      [jobId, RUN_FINAL_STATUSES]
+    );
+    if (activeResult.rows.length === 0) return;
+
+    const activeRun = activeResult.rows[0];
+    const error = this.createError(
+      409,
+      `Job đang có lần chạy chưa kết thúc (run #${activeRun.id}, trạng thái: ${activeRun.status}). Vui lòng đợi run này kết thúc hoặc hủy nó trước khi chạy lại.`
+    );
+    error.run = activeRun;
+    throw error;
+  },
+
+  /**
+   * Chạy callback trong khi giữ advisory lock của job (session lock trên một kết nối riêng).
+   * Dùng cho /api/run-job gửi đồng bộ ngoài hàng đợi, để không gửi trùng với run khác.
+   * @param {number} jobId - Job ID
+   * @param {Function} callback - async () => result
+   * @returns {Promise<*>} Kết quả của callback
+   */
+  async withRunLock(jobId, callback) {
+    const client = await pool.connect();
+    try {
+      const lockResult = await client.query(
+        "SELECT pg_try_advisory_lock($1::int, $2::int) AS locked",
+        [JOB_RUN_LOCK_NAMESPACE, jobId]
+      );
+      if (!lockResult.rows[0].locked) {
+        throw this.createError(409, "Job đang được chạy bởi một request khác");
+      }
+
+      try {
+        await this.assertNoActiveRun(client, jobId);
+        return await callback();
+      } finally {
+        await client.query("SELECT pg_advisory_unlock($1::int, $2::int)", [
+          JOB_RUN_LOCK_NAMESPACE,
+          jobId,
+        ]);
+      }
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Tạo run mới và đưa toàn bộ người nhận của job vào hàng đợi gửi.
+   * Job được kiểm tra ngay để request nhận lỗi 404/400 thay vì lỗi nằm trong worker.
+   * Mỗi job chỉ có một run chưa kết thúc tại một thời điểm (lỗi 409 nếu đã có).
+   * @param {number|string} jobId - Job ID
+   * @param {Object} credentials - Thông tin xác thực (tùy chọn), chỉ giữ trong bộ nhớ
+   * @param {Object} options - { triggerSource, scheduledAt }: nguồn kích hoạt ('manual' hoặc 'schedule')
+   *   và thời điểm chạy theo lịch của run (ghi vào jobs.last_scheduled_at cùng transaction tạo run)
+   * @returns {Promise<Object>} Run vừa tạo (dòng job_runs)
+   */
+  async enqueue(
+    jobId,
+    credentials = {},
+    { triggerSource = "manual", scheduledAt = null } = {}
+  ) {
+    const job = await this.prepareJob(jobId, credentials);
+    const recipients = job.emailTo;
+
+    // Thiếu biến mail merge: báo lỗi ngay, không tạo run
+    await TemplateService.prepare(job, job.emailTo);
+
+    const run = await transaction(async (client) => {
+      // Advisory lock theo job (tự nhả khi transaction kết thúc): hai request hoặc
+      // hai server cùng chạy một job không thể cùng vượt qua bước kiểm tra bên dưới
+      const lockResult = await client.query(
+        "SELECT pg_try_advisory_xact_lock($1::int, $2::int) AS locked",
+        [JOB_RUN_LOCK_NAMESPACE, job.id]
+      );
+      if (!lockResult.rows[0].locked) {
+        throw this.createError(409, "Job đang được chạy bởi một request khác");
+      }
+      await this.assertNoActiveRun(client, job.id);
+
+      // Lần chạy theo lịch: tiến mốc cùng lúc tạo run, để không chạy trùng giữa các server
+      // và không mất lần chạy khi không tạo được run
+      if (scheduledAt) {
+        const claimed = await client.query(
+          "UPDATE jobs SET last_scheduled_at = $2 WHERE id = $1 AND last_scheduled_at < $2",
+          [job.id, scheduledAt]
+        );
+        if (claimed.rowCount === 0) {
+          throw this.createError(409, "Lần chạy theo lịch này đã được xử lý");
+        }
+      }
+
+      // Ghi email gửi ngay khi tạo run: worker xử lý lần lượt các run cùng email gửi
+      const runResult = await client.query(
+        `INSERT INTO job_runs (job_id, status, trigger_source, email_from, total_count)
+         VALUES ($1, 'queued', $2, $3, $4)
+         RETURNING *`,
+        [
+          job.id,
+          triggerSource,
+          SenderService.normalize(job.emailFrom),
+          recipients.length,
+        ]
+      );
+      const newRun = runResult.rows[0];
+
+      await client.query(
+        `INSERT INTO send_queue (run_id, email)
+         SELECT $1, unnest($2::text[])`,
+        [newRun.id, recipients]
+      );
+
+      return newRun;
+    });
+
+    console.log(
+      `📥 Đã đưa ${recipients.length} email của job ${job.id} vào hàng đợi (run #${run.id})`
+    );
+
+    SendWorker.setCredentials(run.id, credentials);
+    SendWorker.wake();
+
+    return run;
+  },
+
+  /**
+   * Gửi đồng bộ (ngoài hàng đợi) và ghi lại thành một run với trigger_source 'direct'.
+   * Job có trong database: người gọi phải giữ khóa chạy của job (withRunLock).
+   * Job chưa lưu (job.id = null): run có job_id NULL, vẫn tính vào giới hạn gửi của email gửi.
+   * @param {Object} job - Job từ request /api/run-job (job.id là ID trong database hoặc null)
+   * @returns {Promise<Object>} Kết quả từ EmailService.sendEmail kèm run_id
+   */
+  async runDirect(job) {
+    const runResult = await query(
+      `INSERT INTO job_runs (job_id, status, trigger_source, email_from, total_count, started_at)
+       VALUES ($1, 'running', 'direct', $2, $3, $4)
+       RETURNING *`,
+      [
+        job.id,
+        SenderService.normalize(job.emailFrom),
+        job.emailTo.length,
+        new Date(),
+      ]
+    );
+    const run = runResult.rows[0];
+
+    let result;
+    try {
+      result = await EmailService.sendEmail({ ...job, runId: run.id });
+    } catch (error) {
+      await query(
+        "UPDATE job_runs SET status = 'failed', error = $2, finished_at = $3 WHERE id = $1",
+        [run.id, error.message, new Date()]
+      );
+      throw error;
+    }
+
+    await query(
+      `UPDATE job_runs
+       SET status = 'completed', method = $2, sent_count = $3, failed_count = $4,
+           suppressed_count = $5, finished_at = $6
+       WHERE id = $1`,
+      [
+        run.id,
+        result.method || "SMTP",
+        result.sent || 0,
+        result.failedCount || 0,
+        result.suppressedCount || 0,
+        new Date(),
+      ]
+    );
+    if (job.id) {
+      await this.recordResult(job.id, result, run.id);
+    }
+
+    return { ...result, run_id: run.id };
+  },
+
+  /**
+   * Lấy danh sách email lỗi của một run
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object[]>} [{ email, error, method, bounce_type, error_category, smtp_code, enhanced_status, error_reason, created_at }]
+   */
+  async getRunFailedEmails(runId) {
+    const result = await query(
+      `SELECT e.email, fe.error, fe.method, fe.bounce_type, fe.error_category,
+              fe.smtp_code, fe.enhanced_status, fe.error_reason, fe.created_at
+       FROM failed_emails fe
+       INNER JOIN emails e ON fe.email_id = e.id
+       WHERE fe.run_id = $1
+       ORDER BY fe.created_at ASC, fe.id ASC`,
+      [runId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Lấy danh sách người nhận của một run đã trả lời (thư trả lời đầu tiên của mỗi người)
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object[]>} [{ email, subject, received_at }]
+   */
+  async getRunRepliedEmails(runId) {
+    const result = await query(
+      `SELECT * FROM (
+         SELECT DISTINCT ON (email) email, subject, received_at
+         FROM replies
+         WHERE run_id = $1
+         ORDER BY email, received_at ASC, id ASC
+       ) first_replies
+       ORDER BY received_at ASC`,
+      [runId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Lấy danh sách người nhận của một run bị bỏ qua vì nằm trong danh sách chặn
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object[]>} [{ email, created_at }]
+   */
+  async getRunSuppressedEmails(runId) {
+    const result = await query(
+      `SELECT email, sent_at AS created_at
+       FROM email_deliveries
+       WHERE run_id = $1 AND status = 'suppressed'
+       ORDER BY sent_at ASC, id ASC`,
+      [runId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Log chi tiết của một run: thông tin run, kết quả email_results và email lỗi của đúng run đó
+   * @param {number|string} runId - Run ID
+   * @returns {Promise<Object|null>} Log (cùng dạng với /api/jobs/:id/last-run-log) hoặc null nếu không có run
+   */
+  async getRunLog(runId) {
+    const runResult = await query(
+      `SELECT r.*, j.name AS job_name
+       FROM job_runs r
+       LEFT JOIN jobs j ON r.job_id = j.id
+       WHERE r.id = $1`,
+      [runId]
+    );
+    if (runResult.rows.length === 0) return null;
+    const run = runResult.rows[0];
+
+    const emailResultQuery = await query(
+      "SELECT * FROM email_results WHERE run_id = $1 ORDER BY id DESC LIMIT 1",
+      [run.id]
+    );
+    const emailResult = emailResultQuery.rows[0] || null;
+
+    let errors = null;
+    try {
+      errors =
+        emailResult && emailResult.errors
+          ? JSON.parse(emailResult.errors)
+          : null;
+    } catch (e) {
+      console.warn("Lỗi khi parse errors JSON:", e);
+    }
+
+    return {
+      job_id: run.job_id,
+      job_name: run.job_name,
+      has_run: true,
+      run_id: run.id,
+      status: run.status,
+      trigger_source: run.trigger_source,
+      email_from: run.email_from,
+      started_at: run.started_at,
+      finished_at: run.finished_at,
+      run_time: emailResult
+        ? emailResult.created_at
+        : run.finished_at || run.started_at || run.created_at,
+      total_count: run.total_count,
+      sent_count: run.sent_count,
+      failed_count: run.failed_count,
+      suppressed_count: run.suppressed_count || 0,
+      bounced_count: run.bounced_count || 0,
+      replied_count: run.replied_count || 0,
+      method: run.method || (emailResult && emailResult.method) || "SMTP",
+      failed_emails: await this.getRunFailedEmails(run.id),
+      suppressed_emails: await this.getRunSuppressedEmails(run.id),
+      replied_emails: await this.getRunRepliedEmails(run.id),
+      errors,
+    };
+  },
+};
+
+// ============================================
+// Recipient History Service
+// ============================================
+const RecipientService = {
+  /**
+   * Tìm địa chỉ email (bảng emails) kèm số job và số lần gửi thành công/thất bại
+   * @param {string} search - Chuỗi tìm kiếm (một phần địa chỉ email hoặc tên hiển thị, không phân biệt hoa thường)
+   * @param {number} limit - Số kết quả tối đa
+   * @returns {Promise<Object[]>}
+   */
+  async search(search = "", limit = 50) {
+    const pattern = `%${search.trim().replace(/[\\%_]/g, "\\$&")}%`;
+    const result = await query(
+      `SELECT e.id, e.email, e.display_name, e.created_at,
+              (SELECT COUNT(DISTINCT je.job_id)::int FROM job_emails je WHERE je.email_id = e.id) AS job_count,
+              COUNT(d.id) FILTER (WHERE d.status = 'sent')::int AS sent_count,
+              COUNT(d.id) FILTER (WHERE d.status = 'failed')::int AS failed_count,
+              MAX(d.sent_at) AS last_delivery_at
+       FROM emails e
+       LEFT JOIN email_deliveries d ON d.email_id = e.id
+       WHERE e.email ILIKE $1 OR e.display_name ILIKE $1
+       GROUP BY e.id
+       ORDER BY last_delivery_at DESC NULLS LAST, e.email ASC
+       LIMIT $2`,
+      [pattern, limit]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Lịch sử của một địa chỉ email: các job đang nhắm tới địa chỉ này và mọi lần chạy đã gửi
+   * (hoặc đang chờ gửi) tới địa chỉ này kèm kết quả, mới nhất trước
+   * @param {number|string} emailId - ID trong bảng emails
+   * @returns {Promise<Object|null>} { id, email, created_at, jobs, history, summary } hoặc null
+   */
+  async getHistory(emailId) {
+    const emailResult = await query(
+      "SELECT id, email, display_name, created_at FROM emails WHERE id = $1",
+      [emailId]
+    );
+    if (emailResult.rows.length === 0) return null;
+    const email = emailResult.rows[0];
+
+    const jobsResult = await query(
+      `SELECT j.id AS job_id, j.name AS job_name, j.status AS job_status,
+              array_agg(je.type ORDER BY je.type) AS types
+       FROM job_emails je
+       INNER JOIN jobs j ON je.job_id = j.id
+       WHERE je.email_id = $1
+       GROUP BY j.id
+       ORDER BY j.name ASC`,
+      [email.id]
+    );
+
+    // Kết quả gửi đã lưu (email_deliveries), email trong hàng đợi chưa có kết quả
+    // (chờ gửi, đang gửi, bị hủy, không rõ trạng thái) và email lỗi cũ chưa gắn với run
+    const historyResult = await query(
+      `SELECT * FROM (
+         SELECT d.run_id, d.job_id, j.name AS job_name, r.trigger_source, r.status AS run_status,
+                d.status, d.message_id, d.smtp_response, d.error, d.method, d.attempts,
+                d.sent_at AS occurred_at
+         FROM email_deliveries d
+         LEFT JOIN job_runs r ON d.run_id = r.id
+         LEFT JOIN jobs j ON d.job_id = j.id
+         WHERE d.email_id = $1
+         UNION ALL
+         SELECT q.run_id, r.job_id, j.name, r.trigger_source, r.status,
+                q.status, NULL, NULL, q.error, r.method, q.attempts,
+                COALESCE(q.processed_at, q.created_at)
+         FROM send_queue q
+         INNER JOIN job_runs r ON q.run_id = r.id
+         LEFT JOIN jobs j ON r.job_id = j.id
+         WHERE q.email = $2 AND q.status NOT IN ('sent', 'failed', 'suppressed')
+           -- Email bị hủy/không rõ trạng thái của run đã hủy đã có kết quả 'cancelled'
+           AND NOT EXISTS (
+             SELECT 1 FROM email_deliveries d
+             WHERE d.run_id = q.run_id AND d.email = q.email
+           )
+         UNION ALL
+         SELECT NULL, fe.job_id, j.name, NULL, NULL,
+                'failed', NULL, NULL, fe.error, fe.method, NULL,
+                fe.created_at
+         FROM failed_emails fe
+         LEFT JOIN jobs j ON fe.job_id = j.id
+         WHERE fe.email_id = $1 AND fe.run_id IS NULL
+       ) history
+       ORDER BY occurred_at DESC NULLS LAST`,
+      [email.id, email.email]
+    );
+    const history = historyResult.rows;
+
+    const summary = history.reduce((counts, item) => {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    return { ...email, jobs: jobsResult.rows, history, summary };
+  },
+};
+
+// ============================================
+// Contact Service
+// ============================================
+const ContactService = {
+  // Các trường thông tin liên hệ của bảng emails (ngoài email và attributes)
+  FIELDS: ["display_name", "first_name", "last_name", "locale", "time_zone"],
+  // Độ dài tối đa của từng trường (theo schema)
+  MAX_LENGTHS: {
+    display_name: 255,
+    first_name: 100,
+    last_name: 100,
+    locale: 20,
+    time_zone: 64,
+  },
+
+  /**
+   * Kiểm tra thông tin liên hệ trong body request
+   * @param {Object} body - Request body
+   * @param {boolean} requireEmail - Bắt buộc có email (khi tạo mới)
+   * @returns {string|null} Thông báo lỗi hoặc null nếu hợp lệ
+   */
+  validate(body, requireEmail = false) {
+    if (requireEmail && Utils.validateEmailList([body.email || ""], "Email")) {
+      return "Email không hợp lệ";
+    }
+
+    for (const field of this.FIELDS) {
+      const value = body[field];
+      if (value === undefined || value === null || value === "") continue;
+      if (typeof value !== "string") {
+        return `${field} phải là chuỗi`;
+      }
+      if (value.trim().length > this.MAX_LENGTHS[field]) {
+        return `${field} tối đa ${this.MAX_LENGTHS[field]} ký tự`;
+      }
+    }
+
+    if (
+      body.locale &&
+      !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(body.locale.trim())
+    ) {
+      return "locale không hợp lệ (VD: vi, en-US)";
+    }
+    if (
+      body.time_zone &&
+      !SchedulerService.isValidTimezone(body.time_zone.trim())
+    ) {
+      return `time_zone không hợp lệ: ${body.time_zone}`;
+    }
+
+    const { attributes } = body;
+    if (
+      attributes !== undefined &&
+      attributes !== null &&
+      (typeof attributes !== "object" || Array.isArray(attributes))
+    ) {
+      return "attributes phải là object JSON";
+    }
+    return null;
+  },
+
+  /**
+   * Chuẩn hóa giá trị của một trường từ request (chuỗi rỗng = xóa giá trị)
+   * @param {*} value
+   * @returns {string|null}
+   */
+  parseValue(value) {
+    if (value === undefined || value === null) return null;
+    return String(value).trim() || null;
+  },
+
+  /**
+   * Danh sách liên hệ, tìm theo email hoặc tên
+   * @param {Object} options - { search, limit, offset }
+   * @returns {Promise<Object[]>}
+   */
+  async list({ search = "", limit = 50, offset = 0 } = {}) {
+    const pattern = `%${search.trim().replace(/[\\%_]/g, "\\$&")}%`;
+    const result = await query(
+      `SELECT * FROM emails
+       WHERE email ILIKE $1 OR display_name ILIKE $1
+         OR first_name ILIKE $1 OR last_name ILIKE $1
+       ORDER BY email ASC
+       LIMIT $2 OFFSET $3`,
+      [pattern, limit, offset]
+    );
+    return result.rows;
+  },
+
+  /**
+   * @param {number|string} id - ID trong bảng emails
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    if (!Utils.isValidId(id)) return null;
+    const result = await query("SELECT * FROM emails WHERE id = $1", [id]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Tạo liên hệ; địa chỉ đã có trong bảng emails (VD: người nhận của job) thì cập nhật thông tin
+   * @param {Object} body - { email, display_name, first_name, last_name, locale, time_zone, attributes }
+   * @param {Object} db - Nơi chạy query (client của transaction), mặc định là pool
+   * @returns {Promise<Object>} { contact, created }
+   */
+  async create(body, db = { query }) {
+    const email = body.email.trim();
+    // Địa chỉ email không phân biệt hoa thường (giống cách nạp liên hệ của người nhận)
+    const existing = await db.query(
+      "SELECT id FROM emails WHERE LOWER(email) = LOWER($1) ORDER BY id LIMIT 1",
+      [email]
+    );
+    if (existing.rows.length > 0) {
+      const contact = await this.update(existing.rows[0].id, body, db);
+      return { contact, created: false };
+    }
+
+    const result = await db.query(
+      `INSERT INTO emails (email, ${this.FIELDS.join(", ")}, attributes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        email,
+        ...this.FIELDS.map((field) => this.parseValue(body[field])),
+        body.attributes || {},
+      ]
+    );
+    return { contact: result.rows[0], created: true };
+  },
+
+  /**
+   * Cập nhật các trường được gửi lên (attributes được thay toàn bộ)
+   * @param {number|string} id - ID trong bảng emails
+   * @param {Object} body - Các trường cần cập nhật
+   * @param {Object} db - Nơi chạy query (client của transaction), mặc định là pool
+   * @returns {Promise<Object|null>} Liên hệ sau khi cập nhật hoặc null nếu không tồn tại
+   */
+  async update(id, body, db = { query }) {
+    if (!Utils.isValidId(id)) return null;
+    const updates = [];
+    const values = [id];
+    this.FIELDS.forEach((field) => {
+      if (body[field] !== undefined) {
+        values.push(this.parseValue(body[field]));
+        updates.push(`${field} = $${values.length}`);
+      }
+    });
+    if (body.attributes !== undefined) {
+      values.push(body.attributes || {});
+      updates.push(`attributes = $${values.length}`);
+    }
+    values.push(new Date());
+    updates.push(`updated_at = $${values.length}`);
+
+    const result = await db.query(
+      `UPDATE emails SET ${updates.join(", ")} WHERE id = $1 RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Xóa liên hệ. Địa chỉ còn được job/danh sách dùng hoặc có lịch sử gửi thì chỉ xóa thông tin liên hệ,
+   * giữ lại địa chỉ để không mất lịch sử
+   * @param {number|string} id - ID trong bảng emails
+   * @returns {Promise<Object|null>} { deleted } hoặc null nếu không tồn tại
+   */
+  async remove(id) {
+    const contact = await this.get(id);
+    if (!contact) return null;
+
+    const usageResult = await query(
+      `SELECT EXISTS (SELECT 1 FROM job_emails WHERE email_id = $1)
+           OR EXISTS (SELECT 1 FROM recipient_list_members WHERE email_id = $1)
+           OR EXISTS (SELECT 1 FROM email_deliveries WHERE email_id = $1)
+           OR EXISTS (SELECT 1 FROM failed_emails WHERE email_id = $1) AS in_use`,
+      [id]
+    );
+    if (usageResult.rows[0].in_use) {
+      await query(
+        `UPDATE emails SET ${this.FIELDS.map((field) => `${field} = NULL`).join(
+          ", "
+        )}, attributes = '{}', updated_at = $2
+         WHERE id = $1`,
+        [id, new Date()]
+      );
+      return { deleted: false };
+    }
+
+    await query("DELETE FROM emails WHERE id = $1", [id]);
+    return { deleted: true };
+  },
+
+  /**
+   * Thông tin liên hệ của người nhận đã được nạp vào job (TemplateService.prepare)
+   * @param {Object} job - Job object
+   * @param {string} recipient - Email người nhận
+   * @returns {Object|null} Dòng emails
+   */
+  getContact(job, recipient) {
+    return (
+      (job.recipientContacts &&
+        job.recipientContacts.get(recipient.toLowerCase())) ||
+      null
+    );
+  },
+
+  /**
+   * Tên hiển thị trong header To: display_name, hoặc họ tên
+   * @param {Object|null} contact - Dòng emails
+   * @returns {string|null}
+   */
+  getDisplayName(contact) {
+    if (!contact) return null;
+    return (
+      contact.display_name ||
+      [contact.first_name, contact.last_name].filter(Boolean).join(" ") ||
+      null
+    );
+  },
+
+  /**
+   * Biến mail merge của liên hệ: attributes và các trường thông tin liên hệ
+   * @param {Object|null} contact - Dòng emails
+   * @returns {Object}
+   */
+  toVariables(contact) {
+    if (!contact) return {};
+    const variables = { ...(contact.attributes || {}) };
+    this.FIELDS.forEach((field) => {
+      if (contact[field]) variables[field] = contact[field];
+    });
+    const displayName = this.getDisplayName(contact);
+    if (displayName) variables.display_name = displayName;
+    return variables;
+  },
+};
+
+// ============================================
+// Recipient List Service
+// ============================================
+const ListService = {
+  /**
+   * Kiểm tra tên/mô tả danh sách trong body request
+   * @param {Object} body - Request body
+   * @param {boolean} requireName - Bắt buộc có tên (khi tạo mới)
+   * @returns {string|null} Thông báo lỗi hoặc null nếu hợp lệ
+   */
+  validate(body, requireName = false) {
+    const { name } = body;
+    if (requireName || name !== undefined) {
+      if (typeof name !== "string" || name.trim() === "") {
+        return "Tên danh sách không được để trống";
+      }
+      if (name.trim().length > 255) {
+        return "Tên danh sách tối đa 255 ký tự";
+      }
+    }
+    if (body.emails !== undefined) {
+      return Utils.validateEmailList(
+        Utils.parseEmailList(body.emails),
+        "Email trong danh sách"
+      );
+    }
+    return null;
+  },
+
+  /**
+   * Chuẩn hóa danh sách ID danh sách người nhận từ request
+   * @param {*} value - Mảng ID (hoặc một ID)
+   * @returns {number[]|null} Mảng ID không trùng, null nếu có ID không hợp lệ
+   */
+  parseIds(value) {
+    if (value === undefined || value === null || value === "") return [];
+    const ids = (Array.isArray(value) ? value : [value]).map(Number);
+    if (ids.some((id) => !Number.isInteger(id) || id < 1)) return null;
+    return [...new Set(ids)];
+  },
+
+  /**
+   * Kiểm tra các ID danh sách đều tồn tại
+   * @param {number[]} ids - ID danh sách
+   * @returns {Promise<string|null>} Thông báo lỗi hoặc null nếu hợp lệ
+   */
+  async validateIds(ids) {
+    if (ids === null) return "list_ids phải là mảng ID danh sách người nhận";
+    if (ids.length === 0) return null;
+
+    const result = await query(
+      "SELECT id FROM recipient_lists WHERE id = ANY($1::int[])",
+      [ids]
+    );
+    const found = result.rows.map((row) => row.id);
+    const missing = ids.filter((id) => !found.includes(id));
+    return missing.length > 0
+      ? `Không tìm thấy danh sách người nhận: ${missing.join(", ")}`
+      : null;
+  },
+
+  /**
+   * Tất cả danh sách kèm số thành viên và số job đang dùng
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const result = await query(
+      `SELECT l.*,
+              (SELECT COUNT(*)::int FROM recipient_list_members m WHERE m.list_id = l.id) AS member_count,
+              (SELECT COUNT(*)::int FROM job_lists jl WHERE jl.list_id = l.id) AS job_count
+       FROM recipient_lists l
+       ORDER BY l.name ASC`
+    );
+    return result.rows;
+  },
+
+  /**
+   * Một danh sách kèm thành viên và các job đang dùng
+   * @param {number|string} id - List ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const listResult = await query(
+      "SELECT * FROM recipient_lists WHERE id = $1",
+      [id]
+    );
+    if (listResult.rows.length === 0) return null;
+    const list = listResult.rows[0];
+
+    const membersResult = await query(
+      `SELECT e.id, e.email, e.display_name, m.created_at AS added_at
+       FROM recipient_list_members m
+       INNER JOIN emails e ON m.email_id = e.id
+       WHERE m.list_id = $1
+       ORDER BY e.email ASC`,
+      [list.id]
+    );
+    const jobsResult = await query(
+      `SELECT j.id, j.name, j.status
+       FROM job_lists jl
+       INNER JOIN jobs j ON jl.job_id = j.id
+       WHERE jl.list_id = $1
+       ORDER BY j.name ASC`,
+      [list.id]
+    );
+
+    return {
+      ...list,
+      members: membersResult.rows,
+      member_count: membersResult.rows.length,
+      jobs: jobsResult.rows,
+    };
+  },
+
+  /**
+   * Báo lỗi 409 nếu tên danh sách đã được dùng
+   * @param {string} name - Tên danh sách
+   * @param {number|null} excludeId - Bỏ qua danh sách này (khi đổi tên)
+   */
+  async assertNameAvailable(name, excludeId = null) {
+    const result = await query(
+      "SELECT id FROM recipient_lists WHERE LOWER(name) = LOWER($1) AND id IS DISTINCT FROM $2",
+      [name.trim(), excludeId]
+    );
+    if (result.rows.length > 0) {
+      throw JobRunner.createError(409, `Đã có danh sách tên "${name.trim()}"`);
+    }
+  },
+
+  /**
+   * Tạo danh sách, kèm thành viên ban đầu (tùy chọn)
+   * @param {Object} body - { name, description, emails }
+   * @returns {Promise<Object>} Danh sách vừa tạo (kèm thành viên)
+   */
+  async create(body) {
+    await this.assertNameAvailable(body.name);
+
+    const result = await query(
+      `INSERT INTO recipient_lists (name, description)
+       VALUES ($1, $2)
+       RETURNING *`,
+      [body.name.trim(), body.description || null]
+    );
+    const list = result.rows[0];
+
+    await this.addMembers(list.id, Utils.parseEmailList(body.emails));
+    return this.get(list.id);
+  },
+
+  /**
+   * Cập nhật tên/mô tả; có `emails` thì thay toàn bộ thành viên
+   * @param {number|string} id - List ID
+   * @param {Object} body - { name, description, emails }
+   * @returns {Promise<Object|null>} Danh sách sau khi cập nhật hoặc null nếu không tồn tại
+   */
+  async update(id, body) {
+    const existing = await query(
+      "SELECT id FROM recipient_lists WHERE id = $1",
+      [id]
+    );
+    if (existing.rows.length === 0) return null;
+    const listId = existing.rows[0].id;
+
+    if (body.name !== undefined) {
+      await this.assertNameAvailable(body.name, listId);
+    }
+
+    await query(
+      `UPDATE recipient_lists
+       SET name = COALESCE($2, name),
+           description = CASE WHEN $3 THEN $4 ELSE description END,
+           updated_at = $5
+       WHERE id = $1`,
+      [
+        listId,
+        body.name !== undefined ? body.name.trim() : null,
+        body.description !== undefined,
+        body.description || null,
+        new Date(),
+      ]
+    );
+
+    if (body.emails !== undefined) {
+      await query("DELETE FROM recipient_list_members WHERE list_id = $1", [
+        listId,
+      ]);
+      await this.addMembers(listId, Utils.parseEmailList(body.emails));
+    }
+
+    return this.get(listId);
+  },
+
+  /**
+   * Xóa danh sách (các job đang dùng không còn gửi cho thành viên của danh sách này)
+   * @param {number|string} id - List ID
+   * @returns {Promise<boolean>} false nếu không tồn tại
+   */
+  async remove(id) {
+    const result = await query(
+      "DELETE FROM recipient_lists WHERE id = $1 RETURNING id",
+      [id]
+    );
+    return result.rows.length > 0;
+  },
+
+  /**
+   * Thêm thành viên (bỏ qua email đã có trong danh sách, không phân biệt hoa thường)
+   * @param {number} listId - List ID
+   * @param {string[]} emails - Email cần thêm
+   * @param {Object} db - Nơi chạy query (client của transaction), mặc định là pool
+   * @returns {Promise<number>} Số email được thêm mới
+   */
+  async addMembers(listId, emails, db = { query }) {
+    const existing = await db.query(
+      `SELECT LOWER(e.email) AS email
+       FROM recipient_list_members m
+       INNER JOIN emails e ON m.email_id = e.id
+       WHERE m.list_id = $1`,
+      [listId]
+    );
+    const seen = new Set(existing.rows.map((row) => row.email));
+
+    let added = 0;
+    for (const email of emails) {
+      const key = email.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const emailId = await DatabaseHelper.getOrCreateEmail(email, db);
+      const result = await db.query(
+        `INSERT INTO recipient_list_members (list_id, email_id)
+         VALUES ($1, $2)
+         ON CONFLICT (list_id, email_id) DO NOTHING`,
+        [listId, emailId]
+      );
+      added += result.rowCount;
+    }
+    if (emails.length > 0) {
+      await db.query(
+        "UPDATE recipient_lists SET updated_at = $2 WHERE id = $1",
+        [listId, new Date()]
+      );
+    }
+    return added;
+  },
+
+  /**
+   * Xóa thành viên khỏi danh sách (không phân biệt hoa thường)
+   * @param {number} listId - List ID
+   * @param {string[]} emails - Email cần xóa
+   * @returns {Promise<number>} Số email đã xóa
+   */
+  async removeMembers(listId, emails) {
+    if (emails.length === 0) return 0;
+    const result = await query(
+      `DELETE FROM recipient_list_members m
+       USING emails e
+       WHERE m.email_id = e.id AND m.list_id = $1
+         AND LOWER(e.email) = ANY($2::text[])`,
+      [listId, emails.map((email) => email.toLowerCase())]
+    );
+    await query("UPDATE recipient_lists SET updated_at = $2 WHERE id = $1", [
+      listId,
+      new Date(),
+    ]);
+    return result.rowCount;
+  },
+
+  /**
+   * ID các danh sách người nhận của job
+   * @param {number} jobId - Job ID
+   * @returns {Promise<number[]>}
+   */
+  async getJobListIds(jobId) {
+    const result = await query(
+      "SELECT list_id FROM job_lists WHERE job_id = $1 ORDER BY list_id",
+      [jobId]
+    );
+    return result.rows.map((row) => row.list_id);
+  },
+
+  /**
+   * Thay toàn bộ danh sách người nhận của job
+   * @param {number} jobId - Job ID
+   * @param {number[]} listIds - ID danh sách (đã kiểm tra tồn tại)
+   */
+  async setJobLists(jobId, listIds) {
+    await query("DELETE FROM job_lists WHERE job_id = $1", [jobId]);
+    if (listIds.length === 0) return;
+    await query(
+      `INSERT INTO job_lists (job_id, list_id)
+       SELECT $1, unnest($2::int[])
+       ON CONFLICT DO NOTHING`,
+      [jobId, listIds]
+    );
+  },
+
+  /**
+   * Email thành viên hiện tại của các danh sách mà job nhắm tới
+   * @param {number} jobId - Job ID
+   * @returns {Promise<string[]>}
+   */
+  async getJobListMembers(jobId) {
+    const result = await query(
+      `SELECT DISTINCT e.email
+       FROM job_lists jl
+       INNER JOIN recipient_list_members m ON m.list_id = jl.list_id
+       INNER JOIN emails e ON m.email_id = e.id
+       WHERE jl.job_id = $1
+       ORDER BY e.email`,
+      [jobId]
+    );
+    return result.rows.map((row) => row.email);
+  },
+};
+
+// ============================================
+// Recipient Import Service
+// ============================================
+const ImportService = {
+  // Tên cột thường gặp → trường liên hệ (dùng khi request không gửi mapping)
+  COLUMN_ALIASES: {
+    email: ["email", "e-mail", "mail", "email_address", "địa chỉ email"],
+    display_name: [
+      "display_name",
+      "name",
+      "full_name",
+      "họ tên",
+      "tên hiển thị",
+    ],
+    first_name: ["first_name", "firstname", "given_name", "tên"],
+    last_name: ["last_name", "lastname", "surname", "family_name", "họ"],
+    locale: ["locale", "language", "ngôn ngữ"],
+    time_zone: ["time_zone", "timezone", "tz", "múi giờ"],
+  },
+  DELIMITERS: [",", ";", "\t"],
+
+  /**
+   * Đoán ký tự phân cách từ dòng đầu tiên (dấu phẩy, chấm phẩy hoặc tab)
+   * @param {string} content - Nội dung file
+   * @returns {string}
+   */
+  detectDelimiter(content) {
+    const firstLine = content.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+    let best = ",";
+    let bestCount = 0;
+    this.DELIMITERS.forEach((delimiter) => {
+      const count = firstLine.split(delimiter).length - 1;
+      if (count > bestCount) {
+        best = delimiter;
+        bestCount = count;
+      }
+    });
+    return best;
+  },
+
+  /**
+   * Tách nội dung CSV/TSV thành các dòng (RFC 4180: giá trị trong dấu nháy kép
+   * có thể chứa ký tự phân cách, xuống dòng và "" để biểu diễn dấu nháy)
+   * @param {string} content - Nội dung file
+   * @param {string} delimiter - Ký tự phân cách
+   * @returns {string[][]} Các dòng, mỗi dòng là mảng giá trị
+   */
+  parse(content, delimiter) {
+    const rows = [];
+    let row = [];
+    let value = "";
+    let inQuotes = false;
+    const text = content.replace(/^\uFEFF/, ""); // Bỏ BOM của file UTF-8 xuất từ Excel
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"' && value === "") {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(value);
+        value = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = "";
+      } else {
+        value += char;
+      }
+    }
+    if (value !== "" || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+    }
+    return rows;
+  },
+
+  /**
+   * Xác định trường liên hệ cho từng cột
+   * @param {string[]|null} header - Dòng tiêu đề (null nếu file không có tiêu đề)
+   * @param {number} columnCount - Số cột
+   * @param {Object|undefined} mapping - { "<tên cột hoặc số thứ tự cột>": "email" | "display_name" | ... | "attributes.<key>" | "ignore" }
+   * @returns {Object[]} [{ index, column, field }] (field null = bỏ qua cột)
+   */
+  resolveColumns(header, columnCount, mapping) {
+    const columns = Array.from({ length: columnCount }, (_, index) => ({
+      index,
+      column: header ? (header[index] || "").trim() : String(index + 1),
+      field: null,
+    }));
+
+    if (mapping !== undefined && mapping !== null) {
+      if (typeof mapping !== "object" || Array.isArray(mapping)) {
+        throw JobRunner.createError(400, "mapping phải là object JSON");
+      }
+      Object.entries(mapping).forEach(([key, field]) => {
+        const column = columns.find(
+          (item) => item.column.toLowerCase() === key.trim().toLowerCase()
+        );
+        if (!column) {
+          throw JobRunner.createError(400, `Không tìm thấy cột "${key}"`);
+        }
+        if (field === null || field === "ignore") return;
+        const isField =
+          field === "email" ||
+          ContactService.FIELDS.includes(field) ||
+          /^attributes\.[A-Za-z_]\w*$/.test(field);
+        if (!isField) {
+          throw JobRunner.createError(
+            400,
+            `Trường "${field}" không hợp lệ. Hỗ trợ: email, ${ContactService.FIELDS.join(
+              ", "
+            )}, attributes.<tên biến> (chữ, số, dấu _), ignore`
+          );
+        }
+        column.field = field;
+      });
+    } else if (header) {
+      // Tự ánh xạ theo tên cột; cột không khớp được lưu vào attributes
+      // với tên biến mail merge suy ra từ tên cột (VD: "Công ty" → cong_ty)
+      columns.forEach((column) => {
+        const name = column.column.toLowerCase();
+        if (!name) return;
+        const field = Object.keys(this.COLUMN_ALIASES).find((key) =>
+          this.COLUMN_ALIASES[key].includes(name)
+        );
+        const attribute = this.toAttributeKey(column.column);
+        column.field = field || (attribute ? `attributes.${attribute}` : null);
+      });
+    } else {
+      // Không có tiêu đề: cột đầu tiên là email
+      columns[0].field = "email";
+    }
+
+    const emailColumns = columns.filter((column) => column.field === "email");
+    if (emailColumns.length !== 1) {
+      throw JobRunner.createError(
+        400,
+        emailColumns.length === 0
+          ? 'Không xác định được cột email, hãy gửi mapping (VD: { "Địa chỉ": "email" })'
+          : "Chỉ được ánh xạ một cột vào email"
+      );
+    }
+    return columns;
+  },
+
+  /**
+   * Tên biến mail merge từ tên cột: bỏ dấu tiếng Việt, viết thường, ký tự khác chữ/số thành "_"
+   * @param {string} column - Tên cột
+   * @returns {string} Tên biến hoặc chuỗi rỗng nếu không suy ra được
+   */
+  toAttributeKey(column) {
+    const key = column
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/đ/gi, "d")
+      .toLowerCase()
+      .replace(/\W+/g, "_")
+      .replace(/^_+|_+$/g, "");
+    return /^\d/.test(key) ? `_${key}` : key;
+  },
+
+  /**
+   * Chuẩn hóa địa chỉ email: bỏ khoảng trắng, "mailto:", dạng "Tên <email>" và viết thường domain
+   * @param {string} value - Giá trị trong cột email
+   * @returns {string}
+   */
+  normalizeEmail(value) {
+    let email = String(value || "").trim();
+    const bracket = email.match(/<([^<>]+)>\s*$/);
+    if (bracket) email = bracket[1].trim();
+    email = email.replace(/^mailto:/i, "");
+
+    const at = email.lastIndexOf("@");
+    return at > 0
+      ? `${email.slice(0, at)}@${email.slice(at + 1).toLowerCase()}`
+      : email;
+  },
+
+  /**
+   * Phân tích file và lập báo cáo các dòng được nhận, trùng lặp và bị từ chối
+   * @param {Object} options - { content, delimiter, has_header, mapping }
+   * @returns {Promise<Object>} { delimiter, columns, total_rows, accepted, duplicates, rejected, summary }
+   */
+  async analyze({ content, delimiter, has_header = true, mapping }) {
+    if (typeof content !== "string" || content.trim() === "") {
+      throw JobRunner.createError(
+        400,
+        "content (nội dung CSV/TSV) không được để trống"
+      );
+    }
+    if (delimiter !== undefined && !this.DELIMITERS.includes(delimiter)) {
+      throw JobRunner.createError(
+        400,
+        "delimiter chỉ hỗ trợ: dấu phẩy, chấm phẩy hoặc tab"
+      );
+    }
+
+    const usedDelimiter = delimiter || this.detectDelimiter(content);
+    const rows = this.parse(content, usedDelimiter);
+    const hasHeader = has_header !== false && has_header !== "false";
+    const header = hasHeader ? rows[0] || [] : null;
+    const dataRows = rows
+      .map((values, index) => ({ row: index + 1, values }))
+      .slice(hasHeader ? 1 : 0)
+      .filter(({ values }) => values.some((value) => value.trim() !== ""));
+
+    if (dataRows.length === 0) {
+      throw JobRunner.createError(400, "File không có dòng dữ liệu nào");
+    }
+    if (dataRows.length > CONFIG.IMPORT.maxRows) {
+      throw JobRunner.createError(
+        400,
+        `File có ${dataRows.length} dòng, tối đa ${CONFIG.IMPORT.maxRows} dòng mỗi lần nhập`
+      );
+    }
+
+    const columnCount = Math.max(
+      header ? header.length : 0,
+      ...dataRows.map(({ values }) => values.length)
+    );
+    const columns = this.resolveColumns(header, columnCount, mapping);
+
+    const accepted = [];
+    const duplicates = [];
+    const rejected = [];
+    const firstRows = new Map(); // email (viết thường) → dòng đầu tiên
+
+    dataRows.forEach(({ row, values }) => {
+      const record = { row, email: "", fields: {}, attributes: {} };
+      columns.forEach((column) => {
+        const value = (values[column.index] || "").trim();
+        if (!column.field || value === "") return;
+        if (column.field === "email") {
+          record.email = this.normalizeEmail(value);
+        } else if (column.field.startsWith("attributes.")) {
+          record.attributes[column.field.slice("attributes.".length)] = value;
+        } else {
+          record.fields[column.field] = value;
+        }
+      });
+
+      if (!record.email) {
+        rejected.push({ row, email: "", error: "Thiếu email" });
+        return;
+      }
+
+      const key = record.email.toLowerCase();
+      if (firstRows.has(key)) {
+        duplicates.push({
+          row,
+          email: record.email,
+          duplicate_of: firstRows.get(key),
+        });
+        return;
+      }
+      firstRows.set(key, row);
+
+      const fieldError = ContactService.validate(record.fields);
+      if (fieldError) {
+        rejected.push({ row, email: record.email, error: fieldError });
+        return;
+      }
+      accepted.push(record);
+    });
+
+    // Kiểm tra địa chỉ (định dạng, MX record) theo từng nhóm để không gửi quá nhiều truy vấn DNS cùng lúc
+    const checked = [];
+    for (
+      let i = 0;
+      i < accepted.length;
+      i += CONFIG.IMPORT.validateConcurrency
+    ) {
+      const chunk = accepted.slice(i, i + CONFIG.IMPORT.validateConcurrency);
+      const results = await Promise.all(
+        chunk.map((record) => Utils.validateEmailExists(record.email))
+      );
+      chunk.forEach((record, index) => {
+        const validation = results[index];
+        if (!validation.valid) {
+          rejected.push({
+            row: record.row,
+            email: record.email,
+            error: validation.error,
+          });
+        } else {
+          checked.push({ ...record, warnings: validation.warnings || [] });
+        }
+      });
+    }
+    rejected.sort((a, b) => a.row - b.row);
+
+    return {
+      delimiter: usedDelimiter,
+      columns: columns.map(({ column, field }) => ({ column, field })),
+      total_rows: dataRows.length,
+      accepted: checked,
+      duplicates,
+      rejected,
+      summary: {
+        accepted: checked.length,
+        duplicate: duplicates.length,
+        rejected: rejected.length,
+      },
+    };
+  },
+
+  /**
+   * Kiểm tra đích nhập (danh sách hoặc job)
+   * @param {Object} target - { list_id, job_id }
+   * @returns {Promise<string|null>} Thông báo lỗi hoặc null nếu hợp lệ
+   */
+  async validateTarget({ list_id, job_id }) {
+    const hasList = list_id !== undefined && list_id !== null && list_id !== "";
+    const hasJob = job_id !== undefined && job_id !== null && job_id !== "";
+    if (hasList && hasJob) return "Chỉ chọn một trong list_id hoặc job_id";
+    if (!hasList && !hasJob) return null;
+
+    const id = Number(hasList ? list_id : job_id);
+    if (!Number.isInteger(id) || id < 1) {
+      return `${hasList ? "list_id" : "job_id"} không hợp lệ`;
+    }
+    const result = await query(
+      `SELECT id FROM ${hasList ? "recipient_lists" : "jobs"} WHERE id = $1`,
+      [id]
+    );
+    if (result.rows.length === 0) {
+      return hasList
+        ? "Không tìm thấy danh sách với ID này"
+        : "Không tìm thấy job với ID này";
+    }
+    return null;
+  },
+
+  /**
+   * Lưu các dòng được nhận: cập nhật danh bạ, thêm vào danh sách hoặc người nhận của job
+   * Địa chỉ đã có (không phân biệt hoa thường) dùng lại bản ghi cũ; attributes được gộp với giá trị cũ.
+   * @param {Object[]} accepted - report.accepted từ analyze()
+   * @param {Object} target - { list_id, job_id } (đã kiểm tra bằng validateTarget)
+   * @returns {Promise<Object>} { contacts_created, contacts_updated, added }
+   */
+  async commit(accepted, { list_id, job_id }) {
+    // Một transaction: lỗi giữa chừng không để lại danh bạ/danh sách nhập dở
+    return transaction(async (client) => {
+      let created = 0;
+      const emails = [];
+
+      for (const record of accepted) {
+        const existingResult = await client.query(
+          "SELECT email, attributes FROM emails WHERE LOWER(email) = LOWER($1) ORDER BY id LIMIT 1",
+          [record.email]
+        );
+        const existing = existingResult.rows[0];
+        const body = {
+          ...record.fields,
+          email: existing ? existing.email : record.email,
+        };
+        if (Object.keys(record.attributes).length > 0) {
+          body.attributes = {
+            ...(existing ? existing.attributes : {}),
+            ...record.attributes,
+          };
+        }
+
+        const result = await ContactService.create(body, client);
+        if (result.created) created++;
+        emails.push(body.email);
+      }
+
+      let added = 0;
+      if (list_id) {
+        added = await ListService.addMembers(Number(list_id), emails, client);
+      } else if (job_id) {
+        const current = await DatabaseHelper.getJobEmails(
+          Number(job_id),
+          "to",
+          client
+        );
+        const seen = new Set(current.map((email) => email.toLowerCase()));
+        const newEmails = emails.filter(
+          (email) => !seen.has(email.toLowerCase())
+        );
+        await DatabaseHelper.saveJobEmails(
+          Number(job_id),
+          newEmails,
+          "to",
+          client
+        );
+        added = newEmails.length;
+      }
+
+      return {
+        contacts_created: created,
+        contacts_updated: emails.length - created,
+        added,
+      };
+    });
+  },
+};
+
+// ============================================
+// Suppression Service (danh sách chặn gửi, hủy đăng ký)
+// ============================================
+const SuppressionService = {
+  // Lý do chặn gửi (suppressions.reason)
+  REASONS: ["unsubscribe", "manual", "hard_bounce"],
+  // Lọc danh sách chặn theo trạng thái: đang chặn, đã gỡ chặn hoặc tất cả
+  STATUSES: ["active", "lifted", "all"],
+  // Lỗi ghi cho người nhận bị bỏ qua vì nằm trong danh sách chặn
+  SUPPRESSED_ERROR: "Người nhận đã hủy đăng ký hoặc nằm trong danh sách chặn",
+
+  /**
+   * Chuẩn bị khóa ký token và kiểm tra cấu hình link hủy đăng ký (gọi khi khởi động server).
+   * Không có UNSUBSCRIBE_SECRET thì dùng khóa lưu trong database (tạo ngẫu nhiên ở lần chạy đầu),
+   * để link trong các email đã gửi vẫn dùng được sau khi server khởi động lại.
+   */
+  async init() {
+    if (!CONFIG.UNSUBSCRIBE.secret) {
+      await query(
+        "INSERT INTO app_settings (key, value) VALUES ('unsubscribe_secret', $1) ON CONFLICT (key) DO NOTHING",
+        [crypto.randomBytes(32).toString("hex")]
+      );
+      const result = await query(
+        "SELECT value FROM app_settings WHERE key = 'unsubscribe_secret'"
+      );
+      CONFIG.UNSUBSCRIBE.secret = result.rows[0].value;
+    }
+
+    if (!CONFIG.UNSUBSCRIBE.baseUrl) {
+      console.warn(
+        "⚠️ Chưa cấu hình PUBLIC_BASE_URL: email gửi đi không có header List-Unsubscribe và không dùng được {{unsubscribe_url}}"
+      );
+    }
+  },
+
+  /**
+   * Khóa ký token hủy đăng ký (UNSUBSCRIBE_SECRET hoặc khóa lưu trong database)
+   * @returns {string}
+   */
+  getSecret() {
+    if (!CONFIG.UNSUBSCRIBE.secret) {
+      throw new Error("Chưa khởi tạo khóa ký token hủy đăng ký");
+    }
+    return CONFIG.UNSUBSCRIBE.secret;
+  },
+
+  /**
+   * @param {string} payload - Phần dữ liệu của token
+   * @returns {string} Chữ ký HMAC-SHA256 (base64url)
+   */
+  sign(payload) {
+    return crypto
+      .createHmac("sha256", this.getSecret())
+      .update(payload)
+      .digest("base64url");
+  },
+
+  /**
+   * Tạo token hủy đăng ký cho một người nhận: <email|job_id (base64url)>.<chữ ký>
+   * @param {string} email - Email người nhận
+   * @param {number|null} jobId - Job gửi email chứa link
+   * @returns {string}
+   */
+  createToken(email, jobId = null) {
+    const payload = Buffer.from(
+      `${email.trim().toLowerCase()}|${jobId || ""}`
+    ).toString("base64url");
+    return `${payload}.${this.sign(payload)}`;
+  },
+
+  /**
+   * Kiểm tra chữ ký của token hủy đăng ký
+   * @param {string} token
+   * @returns {Object|null} { email, jobId } hoặc null nếu token không hợp lệ
+   */
+  verifyToken(token) {
+    const [payload, signature, ...rest] = String(token || "").split(".");
+    if (!payload || !signature || rest.length > 0) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (
+      expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)
+    ) {
+      return null;
+    }
+
+    const [email, jobId] = Buffer.from(payload, "base64url")
+      .toString()
+      .split("|");
+    if (!email) return null;
+    return { email, jobId: parseInt(jobId) || null };
+  },
+
+  /**
+   * @param {string} email - Email người nhận
+   * @param {number|null} jobId - Job gửi email
+   * @returns {string|null} Link hủy đăng ký của người nhận (null nếu chưa cấu hình PUBLIC_BASE_URL)
+   */
+  getUnsubscribeUrl(email, jobId = null) {
+    if (!CONFIG.UNSUBSCRIBE.baseUrl) return null;
+    return `${CONFIG.UNSUBSCRIBE.baseUrl}/unsubscribe?token=${this.createToken(
+      email,
+      jobId
+    )}`;
+  },
+
+  /**
+   * Header hủy đăng ký một chạm theo RFC 8058 (Gmail, Yahoo... hiện nút "Hủy đăng ký")
+   * @param {string} email - Email người nhận
+   * @param {number|null} jobId - Job gửi email
+   * @returns {Object} { "List-Unsubscribe", "List-Unsubscribe-Post" } hoặc {} nếu chưa cấu hình PUBLIC_BASE_URL
+   */
+  getHeaders(email, jobId = null) {
+    const url = this.getUnsubscribeUrl(email, jobId);
+    if (!url) return {};
+    return {
+      "List-Unsubscribe": `<${url}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    };
+  },
+
+  /**
+   * Lọc các địa chỉ nằm trong danh sách chặn (không phân biệt hoa thường)
+   * @param {string[]} emails
+   * @returns {Promise<Set<string>>} Các địa chỉ bị chặn (chữ thường)
+   */
+  async findSuppressed(emails) {
+    if (emails.length === 0) return new Set();
+    const result = await query(
+      "SELECT email FROM suppressions WHERE email = ANY($1::text[]) AND lifted_at IS NULL",
+      [emails.map((email) => email.trim().toLowerCase())]
+    );
+    return new Set(result.rows.map((row) => row.email));
+  },
+
+  /**
+   * Kết quả gửi của người nhận bị bỏ qua vì nằm trong danh sách chặn (không tính là thất bại)
+   * @param {string} recipient - Email người nhận
+   * @returns {Object} { success: false, suppressed: true, email, error }
+   */
+  getSuppressedResult(recipient) {
+    console.log(`🚫 Bỏ qua ${recipient}: ${this.SUPPRESSED_ERROR}`);
+    return {
+      success: false,
+      suppressed: true,
+      email: recipient,
+      error: this.SUPPRESSED_ERROR,
+    };
+  },
+
+  /**
+   * Kiểm tra dữ liệu thêm vào danh sách chặn
+   * @param {Object} body - { email, reason, note }
+   * @returns {string|null} Thông báo lỗi hoặc null nếu hợp lệ
+   */
+  validate(body) {
+    if (Utils.validateEmailList([body.email || ""], "Email")) {
+      return "Email không hợp lệ";
+    }
+    if (body.reason !== undefined && !this.REASONS.includes(body.reason)) {
+      return `reason phải là một trong: ${this.REASONS.join(", ")}`;
+    }
+    if (
+      body.note !== undefined &&
+      body.note !== null &&
+      typeof body.note !== "string"
+    ) {
+      return "note phải là chuỗi";
+    }
+    return null;
+  },
+
+  /**
+   * Danh sách địa chỉ bị chặn, mới nhất trước, kèm số lần bounce cứng và lỗi bounce gần nhất
+   * @param {Object} options - { search, reason, status, limit, offset }
+   * @returns {Promise<Object[]>}
+   */
+  async list({
+    search = "",
+    reason = null,
+    status = "active",
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const pattern = `%${search.trim().replace(/[\\%_]/g, "\\$&")}%`;
+    const result = await query(
+      `SELECT s.*, j.name AS job_name,
+              COALESCE(b.hard_bounce_count, 0) AS hard_bounce_count,
+              b.last_bounce_error, b.last_bounce_at
+       FROM suppressions s
+       LEFT JOIN jobs j ON s.job_id = j.id
+       LEFT JOIN LATERAL (
+         SELECT COUNT(*) OVER ()::int AS hard_bounce_count,
+                fe.error AS last_bounce_error, fe.created_at AS last_bounce_at
+         FROM failed_emails fe
+         INNER JOIN emails e ON fe.email_id = e.id
+         WHERE LOWER(e.email) = s.email AND fe.bounce_type = 'hard'
+           AND fe.created_at > COALESCE(s.lifted_at, '-infinity')
+         ORDER BY fe.created_at DESC, fe.id DESC
+         LIMIT 1
+       ) b ON TRUE
+       WHERE s.email ILIKE $1
+         AND ($2::text IS NULL OR s.reason = $2)
+         AND ($3 = 'all' OR ($3 = 'active') = (s.lifted_at IS NULL))
+       ORDER BY s.created_at DESC, s.id DESC
+       LIMIT $4 OFFSET $5`,
+      [pattern, reason, status, limit, offset]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Ghi nhận một lần bounce cứng (đã lưu trong failed_emails): đủ ngưỡng
+   * CONFIG.BOUNCE.hardBounceThreshold thì chặn gửi địa chỉ này cho mọi job.
+   * Sau khi được gỡ chặn, số lần bounce được đếm lại từ đầu.
+   * @param {string} email - Email người nhận
+   * @param {Object} options - { jobId, error }
+   * @param {Object} db - Client của transaction (mặc định dùng pool)
+   * @returns {Promise<Object|null>} Dòng suppressions nếu địa chỉ vừa bị chặn
+   */
+  async recordHardBounce(
+    email,
+    { jobId = null, error = null } = {},
+    db = { query }
+  ) {
+    const threshold = CONFIG.BOUNCE.hardBounceThreshold;
+    if (!threshold) return null;
+
+    const address = email.trim().toLowerCase();
+    const countResult = await db.query(
+      `SELECT COUNT(*)::int AS count
+       FROM failed_emails fe
+       INNER JOIN emails e ON fe.email_id = e.id
+       WHERE LOWER(e.email) = $1 AND fe.bounce_type = 'hard'
+         AND fe.created_at > COALESCE(
+           (SELECT lifted_at FROM suppressions WHERE email = $1), '-infinity'
+         )`,
+      [address]
+    );
+    const count = countResult.rows[0].count;
+    if (count < threshold) {
+      console.warn(
+        `⚠️ Bounce cứng ${count}/${threshold} lần: ${address}${
+          error ? ` - ${error}` : ""
+        }`
+      );
+      return null;
+    }
+
+    const { suppression, created } = await this.add(
+      address,
+      {
+        reason: "hard_bounce",
+        jobId,
+        note: `Tự động chặn sau ${count} lần bounce cứng${
+          error ? `. Lỗi gần nhất: ${error}` : ""
+        }`,
+      },
+      db
+    );
+    return created ? suppression : null;
+  },
+
+  /**
+   * Thêm địa chỉ vào danh sách chặn; địa chỉ đang bị chặn thì giữ nguyên lý do ban đầu,
+   * địa chỉ đã được gỡ chặn thì bị chặn lại với lý do mới
+   * @param {string} email - Email người nhận
+   * @param {Object} options - { reason, jobId, note }
+   * @param {Object} db - Client của transaction (mặc định dùng pool)
+   * @returns {Promise<Object>} { suppression, created }
+   */
+  async add(
+    email,
+    { reason = "manual", jobId = null, note = null } = {},
+    db = { query }
+  ) {
+    const address = email.trim().toLowerCase();
+    const result = await db.query(
+      `INSERT INTO suppressions (email, reason, job_id, note, created_at)
+       VALUES ($1, $2, (SELECT id FROM jobs WHERE id = $3), $4, $5)
+       ON CONFLICT (email) DO UPDATE
+       SET reason = EXCLUDED.reason, job_id = EXCLUDED.job_id, note = EXCLUDED.note,
+           created_at = EXCLUDED.created_at, lifted_at = NULL
+       WHERE suppressions.lifted_at IS NOT NULL
+       RETURNING *`,
+      [address, reason, jobId, note ? note.trim() || null : null, new Date()]
+    );
+    if (result.rows.length > 0) {
+      console.log(`🚫 Đã thêm ${address} vào danh sách chặn (${reason})`);
+      return { suppression: result.rows[0], created: true };
+    }
+
+    const existing = await db.query(
+      "SELECT * FROM suppressions WHERE email = $1",
+      [address]
+    );
+    return { suppression: existing.rows[0], created: false };
+  },
+
+  /**
+   * Trang HTML cho người nhận mở link hủy đăng ký
+   * @param {string} title - Tiêu đề
+   * @param {string} message - Nội dung (chưa escape)
+   * @param {string|null} formAction - Có thì hiện nút xác nhận gửi POST tới địa chỉ này
+   * @returns {string}
+   */
+  renderPage(title, message, formAction = null) {
+    const escape = (value) => Utils.escapeHtml(value);
+    const form = formAction
+      ? `<form method="POST" action="${escape(formAction)}">
+      <button type="submit">Hủy đăng ký</button>
+    </form>`
+      : "";
+    return `<!DOCTYPE html>
+<html lang="vi">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escape(title)}</title>
+  </head>
+  <body style="font-family: sans-serif; max-width: 480px; margin: 60px auto; text-align: center">
+    <h2>${escape(title)}</h2>
+    <p>${escape(message)}</p>
+    ${form}
+  </body>
+</html>`;
+  },
+
+  /**
+   * Gỡ chặn địa chỉ (gửi lại bình thường từ lần gửi sau). Dòng được giữ lại
+   * với lifted_at để xem lại lịch sử và đếm lại bounce cứng từ thời điểm gỡ chặn.
+   * @param {number|string} id - ID trong bảng suppressions
+   * @returns {Promise<Object|null>} Dòng đã gỡ chặn hoặc null nếu không có địa chỉ đang bị chặn với ID này
+   */
+  async lift(id) {
+    const result = await query(
+      `UPDATE suppressions SET lifted_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND lifted_at IS NULL
+       RETURNING *`,
+      [id]
+    );
+    if (result.rows.length > 0) {
+      console.log(`✅ Đã gỡ chặn ${result.rows[0].email}`);
+    }
+    return result.rows[0] || null;
+  },
+};
+
+// ============================================
+// Sender Quota Service
+// ============================================
+const SenderService = {
+  /**
+   * Chuẩn hóa địa chỉ email gửi để so khớp (không phân biệt hoa thường)
+   * @param {string} email - Email gửi
+   * @returns {string}
+   */
+  normalize(email) {
+    return (email || "").trim().toLowerCase();
+  },
+
+  /**
+   * Lấy cấu hình của email gửi
+   * @param {string} email - Email gửi
+   * @returns {Promise<Object|null>} Dòng sender_settings hoặc null
+   */
+  async getSettings(email) {
+    const result = await query(
+      "SELECT * FROM sender_settings WHERE email = $1",
+      [this.normalize(email)]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Giới hạn gửi/ngày áp dụng cho email gửi (0 = không giới hạn)
+   * @param {Object|null} settings - Dòng sender_settings
+   * @returns {number}
+   */
+  getDailyQuota(settings) {
+    if (settings && settings.daily_quota !== null) {
+      return settings.daily_quota;
+    }
+    return CONFIG.QUOTA.defaultDailyQuota;
+  },
+
+  /**
+   * Tính số email đã gửi trong cửa sổ 24 giờ gần nhất (tính trên tất cả các job)
+   * kèm tốc độ gửi đang áp dụng
+   * @param {string} email - Email gửi
+   * @param {Date} now - Thời điểm hiện tại
+   * @returns {Promise<Object>} { email, daily_quota, sent_last_24h, remaining, next_available_at, rate_limits, ... }
+   */
+  async getUsage(email, now = new Date()) {
+    const sender = this.normalize(email);
+    const settings = await this.getSettings(sender);
+    const dailyQuota = this.getDailyQuota(settings);
+    const windowStart = new Date(now.getTime() - CONFIG.QUOTA.window);
+
+    // Tính theo số người nhận (Gmail tính cả người nhận CC/BCC vào giới hạn gửi/ngày)
+    const countResult = await query(
+      `SELECT COALESCE(SUM(1 + a.copy_count), 0) AS count FROM send_attempts a
+       JOIN job_runs r ON r.id = a.run_id
+       WHERE r.email_from = $1 AND a.status = 'sent' AND a.created_at > $2`,
+      [sender, windowStart]
+    );
+    const sentCount = parseInt(countResult.rows[0].count);
+
+    const usage = {
+      email: sender,
+      daily_quota: dailyQuota,
+      custom_quota: settings ? settings.daily_quota : null,
+      sent_last_24h: sentCount,
+      remaining: dailyQuota > 0 ? Math.max(0, dailyQuota - sentCount) : null,
+      next_available_at: null,
+      rate_limits: ThrottleService.toJSON(
+        ThrottleService.getSenderLimits(settings)
+      ),
+      custom_rate_limits: ThrottleService.toJSON(
+        ThrottleService.fromRow(settings)
+      ),
+    };
+
+    // Đã hết lượt: lượt tiếp theo có khi email cũ nhất còn vượt quota ra khỏi cửa sổ 24 giờ
+    if (dailyQuota > 0 && usage.remaining === 0) {
+      const oldestResult = await query(
+        `SELECT created_at FROM (
+           SELECT a.created_at,
+                  SUM(1 + a.copy_count) OVER (ORDER BY a.created_at, a.id) AS sent_total
+           FROM send_attempts a
+           JOIN job_runs r ON r.id = a.run_id
+           WHERE r.email_from = $1 AND a.status = 'sent' AND a.created_at > $2
+         ) sent
+         WHERE sent_total > $3
+         ORDER BY created_at
+         LIMIT 1`,
+        [sender, windowStart, sentCount - dailyQuota]
+      );
+      if (oldestResult.rows.length > 0) {
+        usage.next_available_at = new Date(
+          new Date(oldestResult.rows[0].created_at).getTime() +
+            CONFIG.QUOTA.window
+        );
+      }
+    }
+
+    return usage;
+  },
+
+  /**
+   * Danh sách email gửi (từ các job và từ sender_settings) kèm mức sử dụng
+   * @returns {Promise<Array>}
+   */
+  async listSenders() {
+    const result = await query(
+      `SELECT LOWER(e.email) AS email FROM job_emails je
+       JOIN emails e ON e.id = je.email_id
+       WHERE je.type = 'from'
+       UNION
+       SELECT email FROM sender_settings
+       ORDER BY email`
+    );
+
+    const senders = [];
+    for (const row of result.rows) {
+      senders.push(await this.getUsage(row.email));
+    }
+    return senders;
+  },
+
+  /**
+   * Lưu cấu hình cho email gửi (chỉ cập nhật các cột được truyền vào)
+   * @param {string} email - Email gửi
+   * @param {Object} settings - { daily_quota, rate_per_minute, rate_per_hour, rate_burst } (null = dùng mặc định)
+   * @returns {Promise<Object>} Dòng sender_settings
+   */
+  async updateSettings(email, settings) {
+    const columns = Object.keys(settings);
+    const values = columns.map((column) => settings[column]);
+
+    const result = await query(
+      `INSERT INTO sender_settings (email, updated_at, ${columns.join(", ")})
+       VALUES ($1, $2, ${columns.map((_, i) => `$${i + 3}`).join(", ")})
+       ON CONFLICT (email)
+       DO UPDATE SET updated_at = EXCLUDED.updated_at, ${columns
+         .map((column) => `${column} = EXCLUDED.${column}`)
+         .join(", ")}
+       RETURNING *`,
+      [this.normalize(email), new Date(), ...values]
+    );
+    return result.rows[0];
+  },
+};
+
+// ============================================
+// Throttle Service
+// ============================================
+const ThrottleService = {
+  // Cột cấu hình tốc độ gửi (giống nhau ở jobs và sender_settings)
+  FIELDS: ["rate_per_minute", "rate_per_hour", "rate_burst"],
+
+  /**
+   * Kiểm tra các trường tốc độ gửi trong body request
+   * @param {Object} body - Request body
+   * @returns {string|null} Thông báo lỗi hoặc null nếu hợp lệ
+   */
+  validate(body) {
+    for (const field of this.FIELDS) {
+      const value = this.parseValue(body[field]);
+      if (value !== null && (!Number.isInteger(value) || value < 1)) {
+        return `${field} phải là số nguyên dương`;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Chuyển giá trị từ request thành số (null/rỗng = không cấu hình)
+   * @param {*} value - Giá trị từ request
+   * @returns {number|null}
+   */
+  parseValue(value) {
+    if (value === null || value === undefined || value === "") return null;
+    return Number(value);
+  },
+
+  /**
+   * Đọc cấu hình tốc độ gửi từ dòng jobs hoặc sender_settings
+   * @param {Object|null} row - Dòng database
+   * @returns {Object} { perMinute, perHour, burst } (null = không cấu hình)
+   */
+  fromRow(row) {
+    return {
+      perMinute: row ? row.rate_per_minute : null,
+      perHour: row ? row.rate_per_hour : null,
+      burst: row ? row.rate_burst : null,
+    };
+  },
+
+  /**
+   * Định dạng cấu hình tốc độ gửi cho API response
+   * @param {Object} limits - { perMinute, perHour, burst }
+   * @returns {Object} { per_minute, per_hour, burst }
+   */
+  toJSON(limits) {
+    return {
+      per_minute: limits.perMinute,
+      per_hour: limits.perHour,
+      burst: limits.burst,
+    };
+  },
+
+  /**
+   * Tốc độ gửi áp dụng cho email gửi: cấu hình riêng hoặc mặc định
+   * @param {Object|null} settings - Dòng sender_settings
+   * @returns {Object} { perMinute, perHour, burst }
+   */
+  getSenderLimits(settings) {
+    const custom = this.fromRow(settings);
+    return {
+      perMinute: custom.perMinute || CONFIG.THROTTLE.perMinute,
+      perHour: custom.perHour || CONFIG.THROTTLE.perHour,
+      burst: custom.burst || CONFIG.THROTTLE.burst,
+    };
+  },
+
+  /**
+   * Khoảng cách tối thiểu giữa hai email khi đã dùng hết burst
+   * @param {Object} limits - { perMinute, perHour, burst }
+   * @returns {number} Milliseconds
+   */
+  getMinInterval(limits) {
+    return limits.perMinute ? Math.ceil((60 * 1000) / limits.perMinute) : 0;
+  },
+
+  /**
+   * Thời gian phải chờ để số lần gửi trong cửa sổ trượt không vượt quá giới hạn.
+   * Tốc độ gửi tính theo số email: các lần thử cùng batch_id (gộp BCC) chỉ tính là một
+   * @param {Object} scope - { column, value } điều kiện lọc job_runs
+   * @param {number} windowMs - Độ dài cửa sổ
+   * @param {number} limit - Số lần gửi tối đa trong cửa sổ
+   * @param {Date} now - Thời điểm hiện tại
+   * @returns {Promise<number>} Milliseconds (0 = gửi được ngay)
+   */
+  async getWindowWait(scope, windowMs, limit, now) {
+    // Lần gửi thứ `limit` gần nhất còn trong cửa sổ: phải chờ nó ra khỏi cửa sổ
+    const result = await query(
+      `SELECT MAX(a.created_at) AS created_at FROM send_attempts a
+       JOIN job_runs r ON r.id = a.run_id
+       WHERE ${scope.column} = $1 AND a.created_at > $2
+       GROUP BY a.batch_id, CASE WHEN a.batch_id IS NULL THEN a.id END
+       ORDER BY created_at DESC
+       OFFSET $3
+       LIMIT 1`,
+      [scope.value, new Date(now.getTime() - windowMs), limit - 1]
+    );
+    if (result.rows.length === 0) return 0;
+
+    return Math.max(
+      0,
+      new Date(result.rows[0].created_at).getTime() + windowMs - now.getTime()
+    );
+  },
+
+  /**
+   * Thời gian phải chờ theo một bộ giới hạn (phút, giờ, burst)
+   * @param {Object} scope - { column, value, label }
+   * @param {Object} limits - { perMinute, perHour, burst }
+   * @param {Date} now - Thời điểm hiện tại
+   * @returns {Promise<Object>} { wait, reason }
+   */
+  async getScopeWait(scope, limits, now) {
+    const windows = [];
+    if (limits.perMinute) {
+      windows.push({
+        windowMs: 60 * 1000,
+        limit: limits.perMinute,
+        reason: `Đã đạt giới hạn ${limits.perMinute} email/phút của ${scope.label}`,
+      });
+      if (limits.burst) {
+        // Token bucket: tối đa `burst` email trong khoảng burst × min interval
+        windows.push({
+          windowMs: this.getMinInterval(limits) * limits.burst,
+          limit: limits.burst,
+          reason: `Đang giãn cách gửi theo giới hạn ${limits.perMinute} email/phút của ${scope.label}`,
+        });
+      }
+    }
+    if (limits.perHour) {
+      windows.push({
+        windowMs: 60 * 60 * 1000,
+        limit: limits.perHour,
+        reason: `Đã đạt giới hạn ${limits.perHour} email/giờ của ${scope.label}`,
+      });
+    }
+
+    let longest = { wait: 0, reason: null };
+    for (const window of windows) {
+      const wait = await this.getWindowWait(
+        scope,
+        window.windowMs,
+        window.limit,
+        now
+      );
+      if (wait > longest.wait) {
+        longest = { wait, reason: window.reason };
+      }
+    }
+    return longest;
+  },
+
+  /**
+   * Thời gian phải chờ trước khi gửi email tiếp theo của job,
+   * theo cả giới hạn của job và giới hạn của email gửi (tính trên mọi job)
+   * @param {Object} job - Job object từ JobRunner.prepareJob
+   * @param {Date} now - Thời điểm hiện tại
+   * @returns {Promise<Object>} { wait, reason }
+   */
+  async getWaitTime(job, now = new Date()) {
+    const senderEmail = SenderService.normalize(job.emailFrom);
+    const settings = await SenderService.getSettings(senderEmail);
+
+    const jobWait = await this.getScopeWait(
+      { column: "r.job_id", value: job.id, label: `job #${job.id}` },
+      job.rateLimits || this.fromRow(null),
+      now
+    );
+    const senderWait = await this.getScopeWait(
+      { column: "r.email_from", value: senderEmail, label: senderEmail },
+      this.getSenderLimits(settings),
+      now
+    );
+
+    return jobWait.wait >= senderWait.wait ? jobWait : senderWait;
+  },
+};
+
+// ============================================
+// Run Progress (Server-Sent Events)
+// ============================================
+const RunProgress = {
+  emitter: new EventEmitter().setMaxListeners(0),
+
+  /**
+   * Phát sự kiện tiến độ cho các client đang theo dõi run
+   * @param {number} runId - Run ID
+   * @param {string} type - Loại sự kiện: 'recipient' hoặc 'status'
+   * @param {Object} data - Dữ liệu sự kiện (luôn có run)
+   */
+  publish(runId, type, data) {
+    this.emitter.emit(`run:${runId}`, { type, data });
+  },
+
+  /**
+   * Đăng ký nhận sự kiện của một run
+   * @param {number} runId - Run ID
+   * @param {Function} listener - Nhận { type, data }
+   * @returns {Function} Hàm hủy đăng ký
+   */
+  subscribe(runId, listener) {
+    const eventName = `run:${runId}`;
+    this.emitter.on(eventName, listener);
+    return () => this.emitter.off(eventName, listener);
+  },
+
+  /**
+   * Lấy trạng thái hiện tại của run và lỗi gần nhất
+   * @param {number|string} runId - Run ID
+   * @returns {Promise<Object|null>} { run, latest_failure } hoặc null nếu không có run
+   */
+  async getSnapshot(runId) {
+    const runResult = await query("SELECT * FROM job_runs WHERE id = $1", [
+      runId,
+    ]);
+    if (runResult.rows.length === 0) return null;
+
+    const failureResult = await query(
+      `SELECT email, error, processed_at FROM send_queue
+       WHERE run_id = $1 AND status = 'failed'
+       ORDER BY processed_at DESC, id DESC
+       LIMIT 1`,
+      [runId]
+    );
+
+    return {
+      run: runResult.rows[0],
+      latest_failure: failureResult.rows[0] || null,
+    };
+  },
+
+  /**
+   * Run đã kết thúc hay chưa
+   * @param {Object} run - Dòng job_runs
+   * @returns {boolean}
+   */
+  isFinished(run) {
+    return RUN_FINAL_STATUSES.includes(run.status);
+  },
+};
+
+// ============================================
+// Send Worker
+// ============================================
+const SendWorker = {
+  timer: null,
+  processing: false,
+  wakeRequested: false,
+  // Các run đang xử lý: run id -> email gửi (mỗi email gửi chỉ có một run được xử lý tại một thời điểm)
+  activeRuns: new Map(),
+  // Thông tin xác thực gửi kèm request, theo run id (không lưu vào database)
+  credentials: new Map(),
+
+  /**
+   * Bắt đầu vòng lặp xử lý hàng đợi
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.wake(), CONFIG.QUEUE.pollInterval);
+    this.recoverInterruptedRuns()
+      .catch((error) => {
+        console.error("❌ Lỗi khi kiểm tra các run bị gián đoạn:", error);
+      })
+      .finally(() => this.wake());
+
+    console.log(
+      `📮 Send worker đã khởi động (kiểm tra hàng đợi mỗi ${
+        CONFIG.QUEUE.pollInterval / 1000
+      } giây)`
+    );
+  },
+
+  /**
+   * Dừng vòng lặp xử lý hàng đợi
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  },
+
+  /**
+   * Lưu thông tin xác thực cho một run (bỏ qua nếu không có giá trị nào)
+   * @param {number} runId - Run ID
+   * @param {Object} credentials - { appPassword?, clientId?, clientSecret?, refreshToken? }
+   */
+  setCredentials(runId, credentials = {}) {
+    if (Object.values(credentials).some(Boolean)) {
+      this.credentials.set(runId, credentials);
+    }
+  },
+
+  /**
+   * Xử lý hàng đợi ngay (nếu worker đang bận thì xử lý lại sau khi xong lượt hiện tại)
+   */
+  wake() {
+    if (this.processing) {
+      this.wakeRequested = true;
+      return;
+    }
+
+    this.processing = true;
+    this.processQueue()
+      .catch((error) => {
+        console.error("❌ Lỗi trong send worker:", error);
+      })
+      .finally(() => {
+        this.processing = false;
+        if (this.wakeRequested) {
+          this.wakeRequested = false;
+          this.wake();
+        }
+      });
+  },
+
+  /**
+   * Nhận các run đang chờ và xử lý đồng thời, mỗi email gửi một run (các run cùng email gửi
+   * dùng chung giới hạn gửi/ngày và tốc độ gửi). Run đang chờ tốc độ gửi hay giới hạn gửi của
+   * một email gửi không làm chậm các run của email gửi khác.
+   */
+  async processQueue() {
+    while (this.activeRuns.size < CONFIG.QUEUE.concurrency) {
+      const run = await this.claimNextRun([...this.activeRuns.values()]);
+      if (!run) break;
+
+      this.activeRuns.set(run.id, run.email_from || "");
+      this.processClaimedRun(run)
+        .catch((error) => {
+          console.error(`❌ Lỗi khi xử lý run #${run.id}:`, error);
+        })
+        .finally(() => {
+          this.activeRuns.delete(run.id);
+          // Email gửi của run này rảnh: nhận run tiếp theo
+          this.wake();
+        });
+    }
+  },
+
+  /**
+   * Xử lý một run đã nhận trong khi giữ advisory lock của run
+   * @param {Object} run - Dòng job_runs
+   */
+  async processClaimedRun(run) {
+    const releaseLock = await this.acquireRunLock(run.id);
+    try {
+      await this.processRun(run);
+    } finally {
+      await releaseLock();
+    }
+  },
+
+  /**
+   * Giữ advisory lock của run trên một kết nối riêng trong lúc xử lý.
+   * Khóa tự nhả nếu process chết, nhờ đó nhận biết được run bị gián đoạn.
+   * @param {number} runId - Run ID
+   * @returns {Promise<Function>} Hàm nhả khóa
+   */
+  async acquireRunLock(runId) {
+    const client = await pool.connect();
+    try {
+      await client.query("SELECT pg_advisory_lock($1::int, $2::int)", [
+        SEND_RUN_LOCK_NAMESPACE,
+        runId,
+      ]);
+    } catch (error) {
+      client.release();
+      throw error;
+    }
+
+    return async () => {
+      try {
+        await client.query("SELECT pg_advisory_unlock($1::int, $2::int)", [
+          SEND_RUN_LOCK_NAMESPACE,
+          runId,
+        ]);
+      } finally {
+        client.release();
+      }
+    };
+  },
+
+  /**
+   * Tìm các run bị gián đoạn khi server dừng giữa chừng (đang 'running'/'cancelling'
+   * nhưng không worker nào giữ khóa). Email đang gửi dở chuyển sang 'unknown' (không rõ
+   * đã gửi hay chưa), run chuyển sang 'interrupted' để người dùng chọn gửi tiếp hoặc hủy.
+   * Run được tạm dừng khi đang gửi một email thì giữ trạng thái 'paused', email đó cũng chuyển sang 'unknown'.
+   */
+  async recoverInterruptedRuns() {
+    const result = await query(
+      `SELECT * FROM job_runs r
+       WHERE r.status IN ('running', 'cancelling')
+          OR (r.status = 'paused' AND EXISTS (
+                SELECT 1 FROM send_queue q WHERE q.run_id = r.id AND q.status = 'sending'))
+       ORDER BY r.id`
+    );
+
+    for (const run of result.rows) {
+      const client = await pool.connect();
+      try {
+        const lockResult = await client.query(
+          "SELECT pg_try_advisory_lock($1::int, $2::int) AS locked",
+          [SEND_RUN_LOCK_NAMESPACE, run.id]
+        );
+        // Worker của server khác vẫn đang xử lý run này
+        if (!lockResult.rows[0].locked) continue;
+
+        try {
+          await this.markInterrupted(run);
+        } finally {
+          await client.query("SELECT pg_advisory_unlock($1::int, $2::int)", [
+            SEND_RUN_LOCK_NAMESPACE,
+            run.id,
+          ]);
+        }
+      } finally {
+        client.release();
+      }
+    }
+  },
+
+  /**
+   * Đánh dấu run bị gián đoạn (run đang hủy dở thì kết thúc luôn, run đang tạm dừng giữ nguyên trạng thái)
+   * @param {Object} run - Dòng job_runs
+   */
+  async markInterrupted(run) {
+    const unknownResult = await query(
+      `UPDATE send_queue SET status = 'unknown', error = $2, processed_at = $3
+       WHERE run_id = $1 AND status = 'sending'`,
+      [
+        run.id,
+        "Server dừng khi đang gửi email này, không rõ email đã được gửi hay chưa",
+        new Date(),
+      ]
+    );
+
+    if (run.status === "cancelling") {
+      await this.finishRun(run.id, "cancelled");
+      return;
+    }
+    if (run.status === "paused") {
+      console.warn(
+        `⚠️ Run #${run.id} (job ${run.job_id}) đang tạm dừng: ${unknownResult.rowCount} email đang gửi dở khi server dừng được đánh dấu không rõ trạng thái`
+      );
+      return;
+    }
+
+    const interrupted = await this.transitionRun(
+      run.id,
+      ["running"],
+      "interrupted"
+    );
+    if (interrupted) {
+      console.warn(
+        `⚠️ Run #${run.id} (job ${run.job_id}) bị gián đoạn khi server dừng: đã gửi ${interrupted.sent_count}/${interrupted.total_count}, ${unknownResult.rowCount} email không rõ trạng thái. Gửi tiếp: POST /api/runs/${run.id}/resume`
+      );
+    }
+  },
+
+  /**
+   * Nhận run đang chờ lâu nhất. SKIP LOCKED để nhiều instance không nhận trùng run.
+   * @param {string[]} busySenders - Email gửi đang có run được xử lý (bỏ qua các run của email gửi này)
+   * @returns {Promise<Object|null>} Run (dòng job_runs) hoặc null nếu hàng đợi trống
+   */
+  async claimNextRun(busySenders = []) {
+    const result = await query(
+      `UPDATE job_runs SET status = 'running', started_at = COALESCE(started_at, $1)
+       WHERE id = (
+         SELECT r.id FROM job_runs r
+         WHERE r.status = 'queued'
+           AND EXISTS (
+             SELECT 1 FROM send_queue q
+             WHERE q.run_id = r.id AND q.status = 'pending'
+               AND (q.next_attempt_at IS NULL OR q.next_attempt_at <= $1)
+           )
+           AND COALESCE(r.email_from, '') <> ALL($2::text[])
+         ORDER BY r.created_at, r.id
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [new Date(), busySenders]
+    );
+
+    const run = result.rows[0] || null;
+    if (run) {
+      RunProgress.publish(run.id, "status", { run });
+    }
+    return run;
+  },
+
+  /**
+   * Nhận người nhận tiếp theo của run (bỏ qua email đang chờ đến lượt gửi lại)
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object|null>} Dòng send_queue hoặc null nếu không còn email đến hạn
+   */
+  async claimNextItem(runId) {
+    const items = await this.claimNextItems(runId, 1);
+    return items[0] || null;
+  },
+
+  /**
+   * Nhận tối đa `limit` người nhận tiếp theo của run (gửi gộp BCC)
+   * @param {number} runId - Run ID
+   * @param {number} limit - Số người nhận tối đa
+   * @returns {Promise<Array>} Các dòng send_queue theo thứ tự trong hàng đợi
+   */
+  async claimNextItems(runId, limit) {
+    const result = await query(
+      `UPDATE send_queue SET status = 'sending', attempts = attempts + 1
+       WHERE id IN (
+         SELECT id FROM send_queue
+         WHERE run_id = $1 AND status = 'pending'
+           AND (next_attempt_at IS NULL OR next_attempt_at <= $2)
+         ORDER BY id
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [runId, new Date(), limit]
+    );
+    return result.rows.sort((a, b) => a.id - b.id);
+  },
+
+  /**
+   * Đếm số email của run còn chờ gửi (kể cả email đang chờ gửi lại)
+   * @param {number} runId - Run ID
+   * @returns {Promise<number>}
+   */
+  async countPendingItems(runId) {
+    const result = await query(
+      "SELECT COUNT(*) FROM send_queue WHERE run_id = $1 AND status = 'pending'",
+      [runId]
+    );
+    return parseInt(result.rows[0].count);
+  },
+
+  /**
+   * Tính thời gian chờ trước lần thử tiếp theo: exponential backoff có jitter
+   * @param {number} attempt - Số lần đã thử (bắt đầu từ 1)
+   * @returns {number} Thời gian chờ (ms)
+   */
+  getRetryDelay(attempt) {
+    const { baseDelay, maxDelay, jitter } = CONFIG.RETRY;
+    const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(delay * (1 - jitter + Math.random() * 2 * jitter));
+  },
+
+  /**
+   * Gửi lần lượt từng người nhận của run (hoặc từng batch BCC với delivery_mode = 'bcc_batch'),
+   * sau đó lưu kết quả tổng hợp.
+   * Trạng thái run được kiểm tra trước mỗi email để dừng khi bị tạm dừng hoặc hủy.
+   * @param {Object} run - Dòng job_runs
+   */
+  async processRun(run) {
+    console.log(`🚀 Bắt đầu xử lý run #${run.id} (job ${run.job_id})`);
+
+    let job;
+    let sender;
+    try {
+      const credentials = this.credentials.get(run.id);
+      if (!credentials && !(await this.hasStoredCredentials(run.job_id))) {
+        await this.holdForCredentials(run);
+        return;
+      }
+
+      job = await JobRunner.prepareJob(run.job_id, credentials);
+      sender = await EmailService.createSender(job);
+
+      // Thuộc tính liên hệ có thể đã đổi từ lúc tạo run: kiểm tra lại biến mail merge
+      const pendingResult = await query(
+        "SELECT DISTINCT email FROM send_queue WHERE run_id = $1 AND status = 'pending'",
+        [run.id]
+      );
+      await TemplateService.prepare(
+        job,
+        pendingResult.rows.map((row) => row.email)
+      );
+    } catch (error) {
+      console.error(`❌ Không thể bắt đầu run #${run.id}:`, error.message);
+      await this.failRun(run, error.message);
+      return;
+    }
+
+    await query(
+      "UPDATE job_runs SET method = $2, email_from = $3 WHERE id = $1",
+      [run.id, sender.method, SenderService.normalize(job.emailFrom)]
+    );
+
+    // Mỗi email gửi đi còn tới các địa chỉ CC/BCC của job: tính vào giới hạn gửi/ngày
+    const copyCount = job.emailCc.length + job.emailBcc.length;
+
+    let status = await this.getRunStatus(run.id);
+    while (status === "running") {
+      // Hết lượt gửi trong 24 giờ của email gửi (không đủ cho người nhận và CC/BCC):
+      // hoãn các email còn lại sang cửa sổ tiếp theo
+      const usage = await SenderService.getUsage(job.emailFrom);
+      if (usage.remaining !== null && usage.remaining <= copyCount) {
+        await this.deferRun(
+          run,
+          usage.next_available_at,
+          `Đã đạt giới hạn ${usage.daily_quota} email/24 giờ của ${usage.email}`
+        );
+        break;
+      }
+
+      // Tốc độ gửi của job và email gửi: chờ ngắn thì chờ tại chỗ,
+      // chờ lâu thì hoãn run để worker xử lý các run khác
+      const throttle = await ThrottleService.getWaitTime(job);
+      if (throttle.wait > CONFIG.QUEUE.pollInterval) {
+        await this.deferRun(
+          run,
+          new Date(Date.now() + throttle.wait),
+          throttle.reason
+        );
+        break;
+      }
+      if (throttle.wait > 0) {
+        await new Promise((resolve) => setTimeout(resolve, throttle.wait));
+        status = await this.getRunStatus(run.id);
+        continue;
+      }
+
+      if (job.deliveryMode === "bcc_batch") {
+        // Gộp BCC: một email cho cả batch, không vượt số lượt gửi còn lại trong 24 giờ
+        const limit =
+          usage.remaining === null
+            ? job.batchSize
+            : Math.min(job.batchSize, usage.remaining - copyCount);
+        const items = await this.claimNextItems(run.id, limit);
+        if (items.length === 0) break;
+
+        const batchResult = await query(
+          "SELECT nextval('send_batch_id_seq') AS id"
+        );
+        const batchId = batchResult.rows[0].id;
+        const results = await EmailService.sendBatch(
+          job,
+          sender,
+          items.map((item) => item.email)
+        );
+        for (let i = 0; i < items.length; i++) {
+          // CC/BCC nhận một bản của cả batch: tính cùng người nhận đầu tiên
+          await this.recordItem(
+            run,
+            items[i],
+            results[i],
+            sender,
+            batchId,
+            i === 0 ? copyCount : 0
+          );
+        }
+      } else {
+        const item = await this.claimNextItem(run.id);
+        if (!item) break;
+
+        const result = await EmailService.sendToRecipient(
+          job,
+          sender,
+          item.email
+        );
+        await this.recordItem(run, item, result, sender, null, copyCount);
+      }
+
+      status = await this.getRunStatus(run.id);
+    }
+
+    if (status === "running") {
+      const pendingCount = await this.countPendingItems(run.id);
+      if (pendingCount > 0) {
+        // Còn email chờ gửi lại hoặc bị hoãn do giới hạn gửi/ngày, tốc độ gửi:
+        // trả run về hàng đợi, worker nhận lại khi đến hạn
+        await this.transitionRun(run.id, ["running"], "queued");
+        console.log(
+          `⏳ Run #${run.id} còn ${pendingCount} email chờ đến lượt gửi`
+        );
+      } else {
+        await this.finishRun(run.id, "completed");
+      }
+    } else if (status === "cancelling") {
+      await this.finishRun(run.id, "cancelled");
+    } else {
+      // Run bị tạm dừng (hoặc đã bị xóa): giữ nguyên các email chưa gửi
+      console.log(`⏸ Run #${run.id} dừng xử lý (trạng thái: ${status})`);
+    }
+  },
+
+  /**
+   * Hoãn các email chưa gửi của run (hết lượt gửi/ngày hoặc vượt tốc độ gửi)
+   * @param {Object} run - Dòng job_runs
+   * @param {Date|null} nextAvailableAt - Thời điểm gửi tiếp (null = lần kiểm tra kế tiếp)
+   * @param {string} reason - Lý do hoãn
+   */
+  async deferRun(run, nextAvailableAt, reason) {
+    const deferUntil =
+      nextAvailableAt || new Date(Date.now() + CONFIG.QUEUE.pollInterval);
+
+    await query(
+      `UPDATE send_queue SET next_attempt_at = $2
+       WHERE run_id = $1 AND status = 'pending'
+         AND (next_attempt_at IS NULL OR next_attempt_at < $2)`,
+      [run.id, deferUntil]
+    );
+
+    console.warn(
+      `🚦 Hoãn run #${run.id} đến ${deferUntil.toISOString()}: ${reason}`
+    );
+
+    const runResult = await query("SELECT * FROM job_runs WHERE id = $1", [
+      run.id,
+    ]);
+    if (runResult.rows.length > 0) {
+      RunProgress.publish(run.id, "deferred", {
+        run: runResult.rows[0],
+        reason,
+        next_attempt_at: deferUntil,
+      });
+    }
+  },
+
+  /**
+   * Lấy trạng thái hiện tại của run
+   * @param {number} runId - Run ID
+   * @returns {Promise<string|null>} Trạng thái hoặc null nếu run không còn tồn tại
+   */
+  async getRunStatus(runId) {
+    const result = await query("SELECT status FROM job_runs WHERE id = $1", [
+      runId,
+    ]);
+    return result.rows.length > 0 ? result.rows[0].status : null;
+  },
+
+  /**
+   * Lưu kết quả gửi cho một người nhận và cập nhật bộ đếm của run.
+   * Lỗi tạm thời chưa hết số lần thử được đưa lại vào hàng đợi với thời điểm gửi lại.
+   * @param {Object} run - Dòng job_runs
+   * @param {Object} item - Dòng send_queue (attempts đã tính lần gửi này)
+   * @param {Object} result - Kết quả từ EmailService.sendToRecipient hoặc sendBatch
+   * @param {Object} sender - Sender từ EmailService.createSender
+   * @param {number|null} batchId - ID email gộp BCC chứa người nhận này (null = gửi riêng)
+   * @param {number} copyCount - Số địa chỉ CC/BCC cùng nhận email này
+   */
+  async recordItem(run, item, result, sender, batchId = null, copyCount = 0) {
+    const now = new Date();
+    const attempt = item.attempts;
+
+    // Người nhận trong danh sách chặn: không có lần gửi nào, báo cáo riêng với thất bại
+    if (result.suppressed) {
+      await this.recordSuppressedItem(run, item, result, sender, now);
+      return;
+    }
+
+    // Ghi lại từng lần thử (created_at dùng để tính giới hạn gửi/ngày)
+    await query(
+      `INSERT INTO send_attempts (queue_id, run_id, attempt, status, temporary, error, batch_id, copy_count, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        item.id,
+        run.id,
+        attempt,
+        result.success ? "sent" : "failed",
+        Boolean(result.temporary),
+        result.error || null,
+        batchId,
+        copyCount,
+        now,
+      ]
+    );
+
+    if (
+      !result.success &&
+      result.temporary &&
+      attempt < CONFIG.RETRY.maxAttempts
+    ) {
+      const nextAttemptAt = new Date(
+        now.getTime() + this.getRetryDelay(attempt)
+      );
+      await query(
+        `UPDATE send_queue SET status = 'pending', error = $2, next_attempt_at = $3
+         WHERE id = $1`,
+        [item.id, result.error, nextAttemptAt]
+      );
+      console.warn(
+        `🔁 Sẽ gửi lại ${
+          item.email
+        } lúc ${nextAttemptAt.toISOString()} (lần thử ${attempt}/${
+          CONFIG.RETRY.maxAttempts
+        })`
+      );
+
+      const runResult = await query("SELECT * FROM job_runs WHERE id = $1", [
+        run.id,
+      ]);
+      if (runResult.rows.length > 0) {
+        RunProgress.publish(run.id, "recipient", {
+          run: runResult.rows[0],
+          email: item.email,
+          status: "retrying",
+          error: result.error,
+          attempt,
+          next_attempt_at: nextAttemptAt,
+        });
+      }
+      return;
+    }
+
+    const error =
+      !result.success && attempt > 1
+        ? `${result.error} (đã thử ${attempt} lần)`
+        : result.error || null;
+    const details = SendErrorService.getFields(result);
+
+    await query(
+      `UPDATE send_queue SET status = $2, error = $3, processed_at = $4
+       WHERE id = $1`,
+      [item.id, result.success ? "sent" : "failed", error, now]
+    );
+    await DatabaseHelper.saveDelivery({
+      runId: run.id,
+      jobId: run.job_id,
+      email: item.email,
+      status: result.success ? "sent" : "failed",
+      messageId: result.messageId,
+      response: result.response,
+      error,
+      details,
+      method: sender.method,
+      attempts: attempt,
+      sentAt: now,
+    });
+    const runResult = await query(
+      `UPDATE job_runs
+       SET sent_count = sent_count + $2, failed_count = failed_count + $3
+       WHERE id = $1
+       RETURNING *`,
+      [run.id, result.success ? 1 : 0, result.success ? 0 : 1]
+    );
+
+    if (runResult.rows.length > 0) {
+      RunProgress.publish(run.id, "recipient", {
+        run: runResult.rows[0],
+        email: item.email,
+        status: result.success ? "sent" : "failed",
+        error,
+        attempt,
+      });
+    }
+
+    if (!result.success) {
+      await DatabaseHelper.saveFailedEmail(
+        run.job_id,
+        item.email,
+        error,
+        sender.method,
+        run.id,
+        details
+      );
+      if (details.bounce_type === "hard") {
+        await SuppressionService.recordHardBounce(item.email, {
+          jobId: run.job_id,
+          error,
+        });
+      }
+    }
+  },
+
+  /**
+   * Ghi kết quả của người nhận bị bỏ qua vì nằm trong danh sách chặn
+   * (không ghi send_attempts nên không tính vào giới hạn gửi/ngày và tốc độ gửi)
+   * @param {Object} run - Dòng job_runs
+   * @param {Object} item - Dòng send_queue
+   * @param {Object} result - Kết quả từ SuppressionService.getSuppressedResult
+   * @param {Object} sender - Sender từ EmailService.createSender
+   * @param {Date} now - Thời điểm có kết quả
+   */
+  async recordSuppressedItem(run, item, result, sender, now) {
+    await query(
+      `UPDATE send_queue SET status = 'suppressed', error = $2, processed_at = $3
+       WHERE id = $1`,
+      [item.id, result.error, now]
+    );
+    await DatabaseHelper.saveDelivery({
+      runId: run.id,
+      jobId: run.job_id,
+      email: item.email,
+      status: "suppressed",
+      error: result.error,
+      method: sender.method,
+      attempts: Math.max(item.attempts - 1, 0),
+      sentAt: now,
+    });
+    const runResult = await query(
+      `UPDATE job_runs SET suppressed_count = suppressed_count + 1
+       WHERE id = $1
+       RETURNING *`,
+      [run.id]
+    );
+
+    if (runResult.rows.length > 0) {
+      RunProgress.publish(run.id, "recipient", {
+        run: runResult.rows[0],
+        email: item.email,
+        status: "suppressed",
+        error: result.error,
+      });
+    }
+  },
+
+  /**
+   * Kết thúc run: tổng hợp kết quả từ hàng đợi, lưu email_results và last_sent.
+   * Run bị hủy: các email chưa gửi được đánh dấu 'cancelled', trạng thái cuối là
+   * 'cancelled' nếu chưa gửi email nào, 'partial' nếu đã gửi một phần. Email bị hủy được ghi
+   * kết quả 'cancelled' trong email_deliveries; với mọi trạng thái cuối, email còn không rõ
+   * trạng thái (không được gửi lại khi tiếp tục run) được ghi kết quả 'unknown'.
+   * @param {number} runId - Run ID
+   * @param {string} status - 'completed' hoặc 'cancelled'
+   */
+  async finishRun(runId, status) {
+    const now = new Date();
+
+    if (status === "cancelled") {
+      await query(
+        `UPDATE send_queue SET status = 'cancelled', processed_at = $2
+         WHERE run_id = $1 AND status = 'pending'`,
+        [runId, now]
+      );
+    }
+
+    const runResult = await query("SELECT * FROM job_runs WHERE id = $1", [
+      runId,
+    ]);
+    if (runResult.rows.length === 0) return;
+    const run = runResult.rows[0];
+
+    const itemsResult = await query(
+      "SELECT email, status, error, attempts FROM send_queue WHERE run_id = $1 ORDER BY id",
+      [runId]
+    );
+    const items = itemsResult.rows;
+
+    for (const item of items) {
+      if (item.status !== "cancelled" && item.status !== "unknown") continue;
+      await DatabaseHelper.saveDelivery({
+        runId,
+        jobId: run.job_id,
+        email: item.email,
+        status: item.status,
+        // Email không rõ trạng thái giữ lỗi cũ (có thể đã tới người nhận trước khi server dừng)
+        error: item.error || "Lần chạy bị hủy trước khi gửi email này",
+        method: run.method,
+        attempts: item.attempts,
+        sentAt: now,
+      });
+    }
+
+    const result = EmailService.buildResult({
+      total: items.length,
+      successfulEmails: items
+        .filter((item) => item.status === "sent")
+        .map((item) => item.email),
+      failedEmails: items
+        .filter((item) => item.status === "failed")
+        .map((item) => ({ email: item.email, error: item.error })),
+      suppressedEmails: items
+        .filter((item) => item.status === "suppressed")
+        .map((item) => item.email),
+      unknownEmails: items
+        .filter((item) => item.status === "unknown")
+        .map((item) => item.email),
+      method: run.method || "SMTP",
+    });
+
+    const processedCount =
+      result.sent + result.failedCount + result.suppressedCount;
+    let finalStatus = status;
+    if (status === "cancelled" && processedCount > 0) {
+      finalStatus = "partial";
+    }
+
+    // Run bị hủy trước khi gửi email nào thì không có kết quả để lưu
+    if (processedCount > 0 || status === "completed") {
+      await JobRunner.recordResult(run.job_id, result, run.id);
+    }
+
+    const finishedResult = await query(
+      "UPDATE job_runs SET status = $2, finished_at = $3 WHERE id = $1 RETURNING *",
+      [runId, finalStatus, now]
+    );
+    this.credentials.delete(runId);
+
+    if (finishedResult.rows.length > 0) {
+      RunProgress.publish(runId, "status", { run: finishedResult.rows[0] });
+    }
+
+    console.log(
+      `✅ Run #${runId} kết thúc (${finalStatus}): ${result.sent}/${
+        result.total
+      } email${
+        result.unknownCount > 0
+          ? `, ${result.unknownCount} email không rõ trạng thái`
+          : ""
+      }`
+    );
+  },
+
+  /**
+   * Job có lưu App Password để gửi mà không cần thông tin xác thực kèm request hay không
+   * @param {number} jobId - Job ID
+   * @returns {Promise<boolean>} true cả khi job không còn (để prepareJob báo lỗi không tìm thấy job)
+   */
+  async hasStoredCredentials(jobId) {
+    const result = await query("SELECT app_password FROM jobs WHERE id = $1", [
+      jobId,
+    ]);
+    return (
+      result.rows.length === 0 ||
+      Boolean((result.rows[0].app_password || "").trim())
+    );
+  },
+
+  /**
+   * Run mất thông tin xác thực gửi kèm request (server khởi động lại khi run đang chờ hoặc bị
+   * gián đoạn) và job không lưu App Password: chuyển sang 'interrupted' để gửi tiếp kèm thông tin xác thực
+   * @param {Object} run - Dòng job_runs
+   */
+  async holdForCredentials(run) {
+    const message = `Thông tin xác thực gửi kèm khi chạy job chỉ được giữ trong bộ nhớ và đã mất khi server khởi động lại, job không lưu App Password. Gửi tiếp bằng POST /api/runs/${run.id}/resume kèm thông tin xác thực (appPassword hoặc clientId, clientSecret, refreshToken)`;
+    const result = await query(
+      `UPDATE job_runs SET status = 'interrupted', error = $2
+       WHERE id = $1 AND status = 'running'
+       RETURNING *`,
+      [run.id, message]
+    );
+    if (result.rows.length > 0) {
+      RunProgress.publish(run.id, "status", { run: result.rows[0] });
+      console.warn(`⚠️ Run #${run.id} (job ${run.job_id}): ${message}`);
+    }
+  },
+
+  /**
+   * Đánh dấu run thất bại khi không thể bắt đầu gửi (job bị xóa, sai thông tin xác thực...)
+   * @param {Object} run - Dòng job_runs
+   * @param {string} message - Lỗi
+   */
+  async failRun(run, message) {
+    const runResult = await query(
+      "UPDATE job_runs SET status = 'failed', error = $2, finished_at = $3 WHERE id = $1 RETURNING *",
+      [run.id, message, new Date()]
+    );
+    this.credentials.delete(run.id);
+
+    if (runResult.rows.length > 0) {
+      RunProgress.publish(run.id, "status", { run: runResult.rows[0] });
+    }
+  },
+
+  /**
+   * Lấy run để điều khiển (tạm dừng/tiếp tục/hủy)
+   * @param {number|string} runId - Run ID
+   * @returns {Promise<Object>} Dòng job_runs
+   */
+  async getRunForControl(runId) {
+    const result = await query("SELECT * FROM job_runs WHERE id = $1", [runId]);
+    if (result.rows.length === 0) {
+      throw JobRunner.createError(404, "Không tìm thấy lần chạy với ID này");
+    }
+    return result.rows[0];
+  },
+
+  /**
+   * Cập nhật trạng thái run nếu đang ở một trong các trạng thái cho phép
+   * @param {number|string} runId - Run ID
+   * @param {string[]} fromStatuses - Trạng thái cho phép chuyển
+   * @param {string} toStatus - Trạng thái mới
+   * @returns {Promise<Object|null>} Run sau khi cập nhật, null nếu không chuyển được
+   */
+  async transitionRun(runId, fromStatuses, toStatus) {
+    const result = await query(
+      `UPDATE job_runs SET status = $3
+       WHERE id = $1 AND status = ANY($2::text[])
+       RETURNING *`,
+      [runId, fromStatuses, toStatus]
+    );
+    const run = result.rows[0] || null;
+    if (run) {
+      RunProgress.publish(run.id, "status", { run });
+    }
+    return run;
+  },
+
+  /**
+   * Tạm dừng run. Email đang gửi dở vẫn được gửi xong, các email còn lại giữ trong hàng đợi.
+   * @param {number|string} runId - Run ID
+   * @returns {Promise<Object>} Run sau khi tạm dừng
+   */
+  async pauseRun(runId) {
+    const current = await this.getRunForControl(runId);
+    const run = await this.transitionRun(
+      current.id,
+      ["queued", "running"],
+      "paused"
+    );
+    if (!run) {
+      throw JobRunner.createError(
+        409,
+        `Không thể tạm dừng lần chạy đang ở trạng thái "${current.status}"`
+      );
+    }
+    console.log(`⏸ Đã tạm dừng run #${run.id}`);
+    return run;
+  },
+
+  /**
+   * Tiếp tục run đã tạm dừng hoặc bị gián đoạn: đưa lại vào hàng đợi, gửi tiếp từ email chưa gửi
+   * @param {number|string} runId - Run ID
+   * @param {Object} options - { resendUnknown, credentials }
+   *   resendUnknown: gửi lại cả các email không rõ đã gửi hay chưa
+   *   credentials: thông tin xác thực mới (VD: đã mất khi server khởi động lại)
+   * @returns {Promise<Object>} Run sau khi tiếp tục
+   */
+  async resumeRun(runId, { resendUnknown = false, credentials = {} } = {}) {
+    const current = await this.getRunForControl(runId);
+
+    const run = await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE job_runs SET status = 'queued', error = NULL
+         WHERE id = $1 AND status = ANY($2::text[])
+         RETURNING *`,
+        [current.id, ["paused", "interrupted"]]
+      );
+      if (result.rows.length === 0) return null;
+
+      if (resendUnknown) {
+        await client.query(
+          `UPDATE send_queue SET status = 'pending', error = NULL, next_attempt_at = NULL, processed_at = NULL
+           WHERE run_id = $1 AND status = 'unknown'`,
+          [current.id]
+        );
+      }
+      return result.rows[0];
+    });
+    if (!run) {
+      throw JobRunner.createError(
+        409,
+        `Không thể tiếp tục lần chạy đang ở trạng thái "${current.status}"`
+      );
+    }
+
+    // Không còn email chờ gửi (chỉ còn email 'unknown' không gửi lại): kết thúc run ngay,
+    // vì worker chỉ nhận run còn email 'pending'
+    const pendingResult = await query(
+      "SELECT 1 FROM send_queue WHERE run_id = $1 AND status = 'pending' LIMIT 1",
+      [run.id]
+    );
+    if (pendingResult.rows.length === 0) {
+      await this.finishRun(run.id, "completed");
+      return this.getRunForControl(run.id);
+    }
+
+    this.setCredentials(run.id, credentials);
+    RunProgress.publish(run.id, "status", { run });
+    console.log(`▶ Đã tiếp tục run #${run.id}`);
+    this.wake();
+    return run;
+  },
+
+  /**
+   * Hủy run. Run đang gửi được đánh dấu 'cancelling' để worker dừng sau email hiện tại;
+   * run đang chờ, tạm dừng hoặc bị gián đoạn được kết thúc ngay.
+   * @param {number|string} runId - Run ID
+   * @returns {Promise<Object>} Run sau khi hủy
+   */
+  async cancelRun(runId) {
+    const current = await this.getRunForControl(runId);
+
+    const running = await this.transitionRun(
+      current.id,
+      ["running"],
+      "cancelling"
+    );
+    if (running) {
+      console.log(`🛑 Đang hủy run #${running.id}`);
+      return running;
+    }
+
+    // Chuyển sang 'cancelling' trước để worker không nhận run trong lúc kết thúc
+    const idle = await this.transitionRun(
+      current.id,
+      ["queued", "paused", "interrupted"],
+      "cancelling"
+    );
+    if (!idle) {
+      throw JobRunner.createError(
+        409,
+        `Không thể hủy lần chạy đang ở trạng thái "${current.status}"`
+      );
+    }
+
+    await this.finishRun(idle.id, "cancelled");
+    return this.getRunForControl(idle.id);
+  },
+};
+
+// ============================================
+// Scheduler Service
+// ============================================
+const SchedulerService = {
+  timer: null,
+
+  /**
+   * Bắt đầu vòng lặp scheduler
+   */
+  start() {
+    if (!CONFIG.SCHEDULER.enabled) {
+      console.log("⏸ Scheduler đã bị tắt (SCHEDULER_ENABLED=false)");
+      return;
+    }
+    if (this.timer) return;
+
+    const runTick = () =>
+      this.tick().catch((error) => {
+        console.error("❌ Lỗi trong scheduler:", error);
+      });
+
+    // Chạy ngay một lượt khi khởi động để xử lý các lần chạy bị lỡ khi server tắt
+    runTick();
+    this.timer = setInterval(runTick, CONFIG.SCHEDULER.interval);
+
+    console.log(
+      `⏰ Scheduler đã khởi động (kiểm tra mỗi ${
+        CONFIG.SCHEDULER.interval / 1000
+      } giây)`
+    );
+  },
+
+  /**
+   * Dừng vòng lặp scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  },
+
+  /**
+   * Kiểm tra tên múi giờ IANA (VD: "Asia/Ho_Chi_Minh")
+   * @param {string} timezone - Tên múi giờ
+   * @returns {boolean} Múi giờ hợp lệ
+   */
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Validate cấu hình lịch của job (dùng cho POST/PUT /api/jobs)
+   * @param {Object} schedule - { schedule, cron_expression, timezone, catchup_policy }
+   * @returns {string|null} Thông báo lỗi hoặc null nếu hợp lệ
+   */
+  validateSchedule({ schedule, cron_expression, timezone, catchup_policy }) {
+    if (schedule !== undefined && !SCHEDULE_TYPES.includes(schedule)) {
+      return `Lịch gửi không hợp lệ: "${schedule}". Chỉ chấp nhận: ${SCHEDULE_TYPES.join(
+        ", "
+      )}`;
+    }
+
+    if (catchup_policy && !CATCHUP_POLICIES.includes(catchup_policy)) {
+      return `Chính sách chạy bù không hợp lệ: "${catchup_policy}". Chỉ chấp nhận: ${CATCHUP_POLICIES.join(
+        ", "
+      )}`;
+    }
+
+    if (timezone && !this.isValidTimezone(timezone)) {
+      return `Múi giờ không hợp lệ: "${timezone}". Dùng tên IANA, VD: Asia/Ho_Chi_Minh`;
+    }
+
+    if (
+      cron_expression !== undefined &&
+      cron_expression !== null &&
+      typeof cron_expression !== "string"
+    ) {
+      return "Biểu thức cron (cron_expression) phải là chuỗi";
+    }
+
+    if (schedule === "cron" || cron_expression) {
+      if (!cron_expression || !cron_expression.trim()) {
+        return "Lịch cron cần có biểu thức cron (cron_expression)";
+      }
+      try {
+        this.parseCron(cron_expression, { tz: timezone || undefined });
+      } catch (error) {
+        return `Biểu thức cron không hợp lệ: ${error.message}`;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Parse biểu thức cron 5 trường (phút giờ ngày tháng thứ)
+   * @param {string} expression - Biểu thức cron
+   * @param {Object} options - Options cho cron-parser (currentDate, tz)
+   * @returns {Object} cron-parser interval
+   */
+  parseCron(expression, options = {}) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== 5) {
+      throw new Error(
+        `Cần đúng 5 trường (phút giờ ngày tháng thứ), nhận được ${fields.length}`
+      );
+    }
+    return cronParser.parseExpression(fields.join(" "), options);
+  },
+
+  /**
+   * Lấy múi giờ của job (mặc định là múi giờ của server)
+   * @param {Object} job - Job row từ database
+   * @returns {string} Tên múi giờ IANA
+   */
+  getTimezone(job) {
+    return job.timezone || CONFIG.SCHEDULER.defaultTimezone;
+  },
+
+  /**
+   * Quy đổi lịch của job về biểu thức cron
+   * - daily: mỗi ngày lúc schedule_time
+   * - weekly: cùng thứ trong tuần với ngày tạo job, lúc schedule_time
+   * - monthly: cùng ngày trong tháng với ngày tạo job (ngày > 28 chạy vào ngày cuối tháng)
+   * - cron: dùng cron_expression
+   * @param {Object} job - Job row từ database
+   * @returns {string|null} Biểu thức cron hoặc null nếu job chạy thủ công
+   */
+  getCronExpression(job) {
+    if (job.schedule === "cron") {
+      return job.cron_expression || null;
+    }
+
+    const [hours, minutes] = String(job.schedule_time || "09:00:00")
+      .split(":")
+      .map((part) => parseInt(part, 10) || 0);
+
+    // Ngày tạo job theo múi giờ của job (để lấy thứ/ngày làm mốc)
+    const anchor = new Date(
+      new Date(job.created_at || Date.now()).toLocaleString("en-US", {
+        timeZone: this.getTimezone(job),
+      })
+    );
+
+    switch (job.schedule) {
+      case "daily":
+        return `${minutes} ${hours} * * *`;
+      case "weekly":
+        return `${minutes} ${hours} * * ${anchor.getDay()}`;
+      case "monthly": {
+        const day = anchor.getDate() > 28 ? "L" : anchor.getDate();
+        return `${minutes} ${hours} ${day} * *`;
+      }
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Tính N thời điểm chạy tiếp theo của job
+   * @param {Object} job - Job (schedule, schedule_time, cron_expression, timezone, created_at)
+   * @param {number} count - Số thời điểm cần lấy
+   * @param {Date} from - Mốc bắt đầu tính (mặc định: hiện tại)
+   * @returns {Date[]} Danh sách thời điểm chạy
+   */
+  getNextFireTimes(job, count = 5, from = new Date()) {
+    const expression = this.getCronExpression(job);
+    if (!expression) return [];
+
+    const interval = this.parseCron(expression, {
+      currentDate: from,
+      tz: this.getTimezone(job),
+    });
+
+    const times = [];
+    for (let i = 0; i < count; i++) {
+      times.push(interval.next().toDate());
+    }
+    return times;
+  },
+
+  /**
+   * Một lượt kiểm tra: với mỗi job active có lịch, tìm các lần chạy trong khoảng
+   * (last_scheduled_at, now]. Lần chạy đúng giờ luôn được chạy; các lần bị bỏ lỡ
+   * (server tắt, máy sleep) được xử lý theo catchup_policy của job.
+   */
+  async tick() {
+    const now = new Date();
+
+    const result = await query(
+      `SELECT * FROM jobs
+       WHERE status = 'active' AND schedule IN ('daily', 'weekly', 'monthly', 'cron')`
+    );
+
+    for (const job of result.rows) {
+      // Job chưa có mốc (database cũ): lấy thời điểm hiện tại làm mốc, không chạy bù
+      if (!job.last_scheduled_at) {
+        await query(
+          "UPDATE jobs SET last_scheduled_at = $2 WHERE id = $1 AND last_scheduled_at IS NULL",
+          [job.id, now]
+        );
+        continue;
+      }
+
+      // "all" cần từng lần bị lỡ; "once"/"skip" chỉ cần lần đến hạn gần nhất (tìm lùi từ hiện tại,
+      // không phụ thuộc số lần bị lỡ)
+      const lastScheduledAt = new Date(job.last_scheduled_at);
+      let fireTimes;
+      if ((job.catchup_policy || "once") === "all") {
+        fireTimes = this.getFireTimesBetween(job, lastScheduledAt, now);
+      } else {
+        const latest = this.getLatestFireTime(job, lastScheduledAt, now);
+        fireTimes = latest ? [latest] : [];
+      }
+      if (fireTimes.length === 0) continue;
+
+      const runTimes = this.applyCatchUpPolicy(job, fireTimes, now);
+      if (runTimes.length === 0) {
+        // Các lần đến hạn đều bị bỏ qua theo catchup_policy
+        await this.advance(job.id, fireTimes[fireTimes.length - 1]);
+        continue;
+      }
+
+      // Mỗi job chỉ có một run chưa kết thúc: mỗi lượt chỉ đưa lần chạy sớm nhất vào hàng đợi,
+      // các lần sau (và các lần bị bỏ qua trước nó) được xử lý ở các lượt kiểm tra tiếp theo
+      await this.enqueueScheduledJob(job, runTimes[0]);
+    }
+  },
+
+  /**
+   * Tiến mốc chạy theo lịch của job (chỉ tiến lên)
+   * @param {number} jobId - Job ID
+   * @param {Date} fireTime - Thời điểm chạy theo lịch đã xử lý
+   */
+  async advance(jobId, fireTime) {
+    await query(
+      "UPDATE jobs SET last_scheduled_at = $2 WHERE id = $1 AND last_scheduled_at < $2",
+      [jobId, fireTime]
+    );
+  },
+
+  /**
+   * Lấy các thời điểm chạy theo lịch trong khoảng (from, to]
+   * @param {Object} job - Job row từ database
+   * @param {Date} from - Mốc bắt đầu (không bao gồm)
+   * @param {Date} to - Mốc kết thúc (bao gồm)
+   * @returns {Date[]} Danh sách thời điểm chạy, tăng dần
+   */
+  getFireTimesBetween(job, from, to) {
+    const expression = this.getCronExpression(job);
+    if (!expression) return [];
+
+    const times = [];
+    try {
+      const interval = this.parseCron(expression, {
+        currentDate: from,
+        endDate: to,
+        tz: this.getTimezone(job),
+      });
+      while (
+        interval.hasNext() &&
+        times.length < CONFIG.SCHEDULER.maxMissedScan
+      ) {
+        times.push(interval.next().toDate());
+      }
+    } catch (error) {
+      console.error(
+        `❌ Lịch của job ${job.id} không hợp lệ (${expression}):`,
+        error.message
+      );
+    }
+    return times;
+  },
+
+  /**
+   * Lấy thời điểm chạy theo lịch gần nhất trong khoảng (from, to]
+   * @param {Object} job - Job row từ database
+   * @param {Date} from - Mốc bắt đầu (không bao gồm)
+   * @param {Date} to - Mốc kết thúc (bao gồm)
+   * @returns {Date|null} Thời điểm chạy hoặc null nếu không có lần nào trong khoảng
+   */
+  getLatestFireTime(job, from, to) {
+    const expression = this.getCronExpression(job);
+    if (!expression) return null;
+
+    try {
+      // prev() trả về thời điểm trước currentDate: cộng 1ms để lấy cả thời điểm đúng bằng `to`
+      const interval = this.parseCron(expression, {
+        currentDate: new Date(to.getTime() + 1),
+        tz: this.getTimezone(job),
+      });
+      const latest = interval.prev().toDate();
+      return latest > from ? latest : null;
+    } catch (error) {
+      console.error(
+        `❌ Lịch của job ${job.id} không hợp lệ (${expression}):`,
+        error.message
+      );
+      return null;
+    }
+  },
+
+  /**
+   * Chọn các lần cần chạy theo catchup_policy của job
+   * - Lần chạy trong khoảng missedGrace tính đến hiện tại là đúng giờ, luôn chạy
+   * - skip: bỏ qua các lần bị lỡ
+   * - once: chạy bù một lần (lần lỡ gần nhất)
+   * - all: chạy bù tất cả các lần bị lỡ (tối đa maxCatchUpRuns lần gần nhất)
+   * @param {Object} job - Job row từ database
+   * @param {Date[]} fireTimes - Các thời điểm chạy đến hạn, tăng dần
+   *   (với once/skip chỉ có lần đến hạn gần nhất)
+   * @param {Date} now - Thời điểm hiện tại
+   * @returns {Date[]} Các thời điểm sẽ chạy
+   */
+  applyCatchUpPolicy(job, fireTimes, now) {
+    const graceStart = now.getTime() - CONFIG.SCHEDULER.missedGrace;
+    const onTime = fireTimes.filter((time) => time.getTime() >= graceStart);
+    const missed = fireTimes.filter((time) => time.getTime() < graceStart);
+
+    if (missed.length === 0) return onTime;
+
+    const policy = job.catchup_policy || "once";
+    console.warn(
+      policy === "all"
+        ? `⚠️ Job ${job.id} đã bỏ lỡ ${
+            missed.length
+          } lần chạy (từ ${missed[0].toISOString()} đến ${missed[
+            missed.length - 1
+          ].toISOString()}), chính sách: ${policy}`
+        : `⚠️ Job ${job.id} đã bỏ lỡ lịch chạy (gần nhất lúc ${missed[
+            missed.length - 1
+          ].toISOString()}), chính sách: ${policy}`
+    );
+
+    switch (policy) {
+      case "all":
+        return [...missed.slice(-CONFIG.SCHEDULER.maxCatchUpRuns), ...onTime];
+      case "once":
+        // Nếu có lần đúng giờ thì lần đó đã đủ thay cho lần chạy bù
+        return onTime.length > 0 ? onTime : [missed[missed.length - 1]];
+      default:
+        return onTime;
+    }
+  },
+
+  /**
+   * Đưa job vào hàng đợi gửi cho một lần chạy theo lịch (dùng thông tin xác thực đã lưu trong database).
+   * Mốc last_scheduled_at chỉ tiến tới lần chạy này khi run được tạo, nên lần chạy trùng với
+   * run đang hoạt động (409) được giữ lại và thử lại ở lượt kiểm tra sau.
+   * @param {Object} job - Job row từ database
+   * @param {Date} fireTime - Thời điểm chạy theo lịch
+   */
+  async enqueueScheduledJob(job, fireTime) {
+    try {
+      const run = await JobRunner.enqueue(
+        job.id,
+        {},
+        { triggerSource: "schedule", scheduledAt: fireTime }
+      );
+      console.log(
+        `⏰ Chạy job theo lịch: ${job.name} (ID: ${job.id}, ${
+          job.schedule
+        }, lúc ${fireTime.toISOString()}), đã vào hàng đợi (run #${run.id})`
+      );
+    } catch (error) {
+      if (error.status === 409) {
+        // Job đang có run chưa kết thúc (hoặc server khác đã xử lý lần này): chờ lượt sau
+        console.log(
+          `⏳ Lần chạy theo lịch của job ${
+            job.id
+          } lúc ${fireTime.toISOString()} chờ lượt sau: ${error.message}`
+        );
+        return;
+      }
+      // Job không chạy được (thiếu thông tin xác thực, không có người nhận...): bỏ qua lần này
+      console.error(
+        `❌ Không thể đưa job ${
+          job.id
+        } vào hàng đợi theo lịch lúc ${fireTime.toISOString()}:`,
+        error.message
+      );
+      await this.advance(job.id, fireTime);
+    }
+  },
+};
+
+// ============================================
+// Mailbox Service (đọc hộp thư qua IMAP, tách MIME)
+// ============================================
+const MailboxService = {
+  /**
+   * Đọc các thư mới của một hộp thư IMAP và gọi handler cho từng thư.
+   * Vị trí đã đọc (UID) được lưu trong mailbox_cursors nên không cần đổi cờ \Seen của thư.
+   * Khi handler báo lỗi, lượt đọc dừng lại và vị trí đọc chỉ lưu tới thư trước đó.
+   * @param {string} name - Mục đích đọc (VD: "bounce"), để tách vị trí đọc của các tính năng
+   * @param {Object} imap - { host, port, secure, user, pass, mailbox }
+   * @param {Function} handler - async (source, { uid }) => void, source là Buffer của cả thư
+   *   (hoặc chỉ phần header khi headersOnly)
+   * @param {Object} options - { lookbackDays, maxMessages, headersOnly }
+   * @returns {Promise<Object>} { account, checked, lastUid }
+   */
+  async poll(
+    name,
+    imap,
+    handler,
+    { lookbackDays = 7, maxMessages = 500, headersOnly = false } = {}
+  ) {
+    const account = `${name}:${imap.user}@${imap.host}/${imap.mailbox}`;
+    const ImapClient = getImapFlow();
+    const client = new ImapClient({
+      host: imap.host,
+      port: imap.port,
+      secure: imap.secure,
+      auth: { user: imap.user, pass: imap.pass },
+      logger: false,
+    });
+
+    const stateResult = await query(
+      "SELECT * FROM mailbox_cursors WHERE account = $1",
+      [account]
+    );
+    const state = stateResult.rows[0] || null;
+    let uidValidity = state ? state.uid_validity : null;
+    let lastUid = state ? Number(state.last_uid) : 0;
+    let checked = 0;
+
+    try {
+      await client.connect();
+      const lock = await client.getMailboxLock(imap.mailbox);
+      try {
+        const currentValidity = String(client.mailbox.uidValidity);
+        let uids;
+        if (!state || String(uidValidity) !== currentValidity) {
+          // Lần đọc đầu tiên hoặc hộp thư được tạo lại: chỉ xét thư gần đây
+          uidValidity = currentValidity;
+          lastUid = 0;
+          uids = await client.search(
+            {
+              since: new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000),
+            },
+            { uid: true }
+          );
+        } else {
+          uids = await client.search(
+            { uid: `${lastUid + 1}:*` },
+            { uid: true }
+          );
+        }
+
+        // "n:*" luôn trả về thư cuối cùng kể cả khi UID nhỏ hơn n
+        const pending = (uids || [])
+          .filter((uid) => uid > lastUid)
+          .sort((a, b) => a - b)
+          .slice(0, maxMessages);
+
+        for (const uid of pending) {
+          const message = await client.fetchOne(
+            uid,
+            headersOnly ? { headers: true } : { source: true },
+            { uid: true }
+          );
+          const source =
+            message && (headersOnly ? message.headers : message.source);
+          try {
+            if (source) {
+              await handler(source, { uid });
+            }
+          } catch (error) {
+            // Dừng ở thư lỗi: vị trí đọc chỉ tiến qua các thư đã xử lý xong, lượt sau đọc lại thư này
+            throw new Error(`Lỗi khi xử lý thư UID ${uid}: ${error.message}`);
+          }
+          lastUid = uid;
+          checked++;
+        }
+      } finally {
+        lock.release();
+      }
+      await this.saveCursor(account, uidValidity, lastUid, null);
+    } catch (error) {
+      // imapflow chỉ báo "Command failed", chi tiết nằm trong responseText
+      const reason = error.authenticationFailed
+        ? `Đăng nhập IMAP thất bại (${imap.user}): sai mật khẩu/App Password hoặc chưa bật IMAP`
+        : error.responseText || error.message;
+      await this.saveCursor(account, uidValidity, lastUid, reason);
+      throw new Error(reason);
+    } finally {
+      await client.logout().catch(() => {});
+    }
+
+    return { account, checked, lastUid };
+  },
+
+  /**
+   * Lưu vị trí đã đọc của hộp thư
+   * @param {string} account - Khóa hộp thư
+   * @param {string|null} uidValidity - UIDVALIDITY
+   * @param {number} lastUid - UID lớn nhất đã xử lý
+   * @param {string|null} error - Lỗi của lần đọc (null = thành công)
+   */
+  async saveCursor(account, uidValidity, lastUid, error) {
+    await query(
+      `INSERT INTO mailbox_cursors (account, uid_validity, last_uid, last_polled_at, last_error)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $4)
+       ON CONFLICT (account) DO UPDATE
+       SET uid_validity = EXCLUDED.uid_validity, last_uid = EXCLUDED.last_uid,
+           last_polled_at = EXCLUDED.last_polled_at, last_error = EXCLUDED.last_error`,
+      [account, uidValidity, lastUid, error]
+    );
+  },
+
+  /**
+   * Tách header của thư (gộp các dòng header bị xuống dòng)
+   * @param {string} text - Phần header
+   * @returns {Object} { "tên header chữ thường": giá trị } (header lặp lại chỉ giữ giá trị đầu tiên)
+   */
+  parseHeaders(text) {
+    const headers = {};
+    for (const line of text.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+      const index = line.indexOf(":");
+      if (index <= 0) continue;
+      const name = line.slice(0, index).trim().toLowerCase();
+      if (!(name in headers)) {
+        headers[name] = line.slice(index + 1).trim();
+      }
+    }
+    return headers;
+  },
+
+  /**
+   * Giải mã encoded-word trong header (RFC 2047, VD: "=?UTF-8?B?...?=")
+   * @param {string} value - Giá trị header
+   * @returns {string}
+   */
+  decodeHeader(value) {
+    return (value || "")
+      .replace(/\?=\s+=\?/g, "?==?") // Khoảng trắng giữa hai encoded-word bị bỏ qua
+      .replace(
+        /=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g,
+        (match, charset, encoding, text) => {
+          const bytes =
+            encoding.toUpperCase() === "B"
+              ? Buffer.from(text, "base64")
+              : Buffer.from(
+                  text
+                    .replace(/_/g, " ")
+                    .replace(/=([0-9A-Fa-f]{2})/g, (m, hex) =>
+                      String.fromCharCode(parseInt(hex, 16))
+                    ),
+                  "latin1"
+                );
+          try {
+            return new TextDecoder(charset.split("*")[0]).decode(bytes);
+          } catch (error) {
+            return bytes.toString("utf8");
+          }
+        }
+      );
+  },
+
+  /**
+   * Lấy địa chỉ email (chữ thường) trong header From/To
+   * @param {string} value - VD: '"Nguyễn An" <An@Example.com>'
+   * @returns {string|null}
+   */
+  getAddress(value) {
+    const match =
+      (value || "").match(/<([^<>\s]+@[^<>\s]+)>/) ||
+      (value || "").match(/([^\s<>"',;:]+@[^\s<>"',;:]+)/);
+    return match ? match[1].toLowerCase() : null;
+  },
+
+  /**
+   * Tách Content-Type thành kiểu và tham số
+   * @param {string} value - VD: 'multipart/report; report-type=delivery-status; boundary="abc"'
+   * @returns {Object} { type, params }
+   */
+  parseContentType(value) {
+    const [type, ...rest] = (value || "text/plain").split(";");
+    const params = {};
+    const paramPattern = /([^=\s;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;\s]+))/g;
+    let match;
+    while ((match = paramPattern.exec(rest.join(";"))) !== null) {
+      params[match[1].toLowerCase()] =
+        match[2] !== undefined ? match[2].replace(/\\(.)/g, "$1") : match[3];
+    }
+    return { type: type.trim().toLowerCase(), params };
+  },
+
+  /**
+   * Giải mã nội dung theo Content-Transfer-Encoding
+   * @param {string} body - Nội dung đã mã hóa
+   * @param {string} encoding - 'base64', 'quoted-printable', '7bit'...
+   * @returns {string}
+   */
+  decodeBody(body, encoding) {
+    switch ((encoding || "").trim().toLowerCase()) {
+      case "base64":
+        return Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf8");
+      case "quoted-printable":
+        return Buffer.from(
+          body
+            .replace(/=\r?\n/g, "")
+            .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) =>
+              String.fromCharCode(parseInt(hex, 16))
+            ),
+          "latin1"
+        ).toString("utf8");
+      default:
+        return body;
+    }
+  },
+
+  /**
+   * Tách thư (hoặc một phần MIME) thành header, kiểu nội dung, nội dung và các phần con
+   * @param {Buffer|string} source - Toàn bộ thư
+   * @returns {Object} { headers, contentType, body, parts, message }
+   *   message: thư được đính kèm (phần message/rfc822)
+   */
+  parseMessage(source) {
+    const text = Buffer.isBuffer(source) ? source.toString("utf8") : source;
+    const separator = text.match(/\r?\n\r?\n/);
+    const headers = this.parseHeaders(
+      separator ? text.slice(0, separator.index) : text
+    );
+    const rawBody = separator
+      ? text.slice(separator.index + separator[0].length)
+      : "";
+    const contentType = this.parseContentType(headers["content-type"]);
+
+    const node = { headers, contentType, body: "", parts: [], message: null };
+    if (
+      contentType.type.startsWith("multipart/") &&
+      contentType.params.boundary
+    ) {
+      node.parts = this.splitMultipart(
+        rawBody,
+        contentType.params.boundary
+      ).map((part) => this.parseMessage(part));
+      return node;
+    }
+
+    node.body = this.decodeBody(rawBody, headers["content-transfer-encoding"]);
+    if (contentType.type === "message/rfc822") {
+      node.message = this.parseMessage(node.body);
+    }
+    return node;
+  },
+
+  /**
+   * Tách nội dung multipart thành các phần theo boundary
+   * @param {string} body - Nội dung multipart
+   * @param {string} boundary - Tham số boundary của Content-Type
+   * @returns {string[]} Các phần (gồm cả header của phần)
+   */
+  splitMultipart(body, boundary) {
+    const delimiter = `--${boundary}`;
+    const parts = [];
+    let current = null;
+    for (const line of body.split(/\r?\n/)) {
+      const trimmed = line.trimEnd();
+      if (trimmed === delimiter || trimmed === `${delimiter}--`) {
+        if (current) parts.push(current.join("\r\n"));
+        if (trimmed !== delimiter) break; // Boundary kết thúc
+        current = [];
+        continue;
+      }
+      if (current) current.push(line);
+    }
+    return parts;
+  },
+
+  /**
+   * Tìm phần MIME đầu tiên có một trong các kiểu nội dung
+   * @param {Object} node - Kết quả parseMessage
+   * @param {string[]} types - VD: ["message/delivery-status"]
+   * @returns {Object|null}
+   */
+  findPart(node, types) {
+    if (types.includes(node.contentType.type)) return node;
+    for (const part of node.parts) {
+      const found = this.findPart(part, types);
+      if (found) return found;
+    }
+    return null;
+  },
+
+  /**
+   * Lấy các Message-ID (dạng <id@domain>) trong giá trị header
+   * @param {string} value - VD: giá trị References
+   * @returns {string[]}
+   */
+  extractMessageIds(value) {
+    return (value || "").match(/<[^<>\s]+>/g) || [];
+  },
+};
+
+// ============================================
+// Bounce Service (thư báo lỗi DSN qua IMAP)
+// ============================================
+const BounceService = {
+  timer: null,
+  polling: false,
+  // Action của người nhận trong DSN được ghi lại (bỏ qua 'delivered', 'relayed', 'expanded')
+  ACTIONS: ["failed", "delayed"],
+
+  /**
+   * Đọc hộp thư bounce có được cấu hình hay không
+   * @returns {boolean}
+   */
+  isEnabled() {
+    const { host, user } = CONFIG.BOUNCE.imap;
+    return Boolean(host && user);
+  },
+
+  /**
+   * Bắt đầu đọc hộp thư bounce định kỳ
+   */
+  start() {
+    if (!this.isEnabled()) {
+      console.log(
+        "⏸ Đọc thư báo lỗi qua IMAP đang tắt (chưa cấu hình BOUNCE_IMAP_HOST)"
+      );
+      return;
+    }
+    if (this.timer) return;
+
+    const runPoll = () =>
+      this.poll().catch((error) => {
+        console.error(`❌ ${error.message}`);
+      });
+
+    runPoll();
+    this.timer = setInterval(runPoll, CONFIG.BOUNCE.pollInterval);
+
+    console.log(
+      `📬 Đọc thư báo lỗi từ ${CONFIG.BOUNCE.imap.user}@${
+        CONFIG.BOUNCE.imap.host
+      } mỗi ${CONFIG.BOUNCE.pollInterval / 1000} giây`
+    );
+  },
+
+  /**
+   * Dừng đọc hộp thư bounce
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  },
+
+  /**
+   * Đọc các thư mới trong hộp thư bounce và cập nhật kết quả gửi
+   * @returns {Promise<Object>} { checked, dsn, recorded, bounced, unmatched } hoặc { skipped: true } khi đang có lượt đọc khác
+   */
+  async poll() {
+    if (!this.isEnabled()) {
+      throw JobRunner.createError(
+        400,
+        "Chưa cấu hình hộp thư bounce (BOUNCE_IMAP_HOST, BOUNCE_IMAP_USER)"
+      );
+    }
+    if (this.polling) return { skipped: true };
+
+    this.polling = true;
+    const summary = {
+      checked: 0,
+      dsn: 0,
+      recorded: 0,
+      bounced: 0,
+      unmatched: 0,
+    };
+    try {
+      const result = await MailboxService.poll(
+        "bounce",
+        CONFIG.BOUNCE.imap,
+        async (source, { uid }) => {
+          const dsn = this.parseDsn(source);
+          if (!dsn) return;
+          summary.dsn++;
+          const counts = await this.processDsn(dsn, { uid });
+          summary.recorded += counts.recorded;
+          summary.bounced += counts.bounced;
+          summary.unmatched += counts.unmatched;
+        },
+        {
+          lookbackDays: CONFIG.BOUNCE.lookbackDays,
+          maxMessages: CONFIG.BOUNCE.maxMessagesPerPoll,
+        }
+      );
+      summary.checked = result.checked;
+    } catch (error) {
+      // Lỗi IMAP hoặc lỗi khi xử lý một thư (vị trí đọc dừng trước thư lỗi, lượt sau đọc tiếp)
+      throw JobRunner.createError(
+        502,
+        `Không đọc được hộp thư bounce: ${error.message}`
+      );
+    } finally {
+      this.polling = false;
+    }
+
+    if (summary.dsn > 0) {
+      console.log(
+        `📬 Đã đọc ${summary.dsn} thư báo lỗi: ${summary.bounced} email bị trả về, ${summary.unmatched} người nhận không khớp email đã gửi`
+      );
+    }
+    return summary;
+  },
+
+  /**
+   * Tách thư báo lỗi theo RFC 3464 (multipart/report; report-type=delivery-status)
+   * @param {Buffer|string} source - Toàn bộ thư
+   * @returns {Object|null} { messageId, date, reportingMta, originalMessageIds, recipients } hoặc null nếu không phải DSN
+   *   recipients: [{ email, action, status, diagnosticCode, remoteMta }]
+   */
+  parseDsn(source) {
+    const message = MailboxService.parseMessage(source);
+    const statusPart = MailboxService.findPart(message, [
+      "message/delivery-status",
+      "message/global-delivery-status",
+    ]);
+    if (!statusPart) return null;
+
+    // Nhóm đầu là trường của cả thư, mỗi nhóm sau (cách nhau bởi dòng trống) là một người nhận
+    const groups = statusPart.body
+      .split(/\r?\n[ \t]*\r?\n/)
+      .map((group) => MailboxService.parseHeaders(group.trim()))
+      .filter((fields) => Object.keys(fields).length > 0);
+    const perMessage =
+      groups.find((fields) => !fields["final-recipient"]) || {};
+
+    const getAddress = (value) =>
+      (value || "")
+        .replace(/^[^;]*;/, "")
+        .trim()
+        .replace(/^<|>$/g, "")
+        .toLowerCase();
+    const recipients = groups
+      .filter((fields) => fields["final-recipient"])
+      .map((fields) => {
+        const statusMatch = (fields.status || "").match(/\d\.\d{1,3}\.\d{1,3}/);
+        return {
+          email: getAddress(fields["final-recipient"]),
+          action: (fields.action || "").trim().toLowerCase(),
+          status: statusMatch ? statusMatch[0] : null,
+          diagnosticCode: fields["diagnostic-code"] || null,
+          remoteMta: fields["remote-mta"] || null,
+        };
+      })
+      .filter((recipient) => recipient.email);
+
+    // Message-ID của email gốc: từ phần header/thư được trả về, sau đó tới In-Reply-To/References của DSN
+    const originalPart = MailboxService.findPart(message, [
+      "message/rfc822",
+      "message/global",
+      "text/rfc822-headers",
+      "message/global-headers",
+    ]);
+    const originalHeaders = originalPart
+      ? originalPart.message
+        ? originalPart.message.headers
+        : MailboxService.parseHeaders(originalPart.body.split(/\r?\n\r?\n/)[0])
+      : {};
+    const originalMessageIds = [
+      ...new Set([
+        ...MailboxService.extractMessageIds(originalHeaders["message-id"]),
+        ...MailboxService.extractMessageIds(message.headers["in-reply-to"]),
+        ...MailboxService.extractMessageIds(message.headers["references"]),
+      ]),
+    ];
+
+    const date = new Date(message.headers.date);
+    return {
+      messageId:
+        MailboxService.extractMessageIds(message.headers["message-id"])[0] ||
+        null,
+      date: isNaN(date.getTime()) ? new Date() : date,
+      reportingMta: getAddress(perMessage["reporting-mta"]) || null,
+      originalMessageIds,
+      recipients,
+    };
+  },
+
+  /**
+   * Tìm kết quả gửi ứng với một người nhận trong DSN theo Message-ID của email gốc
+   * @param {string[]} messageIds - Message-ID của email gốc
+   * @param {string} email - Người nhận
+   * @returns {Promise<Object|null>} Dòng email_deliveries, null nếu DSN không kèm Message-ID hoặc không khớp
+   */
+  async findDelivery(messageIds, email) {
+    // Không đoán theo người nhận: một địa chỉ có thể nhận nhiều email trong cùng khoảng thời gian
+    if (messageIds.length === 0) return null;
+
+    const result = await query(
+      `SELECT * FROM email_deliveries
+       WHERE message_id = ANY($1) AND LOWER(email) = $2
+       ORDER BY id DESC LIMIT 1`,
+      [messageIds, email]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Ghi các người nhận trong một DSN; người nhận có action 'failed' khớp với email đã gửi
+   * được chuyển sang 'bounced' và ghi vào danh sách email lỗi. Người nhận không khớp
+   * email nào đã gửi vẫn được ghi (delivery_id NULL) để xem lại
+   * @param {Object} dsn - Kết quả parseDsn
+   * @param {Object} options - { uid } UID của thư DSN, dùng làm khóa khi DSN không có Message-ID
+   * @returns {Promise<Object>} { recorded, bounced, unmatched }
+   */
+  async processDsn(dsn, { uid = null } = {}) {
+    const counts = { recorded: 0, bounced: 0, unmatched: 0 };
+
+    for (const recipient of dsn.recipients) {
+      if (!this.ACTIONS.includes(recipient.action)) continue;
+
+      const delivery = await this.findDelivery(
+        dsn.originalMessageIds,
+        recipient.email
+      );
+
+      const failure = SendErrorService.classifyDsn(
+        recipient.status,
+        recipient.diagnosticCode
+      );
+      const diagnostic =
+        (recipient.diagnosticCode || "").replace(/^[\w-]+;\s*/, "") ||
+        `Status ${recipient.status || "không rõ"}`;
+      const result = SendErrorService.toResult(
+        recipient.email,
+        failure,
+        `${SendErrorService.LABELS[failure.category]} (thư báo lỗi${
+          dsn.reportingMta ? ` từ ${dsn.reportingMta}` : ""
+        }): ${diagnostic}`
+      );
+      const details = SendErrorService.getFields(result);
+
+      // Ghi DSN và áp dụng bounce trong cùng một transaction: bước nào lỗi thì DSN chưa được
+      // ghi nhận, lần đọc hộp thư sau xử lý lại từ đầu
+      const outcome = await transaction(async (client) => {
+        // Một DSN chỉ được xử lý một lần (đọc lại hộp thư không ghi trùng)
+        const inserted = await client.query(
+          `INSERT INTO bounces
+           (delivery_id, run_id, job_id, email, dsn_message_id, original_message_id, action,
+            status, diagnostic_code, reporting_mta, error_category, bounce_type, received_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         ON CONFLICT (dsn_message_id, email) DO NOTHING
+         RETURNING id`,
+          [
+            delivery ? delivery.id : null,
+            delivery ? delivery.run_id : null,
+            delivery ? delivery.job_id : null,
+            recipient.email,
+            dsn.messageId ||
+              (delivery
+                ? `${delivery.message_id || delivery.id}:${recipient.action}`
+                : `uid-${uid}:${recipient.action}`),
+            delivery ? delivery.message_id : dsn.originalMessageIds[0] || null,
+            recipient.action,
+            recipient.status,
+            recipient.diagnosticCode,
+            dsn.reportingMta,
+            details.error_category,
+            details.bounce_type,
+            dsn.date,
+          ]
+        );
+        if (inserted.rows.length === 0) return null;
+        if (!delivery) return "unmatched";
+
+        // 'delayed': máy chủ nhận vẫn đang thử lại, chỉ ghi lại để theo dõi
+        if (recipient.action !== "failed" || delivery.status !== "sent") {
+          return "recorded";
+        }
+
+        await client.query(
+          `UPDATE email_deliveries
+           SET status = 'bounced', error = $2, error_category = $3, smtp_code = $4,
+               enhanced_status = $5, error_reason = $6
+           WHERE id = $1`,
+          [
+            delivery.id,
+            result.error,
+            details.error_category,
+            details.smtp_code,
+            details.enhanced_status,
+            details.error_reason,
+          ]
+        );
+        await client.query(
+          "UPDATE job_runs SET bounced_count = bounced_count + 1 WHERE id = $1",
+          [delivery.run_id]
+        );
+        await DatabaseHelper.saveFailedEmail(
+          delivery.job_id,
+          recipient.email,
+          result.error,
+          "DSN",
+          delivery.run_id,
+          details,
+          client
+        );
+        if (details.bounce_type === "hard") {
+          await SuppressionService.recordHardBounce(
+            recipient.email,
+            { jobId: delivery.job_id, error: result.error },
+            client
+          );
+        }
+        return "bounced";
+      });
+      if (!outcome) continue;
+      if (outcome === "unmatched") {
+        counts.unmatched++;
+        continue;
+      }
+      counts.recorded++;
+      if (outcome !== "bounced") continue;
+      counts.bounced++;
+      console.warn(`📭 Email bị trả về: ${recipient.email} - ${result.error}`);
+    }
+
+    return counts;
+  },
+
+  /**
+   * Danh sách thư báo lỗi đã ghi nhận
+   * @param {Object} filters - { runId, jobId, email, limit, offset }
+   * @returns {Promise<Object[]>} Các dòng bounces kèm job_name
+   */
+  async list({
+    runId = null,
+    jobId = null,
+    email = null,
+    limit = 100,
+    offset = 0,
+  } = {}) {
+    const conditions = [];
+    const params = [];
+    if (runId) {
+      params.push(runId);
+      conditions.push(`b.run_id = $${params.length}`);
+    }
+    if (jobId) {
+      params.push(jobId);
+      conditions.push(`b.job_id = $${params.length}`);
+    }
+    if (email) {
+      params.push(email.trim().toLowerCase());
+      conditions.push(`b.email = $${params.length}`);
+    }
+    const where =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const result = await query(
+      `SELECT b.*, j.name AS job_name
+       FROM bounces b
+       LEFT JOIN jobs j ON b.job_id = j.id
+       ${where}
+       ORDER BY b.received_at DESC NULLS LAST, b.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return result.rows;
+  },
+};
+
+// ============================================
+// Reply Service (theo dõi người nhận trả lời)
+// ============================================
+const ReplyService = {
+  timer: null,
+  polling: false,
+  // Header trong thư trả lời dùng để khớp với email đã gửi
+  GMAIL_HEADERS: [
+    "Message-ID",
+    "In-Reply-To",
+    "References",
+    "From",
+    "Subject",
+    "Date",
+    "Auto-Submitted",
+    "Precedence",
+    "Content-Type",
+  ],
+
+  /**
+   * Bắt đầu đọc hộp thư của các email gửi định kỳ
+   */
+  start() {
+    if (!CONFIG.REPLY.enabled) {
+      console.log(
+        "⏸ Theo dõi thư trả lời đang tắt (REPLY_TRACKING_ENABLED khác true)"
+      );
+      return;
+    }
+    if (this.timer) return;
+
+    const runPoll = () =>
+      this.poll().catch((error) => {
+        console.error("❌ Lỗi khi đọc thư trả lời:", error.message);
+      });
+
+    runPoll();
+    this.timer = setInterval(runPoll, CONFIG.REPLY.pollInterval);
+
+    console.log(
+      `💬 Theo dõi thư trả lời qua ${CONFIG.REPLY.imap.host} và Gmail API mỗi ${
+        CONFIG.REPLY.pollInterval / 1000
+      } giây`
+    );
+  },
+
+  /**
+   * Dừng đọc thư trả lời
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  },
+
+  /**
+   * Các email gửi có lần chạy gần đây và App Password đã lưu trong job (đọc được qua IMAP)
+   * @returns {Promise<Object[]>} [{ email_from, app_password }]
+   */
+  async getImapSenders() {
+    const result = await query(
+      `SELECT DISTINCT ON (r.email_from) r.email_from, j.app_password
+       FROM job_runs r
+       INNER JOIN jobs j ON r.job_id = j.id
+       WHERE r.email_from IS NOT NULL
+         AND COALESCE(TRIM(j.app_password), '') <> ''
+         AND r.created_at > CURRENT_TIMESTAMP - make_interval(days => $1)
+       ORDER BY r.email_from, r.created_at DESC`,
+      [CONFIG.REPLY.lookbackDays]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Đọc thư mới trong hộp thư đến của từng email gửi: qua IMAP với email có App Password,
+   * qua Gmail API với email đã lưu thông tin OAuth2
+   * @returns {Promise<Object>} { senders, checked, replies, errors } hoặc { skipped: true } khi đang có lượt đọc khác
+   */
+  async poll() {
+    if (this.polling) return { skipped: true };
+
+    this.polling = true;
+    const summary = { senders: 0, checked: 0, replies: 0, errors: [] };
+    try {
+      for (const sender of await this.getImapSenders()) {
+        summary.senders++;
+        try {
+          const result = await MailboxService.poll(
+            "reply",
+            {
+              ...CONFIG.REPLY.imap,
+              user: sender.email_from,
+              pass: sender.app_password.trim().replace(/\s+/g, ""),
+            },
+            async (source) => {
+              const headers = MailboxService.parseHeaders(
+                source.toString("utf8")
+              );
+              if (await this.recordReply(headers, sender.email_from)) {
+                summary.replies++;
+              }
+            },
+            {
+              lookbackDays: CONFIG.REPLY.lookbackDays,
+              maxMessages: CONFIG.REPLY.maxMessagesPerPoll,
+              headersOnly: true,
+            }
+          );
+          summary.checked += result.checked;
+        } catch (error) {
+          // Một email gửi lỗi (sai App Password, chưa bật IMAP...) không chặn các email gửi khác
+          console.error(
+            `❌ Không đọc được hộp thư của ${sender.email_from}:`,
+            error.message
+          );
+          summary.errors.push({
+            email_from: sender.email_from,
+            error: error.message,
+          });
+        }
+      }
+
+      for (const account of await this.getGmailAccounts()) {
+        summary.senders++;
+        try {
+          const result = await this.pollGmail({
+            emailFrom: account.email_from,
+            clientId: account.client_id,
+            clientSecret: account.client_secret,
+            refreshToken: account.refresh_token,
+          });
+          summary.checked += result.checked;
+          summary.replies += result.replies;
+        } catch (error) {
+          console.error(`❌ ${error.message}`);
+          summary.errors.push({
+            email_from: account.email_from,
+            error: error.message,
+          });
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+
+    if (summary.replies > 0) {
+      console.log(`💬 Đã ghi nhận ${summary.replies} thư trả lời mới`);
+    }
+    return summary;
+  },
+
+  /**
+   * Các email gửi đã lưu thông tin OAuth2 (đọc được qua Gmail API)
+   * @returns {Promise<Object[]>} Các dòng gmail_accounts
+   */
+  async getGmailAccounts() {
+    const result = await query(
+      "SELECT * FROM gmail_accounts ORDER BY email_from"
+    );
+    return result.rows;
+  },
+
+  /**
+   * Các email gửi đã lưu thông tin OAuth2 kèm kết quả lần đọc gần nhất (không gồm thông tin OAuth2)
+   * @returns {Promise<Object[]>} [{ email_from, created_at, updated_at, last_polled_at, last_error }]
+   */
+  async listGmailAccounts() {
+    const result = await query(
+      `SELECT g.email_from, g.created_at, g.updated_at, c.last_polled_at, c.last_error
+       FROM gmail_accounts g
+       -- Khóa vị trí đọc giống getGmailCursorKey
+       LEFT JOIN mailbox_cursors c
+         ON c.account = 'reply:' || g.email_from || '@gmail.googleapis.com/INBOX'
+       ORDER BY g.email_from`
+    );
+    return result.rows;
+  },
+
+  /**
+   * Khóa vị trí đọc (mailbox_cursors) của hộp thư đọc qua Gmail API
+   * @param {string} emailFrom - Email gửi
+   * @returns {string}
+   */
+  getGmailCursorKey(emailFrom) {
+    return `reply:${SenderService.normalize(
+      emailFrom
+    )}@gmail.googleapis.com/INBOX`;
+  },
+
+  /**
+   * Lưu thông tin OAuth2 của email gửi để đọc thư trả lời định kỳ
+   * @param {Object} credentials - { emailFrom, clientId, clientSecret, refreshToken }
+   */
+  async saveGmailAccount({ emailFrom, clientId, clientSecret, refreshToken }) {
+    await query(
+      `INSERT INTO gmail_accounts (email_from, client_id, client_secret, refresh_token)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (email_from) DO UPDATE
+       SET client_id = EXCLUDED.client_id, client_secret = EXCLUDED.client_secret,
+           refresh_token = EXCLUDED.refresh_token, updated_at = CURRENT_TIMESTAMP`,
+      [SenderService.normalize(emailFrom), clientId, clientSecret, refreshToken]
+    );
+  },
+
+  /**
+   * Xóa thông tin OAuth2 đã lưu của email gửi (ngừng đọc định kỳ qua Gmail API)
+   * @param {string} emailFrom - Email gửi
+   * @returns {Promise<boolean>} false nếu chưa lưu
+   */
+  async deleteGmailAccount(emailFrom) {
+    const result = await query(
+      "DELETE FROM gmail_accounts WHERE email_from = $1",
+      [SenderService.normalize(emailFrom)]
+    );
+    return result.rowCount > 0;
+  },
+
+  /**
+   * Đọc thư trả lời mới trong hộp thư đến qua Gmail API.
+   * Lần đầu đọc thư trong 14 ngày gần nhất (users.messages.list), các lần sau chỉ đọc thư
+   * được thêm sau historyId đã lưu trong mailbox_cursors (users.history.list)
+   * @param {Object} credentials - { emailFrom, clientId, clientSecret, refreshToken }
+   * @returns {Promise<Object>} { checked, replies }
+   */
+  async pollGmail({ emailFrom, clientId, clientSecret, refreshToken }) {
+    const sender = SenderService.normalize(emailFrom);
+    const account = this.getGmailCursorKey(sender);
+    const gmail = GmailAPIService.createGmailClient({
+      clientId,
+      clientSecret,
+      refreshToken,
+    });
+    const summary = { checked: 0, replies: 0 };
+
+    const stateResult = await query(
+      "SELECT history_id FROM mailbox_cursors WHERE account = $1",
+      [account]
+    );
+    const previousHistoryId = stateResult.rows[0]
+      ? stateResult.rows[0].history_id
+      : null;
+
+    let historyId;
+    try {
+      let changes = previousHistoryId
+        ? await this.listGmailHistory(gmail, previousHistoryId)
+        : null;
+      if (!changes) {
+        // Lần đọc đầu tiên hoặc historyId đã quá cũ: đọc lại thư gần đây
+        const profile = await gmail.users.getProfile({ userId: "me" });
+        changes = {
+          historyId: profile.data.historyId,
+          messageIds: await this.listGmailMessages(gmail),
+        };
+      }
+      historyId = changes.historyId;
+
+      for (const id of changes.messageIds) {
+        const message = await gmail.users.messages.get({
+          userId: "me",
+          id,
+          format: "metadata",
+          metadataHeaders: this.GMAIL_HEADERS,
+        });
+        const headers = {};
+        for (const { name, value } of message.data.payload?.headers || []) {
+          const key = name.toLowerCase();
+          if (!(key in headers)) headers[key] = value;
+        }
+        summary.checked++;
+        const receivedAt = message.data.internalDate
+          ? new Date(Number(message.data.internalDate))
+          : null;
+        if (await this.recordReply(headers, sender, receivedAt)) {
+          summary.replies++;
+        }
+      }
+    } catch (error) {
+      // Giữ historyId cũ: lượt sau đọc lại các thư chưa xử lý (thư đã ghi không bị ghi trùng)
+      const failure = error.status ? error : this.toGmailError(error, sender);
+      await this.saveGmailCursor(account, previousHistoryId, failure.message);
+      throw failure;
+    }
+
+    await this.saveGmailCursor(account, historyId, null);
+    return summary;
+  },
+
+  /**
+   * Các thư được thêm vào hộp thư đến sau một historyId (đọc hết các trang)
+   * @param {Object} gmail - Gmail API client
+   * @param {string} startHistoryId - historyId đã đọc tới
+   * @returns {Promise<Object|null>} { historyId, messageIds } hoặc null nếu historyId đã quá cũ (Gmail trả về 404)
+   */
+  async listGmailHistory(gmail, startHistoryId) {
+    const messageIds = new Set();
+    let historyId = startHistoryId;
+    let pageToken;
+    try {
+      do {
+        const response = await gmail.users.history.list({
+          userId: "me",
+          startHistoryId,
+          historyTypes: ["messageAdded"],
+          labelId: "INBOX",
+          pageToken,
+        });
+        for (const record of response.data.history || []) {
+          for (const { message } of record.messagesAdded || []) {
+            if ((message.labelIds || []).includes("INBOX")) {
+              messageIds.add(message.id);
+            }
+          }
+        }
+        historyId = response.data.historyId || historyId;
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+    } catch (error) {
+      if (error.code === 404 || error.response?.status === 404) return null;
+      throw error;
+    }
+    return { historyId, messageIds: [...messageIds] };
+  },
+
+  /**
+   * Các thư trong hộp thư đến trong 14 ngày gần nhất, cũ trước mới sau
+   * (đọc theo trang, tối đa CONFIG.REPLY.maxMessagesPerPoll thư)
+   * @param {Object} gmail - Gmail API client
+   * @returns {Promise<string[]>} ID thư của Gmail
+   */
+  async listGmailMessages(gmail) {
+    const messageIds = [];
+    let pageToken;
+    do {
+      const response = await gmail.users.messages.list({
+        userId: "me",
+        q: `in:inbox -from:me newer_than:${CONFIG.REPLY.lookbackDays}d`,
+        maxResults: Math.min(
+          100,
+          CONFIG.REPLY.maxMessagesPerPoll - messageIds.length
+        ),
+        pageToken,
+      });
+      messageIds.push(...(response.data.messages || []).map((m) => m.id));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken && messageIds.length < CONFIG.REPLY.maxMessagesPerPoll);
+    return messageIds.reverse();
+  },
+
+  /**
+   * Lưu historyId đã đọc tới của hộp thư Gmail API
+   * @param {string} account - Khóa hộp thư
+   * @param {string|null} historyId - historyId
+   * @param {string|null} error - Lỗi của lần đọc (null = thành công)
+   */
+  async saveGmailCursor(account, historyId, error) {
+    await query(
+      `INSERT INTO mailbox_cursors (account, history_id, last_polled_at, last_error)
+       VALUES ($1, $2, CURRENT_TIMESTAMP, $3)
+       ON CONFLICT (account) DO UPDATE
+       SET history_id = EXCLUDED.history_id, last_polled_at = EXCLUDED.last_polled_at,
+           last_error = EXCLUDED.last_error`,
+      [account, historyId, error]
+    );
+  },
+
+  /**
+   * Chuyển lỗi của Gmail API thành lỗi có mã HTTP (400: thông tin OAuth2 sai/bị thu hồi, 502: lỗi khác)
+   * @param {Error} error - Lỗi từ googleapis
+   * @param {string} emailFrom - Email gửi
+   * @returns {Error} Lỗi tạo bởi JobRunner.createError
+   */
+  toGmailError(error, emailFrom) {
+    const data = (error.response && error.response.data) || {};
+    const detail =
+      data.error_description ||
+      (data.error && data.error.message) ||
+      error.message;
+    if (data.error === "invalid_grant" || error.response?.status === 401) {
+      return JobRunner.createError(
+        400,
+        `Thông tin OAuth2 của ${emailFrom} không hợp lệ hoặc đã bị thu hồi: ${detail}`
+      );
+    }
+    return JobRunner.createError(
+      502,
+      `Không đọc được hộp thư của ${emailFrom} qua Gmail API: ${detail}`
+    );
+  },
+
+  /**
+   * Thư tự động (trả lời vắng mặt, thư báo lỗi...) không được tính là trả lời
+   * @param {Object} headers - Header của thư (tên chữ thường)
+   * @returns {boolean}
+   */
+  isAutomatic(headers) {
+    const autoSubmitted = (headers["auto-submitted"] || "no")
+      .trim()
+      .toLowerCase();
+    const precedence = (headers.precedence || "").trim().toLowerCase();
+    return (
+      autoSubmitted !== "no" ||
+      ["bulk", "junk", "list", "auto_reply"].includes(precedence) ||
+      "x-autoreply" in headers ||
+      "x-autorespond" in headers ||
+      MailboxService.parseContentType(headers["content-type"]).type ===
+        "multipart/report"
+    );
+  },
+
+  /**
+   * Ghi thư trả lời nếu In-Reply-To/References trỏ tới email đã gửi.
+   * Email gộp BCC dùng chung Message-ID nên người trả lời được xác định theo header From.
+   * @param {Object} headers - Header của thư (tên chữ thường)
+   * @param {string} senderEmail - Email gửi (chủ hộp thư)
+   * @param {Date|null} receivedAt - Thời điểm nhận (mặc định theo header Date)
+   * @returns {Promise<Object|null>} Dòng replies mới hoặc null nếu không phải thư trả lời mới
+   */
+  async recordReply(headers, senderEmail, receivedAt = null) {
+    const messageId = MailboxService.extractMessageIds(
+      headers["message-id"]
+    )[0];
+    const from = MailboxService.getAddress(headers.from);
+    if (!messageId || !from || from === senderEmail.toLowerCase()) return null;
+    if (this.isAutomatic(headers)) return null;
+
+    const referencedIds = [
+      ...new Set([
+        ...MailboxService.extractMessageIds(headers["in-reply-to"]),
+        ...MailboxService.extractMessageIds(headers.references),
+      ]),
+    ];
+    if (referencedIds.length === 0) return null;
+
+    const deliveryResult = await query(
+      `SELECT * FROM email_deliveries
+       WHERE message_id = ANY($1) AND status = 'sent'
+       ORDER BY id DESC`,
+      [referencedIds]
+    );
+    const deliveries = deliveryResult.rows;
+    const recipients = new Set(deliveries.map((d) => d.email.toLowerCase()));
+    // Người trả lời khác người nhận (VD: alias): chỉ nhận khi email gốc có đúng một người nhận
+    const delivery =
+      deliveries.find((d) => d.email.toLowerCase() === from) ||
+      (recipients.size === 1 ? deliveries[0] : null);
+    if (!delivery) return null;
+
+    const date = receivedAt || new Date(headers.date);
+    return transaction(async (client) => {
+      const inserted = await client.query(
+        `INSERT INTO replies
+           (delivery_id, run_id, job_id, email, from_address, message_id, in_reply_to, subject, received_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (message_id) DO NOTHING
+         RETURNING *`,
+        [
+          delivery.id,
+          delivery.run_id,
+          delivery.job_id,
+          delivery.email.toLowerCase(),
+          from,
+          messageId,
+          delivery.message_id,
+          MailboxService.decodeHeader(headers.subject) || null,
+          isNaN(date.getTime()) ? new Date() : date,
+        ]
+      );
+      if (inserted.rows.length === 0) return null;
+      const reply = inserted.rows[0];
+
+      // Mỗi người nhận chỉ được đếm một lần trong một run (các thư trả lời sau vẫn được lưu)
+      const tagged = await client.query(
+        `UPDATE email_deliveries SET replied_at = $2
+         WHERE id = $1 AND replied_at IS NULL
+         RETURNING id`,
+        [delivery.id, reply.received_at]
+      );
+      if (tagged.rows.length > 0) {
+        await client.query(
+          "UPDATE job_runs SET replied_count = replied_count + 1 WHERE id = $1",
+          [delivery.run_id]
+        );
+      }
+
+      console.log(
+        `💬 ${reply.email} đã trả lời email của run #${delivery.run_id}`
+      );
+      return reply;
+    });
+  },
+
+  /**
+   * Danh sách thư trả lời đã ghi nhận
+   * @param {Object} filters - { runId, jobId, email, limit, offset }
+   * @returns {Promise<Object[]>} Các dòng replies kèm job_name
+   */
+  async list({
+    runId = null,
+    jobId = null,
+    email = null,
+    limit = 100,
+    offset = 0,
+  } = {}) {
+    const conditions = [];
+    const params = [];
+    if (runId) {
+      params.push(runId);
+      conditions.push(`rp.run_id = $${params.length}`);
+    }
+    if (jobId) {
+      params.push(jobId);
+      conditions.push(`rp.job_id = $${params.length}`);
+    }
+    if (email) {
+      params.push(email.trim().toLowerCase());
+      conditions.push(`rp.email = $${params.length}`);
+    }
+    const where =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const result = await query(
+      `SELECT rp.*, j.name AS job_name
+       FROM replies rp
+       LEFT JOIN jobs j ON rp.job_id = j.id
+       ${where}
+       ORDER BY rp.received_at DESC NULLS LAST, rp.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return result.rows;
+  },
+};
+
+// ============================================
+// Express App Setup
+// ============================================
+const app = express();
+
+// Middleware
+const jsonParser = express.json();
+app.use((req, res, next) => {
+  // Route nhập người nhận nhận body lớn hơn (nội dung file CSV), dùng parser riêng của route
+  if (req.path === "/api/imports/recipients") return next();
+  return jsonParser(req, res, next);
+});
+app.use(express.static(__dirname));
+
+// CORS middleware
+app.use((req, res, next) => {
+  res.header("Access-Control-Allow-Origin", "*");
+  res.header("Access-Control-Allow-Headers", "Content-Type");
+  res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+  if (req.method === "OPTIONS") {
+    return res.sendStatus(200);
+  }
+  next();
+});
+
+// ============================================
+// API Routes
+// ============================================
+
+/**
+ * GET /api/profiles
+ * Get list of Chrome profiles
+ */
+app.get("/api/profiles", async (req, res, next) => {
+  try {
+    const profiles = await ProfileService.getProfiles();
+    res.json(profiles);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/run-job
+ * Gửi ngay trong request một job (ghi lại thành run 'direct', job chưa lưu thì run không gắn job)
+ */
+app.post("/api/run-job", async (req, res, next) => {
+  try {
+    const job = req.body;
+
+    // Validate job data
+    if (
+      !job ||
+      !job.emailFrom ||
+      !job.emailTo ||
+      !job.emailSubject ||
+      !job.emailBody
+    ) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Thiếu thông tin job. Cần có: emailFrom, emailTo, emailSubject, emailBody",
+      });
+    }
+
+    // Validate authentication credentials
+    // Need either Gmail API OAuth2 credentials OR App Password
+    const hasGmailAPI = job.clientId && job.clientSecret && job.refreshToken;
+    const hasAppPassword = job.appPassword;
+
+    if (!hasGmailAPI && !hasAppPassword) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Thiếu thông tin xác thực. Cần có:\n" +
+          "1. Gmail API OAuth2 (clientId, clientSecret, refreshToken) HOẶC\n" +
+          "2. App Password (appPassword)\n\n" +
+          "Để sử dụng Gmail API:\n" +
+          "1. Vào https://console.cloud.google.com/\n" +
+          "2. Tạo OAuth2 credentials\n" +
+          "3. Nhập clientId, clientSecret, refreshToken vào form\n\n" +
+          "Để sử dụng SMTP:\n" +
+          "1. Vào https://myaccount.google.com/apppasswords\n" +
+          "2. Tạo App Password mới\n" +
+          "3. Nhập App Password vào form",
+      });
+    }
+
+    // Validate emailTo is array
+    if (!Array.isArray(job.emailTo) || job.emailTo.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "emailTo phải là mảng và có ít nhất một email",
+      });
+    }
+
+    // Validate emailFrom format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(job.emailFrom)) {
+      return res.status(400).json({
+        success: false,
+        error: "Email gửi không hợp lệ",
+      });
+    }
+
+    // CC/BCC (tùy chọn): gửi kèm mỗi email
+    job.emailCc = Utils.parseEmailList(job.emailCc);
+    job.emailBcc = Utils.parseEmailList(job.emailBcc);
+    const copyError =
+      Utils.validateEmailList(job.emailCc, "Email CC") ||
+      Utils.validateEmailList(job.emailBcc, "Email BCC");
+    if (copyError) {
+      return res.status(400).json({
+        success: false,
+        error: copyError,
+      });
+    }
+
+    // Cách gửi (tùy chọn): mặc định gửi riêng cho từng người nhận
+    const deliveryError = Utils.validateDeliveryMode(
+      job.deliveryMode,
+      job.batchSize,
+      job.emailCc.length + job.emailBcc.length
+    );
+    if (deliveryError) {
+      return res.status(400).json({
+        success: false,
+        error: deliveryError,
+      });
+    }
+
+    // Đảm bảo job.id được set trước khi gọi sendEmail (để lưu failed emails vào database)
+    // Hỗ trợ cả job.id (từ body) và job_id (từ query parameter)
+    const jobId = job.id || job.job_id || req.query.job_id;
+    if (jobId) {
+      const jobIdNum = typeof jobId === "string" ? parseInt(jobId) : jobId;
+      if (!isNaN(jobIdNum) && jobIdNum > 0) {
+        job.id = jobIdNum; // Set job.id để hàm sendEmail có thể sử dụng
+      }
+    }
+
+    // Lần gửi được ghi thành một run để tính vào giới hạn gửi/ngày và tốc độ gửi của email gửi
+    let jobExists = false;
+    if (job.id) {
+      const jobCheck = await query("SELECT id FROM jobs WHERE id = $1", [
+        job.id,
+      ]);
+      jobExists = jobCheck.rows.length > 0;
+    }
+
+    // Job có trong database: giữ khóa chạy của job để không gửi trùng với run khác.
+    // Job chưa lưu (chỉ có trong localStorage): ghi thành run không gắn job
+    const result = jobExists
+      ? await JobRunner.withRunLock(job.id, () => JobRunner.runDirect(job))
+      : await JobRunner.runDirect({ ...job, id: null });
+
+    res.json(result);
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        ...(error.run ? { run_id: error.run.id } : {}),
+      });
+    }
+    // 400: thiếu biến mail merge hoặc template sai cú pháp
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * Health check endpoint
+ */
+app.get("/api/health", (req, res) => {
+  res.json({ status: "ok", timestamp: new Date().toISOString() });
+});
+
+// ============================================
+// PostgreSQL CRUD API Routes
+// ============================================
+
+/**
+ * GET /api/jobs
+ * Lấy danh sách tất cả jobs
+ */
+app.get("/api/jobs", async (req, res, next) => {
+  try {
+    const result = await query("SELECT * FROM jobs ORDER BY created_at DESC");
+
+    // Lấy emails cho từng job
+    const jobs = await Promise.all(
+      result.rows.map(async (job) => {
+        const emailFrom = await DatabaseHelper.getJobEmails(job.id, "from");
+        const emailTo = await DatabaseHelper.getJobEmails(job.id, "to");
+        const emailCc = await DatabaseHelper.getJobEmails(job.id, "cc");
+        const emailBcc = await DatabaseHelper.getJobEmails(job.id, "bcc");
+        const listIds = await ListService.getJobListIds(job.id);
+
+        return {
+          ...job,
+          email_from: emailFrom.length > 0 ? emailFrom[0] : null,
+          email_to: emailTo,
+          email_cc: emailCc,
+          email_bcc: emailBcc,
+          list_ids: listIds,
+        };
+      })
+    );
+
+    res.json({
+      success: true,
+      data: jobs,
+      count: jobs.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Lấy thông tin một job theo ID
+ */
+app.get("/api/jobs/:id", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const result = await query("SELECT * FROM jobs WHERE id = $1", [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy job với ID này",
+      });
+    }
+
+    const job = result.rows[0];
+
+    // Lấy emails từ bảng job_emails
+    const emailFrom = await DatabaseHelper.getJobEmails(job.id, "from");
+    const emailTo = await DatabaseHelper.getJobEmails(job.id, "to");
+    const emailCc = await DatabaseHelper.getJobEmails(job.id, "cc");
+    const emailBcc = await DatabaseHelper.getJobEmails(job.id, "bcc");
+
+    job.email_from = emailFrom.length > 0 ? emailFrom[0] : null;
+    job.email_to = emailTo;
+    job.email_cc = emailCc;
+    job.email_bcc = emailBcc;
+    job.list_ids = await ListService.getJobListIds(job.id);
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/jobs
+ * Tạo job mới
+ */
+app.post("/api/jobs", async (req, res, next) => {
+  try {
+    const {
+      name,
+      chrome_profile,
+      email_from,
+      email_to,
+      email_cc,
+      email_bcc,
+      list_ids,
+      email_subject,
+      email_body,
+      schedule = "manual",
+      schedule_time = "09:00:00",
+      cron_expression,
+      timezone,
+      catchup_policy = "once",
+      rate_per_minute,
+      rate_per_hour,
+      rate_burst,
+      delivery_mode = "individual",
+      batch_size,
+      notes,
+      status = "active",
+      app_password,
+    } = req.body;
+
+    // Validation
+    if (!name || !email_from || !email_subject || !email_body) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Thiếu thông tin bắt buộc: name, email_from, email_subject, email_body",
+      });
+    }
+
+    // Người nhận: email_to và/hoặc danh sách người nhận (list_ids)
+    const emailToArray = Utils.parseEmailList(email_to);
+    const listIds = ListService.parseIds(list_ids);
+    const listError = await ListService.validateIds(listIds);
+    if (listError) {
+      return res.status(400).json({
+        success: false,
+        error: listError,
+      });
+    }
+    if (emailToArray.length === 0 && listIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Cần ít nhất một email trong email_to hoặc một danh sách người nhận (list_ids)",
+      });
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email_from)) {
+      return res.status(400).json({
+        success: false,
+        error: "Email gửi không hợp lệ",
+      });
+    }
+
+    // Validate CC/BCC (tùy chọn)
+    const emailCcArray = Utils.parseEmailList(email_cc);
+    const emailBccArray = Utils.parseEmailList(email_bcc);
+    const copyError =
+      Utils.validateEmailList(emailCcArray, "Email CC") ||
+      Utils.validateEmailList(emailBccArray, "Email BCC");
+    if (copyError) {
+      return res.status(400).json({
+        success: false,
+        error: copyError,
+      });
+    }
+
+    // Validate biến mail merge trong tiêu đề và nội dung
+    const templateError =
+      TemplateService.validate(email_subject, "Tiêu đề email") ||
+      TemplateService.validate(email_body, "Nội dung email");
+    if (templateError) {
+      return res.status(400).json({
+        success: false,
+        error: templateError,
+      });
+    }
+
+    // Validate lịch gửi (cron expression + timezone)
+    const scheduleError = SchedulerService.validateSchedule({
+      schedule,
+      cron_expression,
+      timezone,
+      catchup_policy,
+    });
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        error: scheduleError,
+      });
+    }
+
+    // Validate tốc độ gửi
+    const rateError = ThrottleService.validate(req.body);
+    if (rateError) {
+      return res.status(400).json({
+        success: false,
+        error: rateError,
+      });
+    }
+
+    // Validate cách gửi
+    const deliveryError = Utils.validateDeliveryMode(
+      delivery_mode,
+      batch_size,
+      emailCcArray.length + emailBccArray.length
+    );
+    if (deliveryError) {
+      return res.status(400).json({
+        success: false,
+        error: deliveryError,
+      });
+    }
+
+    // Clean app_password: loại bỏ khoảng trắng (Gmail App Password thường có dạng "xxxx xxxx xxxx xxxx")
+    const cleanAppPassword = app_password
+      ? app_password.trim().replace(/\s+/g, "")
+      : null;
+
+    // Validate app_password format nếu có (phải có 16 ký tự sau khi clean)
+    if (cleanAppPassword && cleanAppPassword.length !== 16) {
+      return res.status(400).json({
+        success: false,
+        error: `App Password không hợp lệ. Phải có đúng 16 ký tự (sau khi loại bỏ khoảng trắng). Hiện tại: ${cleanAppPassword.length} ký tự.`,
+      });
+    }
+
+    console.log(
+      `💾 Lưu job mới: emailFrom=${email_from}, app_password length=${
+        cleanAppPassword ? cleanAppPassword.length : 0
+      }`
+    );
+
+    // Insert job (không có email_from và email_to nữa)
+    const result = await query(
+      `INSERT INTO jobs (name, chrome_profile, email_subject, email_body, schedule, schedule_time, cron_expression, timezone, catchup_policy, last_scheduled_at, rate_per_minute, rate_per_hour, rate_burst, delivery_mode, batch_size, notes, status, app_password)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+       RETURNING *`,
+      [
+        name,
+        chrome_profile || null,
+        email_subject,
+        email_body,
+        schedule,
+        schedule_time,
+        cron_expression ? cron_expression.trim() : null,
+        timezone || null,
+        catchup_policy,
+        new Date(), // Mốc lịch: chỉ chạy các lần sau thời điểm tạo
+        ThrottleService.parseValue(rate_per_minute),
+        ThrottleService.parseValue(rate_per_hour),
+        ThrottleService.parseValue(rate_burst),
+        delivery_mode,
+        ThrottleService.parseValue(batch_size),
+        notes || null,
+        status,
+        cleanAppPassword,
+      ]
+    );
+
+    const job = result.rows[0];
+
+    // Lưu emails vào bảng emails và job_emails
+    await DatabaseHelper.saveJobEmails(job.id, email_from, "from");
+    await DatabaseHelper.saveJobEmails(job.id, emailToArray, "to");
+    await DatabaseHelper.saveJobEmails(job.id, emailCcArray, "cc");
+    await DatabaseHelper.saveJobEmails(job.id, emailBccArray, "bcc");
+    await ListService.setJobLists(job.id, listIds);
+
+    // Lấy lại emails để trả về
+    const emailFrom = await DatabaseHelper.getJobEmails(job.id, "from");
+    const emailTo = await DatabaseHelper.getJobEmails(job.id, "to");
+    const emailCc = await DatabaseHelper.getJobEmails(job.id, "cc");
+    const emailBcc = await DatabaseHelper.getJobEmails(job.id, "bcc");
+    job.email_from = emailFrom.length > 0 ? emailFrom[0] : null;
+    job.email_to = emailTo;
+    job.email_cc = emailCc;
+    job.email_bcc = emailBcc;
+    job.list_ids = await ListService.getJobListIds(job.id);
+
+    res.status(201).json({
+      success: true,
+      message: "Đã tạo job thành công",
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/jobs/:id
+ * Cập nhật job
+ */
+app.put("/api/jobs/:id", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const {
+      name,
+      chrome_profile,
+      email_from,
+      email_to,
+      email_cc,
+      email_bcc,
+      list_ids,
+      email_subject,
+      email_body,
+      schedule,
+      schedule_time,
+      cron_expression,
+      timezone,
+      catchup_policy,
+      delivery_mode,
+      batch_size,
+      notes,
+      status,
+      app_password,
+    } = req.body;
+
+    // Kiểm tra job có tồn tại không
+    const checkResult = await query(
+      "SELECT id, schedule, cron_expression, timezone, batch_size FROM jobs WHERE id = $1",
+      [id]
+    );
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy job với ID này",
+      });
+    }
+
+    // Validate lịch gửi dựa trên giá trị mới kết hợp giá trị hiện tại
+    const currentJob = checkResult.rows[0];
+    const scheduleError = SchedulerService.validateSchedule({
+      schedule: schedule !== undefined ? schedule : currentJob.schedule,
+      cron_expression:
+        cron_expression !== undefined
+          ? cron_expression
+          : currentJob.cron_expression,
+      timezone: timezone !== undefined ? timezone : currentJob.timezone,
+      catchup_policy,
+    });
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        error: scheduleError,
+      });
+    }
+
+    // Validate tốc độ gửi
+    const rateError = ThrottleService.validate(req.body);
+    if (rateError) {
+      return res.status(400).json({
+        success: false,
+        error: rateError,
+      });
+    }
+
+    // Validate CC/BCC nếu có cập nhật
+    const emailCcArray = Utils.parseEmailList(email_cc);
+    const emailBccArray = Utils.parseEmailList(email_bcc);
+    const copyError =
+      Utils.validateEmailList(emailCcArray, "Email CC") ||
+      Utils.validateEmailList(emailBccArray, "Email BCC");
+    if (copyError) {
+      return res.status(400).json({
+        success: false,
+        error: copyError,
+      });
+    }
+
+    // Validate cách gửi khi có cập nhật cách gửi hoặc CC/BCC: batch_size và CC/BCC mới
+    // kết hợp giá trị hiện tại (cập nhật trường khác không bị chặn bởi batch_size đã lưu)
+    if (
+      [delivery_mode, batch_size, email_cc, email_bcc].some(
+        (value) => value !== undefined
+      )
+    ) {
+      const copyCount =
+        (email_cc !== undefined
+          ? emailCcArray
+          : await DatabaseHelper.getJobEmails(id, "cc")
+        ).length +
+        (email_bcc !== undefined
+          ? emailBccArray
+          : await DatabaseHelper.getJobEmails(id, "bcc")
+        ).length;
+      const deliveryError = Utils.validateDeliveryMode(
+        delivery_mode,
+        batch_size !== undefined ? batch_size : currentJob.batch_size,
+        copyCount
+      );
+      if (deliveryError) {
+        return res.status(400).json({
+          success: false,
+          error: deliveryError,
+        });
+      }
+    }
+
+    // Validate danh sách người nhận nếu có cập nhật
+    const listIds =
+      list_ids !== undefined ? ListService.parseIds(list_ids) : [];
+    const listError = await ListService.validateIds(listIds);
+    if (listError) {
+      return res.status(400).json({
+        success: false,
+        error: listError,
+      });
+    }
+
+    // Validate biến mail merge nếu có cập nhật tiêu đề/nội dung
+    const templateError =
+      TemplateService.validate(email_subject, "Tiêu đề email") ||
+      TemplateService.validate(email_body, "Nội dung email");
+    if (templateError) {
+      return res.status(400).json({
+        success: false,
+        error: templateError,
+      });
+    }
+
+    // Build dynamic update query
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (name !== undefined) {
+      updates.push(`name = $${paramCount++}`);
+      values.push(name);
+    }
+    if (chrome_profile !== undefined) {
+      updates.push(`chrome_profile = $${paramCount++}`);
+      values.push(chrome_profile);
+    }
+    // email_from và email_to được xử lý riêng trong job_emails
+    if (email_subject !== undefined) {
+      updates.push(`email_subject = $${paramCount++}`);
+      values.push(email_subject);
+    }
+    if (email_body !== undefined) {
+      updates.push(`email_body = $${paramCount++}`);
+      values.push(email_body);
+    }
+    if (schedule !== undefined) {
+      updates.push(`schedule = $${paramCount++}`);
+      values.push(schedule);
+    }
+    if (schedule_time !== undefined) {
+      updates.push(`schedule_time = $${paramCount++}`);
+      values.push(schedule_time);
+    }
+    if (cron_expression !== undefined) {
+      updates.push(`cron_expression = $${paramCount++}`);
+      values.push(cron_expression ? cron_expression.trim() : null);
+    }
+    if (timezone !== undefined) {
+      updates.push(`timezone = $${paramCount++}`);
+      values.push(timezone || null);
+    }
+    if (catchup_policy !== undefined) {
+      updates.push(`catchup_policy = $${paramCount++}`);
+      values.push(catchup_policy);
+    }
+    ThrottleService.FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = $${paramCount++}`);
+        values.push(ThrottleService.parseValue(req.body[field]));
+      }
+    });
+    if (delivery_mode !== undefined) {
+      updates.push(`delivery_mode = $${paramCount++}`);
+      values.push(delivery_mode);
+    }
+    if (batch_size !== undefined) {
+      updates.push(`batch_size = $${paramCount++}`);
+      values.push(ThrottleService.parseValue(batch_size));
+    }
+    if (notes !== undefined) {
+      updates.push(`notes = $${paramCount++}`);
+      values.push(notes);
+    }
+    if (status !== undefined) {
+      updates.push(`status = $${paramCount++}`);
+      values.push(status);
+    }
+    if (app_password !== undefined) {
+      // Clean app_password: loại bỏ khoảng trắng
+      const cleanAppPassword = app_password
+        ? app_password.trim().replace(/\s+/g, "")
+        : null;
+
+      // Validate app_password format nếu có
+      if (cleanAppPassword && cleanAppPassword.length !== 16) {
+        return res.status(400).json({
+          success: false,
+          error: `App Password không hợp lệ. Phải có đúng 16 ký tự (sau khi loại bỏ khoảng trắng). Hiện tại: ${cleanAppPassword.length} ký tự.`,
+        });
+      }
+
+      updates.push(`app_password = $${paramCount++}`);
+      values.push(cleanAppPassword);
+
+      console.log(
+        `💾 Cập nhật job ${id}: app_password length=${
+          cleanAppPassword ? cleanAppPassword.length : 0
+        }`
+      );
+    }
+
+    // Danh sách email/danh sách người nhận được lưu riêng trong job_emails, job_lists
+    const emailsChanged = [
+      email_from,
+      email_to,
+      email_cc,
+      email_bcc,
+      list_ids,
+    ].some((value) => value !== undefined);
+
+    if (updates.length === 0 && !emailsChanged) {
+      return res.status(400).json({
+        success: false,
+        error: "Không có trường nào để cập nhật",
+      });
+    }
+
+    // Đổi lịch hoặc kích hoạt lại job: đặt lại mốc lịch để không chạy bù
+    // các lần thuộc lịch cũ hoặc khoảng thời gian job bị tạm dừng
+    const scheduleChanged = [
+      schedule,
+      schedule_time,
+      cron_expression,
+      timezone,
+      status,
+    ].some((value) => value !== undefined);
+    if (scheduleChanged) {
+      updates.push(`last_scheduled_at = $${paramCount++}`);
+      values.push(new Date());
+    }
+
+    values.push(id);
+    const result =
+      updates.length > 0
+        ? await query(
+            `UPDATE jobs SET ${updates.join(
+              ", "
+            )} WHERE id = $${paramCount} RETURNING *`,
+            values
+          )
+        : await query("SELECT * FROM jobs WHERE id = $1", [id]);
+
+    const job = result.rows[0];
+
+    // Cập nhật emails nếu có
+    if (email_from !== undefined) {
+      await DatabaseHelper.deleteJobEmails(id, "from");
+      await DatabaseHelper.saveJobEmails(id, email_from, "from");
+    }
+    if (email_to !== undefined) {
+      const emailToArray = Array.isArray(email_to) ? email_to : [email_to];
+      await DatabaseHelper.deleteJobEmails(id, "to");
+      await DatabaseHelper.saveJobEmails(id, emailToArray, "to");
+    }
+    if (email_cc !== undefined) {
+      await DatabaseHelper.deleteJobEmails(id, "cc");
+      await DatabaseHelper.saveJobEmails(id, emailCcArray, "cc");
+    }
+    if (email_bcc !== undefined) {
+      await DatabaseHelper.deleteJobEmails(id, "bcc");
+      await DatabaseHelper.saveJobEmails(id, emailBccArray, "bcc");
+    }
+    if (list_ids !== undefined) {
+      await ListService.setJobLists(job.id, listIds);
+    }
+
+    // Lấy lại emails để trả về
+    const emailFrom = await DatabaseHelper.getJobEmails(job.id, "from");
+    const emailTo = await DatabaseHelper.getJobEmails(job.id, "to");
+    const emailCc = await DatabaseHelper.getJobEmails(job.id, "cc");
+    const emailBcc = await DatabaseHelper.getJobEmails(job.id, "bcc");
+    job.email_from = emailFrom.length > 0 ? emailFrom[0] : null;
+    job.email_to = emailTo;
+    job.email_cc = emailCc;
+    job.email_bcc = emailBcc;
+    job.list_ids = await ListService.getJobListIds(job.id);
+
+    res.json({
+      success: true,
+      message: "Đã cập nhật job thành công",
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Xóa job
+ */
+app.delete("/api/jobs/:id", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Kiểm tra job có tồn tại không
+    const checkResult = await query("SELECT id FROM jobs WHERE id = $1", [id]);
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy job với ID này",
+      });
+    }
+
+    await query("DELETE FROM jobs WHERE id = $1", [id]);
+
+    res.json({
+      success: true,
+      message: "Đã xóa job thành công",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/jobs/:id/run
+ * Đưa job vào hàng đợi gửi và trả về run id ngay (email được gửi bởi SendWorker)
+ * Body: { appPassword?, clientId?, clientSecret?, refreshToken? } - Thông tin xác thực
+ * Trả về 409 (kèm run_id của run đang hoạt động) nếu job đang có run chưa kết thúc
+ */
+app.post("/api/jobs/:id/run", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { appPassword, clientId, clientSecret, refreshToken } = req.body;
+
+    const run = await JobRunner.enqueue(id, {
+      appPassword,
+      clientId,
+      clientSecret,
+      refreshToken,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Đã đưa job vào hàng đợi gửi",
+      job_id: parseInt(id),
+      run_id: run.id,
+      data: run,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        // 409: run đang hoạt động của job, client có thể theo dõi tiếp run này
+        ...(error.run ? { run_id: error.run.id, data: error.run } : {}),
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// Run API Routes
+// ============================================
+
+/**
+ * GET /api/runs
+ * Danh sách lần chạy, mới nhất trước, kèm số email chờ gửi và không rõ trạng thái
+ * Query: status (nhiều trạng thái phân cách bằng dấu phẩy), job_id, limit (mặc định 50)
+ */
+app.get("/api/runs", async (req, res, next) => {
+  try {
+    const { status, job_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const conditions = [];
+    const values = [];
+    if (status) {
+      values.push(status.split(",").map((item) => item.trim()));
+      conditions.push(`r.status = ANY($${values.length}::text[])`);
+    }
+    if (job_id) {
+      values.push(parseInt(job_id));
+      conditions.push(`r.job_id = $${values.length}`);
+    }
+    values.push(limit);
+
+    const result = await query(
+      `SELECT r.*,
+         (SELECT COUNT(*) FROM send_queue q WHERE q.run_id = r.id AND q.status = 'pending')::int AS pending_count,
+         (SELECT COUNT(*) FROM send_queue q WHERE q.run_id = r.id AND q.status = 'unknown')::int AS unknown_count
+       FROM job_runs r
+       ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY r.id DESC
+       LIMIT $${values.length}`,
+      values
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mọi route /api/runs/:id...: ID không phải số thì không có lần chạy nào (404)
+app.use("/api/runs/:id", (req, res, next) => {
+  if (!Utils.isValidId(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: "Không tìm thấy lần chạy với ID này",
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/runs/:id
+ * Lấy trạng thái và tiến độ của một lần chạy job
+ */
+app.get("/api/runs/:id", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const result = await query("SELECT * FROM job_runs WHERE id = $1", [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy lần chạy với ID này",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/runs/:id/log
+ * Lấy log của đúng một lần chạy (cùng dạng với /api/jobs/:id/last-run-log)
+ */
+app.get("/api/runs/:id/log", async (req, res, next) => {
+  try {
+    const runLog = await JobRunner.getRunLog(req.params.id);
+
+    if (!runLog) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy lần chạy với ID này",
+      });
+    }
+
+    res.json({ success: true, ...runLog });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/runs/:id/failed-emails
+ * Lấy danh sách email lỗi của một lần chạy
+ */
+app.get("/api/runs/:id/failed-emails", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const runCheck = await query("SELECT id FROM job_runs WHERE id = $1", [id]);
+
+    if (runCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy lần chạy với ID này",
+      });
+    }
+
+    const failedEmails = await JobRunner.getRunFailedEmails(id);
+
+    res.json({
+      success: true,
+      data: failedEmails,
+      count: failedEmails.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/runs/:id/recipients
+ * Lấy trạng thái từng người nhận trong hàng đợi của một lần chạy
+ * (run gửi trực tiếp qua /api/run-job có người nhận sau khi từng email được gửi)
+ */
+app.get("/api/runs/:id/recipients", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const runCheck = await query("SELECT id FROM job_runs WHERE id = $1", [id]);
+
+    if (runCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy lần chạy với ID này",
+      });
+    }
+
+    const result = await query(
+      `SELECT id, email, status, attempts, error, processed_at
+       FROM send_queue
+       WHERE run_id = $1
+       ORDER BY id`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/runs/:id/deliveries
+ * Lấy kết quả gửi của từng người nhận trong một lần chạy (message ID, phản hồi máy chủ, thời điểm)
+ * Query: status ('sent' hoặc 'failed')
+ */
+app.get("/api/runs/:id/deliveries", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+    const runCheck = await query("SELECT id FROM job_runs WHERE id = $1", [id]);
+
+    if (runCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy lần chạy với ID này",
+      });
+    }
+
+    const params = [id];
+    let queryText = "SELECT * FROM email_deliveries WHERE run_id = $1";
+    if (status) {
+      params.push(status);
+      queryText += ` AND status = $${params.length}`;
+    }
+    queryText += " ORDER BY sent_at ASC, id ASC";
+
+    const result = await query(queryText, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/runs/:id/events
+ * Theo dõi tiến độ run theo thời gian thực (Server-Sent Events)
+ * Sự kiện: snapshot (trạng thái hiện tại + lỗi gần nhất), recipient (mỗi email đã gửi/thất bại),
+ * status (run đổi trạng thái). Stream tự đóng khi run kết thúc.
+ */
+app.get("/api/runs/:id/events", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const snapshot = await RunProgress.getSnapshot(id);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy lần chạy với ID này",
+      });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+
+    const send = (type, data) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send("snapshot", snapshot);
+    if (RunProgress.isFinished(snapshot.run)) {
+      return res.end();
+    }
+
+    let closed = false;
+    let heartbeat = null;
+    let unsubscribe = null;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    unsubscribe = RunProgress.subscribe(snapshot.run.id, ({ type, data }) => {
+      send(type, data);
+      if (RunProgress.isFinished(data.run)) close();
+    });
+
+    // Gửi lại snapshot định kỳ: giữ kết nối, và cập nhật tiến độ khi run do instance khác xử lý
+    heartbeat = setInterval(async () => {
+      try {
+        const latest = await RunProgress.getSnapshot(snapshot.run.id);
+        if (closed) return;
+        if (!latest) return close();
+
+        send("snapshot", latest);
+        if (RunProgress.isFinished(latest.run)) close();
+      } catch (error) {
+        console.error("❌ Lỗi khi lấy tiến độ run:", error.message);
+      }
+    }, CONFIG.QUEUE.sseHeartbeat);
+
+    req.on("close", close);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/runs/:id/pause
+ * Tạm dừng lần chạy đang chờ hoặc đang gửi (email đang gửi dở vẫn được gửi xong)
+ */
+app.post("/api/runs/:id/pause", async (req, res, next) => {
+  try {
+    const run = await SendWorker.pauseRun(req.params.id);
+
+    res.json({
+      success: true,
+      message: "Đã tạm dừng lần chạy",
+      data: run,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/runs/:id/resume
+ * Tiếp tục lần chạy đã tạm dừng hoặc bị gián đoạn, gửi tiếp từ email chưa gửi
+ * Body: { resend_unknown? } - true: gửi lại cả các email không rõ đã gửi hay chưa (gián đoạn khi đang gửi)
+ *       { appPassword?, clientId?, clientSecret?, refreshToken? } - Thông tin xác thực (bắt buộc khi đã mất
+ *       sau khi server khởi động lại và job không lưu App Password)
+ */
+app.post("/api/runs/:id/resume", async (req, res, next) => {
+  try {
+    const { appPassword, clientId, clientSecret, refreshToken } = req.body;
+    const run = await SendWorker.resumeRun(req.params.id, {
+      resendUnknown: req.body.resend_unknown === true,
+      credentials: { appPassword, clientId, clientSecret, refreshToken },
+    });
+
+    res.json({
+      success: true,
+      message: "Đã tiếp tục lần chạy",
+      data: run,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/runs/:id/cancel
+ * Hủy lần chạy. Trạng thái cuối: 'cancelled' nếu chưa gửi email nào, 'partial' nếu đã gửi một phần
+ */
+app.post("/api/runs/:id/cancel", async (req, res, next) => {
+  try {
+    const run = await SendWorker.cancelRun(req.params.id);
+
+    res.json({
+      success: true,
+      message: "Đã hủy lần chạy",
+      data: run,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+// ============================================
+// Sender API Routes
+// ============================================
+
+/**
+ * GET /api/senders
+ * Lấy danh sách email gửi kèm giới hạn và số email đã gửi trong 24 giờ qua
+ */
+app.get("/api/senders", async (req, res, next) => {
+  try {
+    const senders = await SenderService.listSenders();
+    res.json({
+      success: true,
+      data: senders,
+      count: senders.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/senders/:email
+ * Lấy giới hạn và mức sử dụng của một email gửi
+ */
+app.get("/api/senders/:email", async (req, res, next) => {
+  try {
+    const usage = await SenderService.getUsage(req.params.email);
+    res.json({
+      success: true,
+      data: usage,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/senders/:email
+ * Cấu hình giới hạn gửi/ngày và tốc độ gửi cho email gửi (chỉ cập nhật các trường có trong body)
+ * Body: { daily_quota, rate_per_minute, rate_per_hour, rate_burst }
+ * - daily_quota: số nguyên >= 0 (0 = không giới hạn)
+ * - rate_*: số nguyên dương
+ * - null = dùng giá trị mặc định
+ */
+app.put("/api/senders/:email", async (req, res, next) => {
+  try {
+    const { email } = req.params;
+    const { daily_quota } = req.body;
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
         success: false,
         error: "Email gửi không hợp lệ",
       });
     }
 
-    // Đảm bảo job.id được set trước khi gọi sendEmail (để lưu failed emails vào database)
-    // Hỗ trợ cả job.id (từ body) và job_id (từ query parameter)
-    const jobId = job.id || job.job_id || req.query.job_id;
-    if (jobId) {
-      const jobIdNum = typeof jobId === "string" ? parseInt(jobId) : jobId;
-      if (!isNaN(jobIdNum) && jobIdNum > 0) {
-        job.id = jobIdNum; // Set job.id để hàm sendEmail có thể sử dụng
+    const quota =
+      daily_quota === null || daily_quota === undefined || daily_quota === ""
+        ? null
+        : Number(daily_quota);
+    if (quota !== null && (!Number.isInteger(quota) || quota < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "daily_quota phải là số nguyên không âm",
+      });
+    }
+
+    const rateError = ThrottleService.validate(req.body);
+    if (rateError) {
+      return res.status(400).json({
+        success: false,
+        error: rateError,
+      });
+    }
+
+    const settings = {};
+    if (daily_quota !== undefined) settings.daily_quota = quota;
+    ThrottleService.FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        settings[field] = ThrottleService.parseValue(req.body[field]);
       }
+    });
+    if (Object.keys(settings).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Không có trường nào để cập nhật",
+      });
     }
 
-    // Send emails
-    const result = await EmailService.sendEmail(job);
+    await SenderService.updateSettings(email, settings);
+    const usage = await SenderService.getUsage(email);
 
-    // Lưu kết quả vào database nếu có job_id
-    if (jobId) {
-      const jobIdNum = typeof jobId === "string" ? parseInt(jobId) : jobId;
-      if (!isNaN(jobIdNum) && jobIdNum > 0) {
-        try {
-          // Kiểm tra job có tồn tại trong database không
-          const jobCheck = await query("SELECT id FROM jobs WHERE id = $1", [
-            jobIdNum,
-          ]);
-          if (jobCheck.rows.length > 0) {
-            await query(
-              `INSERT INTO email_results (job_id, sent_count, total_count, failed_count, method, errors)
-               VALUES ($1, $2, $3, $4, $5, $6)`,
-              [
-                jobIdNum,
-                result.sent || 0,
-                result.total || 0,
-                result.failedCount || 0,
-                result.method || "SMTP",
-                result.errors ? JSON.stringify(result.errors) : null,
-              ]
-            );
+    res.json({
+      success: true,
+      message: "Đã cập nhật cấu hình email gửi",
+      data: usage,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-            // Cập nhật last_sent cho job
-            await query(
-              `UPDATE jobs SET last_sent = CURRENT_TIMESTAMP WHERE id = $1`,
-              [jobIdNum]
-            );
+// ============================================
+// Schedule API Routes
+// ============================================
 
-            console.log(
-              `✅ Đã lưu kết quả gửi email vào database cho job_id: ${jobIdNum}`
-            );
-          }
-        } catch (dbError) {
-          console.error("Lỗi khi lưu kết quả vào database:", dbError);
-          // Không throw error, chỉ log để không ảnh hưởng đến response
-        }
-      }
+/**
+ * Tính các lần chạy tiếp theo và trả về response chung cho 2 route xem trước lịch
+ * @param {Object} res - Express response
+ * @param {Object} job - Job (schedule, schedule_time, cron_expression, timezone, created_at)
+ * @param {string|number} count - Số lần chạy cần lấy
+ */
+function sendNextRuns(res, job, count) {
+  const countNum = Math.min(
+    Math.max(parseInt(count) || 5, 1),
+    CONFIG.SCHEDULER.maxPreviewCount
+  );
+
+  const scheduleError = SchedulerService.validateSchedule(job);
+  if (scheduleError) {
+    return res.status(400).json({
+      success: false,
+      error: scheduleError,
+    });
+  }
+
+  const nextRuns = SchedulerService.getNextFireTimes(job, countNum);
+
+  res.json({
+    success: true,
+    schedule: job.schedule,
+    cron_expression: SchedulerService.getCronExpression(job),
+    timezone: SchedulerService.getTimezone(job),
+    data: nextRuns.map((date) => date.toISOString()),
+    count: nextRuns.length,
+  });
+}
+
+/**
+ * GET /api/schedules/preview
+ * Xem trước các lần chạy tiếp theo của một lịch chưa lưu (dùng cho modal)
+ * Query params: schedule, schedule_time, cron_expression, timezone, count (mặc định 5)
+ */
+app.get("/api/schedules/preview", (req, res, next) => {
+  try {
+    const {
+      schedule = "manual",
+      schedule_time = "09:00:00",
+      cron_expression,
+      timezone,
+      count,
+    } = req.query;
+
+    sendNextRuns(
+      res,
+      {
+        schedule,
+        schedule_time,
+        cron_expression: cron_expression || null,
+        timezone: timezone || null,
+      },
+      count
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:id/next-runs
+ * Lấy các lần chạy tiếp theo của một job đã lưu
+ * Query params: count (mặc định 5)
+ */
+app.get("/api/jobs/:id/next-runs", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const result = await query("SELECT * FROM jobs WHERE id = $1", [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy job với ID này",
+      });
     }
 
-    res.json(result);
+    sendNextRuns(res, result.rows[0], req.query.count);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================
+// Contact API Routes
+// ============================================
+
+/**
+ * GET /api/contacts
+ * Danh sách liên hệ (bảng emails)
+ * Query: search (email hoặc tên), limit (mặc định 50, tối đa 500), offset
+ */
+app.get("/api/contacts", async (req, res, next) => {
+  try {
+    const { search = "" } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const contacts = await ContactService.list({
+      search: String(search),
+      limit,
+      offset,
+    });
+
+    res.json({
+      success: true,
+      data: contacts,
+      count: contacts.length,
+    });
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * Health check endpoint
+ * GET /api/contacts/:id
+ * Lấy một liên hệ
  */
-app.get("/api/health", (req, res) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
+app.get("/api/contacts/:id", async (req, res, next) => {
+  try {
+    const contact = await ContactService.get(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy liên hệ với ID này",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: contact,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/contacts
+ * Tạo liên hệ (địa chỉ đã có thì cập nhật thông tin)
+ * Body: { email, display_name, first_name, last_name, locale, time_zone, attributes }
+ */
+app.post("/api/contacts", async (req, res, next) => {
+  try {
+    const validationError = ContactService.validate(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const { contact, created } = await ContactService.create(req.body);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? "Đã tạo liên hệ" : "Đã cập nhật liên hệ",
+      data: contact,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/contacts/:id
+ * Cập nhật liên hệ (không đổi được địa chỉ email)
+ * Body: { display_name, first_name, last_name, locale, time_zone, attributes }
+ */
+app.put("/api/contacts/:id", async (req, res, next) => {
+  try {
+    if (req.body.email !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "Không thể đổi địa chỉ email của liên hệ",
+      });
+    }
+
+    const validationError = ContactService.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const contact = await ContactService.update(req.params.id, req.body);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy liên hệ với ID này",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Đã cập nhật liên hệ",
+      data: contact,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/contacts/:id
+ * Xóa liên hệ. Địa chỉ còn được job/danh sách dùng hoặc có lịch sử gửi thì chỉ xóa thông tin liên hệ
+ */
+app.delete("/api/contacts/:id", async (req, res, next) => {
+  try {
+    const result = await ContactService.remove(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy liên hệ với ID này",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.deleted
+        ? "Đã xóa liên hệ"
+        : "Đã xóa thông tin liên hệ (địa chỉ vẫn được giữ vì còn được dùng trong job, danh sách người nhận hoặc lịch sử gửi)",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // ============================================
-// PostgreSQL CRUD API Routes
+// Recipient List API Routes
 // ============================================
 
 /**
- * GET /api/jobs
- * Lấy danh sách tất cả jobs
+ * GET /api/lists
+ * Danh sách người nhận dùng chung (kèm số thành viên, số job đang dùng)
  */
-app.get("/api/jobs", async (req, res, next) => {
+app.get("/api/lists", async (req, res, next) => {
   try {
-    const result = await query("SELECT * FROM jobs ORDER BY created_at DESC");
+    const lists = await ListService.list();
 
-    // Lấy emails cho từng job
-    const jobs = await Promise.all(
-      result.rows.map(async (job) => {
-        const emailFrom = await DatabaseHelper.getJobEmails(job.id, "from");
-        const emailTo = await DatabaseHelper.getJobEmails(job.id, "to");
-        const emailCc = await DatabaseHelper.getJobEmails(job.id, "cc");
-        const emailBcc = await DatabaseHelper.getJobEmails(job.id, "bcc");
+    res.json({
+      success: true,
+      data: lists,
+      count: lists.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-        return {
-          ...job,
-          email_from: emailFrom.length > 0 ? emailFrom[0] : null,
-          email_to: emailTo,
-          email_cc: emailCc,
-          email_bcc: emailBcc,
-        };
-      })
-    );
+/**
+ * GET /api/lists/:id
+ * Lấy một danh sách kèm thành viên và các job đang dùng
+ */
+app.get("/api/lists/:id", async (req, res, next) => {
+  try {
+    const list = await ListService.get(req.params.id);
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy danh sách với ID này",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: list,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/lists
+ * Tạo danh sách người nhận
+ * Body: { name, description, emails }
+ */
+app.post("/api/lists", async (req, res, next) => {
+  try {
+    const validationError = ListService.validate(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const list = await ListService.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Đã tạo danh sách người nhận",
+      data: list,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/lists/:id
+ * Cập nhật tên/mô tả; có `emails` thì thay toàn bộ thành viên
+ * Body: { name, description, emails }
+ */
+app.put("/api/lists/:id", async (req, res, next) => {
+  try {
+    const validationError = ListService.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const list = await ListService.update(req.params.id, req.body);
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy danh sách với ID này",
+      });
+    }
 
     res.json({
       success: true,
-      data: jobs,
-      count: jobs.length,
+      message: "Đã cập nhật danh sách người nhận",
+      data: list,
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
     next(error);
   }
 });
 
 /**
- * GET /api/jobs/:id
- * Lấy thông tin một job theo ID
+ * DELETE /api/lists/:id
+ * Xóa danh sách (các job đang dùng sẽ không còn gửi cho thành viên của danh sách)
  */
-app.get("/api/jobs/:id", async (req, res, next) => {
+app.delete("/api/lists/:id", async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const result = await query("SELECT * FROM jobs WHERE id = $1", [id]);
+    const deleted = await ListService.remove(req.params.id);
 
-    if (result.rows.length === 0) {
+    if (!deleted) {
       return res.status(404).json({
         success: false,
-        error: "Không tìm thấy job với ID này",
+        error: "Không tìm thấy danh sách với ID này",
       });
     }
 
-    const job = result.rows[0];
-
-    // Lấy emails từ bảng job_emails
-    const emailFrom = await DatabaseHelper.getJobEmails(job.id, "from");
-    const emailTo = await DatabaseHelper.getJobEmails(job.id, "to");
-    const emailCc = await DatabaseHelper.getJobEmails(job.id, "cc");
-    const emailBcc = await DatabaseHelper.getJobEmails(job.id, "bcc");
-
-    job.email_from = emailFrom.length > 0 ? emailFrom[0] : null;
-    job.email_to = emailTo;
-    job.email_cc = emailCc;
-    job.email_bcc = emailBcc;
-
     res.json({
       success: true,
-      data: job,
+      message: "Đã xóa danh sách người nhận",
     });
   } catch (error) {
     next(error);
@@ -2002,245 +9385,262 @@ app.get("/api/jobs/:id", async (req, res, next) => {
 });
 
 /**
- * POST /api/jobs
- * Tạo job mới
+ * POST /api/lists/:id/members
+ * Thêm thành viên vào danh sách (bỏ qua email đã có)
+ * Body: { emails }
  */
-app.post("/api/jobs", async (req, res, next) => {
+app.post("/api/lists/:id/members", async (req, res, next) => {
   try {
-    const {
-      name,
-      chrome_profile,
-      email_from,
-      email_to,
-      email_subject,
-      email_body,
-      schedule = "manual",
-      schedule_time = "09:00:00",
-      notes,
-      status = "active",
-      app_password,
-    } = req.body;
-
-    // Validation
-    if (!name || !email_from || !email_to || !email_subject || !email_body) {
+    const emails = Utils.parseEmailList(req.body.emails);
+    const validationError =
+      emails.length === 0
+        ? "Cần ít nhất một email"
+        : Utils.validateEmailList(emails, "Email");
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error:
-          "Thiếu thông tin bắt buộc: name, email_from, email_to, email_subject, email_body",
+        error: validationError,
       });
     }
 
-    // Validate email_to là array
-    const emailToArray = Array.isArray(email_to) ? email_to : [email_to];
-    if (emailToArray.length === 0) {
-      return res.status(400).json({
+    const list = await ListService.get(req.params.id);
+    if (!list) {
+      return res.status(404).json({
         success: false,
-        error: "email_to phải có ít nhất một email",
+        error: "Không tìm thấy danh sách với ID này",
       });
     }
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email_from)) {
+    const added = await ListService.addMembers(list.id, emails);
+
+    res.json({
+      success: true,
+      message: `Đã thêm ${added} email vào danh sách`,
+      data: await ListService.get(list.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/lists/:id/members
+ * Xóa thành viên khỏi danh sách
+ * Body: { emails }
+ */
+app.delete("/api/lists/:id/members", async (req, res, next) => {
+  try {
+    const emails = Utils.parseEmailList(req.body.emails);
+    if (emails.length === 0) {
       return res.status(400).json({
         success: false,
-        error: "Email gửi không hợp lệ",
+        error: "Cần ít nhất một email",
       });
     }
 
-    // Clean app_password: loại bỏ khoảng trắng (Gmail App Password thường có dạng "xxxx xxxx xxxx xxxx")
-    const cleanAppPassword = app_password
-      ? app_password.trim().replace(/\s+/g, "")
-      : null;
-
-    // Validate app_password format nếu có (phải có 16 ký tự sau khi clean)
-    if (cleanAppPassword && cleanAppPassword.length !== 16) {
-      return res.status(400).json({
+    const list = await ListService.get(req.params.id);
+    if (!list) {
+      return res.status(404).json({
         success: false,
-        error: `App Password không hợp lệ. Phải có đúng 16 ký tự (sau khi loại bỏ khoảng trắng). Hiện tại: ${cleanAppPassword.length} ký tự.`,
+        error: "Không tìm thấy danh sách với ID này",
       });
     }
 
-    console.log(
-      `💾 Lưu job mới: emailFrom=${email_from}, app_password length=${
-        cleanAppPassword ? cleanAppPassword.length : 0
-      }`
-    );
-
-    // Insert job (không có email_from và email_to nữa)
-    const result = await query(
-      `INSERT INTO jobs (name, chrome_profile, email_subject, email_body, schedule, schedule_time, notes, status, app_password)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-       RETURNING *`,
-      [
-        name,
-        chrome_profile || null,
-        email_subject,
-        email_body,
-        schedule,
-        schedule_time,
-        notes || null,
-        status,
-        cleanAppPassword,
-      ]
-    );
-
-    const job = result.rows[0];
-
-    // Lưu emails vào bảng emails và job_emails
-    await DatabaseHelper.saveJobEmails(job.id, email_from, "from");
-    await DatabaseHelper.saveJobEmails(job.id, emailToArray, "to");
-
-    // Lấy lại emails để trả về
-    const emailFrom = await DatabaseHelper.getJobEmails(job.id, "from");
-    const emailTo = await DatabaseHelper.getJobEmails(job.id, "to");
-    job.email_from = emailFrom.length > 0 ? emailFrom[0] : null;
-    job.email_to = emailTo;
+    const removed = await ListService.removeMembers(list.id, emails);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: "Đã tạo job thành công",
-      data: job,
+      message: `Đã xóa ${removed} email khỏi danh sách`,
+      data: await ListService.get(list.id),
     });
   } catch (error) {
     next(error);
   }
 });
 
+// ============================================
+// Recipient Import API Routes
+// ============================================
+
 /**
- * PUT /api/jobs/:id
- * Cập nhật job
+ * POST /api/imports/recipients
+ * Nhập người nhận từ CSV/TSV. Mặc định chỉ trả về báo cáo (xem trước);
+ * gửi lại cùng nội dung với commit: true để lưu vào danh bạ và danh sách/job đích.
+ * Body: { content, delimiter, has_header, mapping, list_id | job_id, commit }
  */
-app.put("/api/jobs/:id", async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    const {
-      name,
-      chrome_profile,
-      email_from,
-      email_to,
-      email_subject,
-      email_body,
-      schedule,
-      schedule_time,
-      notes,
-      status,
-      app_password,
-    } = req.body;
+app.post(
+  "/api/imports/recipients",
+  express.json({ limit: CONFIG.IMPORT.maxBodySize }), // Đủ cho nội dung file CSV
+  async (req, res, next) => {
+    try {
+      const { list_id, job_id, commit = false } = req.body;
 
-    // Kiểm tra job có tồn tại không
-    const checkResult = await query("SELECT id FROM jobs WHERE id = $1", [id]);
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: "Không tìm thấy job với ID này",
+      const targetError = await ImportService.validateTarget({
+        list_id,
+        job_id,
       });
-    }
+      if (targetError) {
+        return res.status(400).json({
+          success: false,
+          error: targetError,
+        });
+      }
 
-    // Build dynamic update query
-    const updates = [];
-    const values = [];
-    let paramCount = 1;
+      const report = await ImportService.analyze(req.body);
 
-    if (name !== undefined) {
-      updates.push(`name = $${paramCount++}`);
-      values.push(name);
-    }
-    if (chrome_profile !== undefined) {
-      updates.push(`chrome_profile = $${paramCount++}`);
-      values.push(chrome_profile);
-    }
-    // email_from và email_to được xử lý riêng trong job_emails
-    if (email_subject !== undefined) {
-      updates.push(`email_subject = $${paramCount++}`);
-      values.push(email_subject);
-    }
-    if (email_body !== undefined) {
-      updates.push(`email_body = $${paramCount++}`);
-      values.push(email_body);
-    }
-    if (schedule !== undefined) {
-      updates.push(`schedule = $${paramCount++}`);
-      values.push(schedule);
-    }
-    if (schedule_time !== undefined) {
-      updates.push(`schedule_time = $${paramCount++}`);
-      values.push(schedule_time);
-    }
-    if (notes !== undefined) {
-      updates.push(`notes = $${paramCount++}`);
-      values.push(notes);
-    }
-    if (status !== undefined) {
-      updates.push(`status = $${paramCount++}`);
-      values.push(status);
-    }
-    if (app_password !== undefined) {
-      // Clean app_password: loại bỏ khoảng trắng
-      const cleanAppPassword = app_password
-        ? app_password.trim().replace(/\s+/g, "")
-        : null;
+      // Chỉ lưu khi commit đúng là true (VD: "false" dạng chuỗi vẫn chỉ xem trước)
+      if (commit !== true) {
+        return res.json({
+          success: true,
+          message: `Xem trước: ${report.summary.accepted} dòng hợp lệ, ${report.summary.duplicate} dòng trùng, ${report.summary.rejected} dòng bị từ chối`,
+          data: { ...report, committed: false },
+        });
+      }
 
-      // Validate app_password format nếu có
-      if (cleanAppPassword && cleanAppPassword.length !== 16) {
-        return res.status(400).json({
+      const result = await ImportService.commit(report.accepted, {
+        list_id,
+        job_id,
+      });
+
+      res.json({
+        success: true,
+        message: `Đã nhập ${report.summary.accepted} người nhận${
+          list_id || job_id ? ` (${result.added} email mới được thêm)` : ""
+        }`,
+        data: { ...report, committed: true, result },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
           success: false,
-          error: `App Password không hợp lệ. Phải có đúng 16 ký tự (sau khi loại bỏ khoảng trắng). Hiện tại: ${cleanAppPassword.length} ký tự.`,
+          error: error.message,
         });
       }
+      next(error);
+    }
+  }
+);
 
-      updates.push(`app_password = $${paramCount++}`);
-      values.push(cleanAppPassword);
+// ============================================
+// Suppression & Unsubscribe Routes
+// ============================================
 
-      console.log(
-        `💾 Cập nhật job ${id}: app_password length=${
-          cleanAppPassword ? cleanAppPassword.length : 0
-        }`
+// Trang hủy đăng ký là phần duy nhất người nhận email cần mở được: đặt trong router riêng,
+// dùng chung cho server chính và listener public (CONFIG.UNSUBSCRIBE.port)
+const unsubscribeRouter = express.Router();
+
+/**
+ * GET /unsubscribe?token=...
+ * Trang xác nhận hủy đăng ký khi người nhận bấm link trong email.
+ * Không hủy ngay khi mở link vì trình quét link của hộp thư cũng gửi GET.
+ */
+unsubscribeRouter.get("/unsubscribe", (req, res) => {
+  const target = SuppressionService.verifyToken(req.query.token);
+  if (!target) {
+    return res
+      .status(400)
+      .type("html")
+      .send(
+        SuppressionService.renderPage(
+          "Link không hợp lệ",
+          "Link hủy đăng ký không hợp lệ hoặc đã hết hiệu lực."
+        )
       );
-    }
+  }
 
-    if (updates.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "Không có trường nào để cập nhật",
+  res
+    .type("html")
+    .send(
+      SuppressionService.renderPage(
+        "Hủy đăng ký nhận email",
+        `Bạn sẽ không nhận email từ chúng tôi tại địa chỉ ${target.email} nữa.`,
+        `/unsubscribe?token=${encodeURIComponent(req.query.token)}`
+      )
+    );
+});
+
+/**
+ * POST /unsubscribe?token=...
+ * Hủy đăng ký: từ nút xác nhận trên trang, hoặc hủy một chạm theo RFC 8058
+ * (hộp thư gửi body "List-Unsubscribe=One-Click" tới URL trong header List-Unsubscribe)
+ */
+unsubscribeRouter.post(
+  "/unsubscribe",
+  express.urlencoded({ extended: false }),
+  async (req, res, next) => {
+    try {
+      const target = SuppressionService.verifyToken(req.query.token);
+      if (!target) {
+        return res
+          .status(400)
+          .type("html")
+          .send(
+            SuppressionService.renderPage(
+              "Link không hợp lệ",
+              "Link hủy đăng ký không hợp lệ hoặc đã hết hiệu lực."
+            )
+          );
+      }
+
+      await SuppressionService.add(target.email, {
+        reason: "unsubscribe",
+        jobId: target.jobId,
       });
-    }
 
-    values.push(id);
-    const result = await query(
-      `UPDATE jobs SET ${updates.join(
-        ", "
-      )} WHERE id = $${paramCount} RETURNING *`,
-      values
-    );
+      res
+        .type("html")
+        .send(
+          SuppressionService.renderPage(
+            "Đã hủy đăng ký",
+            `Địa chỉ ${target.email} sẽ không nhận email từ chúng tôi nữa.`
+          )
+        );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-    const job = result.rows[0];
+app.use(unsubscribeRouter);
 
-    // Cập nhật emails nếu có
-    if (email_from !== undefined) {
-      await DatabaseHelper.deleteJobEmails(id, "from");
-      await DatabaseHelper.saveJobEmails(id, email_from, "from");
+/**
+ * GET /api/suppressions
+ * Danh sách địa chỉ bị chặn gửi (?search=&reason=hard_bounce&status=active|lifted|all&limit=&offset=)
+ */
+app.get("/api/suppressions", async (req, res, next) => {
+  try {
+    const { search = "", reason, status = "active" } = req.query;
+    if (reason !== undefined && !SuppressionService.REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: `reason phải là một trong: ${SuppressionService.REASONS.join(
+          ", "
+        )}`,
+      });
     }
-    if (email_to !== undefined) {
-      const emailToArray = Array.isArray(email_to) ? email_to : [email_to];
-      await DatabaseHelper.deleteJobEmails(id, "to");
-      await DatabaseHelper.saveJobEmails(id, emailToArray, "to");
+    if (!SuppressionService.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status phải là một trong: ${SuppressionService.STATUSES.join(
+          ", "
+        )}`,
+      });
     }
 
-    // Lấy lại emails để trả về
-    const emailFrom = await DatabaseHelper.getJobEmails(job.id, "from");
-    const emailTo = await DatabaseHelper.getJobEmails(job.id, "to");
-    const emailCc = await DatabaseHelper.getJobEmails(job.id, "cc");
-    const emailBcc = await DatabaseHelper.getJobEmails(job.id, "bcc");
-    job.email_from = emailFrom.length > 0 ? emailFrom[0] : null;
-    job.email_to = emailTo;
-    job.email_cc = emailCc;
-    job.email_bcc = emailBcc;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const suppressions = await SuppressionService.list({
+      search: String(search),
+      reason: reason || null,
+      status,
+      limit,
+      offset,
+    });
 
     res.json({
       success: true,
-      message: "Đã cập nhật job thành công",
-      data: job,
+      data: suppressions,
+      count: suppressions.length,
     });
   } catch (error) {
     next(error);
@@ -2248,27 +9648,31 @@ app.put("/api/jobs/:id", async (req, res, next) => {
 });
 
 /**
- * DELETE /api/jobs/:id
- * Xóa job
+ * POST /api/suppressions
+ * Thêm địa chỉ vào danh sách chặn gửi
+ * Body: { email, reason, note }
  */
-app.delete("/api/jobs/:id", async (req, res, next) => {
+app.post("/api/suppressions", async (req, res, next) => {
   try {
-    const { id } = req.params;
-
-    // Kiểm tra job có tồn tại không
-    const checkResult = await query("SELECT id FROM jobs WHERE id = $1", [id]);
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({
+    const validationError = SuppressionService.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
         success: false,
-        error: "Không tìm thấy job với ID này",
+        error: validationError,
       });
     }
 
-    await query("DELETE FROM jobs WHERE id = $1", [id]);
+    const { suppression, created } = await SuppressionService.add(
+      req.body.email,
+      { reason: req.body.reason, note: req.body.note }
+    );
 
-    res.json({
+    res.status(created ? 201 : 200).json({
       success: true,
-      message: "Đã xóa job thành công",
+      message: created
+        ? "Đã thêm vào danh sách chặn"
+        : "Địa chỉ đã có trong danh sách chặn",
+      data: suppression,
     });
   } catch (error) {
     next(error);
@@ -2276,161 +9680,208 @@ app.delete("/api/jobs/:id", async (req, res, next) => {
 });
 
 /**
- * POST /api/jobs/:id/run
- * Chạy job từ database (lấy job từ database và gửi email)
- * Body: { appPassword?, clientId?, clientSecret?, refreshToken? } - Thông tin xác thực
+ * DELETE /api/suppressions/:id
+ * Gỡ chặn địa chỉ (giữ lại lịch sử với lifted_at)
  */
-app.post("/api/jobs/:id/run", async (req, res, next) => {
+app.delete("/api/suppressions/:id", async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { appPassword, clientId, clientSecret, refreshToken } = req.body;
+    const suppression = await SuppressionService.lift(req.params.id);
 
-    // Lấy job từ database
-    const jobResult = await query("SELECT * FROM jobs WHERE id = $1", [id]);
-    if (jobResult.rows.length === 0) {
+    if (!suppression) {
       return res.status(404).json({
         success: false,
-        error: "Không tìm thấy job với ID này",
+        error: "Không tìm thấy địa chỉ đang bị chặn với ID này",
       });
     }
 
-    const dbJob = jobResult.rows[0];
+    res.json({
+      success: true,
+      message: "Đã gỡ khỏi danh sách chặn",
+      data: suppression,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Lấy emails từ bảng job_emails
-    const emailFrom = await DatabaseHelper.getJobEmails(dbJob.id, "from");
-    const emailTo = await DatabaseHelper.getJobEmails(dbJob.id, "to");
+// ============================================
+// Bounce API Routes
+// ============================================
 
-    if (emailFrom.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "Job không có email gửi hợp lệ",
-      });
-    }
+/**
+ * GET /api/bounces
+ * Thư báo lỗi (DSN) đã ghi nhận
+ * Query: run_id, job_id, email, limit (mặc định 50, tối đa 500), offset
+ */
+app.get("/api/bounces", async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const bounces = await BounceService.list({
+      runId: parseInt(req.query.run_id) || null,
+      jobId: parseInt(req.query.job_id) || null,
+      email: req.query.email ? String(req.query.email) : null,
+      limit,
+      offset,
+    });
 
-    if (emailTo.length === 0) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      data: bounces,
+      count: bounces.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/bounces/poll
+ * Đọc hộp thư bounce ngay (không chờ lượt đọc định kỳ)
+ */
+app.post("/api/bounces/poll", async (req, res, next) => {
+  try {
+    const summary = await BounceService.poll();
+
+    res.json({
+      success: true,
+      message: summary.skipped
+        ? "Hộp thư bounce đang được đọc, vui lòng thử lại sau"
+        : `Đã đọc ${summary.checked} thư mới, ${summary.bounced} email bị trả về`,
+      data: summary,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
         success: false,
-        error: "Job không có email nhận hợp lệ",
+        error: error.message,
       });
     }
+    next(error);
+  }
+});
 
-    // Lấy app_password từ database nếu không có trong body
-    const finalAppPassword = appPassword || dbJob.app_password || null;
+// ============================================
+// Reply API Routes
+// ============================================
 
-    // Debug: Log thông tin xác thực (ẩn password)
-    console.log(`🔍 Debug job ${id} authentication:`);
-    console.log(
-      `   - appPassword từ body: ${
-        appPassword
-          ? "*** (có, length: " + appPassword.length + ")"
-          : "không có"
-      }`
-    );
-    console.log(
-      `   - app_password từ DB: ${
-        dbJob.app_password
-          ? "*** (có, length: " + dbJob.app_password.length + ")"
-          : "không có"
-      }`
-    );
-    console.log(`   - email_from: ${emailFrom[0]}`);
-    console.log(
-      `   - Gmail API credentials: ${
-        clientId && clientSecret && refreshToken ? "có" : "không có"
-      }`
-    );
+/**
+ * GET /api/replies
+ * Thư trả lời của người nhận đã ghi nhận
+ * Query: run_id, job_id, email, limit (mặc định 50, tối đa 500), offset
+ */
+app.get("/api/replies", async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const replies = await ReplyService.list({
+      runId: parseInt(req.query.run_id) || null,
+      jobId: parseInt(req.query.job_id) || null,
+      email: req.query.email ? String(req.query.email) : null,
+      limit,
+      offset,
+    });
 
-    // Kiểm tra thông tin xác thực
-    const hasGmailAPI = clientId && clientSecret && refreshToken;
-    const hasAppPassword =
-      finalAppPassword && finalAppPassword.trim().length > 0;
+    res.json({
+      success: true,
+      data: replies,
+      count: replies.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (!hasGmailAPI && !hasAppPassword) {
-      return res.status(400).json({
-        success: false,
-        error:
-          "Thiếu thông tin xác thực. Cần có:\n" +
-          "1. Gmail API OAuth2 (clientId, clientSecret, refreshToken) HOẶC\n" +
-          "2. App Password (appPassword)\n\n" +
-          "Vui lòng cập nhật job và nhập App Password, hoặc gửi trong body của request.",
+/**
+ * POST /api/replies/poll
+ * Đọc thư trả lời ngay. Không có body: đọc hộp thư đến của các email gửi có App Password qua IMAP
+ * và của các email đã lưu thông tin OAuth2 qua Gmail API.
+ * Body { emailFrom, clientId, clientSecret, refreshToken }: đọc hộp thư đến của emailFrom qua Gmail API
+ * và lưu thông tin OAuth2 để đọc định kỳ
+ */
+app.post("/api/replies/poll", async (req, res, next) => {
+  try {
+    const { emailFrom, clientId, clientSecret, refreshToken } = req.body || {};
+
+    if (clientId || clientSecret || refreshToken) {
+      if (!clientId || !clientSecret || !refreshToken || !emailFrom) {
+        return res.status(400).json({
+          success: false,
+          error:
+            "Đọc qua Gmail API cần đủ emailFrom, clientId, clientSecret và refreshToken",
+        });
+      }
+
+      const credentials = {
+        emailFrom: String(emailFrom),
+        clientId,
+        clientSecret,
+        refreshToken,
+      };
+      const summary = await ReplyService.pollGmail(credentials);
+      // Chỉ lưu thông tin OAuth2 đã đọc được hộp thư
+      await ReplyService.saveGmailAccount(credentials);
+      return res.json({
+        success: true,
+        message: `Đã đọc ${summary.checked} thư, ${summary.replies} thư trả lời mới`,
+        data: summary,
       });
     }
 
-    // Clean app password: loại bỏ khoảng trắng thừa (đảm bảo không có khoảng trắng)
-    const cleanAppPassword = finalAppPassword
-      ? finalAppPassword.trim().replace(/\s+/g, "")
-      : null;
-
-    // Validate app password format
-    if (cleanAppPassword && cleanAppPassword.length !== 16) {
-      console.error(
-        `❌ App Password không hợp lệ: length=${cleanAppPassword.length}, expected=16`
-      );
-      return res.status(400).json({
+    const summary = await ReplyService.poll();
+    res.json({
+      success: true,
+      message: summary.skipped
+        ? "Hộp thư đang được đọc, vui lòng thử lại sau"
+        : `Đã đọc ${summary.checked} thư của ${summary.senders} email gửi, ${summary.replies} thư trả lời mới`,
+      data: summary,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
         success: false,
-        error: `App Password không hợp lệ. Phải có đúng 16 ký tự (sau khi loại bỏ khoảng trắng). Hiện tại: ${cleanAppPassword.length} ký tự.`,
+        error: error.message,
       });
     }
+    next(error);
+  }
+});
 
-    console.log(
-      `   - cleanAppPassword: ${
-        cleanAppPassword
-          ? "*** (length: " + cleanAppPassword.length + ")"
-          : "không có"
-      }`
-    );
-
-    // Tạo job object để gửi email
-    const job = {
-      id: parseInt(id), // Thêm id để lưu kết quả
-      emailFrom: emailFrom[0],
-      emailTo: emailTo,
-      emailSubject: dbJob.email_subject,
-      emailBody: dbJob.email_body,
-      chromeProfile: dbJob.chrome_profile,
-      appPassword: cleanAppPassword,
-      clientId: clientId,
-      clientSecret: clientSecret,
-      refreshToken: refreshToken,
-    };
-
-    console.log(`📧 Đang gửi email với job ${id}, emailFrom: ${job.emailFrom}`);
-
-    // Gửi email
-    const result = await EmailService.sendEmail(job);
-
-    // Lưu kết quả vào database
-    try {
-      await query(
-        `INSERT INTO email_results (job_id, sent_count, total_count, failed_count, method, errors)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [
-          parseInt(id),
-          result.sent || 0,
-          result.total || 0,
-          result.failedCount || 0,
-          result.method || "SMTP",
-          result.errors ? JSON.stringify(result.errors) : null,
-        ]
-      );
+/**
+ * GET /api/replies/gmail-accounts
+ * Các email gửi đã lưu thông tin OAuth2 để đọc thư trả lời qua Gmail API (không trả về thông tin OAuth2)
+ */
+app.get("/api/replies/gmail-accounts", async (req, res, next) => {
+  try {
+    const accounts = await ReplyService.listGmailAccounts();
 
-      // Cập nhật last_sent cho job
-      await query(
-        `UPDATE jobs SET last_sent = CURRENT_TIMESTAMP WHERE id = $1`,
-        [parseInt(id)]
-      );
+    res.json({
+      success: true,
+      data: accounts,
+      count: accounts.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      console.log(`✅ Đã lưu kết quả gửi email vào database cho job_id: ${id}`);
-    } catch (dbError) {
-      console.error("Lỗi khi lưu kết quả vào database:", dbError);
-      // Không throw error, chỉ log để không ảnh hưởng đến response
+/**
+ * DELETE /api/replies/gmail-accounts/:email
+ * Xóa thông tin OAuth2 đã lưu của email gửi (ngừng đọc định kỳ qua Gmail API)
+ */
+app.delete("/api/replies/gmail-accounts/:email", async (req, res, next) => {
+  try {
+    const deleted = await ReplyService.deleteGmailAccount(req.params.email);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: "Email gửi chưa lưu thông tin OAuth2",
+      });
     }
 
     res.json({
       success: true,
-      message: "Đã chạy job thành công",
-      job_id: parseInt(id),
-      result: result,
+      message: "Đã xóa thông tin OAuth2 của email gửi",
     });
   } catch (error) {
     next(error);
@@ -2720,6 +10171,52 @@ app.get("/api/jobs/:id/failed-emails", async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/emails
+ * Tìm địa chỉ email người nhận
+ * Query: search (một phần địa chỉ email), limit (mặc định 50, tối đa 200)
+ */
+app.get("/api/emails", async (req, res, next) => {
+  try {
+    const { search = "" } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const emails = await RecipientService.search(String(search), limit);
+
+    res.json({
+      success: true,
+      data: emails,
+      count: emails.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/emails/:id/history
+ * Lịch sử gửi tới một địa chỉ email: các job nhắm tới địa chỉ này và kết quả của từng lần chạy
+ */
+app.get("/api/emails/:id/history", async (req, res, next) => {
+  try {
+    const history = await RecipientService.getHistory(req.params.id);
+
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        error: "Không tìm thấy email với ID này",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: history,
+      count: history.history.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/jobs/:id/last-run-log
  * Lấy log của lần chạy job gần nhất, bao gồm email_results và failed_emails
@@ -2760,6 +10257,16 @@ app.get("/api/jobs/:id/last-run-log", async (req, res, next) => {
     }
 
     const emailResult = resultQuery.rows[0];
+
+    // Kết quả gắn với run: lấy đúng log của run đó
+    if (emailResult.run_id) {
+      const runLog = await JobRunner.getRunLog(emailResult.run_id);
+      if (runLog) {
+        return res.json({ success: true, ...runLog });
+      }
+    }
+
+    // Kết quả cũ (trước khi có run_id): ước lượng lần chạy theo thời gian lưu kết quả
     const runTime = emailResult.created_at;
 
     // Parse errors từ JSON string
@@ -2772,12 +10279,13 @@ app.get("/api/jobs/:id/last-run-log", async (req, res, next) => {
     }
 
     // Lấy danh sách failed emails cho lần chạy này
-    // Lấy các failed emails được tạo trong khoảng thời gian gần với runTime (trong vòng 5 phút)
+    // Lấy các failed emails chưa gắn run được tạo trong khoảng thời gian gần với runTime (trong vòng 5 phút)
     const failedEmailsQuery = await query(
       `SELECT fe.*, e.email
        FROM failed_emails fe
        LEFT JOIN emails e ON fe.email_id = e.id
        WHERE fe.job_id = $1
+         AND fe.run_id IS NULL
          AND fe.created_at >= ($2::timestamp - INTERVAL '5 minutes')
          AND fe.created_at <= ($2::timestamp + INTERVAL '5 minutes')
        ORDER BY fe.created_at DESC`,
@@ -2809,6 +10317,17 @@ app.get("/api/jobs/:id/last-run-log", async (req, res, next) => {
   }
 });
 
+// Error handling middleware: đăng ký sau mọi route để nhận cả lỗi từ route
+// (next(error)) và từ parser riêng của route (VD: express.json của route nhập người nhận)
+app.use((err, req, res, next) => {
+  console.error("Server error:", err);
+  // Lỗi của body parser (VD: 413 body quá lớn, 400 JSON sai cú pháp) giữ nguyên mã lỗi
+  res.status(err.expose && err.status ? err.status : 500).json({
+    success: false,
+    error: err.message || "Internal server error",
+  });
+});
+
 // ============================================
 // Server Startup
 // ============================================
@@ -2820,6 +10339,13 @@ async function startServer() {
     process.exit(1);
   }
 
+  await SuppressionService.init();
+
+  SendWorker.start();
+  SchedulerService.start();
+  BounceService.start();
+  ReplyService.start();
+
   app.listen(CONFIG.PORT, () => {
     console.log(`🚀 Server đang chạy tại http://localhost:${CONFIG.PORT}`);
     console.log(
@@ -2828,6 +10354,30 @@ async function startServer() {
     console.log(`📊 Frontend CRUD: http://localhost:${CONFIG.PORT}/crud.html`);
     console.log(`💚 Health check: http://localhost:${CONFIG.PORT}/api/health`);
   });
+
+  // Listener public chỉ có trang hủy đăng ký: reverse proxy trỏ PUBLIC_BASE_URL vào cổng này
+  // thay vì cổng chính (cổng chính có API trả về App Password của job và file mã nguồn)
+  if (CONFIG.UNSUBSCRIBE.port) {
+    const publicApp = express();
+    publicApp.use(unsubscribeRouter);
+    publicApp.use((err, req, res, next) => {
+      console.error("Lỗi trang hủy đăng ký:", err);
+      res
+        .status(500)
+        .type("html")
+        .send(
+          SuppressionService.renderPage(
+            "Có lỗi xảy ra",
+            "Không thể xử lý yêu cầu hủy đăng ký, vui lòng thử lại sau."
+          )
+        );
+    });
+    publicApp.listen(CONFIG.UNSUBSCRIBE.port, () => {
+      console.log(
+        `🔓 Trang hủy đăng ký (public): http://localhost:${CONFIG.UNSUBSCRIBE.port}/unsubscribe`
+      );
+    });
+  }
 }
 
 startServer();